@@ -1,15 +1,50 @@
 require('dotenv').config();
+const crypto    = require('crypto');
 const express   = require('express');
 const cors      = require('cors');
 const bcrypt    = require('bcryptjs');
 const jwt       = require('jsonwebtoken');
 const supabase  = require('../lib/supabase');
-const { signToken, requireAuth, requireAdmin, requireCanDelete } = require('../lib/auth');
+const { SETUP_SCOPE, startSession, renewSession, clientIp, requireAuth, requireAuthOrSetup, requirePermission } = require('../lib/auth');
+const sessions = require('../lib/sessions');
+const apiTokens = require('../lib/apiTokens');
+const settings = require('../lib/settings');
+const permissions = require('../lib/permissions');
+const redaction = require('../lib/redaction');
+const sync = require('../lib/sync');
+const trash = require('../lib/trash');
+const revert = require('../lib/revert');
+const audit = require('../lib/audit');
+const requestContext = require('../lib/requestContext');
+const log = require('../lib/logger');
+const errors = require('../lib/errors');
+const repos = require('../lib/repos');
 const totpLib = require('../lib/totp');
+const webauthn = require('../lib/webauthn');
+const { rateLimit } = require('../lib/rateLimit');
+const mailer = require('../lib/mailer');
+const portalSessions = require('../lib/portalSessions');
+const { startPortalSession, requirePortalAuth } = require('../lib/portalAuth');
+const { validateBody, validateQuery } = require('../lib/validation');
+const { paginate, sendPage } = require('../lib/pagination');
+const { requireVersion, conflict } = require('../lib/concurrency');
+const { idempotent } = require('../lib/idempotency');
+const schemas = require('../lib/schemas');
+const { buildOpenApi } = require('../lib/openapi');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
 
+// ─── REQUEST CONTEXT ─────────────────────────────────────────────────────────
+// Gives every request an id (X-Request-Id) and makes it, the caller's IP and,
+// once authenticated, the user available to the audit trigger — lib/audit.js —
+// and to the log lines written while handling it (lib/logger.js). Each request
+// is logged once answered, and every error body gets a code and the request id
+// (lib/errors.js).
+app.use(requestContext.middleware({ clientIp }));
+app.use(log.requests());
+app.use(errors.errorBodies);
+
 // ─── CORS ────────────────────────────────────────────────────────────────────
 const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
   .split(',').map(s => s.trim()).filter(Boolean);
@@ -18,9 +53,10 @@ app.use(cors({
   origin: (origin, cb) => {
     // Allow requests with no origin (mobile apps, curl, same-origin)
     if (!origin || allowedOrigins.includes(origin)) return cb(null, true);
-    cb(new Error(`CORS: origin ${origin} not allowed`));
+    cb(new errors.ApiError(403, `Requests from ${origin} aren't allowed.`, { code: 'origin_not_allowed' }));
   },
   credentials: true,
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link', 'X-Request-Id', 'Idempotent-Replayed'],   // list pagination, request id, replays
 }));
 app.use(express.json({ limit: '1mb' }));
 
@@ -35,29 +71,34 @@ app.use((req, res, next) => {
   next();
 });
 
-// ─── RATE LIMITING ────────────────────────────────────────────────────────────
-const _loginAttempts = new Map(); // ip → { count, resetAt }
-function loginRateLimit(req, res, next) {
-  const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress || 'unknown';
-  const now = Date.now();
-  const WINDOW = 15 * 60 * 1000; // 15 minutes
-  const MAX = 10;
-  let rec = _loginAttempts.get(ip);
-  if (!rec || now > rec.resetAt) rec = { count: 0, resetAt: now + WINDOW };
-  rec.count++;
-  _loginAttempts.set(ip, rec);
-  if (rec.count > MAX) {
-    const retryAfter = Math.ceil((rec.resetAt - now) / 1000);
-    res.setHeader('Retry-After', retryAfter);
-    return res.status(429).json({ error: `Too many login attempts — retry in ${Math.ceil(retryAfter/60)} minutes` });
-  }
+// ─── CONDITIONAL GETS ────────────────────────────────────────────────────────
+// Data reads may be kept by the browser but must be revalidated on every use:
+// it sends the stored ETag as If-None-Match and Express answers 304 with no
+// body while the response would be the same. Vary keeps one user's copy from
+// answering for another.
+function revalidate(req, res, next) {
+  res.set('Cache-Control', 'private, no-cache');
+  res.vary('Authorization');
   next();
 }
-// Clean up stale entries every 15 minutes
-setInterval(() => {
-  const now = Date.now();
-  _loginAttempts.forEach((v, k) => { if (now > v.resetAt) _loginAttempts.delete(k); });
-}, 15 * 60 * 1000);
+
+// ─── RATE LIMITING ────────────────────────────────────────────────────────────
+// Sliding-window limits shared across instances — see lib/rateLimit.js for the
+// store (Postgres in production, in-memory for local dev).
+const loginRateLimit = rateLimit({
+  name: 'login', windowMs: 15 * 60 * 1000, max: 10,
+  message: secs => `Too many login attempts — retry in ${Math.ceil(secs/60)} minutes`,
+});
+const portalLoginRateLimit = rateLimit({
+  name: 'portal-login', windowMs: 15 * 60 * 1000, max: 5,
+  message: secs => `Too many attempts. Try again in ${Math.ceil(secs/60)} minutes.`,
+});
+// Each bulk-import batch downloads and AI-extracts up to 50 receipts; cap per member
+const bulkImportRateLimit = rateLimit({
+  name: 'bulk-import', windowMs: 60 * 60 * 1000, max: 10,
+  key: req => req.user.sub,
+  message: secs => `Bulk import limit reached — try again in ${Math.ceil(secs/60)} minutes`,
+});
 
 // ─── HEALTH ──────────────────────────────────────────────────────────────────
 app.get('/api/health', (_, res) => res.json({ ok: true, ts: new Date().toISOString() }));
@@ -66,16 +107,24 @@ app.get('/api/health', (_, res) => res.json({ ok: true, ts: new Date().toISOStri
 
 async function auditLog(actor, action, tableName, recordId, changes) {
   try {
+    // Under "view as member" the admin is the one acting — record both identities
+    const imp = actor?.imp;
+    let tagged = changes || {};
+    if (imp)              tagged = { ...tagged, impersonating: { id: actor.sub, name: actor.name } };
+    if (actor?.tokenId)   tagged = { ...tagged, apiTokenId: actor.tokenId };
+    const ctx = audit.context();
     await supabase.from('audit_log').insert({
-      actor_id:   actor?.sub  || null,
-      actor_name: actor?.name || 'unknown',
+      ...audit.actorOf(actor),
       action,
       table_name: tableName,
       record_id:  String(recordId),
-      changes:    changes || {},
+      changes:    tagged,
+      ip:         ctx?.ip ?? null,
+      request_id: ctx?.request_id ?? null,
+      route:      ctx?.route ?? null,
     });
   } catch(e) {
-    console.warn('Audit log failed:', e.message);
+    log.warn('Audit log failed', { err: e, action, tableName, recordId });
   }
 }
 
@@ -83,22 +132,38 @@ async function auditLog(actor, action, tableName, recordId, changes) {
 
 // Returns the deal if it is locked (invoice_status = paid), else null
 async function getLockedDeal(dealId) {
-  const { data } = await supabase.from('deals').select('id,name,invoice_status').eq('id', dealId).single();
+  const data = await repos.deals.get(dealId, 'id,name,invoice_status');
   return data?.invoice_status === 'paid' ? data : null;
 }
 
+// The project if its payouts are finalized (everything on it is locked), else null
+async function getFinalizedProject(projectId) {
+  if (!projectId) return null;
+  const proj = await repos.projects.get(projectId, 'id,name,payouts_finalized');
+  return proj?.payouts_finalized ? proj : null;
+}
+
+// A deal's financial fields only lock when its project's payouts are finalized.
+// Returns { proj, attempted } when `fields` touch one of them and they're locked.
+const DEAL_FINANCIAL_FIELDS = ['value', 'buckets', 'prob'];
+async function getLockedDealFinancials(dealId, fields) {
+  const attempted = DEAL_FINANCIAL_FIELDS.filter(f => fields.includes(f));
+  if (!attempted.length) return null;
+  const proj = await repos.projects.forDeal(dealId, 'payouts_finalized,name');
+  return proj?.payouts_finalized ? { proj, attempted } : null;
+}
+
 // Returns true if the expense's project is complete OR payouts finalized
 async function isExpenseLocked(expenseId) {
-  const { data: exp } = await supabase.from('expenses').select('project_id').eq('id', expenseId).single();
+  const exp = await repos.expenses.get(expenseId, 'project_id');
   if (!exp?.project_id) return false;
-  const { data: proj } = await supabase.from('projects').select('status,payouts_finalized').eq('id', exp.project_id).single();
+  const proj = await repos.projects.get(exp.project_id, 'status,payouts_finalized');
   return proj?.payouts_finalized || proj?.status === 'complete';
 }
 
 // Returns true if any profit share has been paid for this member
 async function isProfitSharePaid(memberId) {
-  const { data } = await supabase.from('profit_share_status').select('id').eq('member_id', memberId).eq('paid', true).limit(1);
-  return (data?.length || 0) > 0;
+  return (await repos.profitShareStatus.count({ member_id: memberId, paid: true })) > 0;
 }
 
 // ─── AUTH ─────────────────────────────────────────────────────────────────────
@@ -106,7 +171,7 @@ async function isProfitSharePaid(memberId) {
 // Public — load team list for login screen (no PINs or hashes exposed)
 // Public — only exposes the minimum needed for the login member picker.
 // auth_role is intentionally excluded from this unauthenticated endpoint.
-app.get('/api/team', async (req, res) => {
+app.get('/api/team', async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('team_members')
@@ -116,7 +181,7 @@ app.get('/api/team', async (req, res) => {
     if (error) throw error;
     res.json(data.map(m => ({ id: m.id, name: m.name, color: m.color })));
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
@@ -142,19 +207,25 @@ async function _resetPinFailures(memberId) {
   }).eq('id', memberId);
 }
 
-app.post('/api/auth/login', loginRateLimit, async (req, res) => {
-  const { memberId, pin, totpCode } = req.body || {};
+app.post('/api/auth/login', loginRateLimit, async (req, res, next) => {
+  const { memberId, pin, totpCode, recoveryCode } = req.body || {};
   if (!memberId || !pin) return res.status(400).json({ error: 'memberId and pin required' });
 
   try {
     const { data: member, error } = await supabase
       .from('team_members')
-      .select('id, name, auth_role, color, active, pin_hash, pin_failed_attempts, pin_locked_until, totp_enabled, totp_secret')
+      .select(`id, name, auth_role, color, active, created_at, pin_hash, pin_failed_attempts, pin_locked_until, pin_login_disabled, ${TOTP_COLUMNS}`)
       .eq('id', memberId)
       .single();
 
     if (error || !member) return res.status(401).json({ error: 'Member not found' });
     if (!member.active)   return res.status(403).json({ error: 'Account is inactive' });
+    if (member.pin_login_disabled) {
+      return res.status(403).json({
+        error: 'PIN sign-in is turned off for this account — use your passkey',
+        passkeyRequired: true,
+      });
+    }
 
     // Per-user lockout
     if (member.pin_locked_until && new Date(member.pin_locked_until) > new Date()) {
@@ -179,16 +250,30 @@ app.post('/api/auth/login', loginRateLimit, async (req, res) => {
       });
     }
 
-    // PIN OK. If TOTP is enabled, verify the second factor.
+    // PIN OK. If TOTP is enabled, verify the second factor — either a live
+    // authenticator code or one of the member's single-use recovery codes.
+    let recoveryCodesRemaining;
     if (member.totp_enabled) {
-      if (!totpCode) {
+      if (!totpCode && !recoveryCode) {
         return res.status(401).json({
           error: 'totp_required',
           totpRequired: true,
-          message: 'Enter your 6-digit authenticator code',
+          message: `Enter your ${member.totp_digits || 6}-digit authenticator code`,
         });
       }
-      const totpOk = totpLib.verifyTotp(member.totp_secret, totpCode);
+      let totpOk;
+      if (recoveryCode) {
+        const used = await _consumeRecoveryCode(member.id, recoveryCode);
+        totpOk = !!used;
+        if (used) {
+          recoveryCodesRemaining = used.remaining;
+          await auditLog({ sub: member.id, name: member.name }, 'TOTP_RECOVERY_CODE_USED', 'team_members', member.id, {
+            remaining: used.remaining, ip: clientIp(req),
+          });
+        }
+      } else {
+        totpOk = await _verifyMemberTotp(member, totpCode);
+      }
       if (!totpOk) {
         // Treat bad TOTP as a failed attempt too
         const result = await _registerPinFailure(member.id);
@@ -199,7 +284,7 @@ app.post('/api/auth/login', loginRateLimit, async (req, res) => {
         }
         const left = PIN_MAX_FAILURES - result.failures;
         return res.status(401).json({
-          error: `Incorrect authenticator code. ${left} attempt${left===1?'':'s'} remaining.`,
+          error: `Incorrect ${recoveryCode ? 'recovery' : 'authenticator'} code. ${left} attempt${left===1?'':'s'} remaining.`,
           totpRequired: true,
         });
       }
@@ -210,7 +295,26 @@ app.post('/api/auth/login', loginRateLimit, async (req, res) => {
     // Success — clear failure counters
     await _resetPinFailures(member.id);
 
-    const token = signToken(member);
+    // Org policy says this role needs 2FA but the member hasn't enrolled:
+    // hand out a setup-only token instead of a full-access one.
+    const policy = await _getTwoFactorPolicy();
+    if (!member.totp_enabled && _twoFactorRequiredFor(member.auth_role, policy)) {
+      const { token } = await startSession(member, req, { scope: SETUP_SCOPE });
+      const graceEndsAt = _twoFactorGraceEndsAt(member, policy);
+      return res.json({
+        token,
+        totpSetupRequired: true,
+        graceEndsAt,
+        canSkip: new Date(graceEndsAt) > new Date(),
+        member: {
+          id: member.id, name: member.name,
+          authRole: member.auth_role, color: member.color,
+          totpEnabled: false,
+        },
+      });
+    }
+
+    const { token } = await startSession(member, req);
     res.json({
       token,
       member: {
@@ -220,9 +324,11 @@ app.post('/api/auth/login', loginRateLimit, async (req, res) => {
         color:        member.color,
         totpEnabled:  !!member.totp_enabled,
       },
+      // Only present when a recovery code was used, so the UI can nag about running low
+      ...(recoveryCodesRemaining !== undefined ? { recoveryCodesRemaining } : {}),
     });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
@@ -230,7 +336,7 @@ app.post('/api/auth/login', loginRateLimit, async (req, res) => {
 // Lets a user with a valid (non-expired) token request a fresh one with reset
 // expiry, without re-entering their PIN. If the token is already expired, this
 // fails — the user must log in again. Drives the in-app "refresh session" button.
-app.post('/api/auth/refresh', requireAuth, async (req, res) => {
+app.post('/api/auth/refresh', requireAuth, async (req, res, next) => {
   try {
     // Re-check member is still active and reload role from DB (in case it changed)
     const { data: member, error } = await supabase
@@ -240,120 +346,794 @@ app.post('/api/auth/refresh', requireAuth, async (req, res) => {
       .single();
     if (error || !member) return res.status(401).json({ error: 'Member not found' });
     if (!member.active)   return res.status(403).json({ error: 'Account is inactive' });
-    const token = signToken(member);
+    const token = await renewSession(member, req.user.jti);
+    res.json({
+      token,
+      member: {
+        id: member.id, name: member.name,
+        authRole: member.auth_role, color: member.color,
+        totpEnabled: !!member.totp_enabled,
+      },
+    });
+  } catch (e) { next(e); }
+});
+
+// ─── SESSIONS ─────────────────────────────────────────────────────────────────
+// Every staff token is bound to a row in `sessions` (see lib/sessions.js).
+// Revoking the row kills the token on its next request.
+
+function mapSession(s, currentId) {
+  return {
+    id:         s.id,
+    device:     s.device,
+    ip:         s.ip,
+    createdAt:  s.created_at,
+    lastSeenAt: s.last_seen_at,
+    expiresAt:  s.expires_at,
+    current:    s.id === currentId,
+    impersonatorId: s.impersonator_id || null,
+  };
+}
+
+// Sign out — revokes the session behind the current token
+app.post('/api/auth/logout', requireAuthOrSetup, async (req, res, next) => {
+  try {
+    await sessions.revokeSession(req.user.jti, req.user.sub);
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// My active sessions (device, IP, last seen)
+app.get('/api/auth/sessions', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.imp) return res.status(403).json({ error: 'Sessions aren\'t shown while viewing as another member' });
+    const rows = await sessions.listActiveSessions(req.user.sub);
+    res.json(rows.map(s => mapSession(s, req.user.jti)));
+  } catch (e) { next(e); }
+});
+
+// Revoke one of my sessions
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await sessions.revokeSession(req.params.id, req.user.sub);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    await auditLog(req.user, 'REVOKE_SESSION', 'sessions', req.params.id, {});
+    res.json({ ok: true, current: req.params.id === req.user.jti });
+  } catch (e) { next(e); }
+});
+
+// Log out everywhere. Body: { keepCurrent?: boolean } — keep this device signed in.
+app.post('/api/auth/sessions/revoke-all', requireAuth, async (req, res, next) => {
+  try {
+    const keepCurrent = !!req.body?.keepCurrent;
+    const count = await sessions.revokeAllSessions(req.user.sub, keepCurrent ? { exceptId: req.user.jti } : {});
+    await auditLog(req.user, 'REVOKE_ALL_SESSIONS', 'sessions', req.user.sub, { count, keepCurrent });
+    res.json({ ok: true, revoked: count });
+  } catch (e) { next(e); }
+});
+
+// Admin — list / kill every session for a member
+app.get('/api/team/:id/sessions', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
+  try {
+    const rows = await sessions.listActiveSessions(req.params.id);
+    res.json(rows.map(s => mapSession(s, req.user.jti)));
+  } catch (e) { next(e); }
+});
+
+app.delete('/api/team/:id/sessions', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
+  try {
+    const count = await sessions.revokeAllSessions(req.params.id);
+    await auditLog(req.user, 'ADMIN_REVOKE_SESSIONS', 'team_members', req.params.id, { count });
+    res.json({ ok: true, revoked: count });
+  } catch (e) { next(e); }
+});
+
+// ─── IMPERSONATION ("view as member") ─────────────────────────────────────────
+// An admin gets a short-lived, read-only token for another member so they see
+// exactly what that member sees. The token's `imp` claim names the admin; see
+// lib/auth.js for the write block and expiry. Start and stop are audited.
+
+app.post('/api/team/:id/impersonate', requireAuth, requirePermission('team.impersonate'), async (req, res, next) => {
+  try {
+    if (req.user.tokenId) return res.status(403).json({ error: 'Sign in to view as another member — API tokens cannot' });
+    if (req.params.id === req.user.sub) return res.status(400).json({ error: 'You are already signed in as yourself' });
+    const { data: member } = await supabase.from('team_members')
+      .select('id, name, auth_role, color, active, totp_enabled').eq('id', req.params.id).maybeSingle();
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (!member.active) return res.status(400).json({ error: 'Cannot view as an inactive member' });
+    if (member.auth_role === 'admin') return res.status(403).json({ error: 'Admins cannot be impersonated' });
+
+    const { token, sessionId } = await startSession(member, req, { impersonator: req.user });
+    const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+    await auditLog(req.user, 'IMPERSONATE_START', 'team_members', member.id, {
+      member: member.name, sessionId, expiresAt, ip: clientIp(req),
+    });
     res.json({
       token,
+      expiresAt,
       member: {
         id: member.id, name: member.name,
         authRole: member.auth_role, color: member.color,
         totpEnabled: !!member.totp_enabled,
       },
     });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
+});
+
+// End impersonation — called with the impersonation token itself
+app.post('/api/auth/impersonation/stop', requireAuth, async (req, res, next) => {
+  try {
+    if (!req.user.imp) return res.status(400).json({ error: 'Not impersonating anyone' });
+    await sessions.revokeSession(req.user.jti, req.user.sub);
+    await auditLog({ sub: req.user.imp.sub, name: req.user.imp.name }, 'IMPERSONATE_STOP', 'team_members', req.user.sub, {
+      member: req.user.name, sessionId: req.user.jti,
+    });
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// ─── API TOKENS ───────────────────────────────────────────────────────────────
+// Personal access tokens for scripts (see lib/apiTokens.js). Managing your own
+// tokens needs a signed-in session: /api/auth/* refuses API tokens.
+
+const API_TOKEN_MAX_PER_MEMBER = 20;
+
+function mapApiToken(t) {
+  return {
+    id:         t.id,
+    name:       t.name,
+    scope:      t.scope,
+    hint:       t.token_hint,
+    createdAt:  t.created_at,
+    expiresAt:  t.expires_at,
+    expired:    !!(t.expires_at && new Date(t.expires_at) <= new Date()),
+    lastUsedAt: t.last_used_at,
+    lastUsedIp: t.last_used_ip,
+  };
+}
+
+app.get('/api/auth/tokens', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.imp) return res.status(403).json({ error: 'API tokens aren\'t shown while viewing as another member' });
+    const rows = await apiTokens.listApiTokens(req.user.sub);
+    res.json(rows.map(mapApiToken));
+  } catch (e) { next(e); }
+});
+
+// Body: { name, scope: 'read'|'write', expiresInDays?: 1–365 (omit for no expiry) }
+// The plaintext token is in this response only.
+app.post('/api/auth/tokens', requireAuth, validateBody(schemas.apiTokenCreate), async (req, res, next) => {
+  try {
+    if (req.user.imp) return res.status(403).json({ error: 'Cannot create API tokens while viewing as another member' });
+    const name  = req.body.name.trim();
+    const scope = req.body.scope || 'read';
+    const expiresAt = req.body.expiresInDays != null
+      ? new Date(Date.now() + req.body.expiresInDays * 86400000).toISOString()
+      : null;
+    const existing = await apiTokens.listApiTokens(req.user.sub);
+    if (existing.length >= API_TOKEN_MAX_PER_MEMBER) {
+      return res.status(400).json({ error: `You already have ${API_TOKEN_MAX_PER_MEMBER} API tokens — revoke one first` });
+    }
+    const { row, token } = await apiTokens.createApiToken({ memberId: req.user.sub, name, scope, expiresAt });
+    await auditLog(req.user, 'CREATE_API_TOKEN', 'api_tokens', row.id, { name, scope, expiresAt });
+    res.status(201).json({ ...mapApiToken(row), token });
+  } catch (e) { next(e); }
+});
+
+app.delete('/api/auth/tokens/:id', requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await apiTokens.revokeApiToken(req.params.id, req.user.sub);
+    if (!revoked) return res.status(404).json({ error: 'Token not found' });
+    await auditLog(req.user, 'REVOKE_API_TOKEN', 'api_tokens', req.params.id, {});
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// Admin — see and revoke a member's tokens
+app.get('/api/team/:id/tokens', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
+  try {
+    const rows = await apiTokens.listApiTokens(req.params.id);
+    res.json(rows.map(mapApiToken));
+  } catch (e) { next(e); }
+});
+
+app.delete('/api/team/:id/tokens/:tokenId', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
+  try {
+    const revoked = await apiTokens.revokeApiToken(req.params.tokenId, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Token not found' });
+    await auditLog(req.user, 'ADMIN_REVOKE_API_TOKEN', 'api_tokens', req.params.tokenId, { memberId: req.params.id });
+    res.json({ ok: true });
+  } catch (e) { next(e); }
 });
 
 // ─── TOTP SETUP ───────────────────────────────────────────────────────────────
+
+// Columns every TOTP check needs — the secret plus its RFC 6238 parameters and
+// the last accepted time step (replay protection).
+const TOTP_COLUMNS = 'totp_enabled, totp_secret, totp_algorithm, totp_digits, totp_last_step';
+
+/**
+ * Verify a code against a member's TOTP secret and record the matched time
+ * step so the same code can never be accepted twice. The step is written with
+ * a compare-and-set, so two concurrent logins with one code can't both pass.
+ */
+async function _verifyMemberTotp(member, code) {
+  const step = totpLib.verifyTotpStep(member.totp_secret, code, {
+    algorithm: member.totp_algorithm || totpLib.DEFAULTS.algorithm,
+    digits:    member.totp_digits    || totpLib.DEFAULTS.digits,
+    lastStep:  member.totp_last_step,
+  });
+  if (step === null) return false;
+  const { data, error } = await supabase.from('team_members')
+    .update({ totp_last_step: step })
+    .eq('id', member.id)
+    .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+    .select('id');
+  if (error) throw error;
+  return (data?.length || 0) > 0;
+}
+
 // Generates a fresh secret and provisioning URI. Does NOT enable TOTP yet —
 // the user must verify a code first via /enable.
-app.post('/api/auth/totp/setup', requireAuth, async (req, res) => {
+// Body (optional): { algorithm: 'SHA1'|'SHA256'|'SHA512', digits: 6|8 } — defaults SHA1/6,
+// which is all Google Authenticator supports.
+app.post('/api/auth/totp/setup', requireAuthOrSetup, async (req, res, next) => {
   try {
+    const algorithm = totpLib.normalizeAlgorithm(req.body?.algorithm);
+    const digits    = req.body?.digits != null ? parseInt(req.body.digits, 10) : totpLib.DEFAULTS.digits;
+    if (!algorithm) return res.status(400).json({ error: `algorithm must be one of ${Object.keys(totpLib.ALGORITHMS).join(', ')}` });
+    if (!totpLib.DIGITS.includes(digits)) return res.status(400).json({ error: `digits must be one of ${totpLib.DIGITS.join(', ')}` });
     const { data: member, error } = await supabase
       .from('team_members')
       .select('id, name, auth_role, totp_enabled')
       .eq('id', req.user.sub).single();
     if (error || !member) return res.status(404).json({ error: 'Member not found' });
-    if (member.auth_role !== 'admin') {
-      return res.status(403).json({ error: 'Two-factor authentication is only available for admin role accounts' });
+    if ((await _getTwoFactorPolicy()).mode === 'off') {
+      return res.status(403).json({ error: 'Two-factor authentication is turned off for this organization' });
     }
     if (member.totp_enabled) {
       return res.status(409).json({ error: 'Two-factor is already enabled. Disable first to re-set up.' });
     }
-    const secret = totpLib.generateSecret();
+    const secret = totpLib.generateSecret(algorithm);
     // Store secret immediately but keep totp_enabled = false until /enable verifies
-    await supabase.from('team_members').update({ totp_secret: secret, totp_enabled: false }).eq('id', member.id);
-    const uri = totpLib.provisioningUri(secret, member.name, 'CJA-OPS');
-    res.json({ secret, otpauthUri: uri });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    await supabase.from('team_members').update({
+      totp_secret: secret, totp_enabled: false,
+      totp_algorithm: algorithm, totp_digits: digits, totp_last_step: null,
+    }).eq('id', member.id);
+    const uri = totpLib.provisioningUri(secret, member.name, 'CJA-OPS', { algorithm, digits });
+    res.json({ secret, otpauthUri: uri, algorithm, digits });
+  } catch (e) { next(e); }
 });
 
 // Confirm setup: user enters the code from their authenticator. If valid, flip enabled to true.
-app.post('/api/auth/totp/enable', requireAuth, async (req, res) => {
+// When called with a setup-only token (forced enrolment at login), the response
+// also carries a full-access token for the same session.
+app.post('/api/auth/totp/enable', requireAuthOrSetup, async (req, res, next) => {
   try {
     const { code } = req.body || {};
     if (!code) return res.status(400).json({ error: 'code required' });
     const { data: member, error } = await supabase
       .from('team_members')
-      .select('id, totp_secret, totp_enabled, auth_role')
+      .select(`id, name, auth_role, color, ${TOTP_COLUMNS}`)
       .eq('id', req.user.sub).single();
     if (error || !member) return res.status(404).json({ error: 'Member not found' });
-    if (member.auth_role !== 'admin') {
-      return res.status(403).json({ error: 'Two-factor authentication is only available for admin role accounts' });
+    if ((await _getTwoFactorPolicy()).mode === 'off') {
+      return res.status(403).json({ error: 'Two-factor authentication is turned off for this organization' });
     }
     if (!member.totp_secret) return res.status(400).json({ error: 'Run setup first' });
-    if (!totpLib.verifyTotp(member.totp_secret, code)) {
+    if (!(await _verifyMemberTotp(member, code))) {
       return res.status(401).json({ error: 'Code did not match. Try again.' });
     }
     await supabase.from('team_members').update({
       totp_enabled: true,
       totp_verified_at: new Date().toISOString(),
     }).eq('id', member.id);
-    res.json({ ok: true, totpEnabled: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    // Recovery codes are returned in plaintext exactly once — only hashes are stored
+    const recoveryCodes = await _issueRecoveryCodes(member.id);
+    await auditLog(req.user, 'TOTP_ENABLED', 'team_members', member.id, { recoveryCodes: recoveryCodes.length });
+    const out = { ok: true, totpEnabled: true, recoveryCodes };
+    if (req.user.scope === SETUP_SCOPE) {
+      out.token  = await renewSession(member, req.user.jti);
+      out.member = {
+        id: member.id, name: member.name,
+        authRole: member.auth_role, color: member.color,
+        totpEnabled: true,
+      };
+    }
+    res.json(out);
+  } catch (e) { next(e); }
 });
 
-// Disable: requires a current code as proof of possession. Cannot be done without it.
-app.post('/api/auth/totp/disable', requireAuth, async (req, res) => {
+// Disable: requires proof of possession — a current code, or a recovery code
+// for members who have lost their authenticator. Cannot be done without one.
+app.post('/api/auth/totp/disable', requireAuth, async (req, res, next) => {
   try {
-    const { code } = req.body || {};
-    if (!code) return res.status(400).json({ error: 'code required' });
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) return res.status(400).json({ error: 'code or recoveryCode required' });
     const { data: member, error } = await supabase
       .from('team_members')
-      .select('id, totp_secret, totp_enabled')
+      .select(`id, ${TOTP_COLUMNS}`)
       .eq('id', req.user.sub).single();
     if (error || !member) return res.status(404).json({ error: 'Member not found' });
     if (!member.totp_enabled) return res.status(400).json({ error: 'Two-factor is not currently enabled' });
-    if (!totpLib.verifyTotp(member.totp_secret, code)) {
+    if (_twoFactorRequiredFor(req.user.role, await _getTwoFactorPolicy())) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role and cannot be disabled' });
+    }
+    if (recoveryCode) {
+      const used = await _consumeRecoveryCode(member.id, recoveryCode);
+      if (!used) return res.status(401).json({ error: 'Recovery code did not match or was already used.' });
+      await auditLog(req.user, 'TOTP_RECOVERY_CODE_USED', 'team_members', member.id, {
+        remaining: used.remaining, purpose: 'disable', ip: clientIp(req),
+      });
+    } else if (!(await _verifyMemberTotp(member, code))) {
       return res.status(401).json({ error: 'Code did not match. Try again.' });
     }
     await supabase.from('team_members').update({
       totp_enabled: false, totp_secret: null, totp_verified_at: null,
+      totp_algorithm: null, totp_digits: null, totp_last_step: null,
     }).eq('id', member.id);
+    await supabase.from('totp_recovery_codes').delete().eq('member_id', member.id);
+    await auditLog(req.user, 'TOTP_DISABLED', 'team_members', member.id, { via: recoveryCode ? 'recovery_code' : 'totp' });
     res.json({ ok: true, totpEnabled: false });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
+});
+
+// ─── TWO-FACTOR POLICY ────────────────────────────────────────────────────────
+// Org-wide policy in app_settings['two_factor_policy']:
+//   mode:          'off'      — nobody can enrol (existing enrolments still verify)
+//                  'optional' — anyone may enrol
+//                  'required' — roles in requiredRoles must enrol; others optional
+//   requiredRoles: auth_role values that must have 2FA when mode = 'required'
+//   graceDays:     days a member may skip enrolment after the rule first applies to them
+//   enforcedAt:    when the current required-roles rule took effect (server-set)
+
+const TWO_FACTOR_POLICY_KEY = 'two_factor_policy';
+const TWO_FACTOR_DEFAULTS = { mode: 'optional', requiredRoles: [], graceDays: 7, enforcedAt: null };
+
+async function _getTwoFactorPolicy() {
+  return settings.getSetting(TWO_FACTOR_POLICY_KEY, TWO_FACTOR_DEFAULTS);
+}
+
+function _twoFactorRequiredFor(role, policy) {
+  return policy.mode === 'required' && (policy.requiredRoles || []).includes(role);
+}
+
+// Grace runs from whichever is later: the rule taking effect, or the member joining
+function _twoFactorGraceEndsAt(member, policy) {
+  const starts = [policy.enforcedAt, member.created_at].filter(Boolean).map(d => new Date(d).getTime());
+  const start = starts.length ? Math.max(...starts) : Date.now();
+  return new Date(start + (policy.graceDays || 0) * 24 * 60 * 60 * 1000).toISOString();
+}
+
+app.get('/api/settings/two-factor', requireAuthOrSetup, async (req, res, next) => {
+  try {
+    const policy = await _getTwoFactorPolicy();
+    res.json({ ...policy, requiredForMe: _twoFactorRequiredFor(req.user.role, policy) });
+  } catch (e) { next(e); }
+});
+
+app.put('/api/settings/two-factor', requireAuth, requirePermission('settings.manage'), validateBody(schemas.twoFactorPolicy), async (req, res, next) => {
+  try {
+    const { mode, requiredRoles = [], graceDays: days = TWO_FACTOR_DEFAULTS.graceDays } = req.body;
+    if (mode === 'required' && !requiredRoles.length) {
+      return res.status(400).json({ error: 'Pick at least one role when 2FA is required' });
+    }
+
+    const current = await _getTwoFactorPolicy();
+    const roles = mode === 'required' ? [...new Set(requiredRoles)].sort() : [];
+    // Restart the grace clock whenever a role newly becomes required
+    const prevRoles = current.mode === 'required' ? current.requiredRoles || [] : [];
+    const newlyRequired = roles.filter(r => !prevRoles.includes(r));
+    const enforcedAt = newlyRequired.length ? new Date().toISOString() : (roles.length ? current.enforcedAt : null);
+
+    const policy = await settings.setSetting(TWO_FACTOR_POLICY_KEY, { mode, requiredRoles: roles, graceDays: days, enforcedAt }, req.user);
+    await auditLog(req.user, 'EDIT_TWO_FACTOR_POLICY', 'app_settings', TWO_FACTOR_POLICY_KEY, {
+      from: { mode: current.mode, requiredRoles: current.requiredRoles, graceDays: current.graceDays },
+      to:   { mode, requiredRoles: roles, graceDays: days },
+    });
+    res.json(policy);
+  } catch (e) { next(e); }
+});
+
+// Skip enrolment during the grace period: trade a setup-only token for a full one
+app.post('/api/auth/totp/skip', requireAuthOrSetup, async (req, res, next) => {
+  try {
+    if (req.user.scope !== SETUP_SCOPE) return res.status(400).json({ error: 'Nothing to skip' });
+    const { data: member, error } = await supabase
+      .from('team_members')
+      .select('id, name, auth_role, color, active, created_at, totp_enabled')
+      .eq('id', req.user.sub).single();
+    if (error || !member) return res.status(404).json({ error: 'Member not found' });
+    if (!member.active)   return res.status(403).json({ error: 'Account is inactive' });
+    const policy = await _getTwoFactorPolicy();
+    const graceEndsAt = _twoFactorGraceEndsAt(member, policy);
+    if (_twoFactorRequiredFor(member.auth_role, policy) && new Date(graceEndsAt) <= new Date()) {
+      return res.status(403).json({ error: 'The grace period has ended — set up two-factor authentication to continue', totpSetupRequired: true });
+    }
+    const token = await renewSession(member, req.user.jti);
+    await auditLog(req.user, 'TOTP_SETUP_SKIPPED', 'team_members', member.id, { graceEndsAt });
+    res.json({
+      token,
+      graceEndsAt,
+      member: {
+        id: member.id, name: member.name,
+        authRole: member.auth_role, color: member.color,
+        totpEnabled: !!member.totp_enabled,
+      },
+    });
+  } catch (e) { next(e); }
+});
+
+// ─── TOTP RECOVERY CODES ──────────────────────────────────────────────────────
+// Single-use backup codes, bcrypt-hashed in totp_recovery_codes. Issued on
+// /totp/enable, accepted by /auth/login and /totp/disable in place of a TOTP code.
+
+// Replace any existing codes for the member and return the new plaintext set
+async function _issueRecoveryCodes(memberId) {
+  const codes = totpLib.generateRecoveryCodes();
+  const hashes = await Promise.all(codes.map(c => bcrypt.hash(totpLib.normalizeRecoveryCode(c), 10)));
+  await supabase.from('totp_recovery_codes').delete().eq('member_id', memberId);
+  const { error } = await supabase.from('totp_recovery_codes')
+    .insert(hashes.map(code_hash => ({ member_id: memberId, code_hash })));
+  if (error) throw error;
+  return codes;
+}
+
+// Check a code against the member's unused hashes. On match, burn it and
+// return { remaining }; otherwise null.
+async function _consumeRecoveryCode(memberId, code) {
+  const normalized = totpLib.normalizeRecoveryCode(code);
+  if (!normalized) return null;
+  const { data: rows, error } = await supabase.from('totp_recovery_codes')
+    .select('id, code_hash').eq('member_id', memberId).is('used_at', null);
+  if (error) throw error;
+  for (const row of rows || []) {
+    // eslint-disable-next-line no-await-in-loop
+    if (await bcrypt.compare(normalized, row.code_hash)) {
+      // Conditional on used_at still being null so two concurrent logins can't both spend it
+      const { data: burned } = await supabase.from('totp_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', row.id).is('used_at', null).select('id');
+      if (!burned?.length) return null;
+      return { remaining: rows.length - 1 };
+    }
+  }
+  return null;
+}
+
+// Remaining-count for the current member
+app.get('/api/auth/totp/recovery-codes', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.imp) return res.status(403).json({ error: 'Recovery codes aren\'t shown while viewing as another member' });
+    const { data, error } = await supabase.from('totp_recovery_codes')
+      .select('used_at, created_at').eq('member_id', req.user.sub);
+    if (error) throw error;
+    res.json({
+      total:       data.length,
+      remaining:   data.filter(r => !r.used_at).length,
+      generatedAt: data[0]?.created_at || null,
+    });
+  } catch (e) { next(e); }
+});
+
+// Regenerate: invalidates all previous codes. Requires a current TOTP code.
+app.post('/api/auth/totp/recovery-codes', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'code required' });
+    const { data: member, error } = await supabase
+      .from('team_members')
+      .select(`id, ${TOTP_COLUMNS}`)
+      .eq('id', req.user.sub).single();
+    if (error || !member) return res.status(404).json({ error: 'Member not found' });
+    if (!member.totp_enabled) return res.status(400).json({ error: 'Two-factor is not currently enabled' });
+    if (!(await _verifyMemberTotp(member, code))) {
+      return res.status(401).json({ error: 'Code did not match. Try again.' });
+    }
+    const recoveryCodes = await _issueRecoveryCodes(member.id);
+    await auditLog(req.user, 'TOTP_RECOVERY_CODES_REGENERATED', 'team_members', member.id, { count: recoveryCodes.length });
+    res.json({ recoveryCodes });
+  } catch (e) { next(e); }
+});
+
+// ─── PASSKEYS (WebAuthn) ──────────────────────────────────────────────────────
+// Members can register passkeys and sign in with them from the member picker.
+// Ceremony verification lives in lib/webauthn.js; challenges are single-use rows
+// in webauthn_challenges. PIN stays as a fallback unless an admin turns it off
+// for the member (team_members.pin_login_disabled).
+
+const WEBAUTHN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Relying party identity. WEBAUTHN_RP_ID pins passkeys to a domain for good, so
+// set it explicitly in production; otherwise it's derived from the first origin.
+// Accepted origins: WEBAUTHN_ORIGINS, else ALLOWED_ORIGINS, else this request's host.
+function _webauthnConfig(req) {
+  let origins = (process.env.WEBAUTHN_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!origins.length) origins = [...allowedOrigins];
+  if (!origins.length && req.headers.host) {
+    const host = req.headers.host;
+    origins = [`${/^(localhost|127\.0\.0\.1)(:|$)/.test(host) ? 'http' : 'https'}://${host}`];
+  }
+  const rpId = process.env.WEBAUTHN_RP_ID || (origins[0] ? new URL(origins[0]).hostname : 'localhost');
+  return { rpId, rpName: process.env.WEBAUTHN_RP_NAME || 'CJA-OPS', origins };
+}
+
+async function _storeWebauthnChallenge(purpose, memberId) {
+  const challenge = webauthn.generateChallenge();
+  const now = new Date();
+  // Sweep expired challenges so the table doesn't grow unbounded
+  await supabase.from('webauthn_challenges').delete().lt('expires_at', now.toISOString());
+  const { data, error } = await supabase.from('webauthn_challenges').insert({
+    purpose,
+    member_id:  memberId || null,
+    challenge,
+    expires_at: new Date(now.getTime() + WEBAUTHN_CHALLENGE_TTL_MS).toISOString(),
+  }).select('id').single();
+  if (error) throw error;
+  return { challengeId: data.id, challenge };
+}
+
+// Delete-and-return, so a challenge can only ever be answered once
+async function _takeWebauthnChallenge(id, purpose) {
+  if (!id) return null;
+  const { data, error } = await supabase.from('webauthn_challenges')
+    .delete().eq('id', id).eq('purpose', purpose)
+    .select('challenge, member_id, expires_at');
+  if (error) throw error;
+  const row = data?.[0];
+  if (!row || new Date(row.expires_at) <= new Date()) return null;
+  return row;
+}
+
+function mapPasskey(c) {
+  return {
+    id:         c.id,
+    name:       c.name,
+    transports: c.transports || [],
+    createdAt:  c.created_at,
+    lastUsedAt: c.last_used_at,
+  };
+}
+
+// Registration step 1 — options for navigator.credentials.create()
+app.post('/api/auth/passkeys/register/options', requireAuth, async (req, res, next) => {
+  try {
+    const { data: existing, error } = await supabase.from('webauthn_credentials')
+      .select('credential_id, transports').eq('member_id', req.user.sub);
+    if (error) throw error;
+    const cfg = _webauthnConfig(req);
+    const { challengeId, challenge } = await _storeWebauthnChallenge('register', req.user.sub);
+    res.json({
+      challengeId,
+      publicKey: {
+        challenge,
+        rp:   { id: cfg.rpId, name: cfg.rpName },
+        user: { id: webauthn.b64urlEncode(Buffer.from(req.user.sub)), name: req.user.name, displayName: req.user.name },
+        pubKeyCredParams: webauthn.SUPPORTED_ALGS.map(alg => ({ type: 'public-key', alg })),
+        timeout: WEBAUTHN_CHALLENGE_TTL_MS,
+        attestation: 'none',
+        excludeCredentials: (existing || []).map(c => ({ type: 'public-key', id: c.credential_id, transports: c.transports || [] })),
+        authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      },
+    });
+  } catch (e) { next(e); }
+});
+
+// Registration step 2 — verify the attestation and store the credential.
+// Body: { challengeId, credential, name? }
+app.post('/api/auth/passkeys/register/verify', requireAuth, async (req, res, next) => {
+  try {
+    const { challengeId, credential, name } = req.body || {};
+    const ch = await _takeWebauthnChallenge(challengeId, 'register');
+    if (!ch || ch.member_id !== req.user.sub) return res.status(400).json({ error: 'Challenge expired — try again' });
+    const cfg = _webauthnConfig(req);
+    let result;
+    try {
+      result = webauthn.verifyRegistration(credential, {
+        expectedChallenge: ch.challenge, expectedOrigins: cfg.origins, expectedRpId: cfg.rpId,
+        requireUserVerification: true,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: `Passkey registration failed: ${err.message}` });
+    }
+    const { data, error } = await supabase.from('webauthn_credentials').insert({
+      member_id:     req.user.sub,
+      credential_id: result.credentialId,
+      public_key:    result.publicKey,
+      sign_count:    result.signCount,
+      transports:    result.transports,
+      name:          String(name || '').trim().slice(0, 60) || sessions.describeDevice(req.headers['user-agent']),
+    }).select().single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'This passkey is already registered' });
+      throw error;
+    }
+    await auditLog(req.user, 'PASSKEY_REGISTERED', 'webauthn_credentials', data.id, { name: data.name });
+    res.status(201).json(mapPasskey(data));
+  } catch (e) { next(e); }
+});
+
+// My passkeys
+app.get('/api/auth/passkeys', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.imp) return res.status(403).json({ error: 'Passkeys aren\'t shown while viewing as another member' });
+    const { data, error } = await supabase.from('webauthn_credentials')
+      .select('id, name, transports, created_at, last_used_at')
+      .eq('member_id', req.user.sub).order('created_at');
+    if (error) throw error;
+    res.json(data.map(mapPasskey));
+  } catch (e) { next(e); }
+});
+
+// Remove one of my passkeys. Refused if it's the last one and PIN sign-in is
+// disabled for me — that would lock me out.
+app.delete('/api/auth/passkeys/:id', requireAuth, async (req, res, next) => {
+  try {
+    const [{ data: creds, error }, { data: member }] = await Promise.all([
+      supabase.from('webauthn_credentials').select('id').eq('member_id', req.user.sub),
+      supabase.from('team_members').select('pin_login_disabled').eq('id', req.user.sub).single(),
+    ]);
+    if (error) throw error;
+    if (!creds.some(c => c.id === req.params.id)) return res.status(404).json({ error: 'Passkey not found' });
+    if (creds.length === 1 && member?.pin_login_disabled) {
+      return res.status(409).json({ error: 'PIN sign-in is disabled for your account, so you must keep at least one passkey. Ask an admin to re-enable PIN first.' });
+    }
+    await supabase.from('webauthn_credentials').delete().eq('id', req.params.id).eq('member_id', req.user.sub);
+    await auditLog(req.user, 'PASSKEY_REMOVED', 'webauthn_credentials', req.params.id, {});
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// Admin — a member's passkeys, and removal of a lost one. Removing the last
+// passkey also re-enables PIN sign-in so the member isn't locked out.
+app.get('/api/team/:id/passkeys', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase.from('webauthn_credentials')
+      .select('id, name, transports, created_at, last_used_at')
+      .eq('member_id', req.params.id).order('created_at');
+    if (error) throw error;
+    res.json(data.map(mapPasskey));
+  } catch (e) { next(e); }
+});
+
+app.delete('/api/team/:id/passkeys/:credId', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
+  try {
+    const { data: removed, error } = await supabase.from('webauthn_credentials')
+      .delete().eq('id', req.params.credId).eq('member_id', req.params.id).select('id, name');
+    if (error) throw error;
+    if (!removed?.length) return res.status(404).json({ error: 'Passkey not found' });
+    const { count } = await supabase.from('webauthn_credentials')
+      .select('id', { count: 'exact', head: true }).eq('member_id', req.params.id);
+    const pinReenabled = !count;
+    if (pinReenabled) await supabase.from('team_members').update({ pin_login_disabled: false }).eq('id', req.params.id);
+    await auditLog(req.user, 'ADMIN_REMOVE_PASSKEY', 'team_members', req.params.id, {
+      passkey: removed[0].name, pinReenabled,
+    });
+    res.json({ ok: true, pinReenabled });
+  } catch (e) { next(e); }
+});
+
+// Public — login step 1. Body: { memberId } (the member picked on the login screen).
+app.post('/api/auth/passkey/options', loginRateLimit, async (req, res, next) => {
+  try {
+    const { memberId } = req.body || {};
+    if (!memberId) return res.status(400).json({ error: 'memberId required' });
+    const { data: creds, error } = await supabase.from('webauthn_credentials')
+      .select('credential_id, transports').eq('member_id', memberId);
+    if (error) throw error;
+    if (!creds?.length) return res.status(404).json({ error: 'No passkey registered for this member — sign in with your PIN' });
+    const cfg = _webauthnConfig(req);
+    const { challengeId, challenge } = await _storeWebauthnChallenge('login', memberId);
+    res.json({
+      challengeId,
+      publicKey: {
+        challenge,
+        rpId: cfg.rpId,
+        timeout: WEBAUTHN_CHALLENGE_TTL_MS,
+        userVerification: 'required',
+        allowCredentials: creds.map(c => ({ type: 'public-key', id: c.credential_id, transports: c.transports || [] })),
+      },
+    });
+  } catch (e) { next(e); }
+});
+
+// Public — login step 2. Body: { challengeId, credential }
+// A user-verified passkey is already two factors (device + biometric/PIN), so
+// this path skips the TOTP prompt and the forced-enrolment flow.
+app.post('/api/auth/passkey/login', loginRateLimit, async (req, res, next) => {
+  try {
+    const { challengeId, credential } = req.body || {};
+    const ch = await _takeWebauthnChallenge(challengeId, 'login');
+    if (!ch) return res.status(400).json({ error: 'Challenge expired — try again' });
+    const { data: cred, error } = await supabase.from('webauthn_credentials')
+      .select('id, member_id, public_key, sign_count')
+      .eq('credential_id', String(credential?.id || '')).maybeSingle();
+    if (error) throw error;
+    if (!cred || cred.member_id !== ch.member_id) return res.status(401).json({ error: 'Passkey not recognised' });
+
+    const { data: member } = await supabase
+      .from('team_members')
+      .select('id, name, auth_role, color, active, totp_enabled')
+      .eq('id', cred.member_id).single();
+    if (!member)        return res.status(401).json({ error: 'Member not found' });
+    if (!member.active) return res.status(403).json({ error: 'Account is inactive' });
+
+    const cfg = _webauthnConfig(req);
+    let result;
+    try {
+      result = webauthn.verifyAuthentication(credential, {
+        publicKey: cred.public_key, signCount: Number(cred.sign_count) || 0,
+      }, {
+        expectedChallenge: ch.challenge, expectedOrigins: cfg.origins, expectedRpId: cfg.rpId,
+        requireUserVerification: true,
+      });
+    } catch (err) {
+      if (/counter/.test(err.message)) {
+        await auditLog({ sub: member.id, name: member.name }, 'PASSKEY_COUNTER_MISMATCH', 'webauthn_credentials', cred.id, { ip: clientIp(req) });
+      }
+      return res.status(401).json({ error: `Passkey sign-in failed: ${err.message}` });
+    }
+    await supabase.from('webauthn_credentials')
+      .update({ sign_count: result.signCount, last_used_at: new Date().toISOString() })
+      .eq('id', cred.id);
+
+    const { token } = await startSession(member, req);
+    res.json({
+      token,
+      member: {
+        id: member.id, name: member.name,
+        authRole: member.auth_role, color: member.color,
+        totpEnabled: !!member.totp_enabled,
+      },
+    });
+  } catch (e) { next(e); }
 });
 
 // ─── BOOTSTRAP — single call to hydrate all state after login ─────────────────
-app.get('/api/bootstrap', requireAuth, async (req, res) => {
+const TEAM_STATE_COLUMNS = 'id,name,role,color,profit_share_pct,ps_rate_history,month_cap,active,auth_role';
+
+app.get('/api/bootstrap', requireAuth, revalidate, async (req, res, next) => {
   try {
+    const syncCursor = sync.cursor();
+    // Tables the caller's role can't view come back empty rather than failing the whole load
+    const perms = await permissions.permissionsFor(req.user.role);
+    const ifAllowed = (perm, load) => perms.includes(perm) ? load() : Promise.resolve([]);
+    // Restricted viewers get their own latest entries, as from /api/pay-log, not
+    // whatever of theirs falls within everyone's latest
+    const payLogWhere = perms.includes(redaction.VIEW_ALL) ? {} : { member_id: req.user.sub };
     const [
-      teamRes, dealsRes, projectsRes, tasksRes,
-      expensesRes, payStatusRes, psStatusRes, payLogRes,
-      clientsRes, delivTypesRes, delivsRes, taskDelivsRes,
+      team, deals, projects, tasks,
+      expenses, payStatusRows, psStatusRows, payLog,
+      clients, delivTypes, delivs, taskDelivs,
     ] = await Promise.all([
-      supabase.from('team_members').select('id,name,role,color,profit_share_pct,ps_rate_history,month_cap,active,auth_role').order('name'),
-      supabase.from('deals').select('*').order('created_at', { ascending: false }),
-      supabase.from('projects').select('*').order('created_at', { ascending: false }),
-      supabase.from('tasks').select('*').order('created_at', { ascending: false }),
-      supabase.from('expenses').select('*').order('date', { ascending: false }),
-      supabase.from('pay_status').select('*'),
-      supabase.from('profit_share_status').select('*'),
-      supabase.from('pay_log').select('*').order('paid_at', { ascending: false }).limit(500),
-      supabase.from('clients').select('*').eq('active', true).order('name'),
-      supabase.from('deliverable_types').select('id,name,project_id,active,publishable,default_assignee_id,default_est_hours,default_tag').eq('active', true).order('name'),
-      supabase.from('deliverables').select('*').order('sort_order'),
-      supabase.from('task_deliverables').select('*'),
+      supabase.from('team_members').select(TEAM_STATE_COLUMNS).order('name')
+        .then(({ data, error }) => { if (error) throw error; return data; }),
+      ifAllowed('deals.view',        () => repos.deals.list()),
+      ifAllowed('projects.view',     () => repos.projects.list()),
+      ifAllowed('tasks.view',        () => repos.tasks.list()),
+      ifAllowed('expenses.view',     () => repos.expenses.list()),
+      ifAllowed('payroll.view',      () => repos.payStatus.list()),
+      ifAllowed('payroll.view',      () => repos.profitShareStatus.list()),
+      ifAllowed('payroll.view',      () => repos.payLog.list({ where: payLogWhere, limit: 500 })),
+      ifAllowed('clients.view',      () => repos.clients.list({ where: { active: true } })),
+      ifAllowed('deliverables.view', () => repos.deliverableTypes.list({ where: { active: true }, columns: DELIVERABLE_TYPE_COLUMNS })),
+      ifAllowed('deliverables.view', () => repos.deliverables.list({ order: 'sort_order' })),
+      ifAllowed('deliverables.view', () => repos.taskDeliverables.list()),
     ]);
 
-    for (const r of [teamRes, dealsRes, projectsRes, tasksRes, expensesRes, payStatusRes, psStatusRes, payLogRes, clientsRes, delivTypesRes, delivsRes, taskDelivsRes]) {
-      if (r.error) throw r.error;
-    }
+    // Roles without finance.view_all only get their own slice of the money
+    const scope = await redaction.financialScope(req, {
+      tasks:    perms.includes('tasks.view') ? tasks : undefined,
+      projects: perms.includes('projects.view') ? projects : undefined,
+      team,
+    });
 
     // Reshape payStatus into the key-value map the frontend expects.
     // Profit-share rows (pay_key contains '_ps_') also expose their locked ps_pct_snapshot
     // so the frontend can display the rate that applied at payment.
     const payStatus = {};
     const payStatusSnapshots = {};
-    (payStatusRes.data || []).forEach(r => {
+    payStatusRows.forEach(r => {
       const k = r.pay_key || `${r.project_id}_${r.member_id}`;
       payStatus[k] = r.paid;
       if (r.ps_pct_snapshot != null) payStatusSnapshots[k] = r.ps_pct_snapshot;
@@ -361,7 +1141,7 @@ app.get('/api/bootstrap', requireAuth, async (req, res) => {
 
     // Reshape profitSharePaidStatus — include snapshot data for paid quarters
     const profitSharePaidStatus = {};
-    (psStatusRes.data || []).forEach(r => {
+    psStatusRows.forEach(r => {
       profitSharePaidStatus[`${r.quarter_key}_${r.member_id}`] = {
         paid: r.paid,
         psPct: r.ps_pct ?? null,
@@ -369,142 +1149,238 @@ app.get('/api/bootstrap', requireAuth, async (req, res) => {
       };
     });
 
-    res.json({
-      team:                 teamRes.data.map(mapTeamMember),
-      deals:                dealsRes.data.map(mapDeal),
-      projects:             projectsRes.data.map(mapProject),
-      tasks:                tasksRes.data.map(mapTask),
-      expenses:             expensesRes.data.map(mapExpense),
-      payStatus,
-      payStatusSnapshots,
-      profitSharePaidStatus,
-      payLog:               payLogRes.data || [],
-      clients:              clientsRes.data.map(mapClient),
-      deliverableTypes:     delivTypesRes.data.map(mapDeliverableType),
-      deliverables:         delivsRes.data.map(mapDeliverable),
-      taskDeliverables:     taskDelivsRes.data.map(r => ({ taskId: r.task_id, deliverableId: r.deliverable_id })),
-    });
+    const payload = {
+      team:                 redaction.redactTeam(scope, team.map(mapTeamMember)),
+      deals:                deals.map(d => redaction.redactDeal(scope, mapDeal(d))),
+      projects:             projects.map(mapProject),
+      tasks:                tasks.map(mapTask),
+      expenses:             expenses.map(mapExpense),
+      payStatus:            redaction.redactMemberKeyed(scope, payStatus),
+      payStatusSnapshots:   redaction.redactMemberKeyed(scope, payStatusSnapshots),
+      profitSharePaidStatus: redaction.redactMemberKeyed(scope, profitSharePaidStatus),
+      payLog:               redaction.redactPayLog(scope, payLog),
+      clients:              clients.map(mapClient),
+      deliverableTypes:     delivTypes.map(mapDeliverableType),
+      deliverables:         delivs.map(mapDeliverable),
+      taskDeliverables:     taskDelivs.map(r => ({ taskId: r.task_id, deliverableId: r.deliverable_id })),
+      permissions:          perms,
+    };
+    sync.setEtag(res, payload, syncCursor);
+    res.json({ ...payload, syncCursor });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
+// ─── DELTA SYNC — what changed since bootstrap or the last sync ───────────────
+// GET /api/sync?since=<cursor> → { cursor, changes }. `changes` has an entry,
+// named as in the bootstrap payload, for each entity that moved: { changed,
+// deleted } with the changed rows mapped and redacted the same way (key → value
+// entries for the map-shaped ones) and the keys to drop. { reset: true } means
+// the cursor is too old to patch from — bootstrap again. See lib/sync.js.
+app.get('/api/sync', requireAuth, validateQuery(schemas.syncQuery), revalidate, async (req, res, next) => {
+  try {
+    const { since } = req.query;
+    const cursor = sync.cursor();
+    if (sync.expired(since)) return res.json({ cursor, reset: true, changes: {} });
+
+    const perms = await permissions.permissionsFor(req.user.role);
+    const ifAllowed = (perm, load) => perms.includes(perm) ? load() : Promise.resolve(null);
+    const where = sync.changedSince(since);
+    let [
+      team, deals, projects, tasks,
+      expenses, payStatusRows, psStatusRows, payLog,
+      clients, delivTypes, delivs, taskDelivs, deleted,
+    ] = await Promise.all([
+      supabase.from('team_members').select(`${TEAM_STATE_COLUMNS},updated_at`).gt('updated_at', since)
+        .then(({ data, error }) => { if (error) throw error; return data; }),
+      ifAllowed('deals.view',        () => repos.deals.withDeleted.list({ where })),
+      ifAllowed('projects.view',     () => repos.projects.withDeleted.list({ where })),
+      ifAllowed('tasks.view',        () => repos.tasks.withDeleted.list({ where })),
+      ifAllowed('expenses.view',     () => repos.expenses.withDeleted.list({ where })),
+      ifAllowed('payroll.view',      () => repos.payStatus.list({ where })),
+      ifAllowed('payroll.view',      () => repos.profitShareStatus.list({ where })),
+      ifAllowed('payroll.view',      () => repos.payLog.list({ where })),
+      ifAllowed('clients.view',      () => repos.clients.list({ where })),
+      ifAllowed('deliverables.view', () => repos.deliverableTypes.list({ where, columns: `${DELIVERABLE_TYPE_COLUMNS},updated_at` })),
+      ifAllowed('deliverables.view', () => repos.deliverables.withDeleted.list({ where, order: 'sort_order' })),
+      ifAllowed('deliverables.view', () => repos.taskDeliverables.withDeleted.list({ where })),
+      sync.deletedSince(since),
+    ]);
+
+    const scope = await redaction.financialScope(req);
+    // Which deals a member may see follows their tasks, projects and profit
+    // share, none of which touch the deal rows — when those moved, resend them all
+    if (deals && !scope.full && (tasks?.length || projects?.length || deleted.tasks || deleted.projects
+        || team.some(m => m.id === scope.memberId))) {
+      deals = [...await repos.deals.list(), ...deals.filter(d => d.deleted_at)];
+    }
+
+    const gone = table => deleted[table] || [];
+    // Rows moved to the trash come through as changed; clients drop them
+    const live = r => !r.deleted_at;
+    const own = key => scope.full || key.endsWith(`_${scope.memberId}`);
+    const payKey = r => r.pay_key || `${r.project_id}_${r.member_id}`;
+    const psKey = r => `${r.quarter_key}_${r.member_id}`;
+    if (payStatusRows) payStatusRows = payStatusRows.filter(r => own(payKey(r)));
+    if (psStatusRows)  psStatusRows  = psStatusRows.filter(r => own(psKey(r)));
+
+    const changes = {
+      team:     sync.delta({ rows: team, deleted: gone('team_members'), shape: rows => redaction.redactTeam(scope, rows.map(mapTeamMember)) }),
+      deals:    deals && sync.delta({ rows: deals, deleted: gone('deals'), keep: live, shape: rows => rows.map(d => redaction.redactDeal(scope, mapDeal(d))) }),
+      projects: projects && sync.delta({ rows: projects, deleted: gone('projects'), keep: live, shape: rows => rows.map(mapProject) }),
+      tasks:    tasks && sync.delta({ rows: tasks, deleted: gone('tasks'), keep: live, shape: rows => rows.map(mapTask) }),
+      expenses: expenses && sync.delta({ rows: expenses, deleted: gone('expenses'), keep: live, shape: rows => rows.map(mapExpense) }),
+      payStatus: payStatusRows && sync.delta({
+        rows: payStatusRows, deleted: gone('pay_status').filter(own), keyOf: payKey,
+        shape: rows => Object.fromEntries(rows.map(r => [payKey(r), r.paid])),
+      }),
+      payStatusSnapshots: payStatusRows && sync.delta({
+        rows: payStatusRows, deleted: gone('pay_status').filter(own), keyOf: payKey, keep: r => r.ps_pct_snapshot != null,
+        shape: rows => Object.fromEntries(rows.map(r => [payKey(r), r.ps_pct_snapshot])),
+      }),
+      profitSharePaidStatus: psStatusRows && sync.delta({
+        rows: psStatusRows, deleted: gone('profit_share_status').filter(own), keyOf: psKey,
+        shape: rows => Object.fromEntries(rows.map(r => [psKey(r), { paid: r.paid, psPct: r.ps_pct ?? null, allocationAmount: r.allocation_amount ?? null }])),
+      }),
+      payLog:   payLog && sync.delta({ rows: redaction.redactPayLog(scope, payLog), deleted: gone('pay_log'), shape: rows => rows }),
+      clients:  clients && sync.delta({ rows: clients, deleted: gone('clients'), keep: c => c.active, shape: rows => rows.map(mapClient) }),
+      deliverableTypes: delivTypes && sync.delta({
+        rows: delivTypes, deleted: gone('deliverable_types'), keep: t => t.active, shape: rows => rows.map(mapDeliverableType),
+      }),
+      deliverables: delivs && sync.delta({ rows: delivs, deleted: gone('deliverables'), keep: live, shape: rows => rows.map(mapDeliverable) }),
+      taskDeliverables: taskDelivs && sync.delta({
+        rows: taskDelivs, deleted: gone('task_deliverables'), keep: live, keyOf: r => `${r.task_id}_${r.deliverable_id}`,
+        shape: rows => rows.map(r => ({ taskId: r.task_id, deliverableId: r.deliverable_id })),
+      }),
+    };
+    const moved = Object.fromEntries(Object.entries(changes).filter(([, c]) => c));
+    sync.setEtag(res, moved, cursor);
+    res.json({ cursor, changes: moved });
+  } catch (e) { next(e); }
+});
+
 // ─── INDIVIDUAL TABLE ENDPOINTS (used by realtime refresh) ────────────────────
 
-app.get('/api/deals', requireAuth, async (req, res) => {
-  const { data, error } = await supabase.from('deals').select('*').order('created_at', { ascending: false });
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data.map(mapDeal));
+app.get('/api/deals', requireAuth, requirePermission('deals.view'), revalidate, ...paginate(schemas.dealList), async (req, res, next) => {
+  try {
+    const page = await repos.deals.page(req.page);
+    const scope = await redaction.financialScope(req);
+    sendPage(req, res, page, page.rows.map(d => redaction.redactDeal(scope, mapDeal(d))));
+  } catch (e) { next(e); }
+});
+
+app.get('/api/projects', requireAuth, requirePermission('projects.view'), revalidate, async (req, res, next) => {
+  try {
+    res.json((await repos.projects.list()).map(mapProject));
+  } catch (e) { next(e); }
 });
 
-app.get('/api/projects', requireAuth, async (req, res) => {
-  const { data, error } = await supabase.from('projects').select('*').order('created_at', { ascending: false });
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data.map(mapProject));
+app.get('/api/tasks', requireAuth, requirePermission('tasks.view'), revalidate, ...paginate(schemas.taskList), async (req, res, next) => {
+  try {
+    const page = await repos.tasks.page(req.page);
+    sendPage(req, res, page, page.rows.map(mapTask));
+  } catch (e) { next(e); }
 });
 
-app.get('/api/tasks', requireAuth, async (req, res) => {
-  const { data, error } = await supabase.from('tasks').select('*').order('created_at', { ascending: false });
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data.map(mapTask));
+app.get('/api/expenses', requireAuth, requirePermission('expenses.view'), revalidate, ...paginate(schemas.expenseList), async (req, res, next) => {
+  try {
+    const page = await repos.expenses.page(req.page);
+    sendPage(req, res, page, page.rows.map(mapExpense));
+  } catch (e) { next(e); }
 });
 
-app.get('/api/expenses', requireAuth, async (req, res) => {
-  const { data, error } = await supabase.from('expenses').select('*').order('date', { ascending: false });
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data.map(mapExpense));
+app.get('/api/pay-status', requireAuth, requirePermission('payroll.view'), revalidate, async (req, res, next) => {
+  try {
+    const data = await repos.payStatus.list();
+    const out = {};
+    const snapshots = {};
+    data.forEach(r => {
+      const k = r.pay_key || `${r.project_id}_${r.member_id}`;
+      out[k] = r.paid;
+      if (r.ps_pct_snapshot != null) snapshots[k] = r.ps_pct_snapshot;
+    });
+    const scope = await redaction.financialScope(req);
+    res.json({ payStatus: redaction.redactMemberKeyed(scope, out), snapshots: redaction.redactMemberKeyed(scope, snapshots) });
+  } catch (e) { next(e); }
 });
 
-app.get('/api/pay-status', requireAuth, async (req, res) => {
-  const { data, error } = await supabase.from('pay_status').select('*');
-  if (error) return res.status(500).json({ error: error.message });
-  const out = {};
-  const snapshots = {};
-  data.forEach(r => {
-    const k = r.pay_key || `${r.project_id}_${r.member_id}`;
-    out[k] = r.paid;
-    if (r.ps_pct_snapshot != null) snapshots[k] = r.ps_pct_snapshot;
-  });
-  res.json({ payStatus: out, snapshots });
-});
-
-app.get('/api/profit-share-status', requireAuth, async (req, res) => {
-  const { data, error } = await supabase.from('profit_share_status').select('*');
-  if (error) return res.status(500).json({ error: error.message });
-  // Return full record so frontend can use snapshotted ps_pct for paid quarters
-  const out = {};
-  data.forEach(r => {
-    out[`${r.quarter_key}_${r.member_id}`] = {
-      paid: r.paid,
-      psPct: r.ps_pct ?? null,
-      allocationAmount: r.allocation_amount ?? null,
-    };
-  });
-  res.json(out);
+app.get('/api/profit-share-status', requireAuth, requirePermission('payroll.view'), revalidate, async (req, res, next) => {
+  try {
+    const data = await repos.profitShareStatus.list();
+    // Return full record so frontend can use snapshotted ps_pct for paid quarters
+    const out = {};
+    data.forEach(r => {
+      out[`${r.quarter_key}_${r.member_id}`] = {
+        paid: r.paid,
+        psPct: r.ps_pct ?? null,
+        allocationAmount: r.allocation_amount ?? null,
+      };
+    });
+    const scope = await redaction.financialScope(req);
+    res.json(redaction.redactMemberKeyed(scope, out));
+  } catch (e) { next(e); }
 });
 
 // ─── DEALS ───────────────────────────────────────────────────────────────────
 
-app.post('/api/deals', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/deals', requireAuth, requirePermission('deals.write'), validateBody(schemas.dealCreate), async (req, res, next) => {
   try {
-    const row = dealToRow(req.body);
-    const { data, error } = await supabase.from('deals').insert(row).select().single();
-    if (error) throw error;
-    res.status(201).json(mapDeal(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const data = await repos.deals.create(dealToRow(req.body));
+    const scope = await redaction.financialScope(req);
+    res.status(201).json(redaction.redactDeal(scope, mapDeal(data)));
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/deals/:id', requireAuth, requireAdmin, async (req, res) => {
+app.patch('/api/deals/:id', requireAuth, requirePermission('deals.write'), validateBody(schemas.dealUpdate), requireVersion, async (req, res, next) => {
   try {
     // Fetch current deal to check lock status and build audit diff
-    const { data: current, error: fetchErr } = await supabase.from('deals').select('*').eq('id', req.params.id).single();
-    if (fetchErr) throw fetchErr;
+    const current = await repos.deals.get(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Deal not found.' });
+
+    // Values the caller can't see can't be edited either — a form built from a
+    // redacted deal would otherwise overwrite them with blanks
+    const scope = await redaction.financialScope(req);
+    redaction.dropHiddenDealFields(scope, mapDeal(current), req.body);
 
     // Financial fields only lock when the linked project's payouts are finalized
-    const FINANCIAL_FIELDS = ['value','buckets','prob'];
-    const attemptedFinancial = FINANCIAL_FIELDS.filter(f => req.body[f] !== undefined);
-    if (attemptedFinancial.length > 0) {
-      const { data: proj } = await supabase.from('projects').select('payouts_finalized,name').eq('deal_id', req.params.id).maybeSingle();
-      if (proj?.payouts_finalized) {
-        await auditLog(req.user, 'BLOCKED_EDIT_FINALIZED_DEAL', 'deals', req.params.id, {
-          attempted: attemptedFinancial, reason: 'project payouts finalized'
-        });
-        return res.status(403).json({ error: `Project "${proj.name}" payouts are finalized — financial fields are permanently locked.` });
-      }
+    const locked = await getLockedDealFinancials(req.params.id, Object.keys(req.body).filter(f => req.body[f] !== undefined));
+    if (locked) {
+      await auditLog(req.user, 'BLOCKED_EDIT_FINALIZED_DEAL', 'deals', req.params.id, {
+        attempted: locked.attempted, reason: 'project payouts finalized'
+      });
+      throw new errors.LockedError(`Project "${locked.proj.name}" payouts are finalized — financial fields are permanently locked.`);
     }
 
     const row = dealToRow(req.body, true);
-    const { data, error } = await supabase.from('deals').update(row).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const data = await repos.deals.update(req.params.id, row, { version: req.version });
+    if (!data) return conflict(res, 'Deal', await repos.deals.get(req.params.id), d => redaction.redactDeal(scope, mapDeal(d)));
 
-    // Audit: record what changed
-    const changes = {};
-    Object.keys(row).forEach(k => { if (JSON.stringify(current[k]) !== JSON.stringify(data[k])) changes[k] = { from: current[k], to: data[k] }; });
+    // Audit: record what changed — POST /api/audit-log/:id/revert can put it back
+    const changes = revert.diff(current, data, Object.keys(row));
     if (Object.keys(changes).length) await auditLog(req.user, 'EDIT_DEAL', 'deals', req.params.id, changes);
 
-    res.json(mapDeal(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json(redaction.redactDeal(scope, mapDeal(data)));
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/deals/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/deals/:id', requireAuth, requirePermission('deals.delete'), async (req, res, next) => {
   try {
     const force = req.query.force === 'true';
-    const { data: deal } = await supabase.from('deals').select('*').eq('id', req.params.id).single();
+    const deal = await repos.deals.get(req.params.id);
     if (!deal) return res.status(404).json({ error: 'Deal not found.' });
 
     // Hard block — finalized payouts
-    const { data: proj } = await supabase.from('projects')
-      .select('id,name,payouts_finalized').eq('deal_id', req.params.id).maybeSingle();
+    const proj = await repos.projects.forDeal(req.params.id, 'id,name,payouts_finalized');
     if (proj?.payouts_finalized) {
       await auditLog(req.user, 'BLOCKED_DELETE_FINALIZED_DEAL', 'deals', req.params.id, { name: deal.name });
-      return res.status(403).json({ error: `Cannot delete — project "${proj.name}" payouts are finalized.` });
+      throw new errors.LockedError(`Cannot delete — project "${proj.name}" payouts are finalized.`);
     }
 
     // Check tasks with pay impact
     let assignedTaskCount = 0, totalHours = 0, taskCount = 0;
     if (proj) {
-      const { data: tasks } = await supabase.from('tasks')
-        .select('id,assignee_id,est_hours').eq('project_id', proj.id);
+      const tasks = await repos.tasks.list({ where: { project_id: proj.id }, columns: 'id,assignee_id,est_hours' });
       taskCount = (tasks||[]).length;
       const assigned = (tasks||[]).filter(t=>t.assignee_id&&t.est_hours>0);
       assignedTaskCount = assigned.length;
@@ -532,44 +1408,38 @@ app.delete('/api/deals/:id', requireAuth, requireCanDelete, async (req, res) =>
       });
     }
 
+    const trashed = await trash.moveToTrash('deals', deal, req.user);
+    if (!trashed) return res.status(404).json({ error: 'Deal not found.' });
     await auditLog(req.user, 'DELETE_DEAL', 'deals', req.params.id, {
-      name: deal.name, stage: deal.stage, value: deal.value, hasPayImpact
+      name: deal.name, stage: deal.stage, value: deal.value, hasPayImpact, trashId: trashed.id, snapshot: deal
     });
-    const { error } = await supabase.from('deals').delete().eq('id', req.params.id);
-    if (error) throw error;
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json({ ok: true, trashId: trashed.id });
+  } catch (e) { next(e); }
 });
 
-// DELETE project — admin only, with safeguards
-app.delete('/api/projects/:id', requireAuth, async (req, res) => {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can delete projects.' });
-  }
+// DELETE project — with safeguards
+app.delete('/api/projects/:id', requireAuth, requirePermission('projects.delete'), async (req, res, next) => {
   try {
     const force = req.query.force === 'true';
-    const { data: proj } = await supabase.from('projects')
-      .select('id,name,payouts_finalized,deal_id').eq('id', req.params.id).single();
+    const proj = await repos.projects.get(req.params.id);
     if (!proj) return res.status(404).json({ error: 'Project not found.' });
 
     // Hard block — finalized payouts can never be deleted
     if (proj.payouts_finalized) {
-      return res.status(403).json({
-        error: `"${proj.name}" has finalized payouts and cannot be deleted. Override payouts first if you need to remove this project.`
-      });
+      throw new errors.LockedError(
+        `"${proj.name}" has finalized payouts and cannot be deleted. Override payouts first if you need to remove this project.`
+      );
     }
 
     // Check tasks
-    const { data: tasks } = await supabase.from('tasks')
-      .select('id,title,assignee_id,est_hours,status').eq('project_id', req.params.id);
+    const tasks = await repos.tasks.list({ where: { project_id: req.params.id }, columns: 'id,title,assignee_id,est_hours,status' });
     const assignedTasks = (tasks||[]).filter(t => t.assignee_id && t.est_hours > 0);
     const totalHours = assignedTasks.reduce((s,t)=>s+(t.est_hours||0),0);
 
     // Check if linked deal is Closed Won — pay impact
     let dealName = null, isClosedWon = false;
     if (proj.deal_id) {
-      const { data: deal } = await supabase.from('deals')
-        .select('name,stage,invoice_status').eq('id', proj.deal_id).single();
+      const deal = await repos.deals.get(proj.deal_id, 'name,stage,invoice_status');
       dealName = deal?.name;
       isClosedWon = deal?.stage === 'Closed Won';
     }
@@ -585,7 +1455,7 @@ app.delete('/api/projects/:id', requireAuth, async (req, res) => {
         taskCount: (tasks||[]).length,
         assignedTaskCount: assignedTasks.length,
         totalHours,
-        message: `"${proj.name}" has ${assignedTasks.length} assigned task${assignedTasks.length!==1?'s':''} totalling ${totalHours}h on a Closed Won deal. Deleting this project will remove those hours from production pool calculations and affect pay history.`
+        message: `"${proj.name}" has ${assignedTasks.length} assigned task${assignedTasks.length!==1?'s':''} totalling ${totalHours}h on a Closed Won deal. Deleting this project will remove those hours from production pool calculations and affect pay history until it's restored from the trash.`
       });
     }
 
@@ -598,34 +1468,22 @@ app.delete('/api/projects/:id', requireAuth, async (req, res) => {
         taskCount: (tasks||[]).length,
         assignedTaskCount: assignedTasks.length,
         totalHours,
-        message: `"${proj.name}" has ${(tasks||[]).length} task${(tasks||[]).length!==1?'s':''} that will be permanently deleted.`
+        message: `"${proj.name}" has ${(tasks||[]).length} task${(tasks||[]).length!==1?'s':''} that will go to the trash with it.`
       });
     }
 
-    // Proceed with deletion — cascade manually for clarity
+    // Proceed with deletion — tasks, deliverables and expenses go to the trash with it
+    const trashed = await trash.moveToTrash('projects', proj, req.user);
+    if (!trashed) return res.status(404).json({ error: 'Project not found.' });
     await auditLog(req.user, 'DELETE_PROJECT', 'projects', req.params.id, {
-      name: proj.name, taskCount: (tasks||[]).length, assignedTaskCount: assignedTasks.length, totalHours
+      name: proj.name, taskCount: trashed.tasks, assignedTaskCount: assignedTasks.length, totalHours, trashId: trashed.id,
+      snapshot: proj,
     });
-    // Delete in order (FK constraints)
-    const taskIds = (tasks||[]).map(t=>t.id);
-    if (taskIds.length) {
-      await supabase.from('task_deliverables').delete().in('task_id', taskIds);
-      await supabase.from('task_comments').delete().in('task_id', taskIds);
-      await supabase.from('tasks').delete().eq('project_id', req.params.id);
-    }
-    await supabase.from('deliverables').delete().eq('project_id', req.params.id);
-    await supabase.from('expenses').delete().eq('project_id', req.params.id);
-    const { error } = await supabase.from('projects').delete().eq('id', req.params.id);
-    if (error) throw error;
-    res.json({ ok: true, deleted: { tasks: taskIds.length } });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json({ ok: true, trashId: trashed.id, deleted: { tasks: trashed.tasks } });
+  } catch (e) { next(e); }
 });
 
-app.post('/api/projects', requireAuth, async (req, res) => {
-  // Admin, Class A, and VA can create projects
-  if (!['admin','class_a','va'].includes(req.user.role)) {
-    return res.status(403).json({ error: 'Creating projects requires Admin, Class A, or VA access.' });
-  }
+app.post('/api/projects', requireAuth, requirePermission('projects.create'), validateBody(schemas.projectCreate), async (req, res, next) => {
   try {
     const { name, dealId, client, startDate, endDate, status, publishesContent, editHoursBudget } = req.body;
     const row = {
@@ -638,27 +1496,24 @@ app.post('/api/projects', requireAuth, async (req, res) => {
       const n = parseFloat(editHoursBudget);
       row.edit_hours_budget = (!isNaN(n) && n > 0) ? n : null;
     }
-    const { data, error } = await supabase.from('projects').insert(row).select().single();
-    if (error) throw error;
-    res.status(201).json(mapProject(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.status(201).json(mapProject(await repos.projects.create(row)));
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/projects/:id', requireAuth, async (req, res) => {
+app.patch('/api/projects/:id', requireAuth, requirePermission('projects.write'), validateBody(schemas.projectUpdate), requireVersion, async (req, res, next) => {
   try {
-    const { data: current } = await supabase.from('projects').select('payouts_finalized,name').eq('id', req.params.id).single();
+    const current = await repos.projects.get(req.params.id, 'payouts_finalized,name');
 
-    // Finalized projects are locked — ONLY an admin can explicitly unfinalize (payoutsFinalized: false)
+    // Finalized projects are locked — only projects.unfinalize can explicitly unfinalize (payoutsFinalized: false)
     if (current?.payouts_finalized) {
       const isUnfinalizing = req.body.payoutsFinalized === false;
-      const isAdmin = req.user?.role === 'admin';
       if (!isUnfinalizing) {
-        return res.status(403).json({ error: `"${current.name}" has finalized payouts — permanently locked.` });
+        throw new errors.LockedError(`"${current.name}" has finalized payouts — permanently locked.`);
       }
-      if (!isAdmin) {
-        return res.status(403).json({ error: 'Only admins can override finalized payouts.' });
+      if (!req.permissions.includes('projects.unfinalize')) {
+        return res.status(403).json({ error: 'Your role cannot override finalized payouts.' });
       }
-      // Admin + payoutsFinalized:false → allow through
+      // projects.unfinalize + payoutsFinalized:false → allow through
     }
     const updates = {};
     if (req.body.status            !== undefined) updates.status             = req.body.status;
@@ -672,25 +1527,25 @@ app.patch('/api/projects/:id', requireAuth, async (req, res) => {
       const n = parseFloat(req.body.editHoursBudget);
       updates.edit_hours_budget = (!isNaN(n) && n > 0) ? n : null;
     }
-    const { data, error } = await supabase.from('projects').update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const data = await repos.projects.update(req.params.id, updates, { version: req.version });
+    if (!data) return conflict(res, 'Project', await repos.projects.get(req.params.id), mapProject);
     res.json(mapProject(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── TASKS ───────────────────────────────────────────────────────────────────
 
-app.post('/api/tasks', requireAuth, async (req, res) => {
+app.post('/api/tasks', requireAuth, requirePermission('tasks.write'), validateBody(schemas.taskCreate), async (req, res, next) => {
   try {
     const { title, projectId, assigneeId, dueDate, publishDate, priority, status, estHours, tag, publishable, notes, deliverableId, parentId } = req.body;
     // Enforce one level only — a subtask cannot itself be a parent
     if (parentId) {
-      const { data: parent } = await supabase.from('tasks').select('parent_id').eq('id', parentId).single();
+      const parent = await repos.tasks.get(parentId, 'parent_id');
       if (parent?.parent_id) {
         return res.status(400).json({ error: 'Subtasks cannot have subtasks — only one level allowed.' });
       }
     }
-    const { data, error } = await supabase.from('tasks').insert({
+    const data = await repos.tasks.create({
       title, project_id: projectId, assignee_id: assigneeId || null,
       due_date: dueDate || null,
       publish_date: publishDate || null,
@@ -700,30 +1555,27 @@ app.post('/api/tasks', requireAuth, async (req, res) => {
       publishable: !!publishable,
       notes: notes || null,
       parent_id: parentId || null,
-    }).select().single();
-    if (error) throw error;
+    });
 
     // Optionally link to a deliverable on create
     if (deliverableId) {
-      await supabase.from('task_deliverables').insert({
-        task_id: data.id, deliverable_id: deliverableId,
-      });
+      await repos.taskDeliverables.create({ task_id: data.id, deliverable_id: deliverableId });
       await _recomputeDeliverableStatus(deliverableId);
     }
 
     res.status(201).json(mapTask(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/tasks/:id', requireAuth, async (req, res) => {
+app.patch('/api/tasks/:id', requireAuth, requirePermission('tasks.write'), validateBody(schemas.taskUpdate), requireVersion, async (req, res, next) => {
   try {
     // Check if task's project is locked (payouts finalized = permanent lock)
     if (req.body.estHours !== undefined || req.body.status !== undefined || req.body.title !== undefined) {
-      const { data: task } = await supabase.from('tasks').select('project_id').eq('id', req.params.id).single();
+      const task = await repos.tasks.get(req.params.id, 'project_id');
       if (task?.project_id) {
-        const { data: proj } = await supabase.from('projects').select('payouts_finalized').eq('id', task.project_id).single();
+        const proj = await repos.projects.get(task.project_id, 'payouts_finalized');
         if (proj?.payouts_finalized) {
-          return res.status(403).json({ error: 'Task is permanently locked — project payouts have been finalized.' });
+          throw new errors.LockedError('Task is permanently locked — project payouts have been finalized.');
         }
       }
     }
@@ -739,62 +1591,70 @@ app.patch('/api/tasks/:id', requireAuth, async (req, res) => {
     if (req.body.tag         !== undefined) updates.tag          = req.body.tag || null;
     if (req.body.publishable !== undefined) updates.publishable  = !!req.body.publishable;
     if (req.body.notes       !== undefined) updates.notes        = req.body.notes || null;
-    const { data, error } = await supabase.from('tasks').update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const data = await repos.tasks.update(req.params.id, updates, { version: req.version });
+    if (!data) return conflict(res, 'Task', await repos.tasks.get(req.params.id), mapTask);
 
     // If status changed, recompute any linked deliverables
     if (req.body.status !== undefined) {
-      const { data: links } = await supabase.from('task_deliverables').select('deliverable_id').eq('task_id', req.params.id);
-      for (const l of links || []) {
+      const links = await repos.taskDeliverables.list({ where: { task_id: req.params.id }, columns: 'deliverable_id' });
+      for (const l of links) {
         // eslint-disable-next-line no-await-in-loop
         await _recomputeDeliverableStatus(l.deliverable_id);
       }
     }
 
     res.json(mapTask(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/tasks/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/tasks/:id', requireAuth, requirePermission('tasks.delete'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('tasks').delete().eq('id', req.params.id);
-    if (error) throw error;
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const task = await repos.tasks.get(req.params.id);
+    const trashed = task && await trash.moveToTrash('tasks', task, req.user);
+    if (!trashed) return res.status(404).json({ error: 'Task not found.' });
+    await auditLog(req.user, 'DELETE_TASK', 'tasks', req.params.id, {
+      title: task.title, subtasks: trashed.tasks, trashId: trashed.id, snapshot: task,
+    });
+    // Its deliverables lose the task (and any subtasks) for now
+    for (const deliverableId of await trash.linkedDeliverables(trashed.id)) {
+      // eslint-disable-next-line no-await-in-loop
+      await _recomputeDeliverableStatus(deliverableId);
+    }
+    res.json({ ok: true, trashId: trashed.id });
+  } catch (e) { next(e); }
 });
 
 // ─── EXPENSES ────────────────────────────────────────────────────────────────
 
-app.post('/api/expenses', requireAuth, async (req, res) => {
+app.post('/api/expenses', requireAuth, requirePermission('expenses.write'), validateBody(schemas.expenseCreate), async (req, res, next) => {
   try {
     const { description, amount, projectId, category, date, submittedBy, paymentType, receiptUrl } = req.body;
     if (projectId) {
-      const { data: proj } = await supabase.from('projects').select('status,name,payouts_finalized').eq('id', projectId).single();
+      const proj = await repos.projects.get(projectId, 'status,name,payouts_finalized');
       if (proj?.payouts_finalized) {
-        return res.status(403).json({ error: `Project "${proj.name}" payouts are finalized — it is permanently locked.` });
+        throw new errors.LockedError(`Project "${proj.name}" payouts are finalized — it is permanently locked.`);
       }
       if (proj?.status === 'complete') {
-        return res.status(403).json({ error: `Project "${proj.name}" is complete — expenses are locked.` });
+        throw new errors.LockedError(`Project "${proj.name}" is complete — expenses are locked.`);
       }
     }
-    const { data, error } = await supabase.from('expenses').insert({
+    const data = await repos.expenses.create({
       description, amount, project_id: projectId,
       category: category || 'other', date: date || new Date().toISOString().split('T')[0],
       submitted_by: submittedBy || null, payment_type: paymentType || 'company',
       receipt_url: receiptUrl || null, reimbursed: false,
-    }).select().single();
-    if (error) throw error;
+    });
     res.status(201).json(mapExpense(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/expenses/:id', requireAuth, async (req, res) => {
+app.patch('/api/expenses/:id', requireAuth, requirePermission('expenses.write'), validateBody(schemas.expenseUpdate), async (req, res, next) => {
   try {
-    // Admins can always update reimbursed status — payments happen after project finalization
+    // expenses.reimburse can always update reimbursed status — payments happen after project finalization
     const isReimbursedOnlyUpdate = Object.keys(req.body).length === 1 && req.body.reimbursed !== undefined;
-    if (!isReimbursedOnlyUpdate || req.user.role !== 'admin') {
+    if (!isReimbursedOnlyUpdate || !req.permissions.includes('expenses.reimburse')) {
       if (await isExpenseLocked(req.params.id)) {
-        return res.status(403).json({ error: 'Expense is locked — project is complete.' });
+        throw new errors.LockedError('Expense is locked — project is complete.');
       }
     }
     const updates = {};
@@ -804,26 +1664,30 @@ app.patch('/api/expenses/:id', requireAuth, async (req, res) => {
       paymentType:'payment_type', receiptUrl:'receipt_url', reimbursed:'reimbursed',
     };
     Object.keys(map).forEach(k => { if (req.body[k] !== undefined) updates[map[k]] = req.body[k]; });
-    const { data, error } = await supabase.from('expenses').update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const data = await repos.expenses.update(req.params.id, updates);
+    if (!data) return res.status(404).json({ error: 'Expense not found.' });
     res.json(mapExpense(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/expenses/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/expenses/:id', requireAuth, requirePermission('expenses.delete'), async (req, res, next) => {
   try {
     if (await isExpenseLocked(req.params.id)) {
-      return res.status(403).json({ error: 'Expense is locked — project is complete.' });
+      throw new errors.LockedError('Expense is locked — project is complete.');
     }
-    const { error } = await supabase.from('expenses').delete().eq('id', req.params.id);
-    if (error) throw error;
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const expense = await repos.expenses.get(req.params.id);
+    const trashed = expense && await trash.moveToTrash('expenses', expense, req.user);
+    if (!trashed) return res.status(404).json({ error: 'Expense not found.' });
+    await auditLog(req.user, 'DELETE_EXPENSE', 'expenses', req.params.id, {
+      description: expense.description, amount: expense.amount, trashId: trashed.id, snapshot: expense,
+    });
+    res.json({ ok: true, trashId: trashed.id });
+  } catch (e) { next(e); }
 });
 
 // ─── PAY STATUS ───────────────────────────────────────────────────────────────
 
-app.post('/api/pay-status', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/pay-status', requireAuth, requirePermission('payroll.manage'), validateBody(schemas.payStatusSet), async (req, res, next) => {
   try {
     const { projectId, memberId, paid, payKey: explicitKey, psPctSnapshot } = req.body;
     // Accept an explicit pay_key (used for fee/profit-share rows that don't follow projId_memberId)
@@ -836,17 +1700,14 @@ app.post('/api/pay-status', requireAuth, requireAdmin, async (req, res) => {
     } else if (!paid) {
       row.ps_pct_snapshot = null;
     }
-    const { error } = await supabase
-      .from('pay_status')
-      .upsert(row, { onConflict: 'pay_key' });
-    if (error) throw error;
+    await repos.payStatus.set(row);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── PROFIT SHARE STATUS ──────────────────────────────────────────────────────
 
-app.post('/api/profit-share-status', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/profit-share-status', requireAuth, requirePermission('payroll.manage'), validateBody(schemas.profitShareStatusSet), async (req, res, next) => {
   try {
     const { quarterKey, memberId, paid, psPct, allocationAmount } = req.body;
     const row = { quarter_key: quarterKey, member_id: memberId, paid };
@@ -855,31 +1716,28 @@ app.post('/api/profit-share-status', requireAuth, requireAdmin, async (req, res)
     if (paid && allocationAmount !== undefined) row.allocation_amount = allocationAmount;
     // Clear snapshot when unmarking
     if (!paid) { row.ps_pct = null; row.allocation_amount = null; }
-    const { data, error } = await supabase
-      .from('profit_share_status')
-      .upsert(row, { onConflict: 'quarter_key,member_id' })
-      .select().single();
-    if (error) throw error;
+    const data = await repos.profitShareStatus.set(row);
     res.json({ ok: true, data });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 
 // ─── PAY LOG ──────────────────────────────────────────────────────────────────
 
-app.get('/api/pay-log', requireAuth, async (req, res) => {
+app.get('/api/pay-log', requireAuth, requirePermission('payroll.view'), revalidate, ...paginate(schemas.payLogList), async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('pay_log')
-      .select('*')
-      .order('paid_at', { ascending: false })
-      .limit(500);
-    if (error) throw error;
-    res.json(data);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const scope = await redaction.financialScope(req);
+    // Restricted viewers page through their own entries, so counts and cursors match what they see
+    if (!scope.full) {
+      if (req.page.where.member_id && req.page.where.member_id !== scope.memberId) return sendPage(req, res, { rows: [], total: 0 }, []);
+      req.page.where.member_id = scope.memberId;
+    }
+    const page = await repos.payLog.page(req.page);
+    sendPage(req, res, page, redaction.redactPayLog(scope, page.rows));
+  } catch (e) { next(e); }
 });
 
-app.post('/api/pay-log', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/pay-log', requireAuth, requirePermission('payroll.manage'), idempotent, validateBody(schemas.payLogCreate), async (req, res, next) => {
   try {
     const {
       memberId, memberName, payType, amount,
@@ -887,11 +1745,7 @@ app.post('/api/pay-log', requireAuth, requireAdmin, async (req, res) => {
       quarterKey, sourceKey, notes, isManual, paidAt,
     } = req.body;
 
-    if (!memberId || !payType || amount === undefined) {
-      return res.status(400).json({ error: 'memberId, payType, and amount are required' });
-    }
-
-    const { data, error } = await supabase.from('pay_log').insert({
+    const data = await repos.payLog.create({
       member_id:       memberId,
       member_name:     memberName || null,
       pay_type:        payType,
@@ -909,51 +1763,250 @@ app.post('/api/pay-log', requireAuth, requireAdmin, async (req, res) => {
       created_by_name: req.user.name,
       is_manual:       isManual || false,
       paid_at:         paidAt || new Date().toISOString(),
-    }).select().single();
-
-    if (error) throw error;
+    });
     await auditLog(req.user, 'PAY_LOG_ENTRY', 'pay_log', data.id, {
       member: memberName, type: payType, amount, isManual: isManual || false
     });
     res.status(201).json(data);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/pay-log/:id', requireAuth, requireAdmin, async (req, res) => {
+app.delete('/api/pay-log/:id', requireAuth, requirePermission('payroll.manage'), async (req, res, next) => {
+  try {
+    const entry = await repos.payLog.get(req.params.id);
+    if (entry && !entry.is_manual) {
+      return res.status(403).json({ error: 'Auto-generated pay log entries cannot be deleted. Unmark the payment as paid instead.' });
+    }
+    await auditLog(req.user, 'DELETE_PAY_LOG', 'pay_log', req.params.id, {
+      member: entry?.member_name, amount: entry?.amount
+    });
+    await repos.payLog.remove(req.params.id);
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// ─── AUDIT LOG ENDPOINT ──────────────────────────────────────────────────────
+
+app.get('/api/audit-log', requireAuth, requirePermission('audit.view'), ...paginate(schemas.auditLogList), async (req, res, next) => {
+  try {
+    const page = await repos.auditLog.page(req.page);
+    sendPage(req, res, page, page.rows.map(r => ({ ...r, revertable: !!revert.plan(r) })));
+  } catch (e) { next(e); }
+});
+
+// Every entry matching the list filters, as a download. Read a page at a time
+// and written as the client takes it, so a year of history never sits in memory at once.
+const AUDIT_EXPORT_PAGE = 500;
+
+// Resolves once `res` can take more output, or has gone away
+function _drained(res) {
+  return new Promise(resolve => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+app.get('/api/audit-log/export', requireAuth, requirePermission('audit.view'), ...paginate(schemas.auditLogExport), async (req, res, next) => {
+  const jsonl = req.query.format === 'jsonl';
+  try {
+    let page = await repos.auditLog.page({ ...req.page, limit: AUDIT_EXPORT_PAGE });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', jsonl ? 'application/x-ndjson; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${stamp}.${jsonl ? 'jsonl' : 'csv'}"`);
+    res.set('X-Total-Count', String(page.total));
+    if (!jsonl) res.write(audit.csvHeader());
+    for (;;) {
+      const more = res.write(page.rows.map(jsonl ? audit.toJsonLine : audit.toCsvLine).join(''));
+      if (!page.hasMore) break;
+      // eslint-disable-next-line no-await-in-loop
+      if (!more) await _drained(res);
+      if (res.destroyed) return;
+      const last = page.rows[page.rows.length - 1];
+      // eslint-disable-next-line no-await-in-loop
+      page = await repos.auditLog.page({
+        ...req.page, limit: AUDIT_EXPORT_PAGE, count: false, after: { value: last[req.page.sort[0]], id: last.id },
+      });
+    }
+    res.end();
+  } catch (e) {
+    // Once rows have gone out the handler can only cut the download short
+    next(e);
+  }
+});
+
+// One record's history, oldest first: what each request did to it and who
+// made it — the hand-written entries and the row-level ones alike
+app.get('/api/audit-log/records/:table/:recordId', requireAuth, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const entries = await repos.auditLog.list({
+      where: { table_name: req.params.table, record_id: req.params.recordId },
+      order: [['created_at', true], ['id', true]],
+    });
+    res.json(entries.map(r => ({ ...r, revertable: !!revert.plan(r) })));
+  } catch (e) { next(e); }
+});
+
+// Undo an entry (see lib/revert.js). The caller also needs the permission the
+// original route asked for, and its locks still apply. An edit whose columns
+// changed again since is refused with the drifted columns unless ?force=true.
+app.post('/api/audit-log/:id/revert', requireAuth, requirePermission('audit.revert'), async (req, res, next) => {
+  try {
+    const entry = await repos.auditLog.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Audit entry not found.' });
+    const plan = revert.plan(entry);
+    if (!plan) return res.status(400).json({ error: `${entry.action} entries can't be reverted.` });
+    if (!(await checkPermission(req, res, revert.permissionFor(plan)))) return;
+
+    const { status = 200, body } = plan.kind === 'edit'
+      ? await _revertEdit(req, entry, plan)
+      : await _revertDelete(req, entry, plan);
+    res.status(status).json(body);
+  } catch (e) { next(e); }
+});
+
+async function _revertEdit(req, entry, plan) {
+  const repo = repos[plan.repo];
+  const current = await repo.get(plan.id);
+  if (!current) return { status: 404, body: { error: 'That record no longer exists — revert its delete first.' } };
+  const drifted = revert.drifted(current, plan.fields);
+  if (drifted.length && req.query.force !== 'true') {
+    return {
+      status: 409,
+      body: { error: `Changed again since this entry: ${drifted.join(', ')}. Revert anyway to overwrite that too.`, drifted },
+    };
+  }
+
+  const patch = revert.patchFor(plan.fields);
+  if (plan.table === 'deals') {
+    const locked = await getLockedDealFinancials(plan.id, Object.keys(patch));
+    if (locked) {
+      await auditLog(req.user, 'BLOCKED_EDIT_FINALIZED_DEAL', 'deals', plan.id, {
+        attempted: locked.attempted, reason: 'project payouts finalized', revertOf: entry.id,
+      });
+      throw new errors.LockedError(`Project "${locked.proj.name}" payouts are finalized — financial fields are permanently locked.`);
+    }
+  }
+  const blocked = await _revertEditLock(req, plan, current, patch);
+  if (blocked) return blocked;
+
+  const data = await repo.update(plan.id, patch);
+  if (!data) return { status: 404, body: { error: 'That record no longer exists — revert its delete first.' } };
+  const changes = revert.diff(current, data, Object.keys(patch));
+  await auditLog(req.user, 'REVERT', plan.table, plan.id, { ...changes, revertOf: entry.id, revertedAction: entry.action });
+  return { body: { ok: true, table: plan.table, recordId: plan.id, reverted: Object.keys(changes) } };
+}
+
+// The locks the edit routes apply to what lives on a project: nothing on a
+// project with finalized payouts changes (the project itself only to
+// unfinalize it, with projects.unfinalize), and expenses also lock once their
+// project is complete. A row moved off a locked project stays put.
+async function _revertEditLock(req, plan, current, patch) {
+  if (plan.table === 'projects') {
+    if (!current.payouts_finalized) return null;
+    if (patch.payouts_finalized !== false) {
+      throw new errors.LockedError(`"${current.name}" has finalized payouts — permanently locked.`);
+    }
+    if (!req.permissions.includes('projects.unfinalize')) {
+      return { status: 403, body: { error: 'Your role cannot override finalized payouts.' } };
+    }
+    return null;
+  }
+  if (!['tasks', 'expenses', 'deliverables'].includes(plan.table)) return null;
+  for (const projectId of new Set([current.project_id, patch.project_id])) {
+    const finalized = await getFinalizedProject(projectId);
+    if (finalized) throw new errors.LockedError(`Project "${finalized.name}" payouts are finalized — it is permanently locked.`);
+  }
+  const reimbursedOnly = Object.keys(patch).length === 1 && 'reimbursed' in patch && req.permissions.includes('expenses.reimburse');
+  if (plan.table === 'expenses' && !reimbursedOnly && await isExpenseLocked(plan.id)) {
+    throw new errors.LockedError('Expense is locked — project is complete.');
+  }
+  return null;
+}
+
+async function _revertDelete(req, entry, plan) {
+  if (!plan.snapshot) return { status: 400, body: { error: 'No snapshot was captured for this delete, so there is nothing to bring back.' } };
+  const repo = repos[plan.repo];
+  if (await repo.get(plan.id, 'id')) return { status: 409, body: { error: 'It isn\'t deleted any more.' } };
+
+  // Still in the trash: restore it with everything that went with it.
+  // Purged: all that's left is the snapshot, so the row comes back on its own.
+  let via;
+  const inTrash = await repos.trash.findOne({ table_name: plan.table, record_id: plan.id });
+  if (inTrash) {
+    const failed = await _restoreTrashEntry(inTrash);
+    if (failed) return { status: failed.status, body: { error: failed.error } };
+    via = 'trash';
+  } else {
+    const row = revert.rowFromSnapshot(plan.snapshot);
+    if (row.project_id && !(await repos.projects.get(row.project_id, 'id'))) {
+      return { status: 409, body: { error: 'Its project is deleted too — revert that first.' } };
+    }
+    if (row.parent_id && !(await repos.tasks.get(row.parent_id, 'id'))) {
+      return { status: 409, body: { error: 'Its parent task is deleted too — revert that first.' } };
+    }
+    const finalized = await getFinalizedProject(row.project_id);
+    if (finalized) throw new errors.LockedError(`Project "${finalized.name}" payouts are finalized — it is permanently locked.`);
+    await repo.create(row);
+    via = 'snapshot';
+  }
+  await auditLog(req.user, 'REVERT', plan.table, plan.id, { revertOf: entry.id, revertedAction: entry.action, via });
+  return { body: { ok: true, table: plan.table, recordId: plan.id, via } };
+}
+
+// ─── ROLES & PERMISSIONS ──────────────────────────────────────────────────────
+// The registry and matrix live in lib/permissions.js; routes use requirePermission().
+
+// For routes whose permission depends on the record they act on: answers 403
+// the way requirePermission() does and resolves false when the caller lacks it
+async function checkPermission(req, res, permission) {
+  if (await permissions.hasPermission(req.user.role, permission)) return true;
+  res.status(403).json({
+    error: `Your role does not have permission to ${permissions.PERMISSIONS[permission].toLowerCase()}`,
+    missingPermissions: [permission],
+  });
+  return false;
+}
+
+// Registry + current matrix. Readable by anyone signed in so the UI can explain
+// why something is greyed out; only permissions.manage can change it.
+app.get('/api/permissions', requireAuth, async (req, res, next) => {
   try {
-    const { data: entry } = await supabase.from('pay_log').select('*').eq('id', req.params.id).single();
-    if (entry && !entry.is_manual) {
-      return res.status(403).json({ error: 'Auto-generated pay log entries cannot be deleted. Unmark the payment as paid instead.' });
-    }
-    await auditLog(req.user, 'DELETE_PAY_LOG', 'pay_log', req.params.id, {
-      member: entry?.member_name, amount: entry?.amount
+    res.json({
+      roles:       permissions.ROLES,
+      permissions: Object.entries(permissions.PERMISSIONS).map(([key, description]) => ({ key, description })),
+      matrix:      await permissions.getRolePermissions(),
+      mine:        await permissions.permissionsFor(req.user.role),
     });
-    const { error } = await supabase.from('pay_log').delete().eq('id', req.params.id);
-    if (error) throw error;
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-// ─── AUDIT LOG ENDPOINT ──────────────────────────────────────────────────────
-
-app.get('/api/audit-log', requireAuth, requireAdmin, async (req, res) => {
+// Body: { matrix: { class_a: [...], class_b: [...], va: [...] } } — the admin row is fixed
+app.put('/api/permissions', requireAuth, requirePermission('permissions.manage'), validateBody(schemas.permissionsUpdate), async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('audit_log')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(200);
-    if (error) throw error;
-    res.json(data);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const { matrix, error } = permissions.normalizeMatrix(req.body?.matrix);
+    if (error) return res.status(400).json({ error });
+    const before = await permissions.getRolePermissions();
+    await permissions.setRolePermissions(matrix, req.user);
+    const changes = {};
+    for (const role of Object.keys(matrix)) {
+      const added   = matrix[role].filter(p => !before[role]?.includes(p));
+      const removed = (before[role] || []).filter(p => !matrix[role].includes(p));
+      if (added.length || removed.length) changes[role] = { added, removed };
+    }
+    await auditLog(req.user, 'EDIT_ROLE_PERMISSIONS', 'app_settings', 'role_permissions', changes);
+    res.json({ matrix: await permissions.getRolePermissions() });
+  } catch (e) { next(e); }
 });
 
 // ─── TEAM MEMBERS ─────────────────────────────────────────────────────────────
 
-app.post('/api/team', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/team', requireAuth, requirePermission('team.manage'), validateBody(schemas.teamCreate), async (req, res, next) => {
   try {
-    const { name, role, profitSharePct, active, color, pin, monthCap, psEffectiveMonth } = req.body;
-    if (!pin) return res.status(400).json({ error: 'PIN is required for new members' });
+    const { name, role, profitSharePct, active, color, pin, monthCap, psEffectiveMonth, authRole } = req.body;
+    if (authRole && authRole !== 'class_b' && !req.permissions.includes('permissions.manage')) {
+      return res.status(403).json({ error: 'Assigning roles requires permission to edit the role/permission matrix' });
+    }
     const pin_hash = await bcrypt.hash(String(pin), 10);
     // Seed the rate history so a new member's profit share only counts from their
     // start month forward (not retroactively across earlier periods).
@@ -967,14 +2020,14 @@ app.post('/api/team', requireAuth, requireAdmin, async (req, res) => {
       ps_rate_history: psHistory,
       month_cap: monthCap != null ? parseInt(monthCap) : 180,
       active: active !== false, color: color || '#c9a84c',
-      auth_role: 'member', pin_hash,
+      auth_role: authRole || 'class_b', pin_hash,
     }).select().single();
     if (error) throw error;
     res.status(201).json(mapTeamMember(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/team/:id', requireAuth, requireAdmin, async (req, res) => {
+app.patch('/api/team/:id', requireAuth, requirePermission('team.manage'), validateBody(schemas.teamUpdate), async (req, res, next) => {
   try {
     // Prevent admins from demoting themselves
     if (req.params.id === req.user.sub && req.body.authRole && req.body.authRole !== 'admin') {
@@ -984,19 +2037,31 @@ app.patch('/api/team/:id', requireAuth, requireAdmin, async (req, res) => {
     // Rates are effective-dated (ps_rate_history) so a change only affects the current
     // month forward; prior periods keep the rate that was in effect then, and already-paid
     // distributions keep their snapshotted rate. See ps_rate_history handling below.
+    const { data: current } = await supabase.from('team_members').select('*').eq('id', req.params.id).single();
     const updates = {};
     if (req.body.name           !== undefined) updates.name             = req.body.name;
     if (req.body.role           !== undefined) updates.role             = req.body.role;
     if (req.body.monthCap       !== undefined) updates.month_cap        = parseInt(req.body.monthCap)||180;
     if (req.body.active         !== undefined) updates.active           = req.body.active;
     if (req.body.authRole !== undefined) {
-      const validRoles = ['admin','class_a','class_b','va'];
-      if (!validRoles.includes(req.body.authRole)) return res.status(400).json({ error: 'Invalid role' });
+      // A role carries its permissions, so assigning one is gated like editing the matrix
+      if (!req.permissions.includes('permissions.manage') && req.body.authRole !== current?.auth_role) {
+        return res.status(403).json({ error: 'Changing roles requires permission to edit the role/permission matrix' });
+      }
       updates.auth_role = req.body.authRole;
     }
     if (req.body.pin) updates.pin_hash = await bcrypt.hash(String(req.body.pin), 10);
-
-    const { data: current } = await supabase.from('team_members').select('*').eq('id', req.params.id).single();
+    // PIN fallback can only be switched off once the member has a passkey to fall back on
+    if (req.body.pinLoginDisabled !== undefined) {
+      const disable = !!req.body.pinLoginDisabled;
+      if (disable) {
+        const { count } = await supabase.from('webauthn_credentials')
+          .select('id', { count: 'exact', head: true }).eq('member_id', req.params.id);
+        if (!count) return res.status(400).json({ error: 'Member has no passkey registered — PIN sign-in must stay on' });
+      }
+      updates.pin_login_disabled = disable;
+      await auditLog(req.user, disable ? 'DISABLE_PIN_LOGIN' : 'ENABLE_PIN_LOGIN', 'team_members', req.params.id, {});
+    }
 
     // ── Effective-dated profit share rate change (calendar-locked) ────────────
     // A rate change only ever takes effect from the CURRENT month forward. Closed
@@ -1041,18 +2106,26 @@ app.patch('/api/team/:id', requireAuth, requireAdmin, async (req, res) => {
 
     const { data, error } = await supabase.from('team_members').update(updates).eq('id', req.params.id).select().single();
     if (error) throw error;
+
+    // Deactivating a member signs them out everywhere, immediately
+    if (req.body.active === false && current?.active) {
+      const count = await sessions.revokeAllSessions(req.params.id);
+      await auditLog(req.user, 'DEACTIVATE_MEMBER', 'team_members', req.params.id, {
+        name: current.name, sessionsRevoked: count,
+      });
+    }
     res.json(mapTeamMember(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/team/:id', requireAuth, requireAdmin, async (req, res) => {
+app.delete('/api/team/:id', requireAuth, requirePermission('team.manage'), async (req, res, next) => {
   // Prevent self-deletion
   if (req.params.id === req.user.sub) return res.status(400).json({ error: "You cannot remove yourself" });
   try {
     const { error } = await supabase.from('team_members').delete().eq('id', req.params.id);
     if (error) throw error;
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── PENDING EXPENSES (bulk import from Drive) ────────────────────────────────
@@ -1063,10 +2136,9 @@ app.delete('/api/team/:id', requireAuth, requireAdmin, async (req, res) => {
  * Body: { folderUrl: "https://drive.google.com/drive/folders/..." }
  * Returns: { folderId, folderName, files: [{ id, name, mimeType, size }], skipped }
  */
-app.post('/api/expenses/bulk-preview', requireAuth, async (req, res) => {
+app.post('/api/expenses/bulk-preview', requireAuth, requirePermission('expenses.import'), validateBody(schemas.expenseBulkPreview), async (req, res, next) => {
   try {
-    const { folderUrl } = req.body || {};
-    if (!folderUrl) return res.status(400).json({ error: 'folderUrl is required' });
+    const { folderUrl } = req.body;
 
     const folderId = parseDriveFolderId(folderUrl);
     if (!folderId) return res.status(400).json({ error: 'Could not parse folder ID from URL' });
@@ -1099,8 +2171,7 @@ app.post('/api/expenses/bulk-preview', requireAuth, async (req, res) => {
 
     res.json({ folderId, folderName, files, skipped });
   } catch (e) {
-    console.error('Bulk preview error:', e);
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
@@ -1110,15 +2181,9 @@ app.post('/api/expenses/bulk-preview', requireAuth, async (req, res) => {
  * Body: { fileIds: [string], defaultProjectId?: string, submittedBy?: string }
  * Returns: { processed: [{fileId, pendingId, vendor, amount, error?}], failed: [...] }
  */
-app.post('/api/expenses/bulk-import', requireAuth, async (req, res) => {
+app.post('/api/expenses/bulk-import', requireAuth, requirePermission('expenses.import'), idempotent, bulkImportRateLimit, validateBody(schemas.expenseBulkImport), async (req, res, next) => {
   try {
-    const { fileIds, defaultProjectId, submittedBy } = req.body || {};
-    if (!Array.isArray(fileIds) || !fileIds.length) {
-      return res.status(400).json({ error: 'fileIds array required' });
-    }
-    if (fileIds.length > 50) {
-      return res.status(400).json({ error: 'Maximum 50 files per batch' });
-    }
+    const { fileIds, defaultProjectId, submittedBy } = req.body;
 
     const drive = await getDriveClient();
     const processed = [];
@@ -1153,7 +2218,7 @@ app.post('/api/expenses/bulk-import', requireAuth, async (req, res) => {
               emailBody: '',
             });
           } catch (ex) {
-            console.error(`AI extraction failed for ${meta.name}:`, ex.message);
+            log.warn('AI receipt extraction failed', { err: ex, fileId, filename: meta.name });
           }
         }
 
@@ -1169,7 +2234,7 @@ app.post('/api/expenses/bulk-import', requireAuth, async (req, res) => {
         }
 
         // Create pending row
-        const { data, error } = await supabase.from('pending_expenses').insert({
+        const data = await repos.pendingExpenses.create({
           source: 'drive-bulk',
           sender_email: null,
           sender_name: null,
@@ -1184,8 +2249,7 @@ app.post('/api/expenses/bulk-import', requireAuth, async (req, res) => {
           receipt_url: meta.webViewLink,
           receipt_filename: meta.name,
           status: 'pending',
-        }).select().single();
-        if (error) throw error;
+        });
 
         processed.push({
           fileId,
@@ -1196,8 +2260,9 @@ app.post('/api/expenses/bulk-import', requireAuth, async (req, res) => {
           confidence: extracted.confidence,
         });
       } catch (ex) {
-        console.error(`Bulk import failed for file ${fileId}:`, ex.message);
-        failed.push({ fileId, error: ex.message });
+        log.warn('Bulk import failed for a file', { err: ex, fileId });
+        const { message, code } = errors.classify(ex);
+        failed.push({ fileId, error: message, code });
       }
     }
 
@@ -1214,8 +2279,7 @@ app.post('/api/expenses/bulk-import', requireAuth, async (req, res) => {
 
     res.json({ processed, failed, defaultProjectId });
   } catch (e) {
-    console.error('Bulk import error:', e);
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
@@ -1237,19 +2301,14 @@ function parseDriveFolderId(input) {
   return null;
 }
 
-app.get('/api/pending-expenses', requireAuth, async (req, res) => {
+app.get('/api/pending-expenses', requireAuth, requirePermission('expenses.import'), async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('pending_expenses')
-      .select('*')
-      .eq('status', 'pending')
-      .order('created_at', { ascending: false });
-    if (error) throw error;
+    const data = await repos.pendingExpenses.list({ where: { status: 'pending' } });
     res.json(data.map(mapPendingExpense));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/pending-expenses/:id', requireAuth, async (req, res) => {
+app.patch('/api/pending-expenses/:id', requireAuth, requirePermission('expenses.import'), validateBody(schemas.pendingExpenseUpdate), async (req, res, next) => {
   try {
     const updates = {};
     if (req.body.vendor         !== undefined) updates.vendor          = req.body.vendor;
@@ -1257,12 +2316,10 @@ app.patch('/api/pending-expenses/:id', requireAuth, async (req, res) => {
     if (req.body.expenseDate    !== undefined) updates.expense_date    = req.body.expenseDate;
     if (req.body.category       !== undefined) updates.category        = req.body.category;
     if (req.body.suggestedNotes !== undefined) updates.suggested_notes = req.body.suggestedNotes;
-    const { data, error } = await supabase
-      .from('pending_expenses')
-      .update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const data = await repos.pendingExpenses.update(req.params.id, updates);
+    if (!data) return res.status(404).json({ error: 'Pending expense not found' });
     res.json(mapPendingExpense(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 /**
@@ -1270,44 +2327,47 @@ app.patch('/api/pending-expenses/:id', requireAuth, async (req, res) => {
  * Body: { projectId, submittedBy, paymentType, description?, category?, amount?, date? }
  * The pending row gets marked approved with a reference to the new expense.
  */
-app.post('/api/pending-expenses/:id/approve', requireAuth, async (req, res) => {
+app.post('/api/pending-expenses/:id/approve', requireAuth, requirePermission('expenses.import'), idempotent, validateBody(schemas.pendingExpenseApprove), async (req, res, next) => {
   try {
-    const { data: pending, error: fetchErr } = await supabase
-      .from('pending_expenses').select('*').eq('id', req.params.id).single();
-    if (fetchErr || !pending) return res.status(404).json({ error: 'Pending expense not found' });
+    const pending = await repos.pendingExpenses.get(req.params.id);
+    if (!pending) return res.status(404).json({ error: 'Pending expense not found' });
     if (pending.status !== 'pending') return res.status(400).json({ error: 'Already reviewed' });
 
     const { projectId, submittedBy, paymentType } = req.body;
-    if (!projectId || !submittedBy || !paymentType) {
-      return res.status(400).json({ error: 'projectId, submittedBy, paymentType required' });
-    }
     // Block if project is finalized
-    const { data: proj } = await supabase.from('projects').select('name,payouts_finalized').eq('id', projectId).single();
+    const proj = await repos.projects.get(projectId, 'name,payouts_finalized');
     if (proj?.payouts_finalized) {
-      return res.status(403).json({ error: `Project "${proj.name}" is finalized — cannot add expenses.` });
+      throw new errors.LockedError(`Project "${proj.name}" is finalized — cannot add expenses.`);
     }
 
     const description = req.body.description || pending.vendor || pending.subject || 'Receipt';
-    const ALLOWED_CATEGORIES = ['software','contractor','assets','advertising','printing','travel','equipment','other'];
+    // The extractor's guess isn't validated, so fall back to 'other' for anything unknown
     const rawCategory = req.body.category || pending.category || 'other';
-    const category = ALLOWED_CATEGORIES.includes(rawCategory) ? rawCategory : 'other';
+    const category = schemas.EXPENSE_CATEGORIES.includes(rawCategory) ? rawCategory : 'other';
     const amount      = req.body.amount != null ? req.body.amount : pending.amount;
     const date        = req.body.date        || pending.expense_date || new Date().toISOString().split('T')[0];
     if (amount == null) return res.status(400).json({ error: 'amount is required' });
 
-    const { data: expense, error: insErr } = await supabase.from('expenses').insert({
-      description, amount, project_id: projectId, category, date,
-      submitted_by: submittedBy, payment_type: paymentType,
-      receipt_url: pending.receipt_url, reimbursed: false,
-    }).select().single();
-    if (insErr) throw insErr;
-
-    await supabase.from('pending_expenses').update({
+    // Claim it first: of two approvals racing, only one gets to create the expense
+    const [claimed] = await repos.pendingExpenses.updateWhere({ id: req.params.id, status: 'pending' }, {
       status: 'approved',
       reviewed_by: req.user.sub,
       reviewed_at: new Date().toISOString(),
-      promoted_expense_id: expense.id,
-    }).eq('id', req.params.id);
+    });
+    if (!claimed) return res.status(400).json({ error: 'Already reviewed' });
+
+    let expense;
+    try {
+      expense = await repos.expenses.create({
+        description, amount, project_id: projectId, category, date,
+        submitted_by: submittedBy, payment_type: paymentType,
+        receipt_url: pending.receipt_url, reimbursed: false,
+      });
+    } catch (e) {
+      await repos.pendingExpenses.update(req.params.id, { status: 'pending', reviewed_by: null, reviewed_at: null });
+      throw e;
+    }
+    await repos.pendingExpenses.update(req.params.id, { promoted_expense_id: expense.id });
 
     await auditLog(req.user, 'APPROVE_PENDING_EXPENSE', 'pending_expenses', req.params.id, {
       expense_id: expense.id, amount, description,
@@ -1315,23 +2375,21 @@ app.post('/api/pending-expenses/:id/approve', requireAuth, async (req, res) => {
 
     res.json(mapExpense(expense));
   } catch (e) {
-    console.error('Approve error:', e);
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
-app.post('/api/pending-expenses/:id/reject', requireAuth, async (req, res) => {
+app.post('/api/pending-expenses/:id/reject', requireAuth, requirePermission('expenses.import'), validateBody(schemas.pendingExpenseReject), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('pending_expenses').update({
+    await repos.pendingExpenses.update(req.params.id, {
       status: 'rejected',
       reviewed_by: req.user.sub,
       reviewed_at: new Date().toISOString(),
       reject_reason: req.body.reason || null,
-    }).eq('id', req.params.id);
-    if (error) throw error;
+    });
     await auditLog(req.user, 'REJECT_PENDING_EXPENSE', 'pending_expenses', req.params.id, { reason: req.body.reason });
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── DRIVE + AI HELPERS ──────────────────────────────────────────────────────
@@ -1342,7 +2400,7 @@ async function getDriveClient() {
   if (_driveClient) return _driveClient;
   const { google } = require('googleapis');
   if (!process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
-    throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON not set');
+    throw new errors.UpstreamError('Google Drive', null, 'Google Drive isn\'t set up on this server (no GOOGLE_SERVICE_ACCOUNT_JSON).');
   }
   const creds = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
   const auth = new google.auth.JWT({
@@ -1352,7 +2410,7 @@ async function getDriveClient() {
   });
   _driveClient = google.drive({ version: 'v3', auth });
   _driveRootFolderId = process.env.DRIVE_RECEIPTS_ROOT_ID;
-  if (!_driveRootFolderId) throw new Error('DRIVE_RECEIPTS_ROOT_ID not set');
+  if (!_driveRootFolderId) throw new errors.UpstreamError('Google Drive', null, 'Google Drive isn\'t set up on this server (no DRIVE_RECEIPTS_ROOT_ID).');
   return _driveClient;
 }
 
@@ -1468,19 +2526,19 @@ If you cannot determine a field, use null. Only use "high" confidence when the a
  *   - Profit share distributions (by month)
  * Only items WITHOUT a matching pay_status entry marked paid are returned.
  */
-app.get('/api/payroll/unpaid', requireAuth, requireAdmin, async (req, res) => {
+app.get('/api/payroll/unpaid', requireAuth, requirePermission('payroll.manage'), async (req, res, next) => {
   try {
     const fromStr = req.query.from;
     const toStr   = req.query.to;
     if (!fromStr || !toStr) return res.status(400).json({ error: 'from and to query params required (YYYY-MM-DD)' });
 
     // Fetch everything we need
-    const [{ data: team }, { data: deals }, { data: projects }, { data: tasks }, { data: payStatus }] = await Promise.all([
+    const [{ data: team }, deals, projects, tasks, payStatus] = await Promise.all([
       supabase.from('team_members').select('id,name,role,color,profit_share_pct').eq('active', true),
-      supabase.from('deals').select('*'),
-      supabase.from('projects').select('*'),
-      supabase.from('tasks').select('*'),
-      supabase.from('pay_status').select('*'),
+      repos.deals.list({ order: null }),
+      repos.projects.list({ order: null }),
+      repos.tasks.list({ order: null }),
+      repos.payStatus.list(),
     ]);
 
     const paidSet = new Set(payStatus.filter(p => p.paid).map(p => p.pay_key || `${p.project_id}_${p.member_id}`));
@@ -1561,8 +2619,7 @@ app.get('/api/payroll/unpaid', requireAuth, requireAdmin, async (req, res) => {
 
     res.json({ from: fromStr, to: toStr, members: Object.values(grouped) });
   } catch (e) {
-    console.error('Payroll unpaid error:', e);
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
@@ -1570,46 +2627,42 @@ app.get('/api/payroll/unpaid', requireAuth, requireAdmin, async (req, res) => {
  * Batch-mark a list of pay keys as paid and create a pay_log entry for each.
  * Body: { items: [{ memberId, payKey, amount, projectId?, label }] }
  */
-app.post('/api/payroll/mark-paid', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/payroll/mark-paid', requireAuth, requirePermission('payroll.manage'), idempotent, validateBody(schemas.payrollMarkPaid), async (req, res, next) => {
   try {
-    const { items } = req.body || {};
-    if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: 'items array required' });
-
-    const results = [];
-    for (const it of items) {
-      if (!it.payKey || !it.memberId || it.amount == null) continue;
-      // pay_status upsert
-      const parts = it.payKey.split('_');
-      const projectId = it.projectId || parts[0];
-      await supabase.from('pay_status').upsert({
-        pay_key: it.payKey, project_id: projectId, member_id: it.memberId, paid: true,
-      }, { onConflict: 'pay_key' });
-
-      // pay_log entry
-      const member = it.memberName || '';
-      const { data: logRow } = await supabase.from('pay_log').insert({
-        member_id: it.memberId, member_name: member,
-        pay_type: it.type || 'production',
-        amount: it.amount,
-        project_id: projectId,
-        project_name: it.projectName || null,
-        source_key: it.payKey,
-        notes: it.label || 'Payroll batch',
-        is_manual: false,
-        created_by_id: req.user.sub,
-        created_by_name: req.user.name,
-      }).select().single();
-
-      await auditLog(req.user, 'PAYROLL_MARK_PAID', 'pay_status', it.payKey, {
-        amount: it.amount, member_id: it.memberId, project_id: projectId,
+    const { items } = req.body;
+
+    // Every pay line is marked and logged in one transaction, or none are
+    const rows = items.map(it => ({
+      pay_key: it.payKey,
+      project_id: it.projectId || it.payKey.split('_')[0],
+      member_id: it.memberId,
+      member_name: it.memberName || '',
+      pay_type: it.type || 'production',
+      amount: it.amount,
+      project_name: it.projectName || null,
+      notes: it.label || 'Payroll batch',
+    }));
+    const saved = await repos.payStatus.markPaid(rows, { id: req.user.sub, name: req.user.name });
+
+    for (const r of rows) {
+      await auditLog(req.user, 'PAYROLL_MARK_PAID', 'pay_status', r.pay_key, {
+        amount: r.amount, member_id: r.member_id, project_id: r.project_id,
       });
-      results.push({ payKey: it.payKey, payLogId: logRow?.id });
     }
+    const results = saved.map(r => ({ payKey: r.pay_key, payLogId: r.pay_log_id }));
 
     res.json({ ok: true, processed: results.length, results });
   } catch (e) {
-    console.error('Mark paid error:', e);
-    res.status(500).json({ error: e.message });
+    // A line that's already paid (or listed twice) fails the batch rather than being paid twice
+    if (e.code === '23505') {
+      try {
+        const keys = req.body.items.map(it => it.payKey);
+        const paid = await repos.payStatus.list({ where: { pay_key: keys, paid: true }, columns: 'pay_key', order: null });
+        const dup = keys.find((k, i) => keys.indexOf(k) !== i) || paid[0]?.pay_key;
+        e = new errors.ConflictError(`${dup ? `Pay line ${dup} is` : 'Some of these pay lines are'} already marked paid — nothing in this batch was recorded.`);
+      } catch { /* answer with the database error's classification */ }
+    }
+    next(e);
   }
 });
 
@@ -1618,12 +2671,9 @@ app.post('/api/payroll/mark-paid', requireAuth, requireAdmin, async (req, res) =
  * Body: { from, to, members: [{ memberName, items: [{ label, amount, type }], total }] }
  * Returns: { files: [{ memberName, filename, base64 }] }
  */
-app.post('/api/payroll/generate-docx', requireAuth, requireAdmin, async (req, res) => {
+app.post('/api/payroll/generate-docx', requireAuth, requirePermission('payroll.manage'), validateBody(schemas.payrollGenerateDocx), async (req, res, next) => {
   try {
-    const { from, to, members } = req.body || {};
-    if (!Array.isArray(members) || !members.length) {
-      return res.status(400).json({ error: 'members array required' });
-    }
+    const { from, to, members } = req.body;
 
     const docx = require('docx');
     const { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, HeadingLevel, AlignmentType, BorderStyle, WidthType } = docx;
@@ -1698,8 +2748,7 @@ app.post('/api/payroll/generate-docx', requireAuth, requireAdmin, async (req, re
 
     res.json({ files });
   } catch (e) {
-    console.error('Payroll docx error:', e);
-    res.status(500).json({ error: e.message });
+    next(e);
   }
 });
 
@@ -1722,27 +2771,21 @@ function _levenshtein(a, b) {
   return dp[m][n];
 }
 
-app.get('/api/clients', requireAuth, async (req, res) => {
+app.get('/api/clients', requireAuth, requirePermission('clients.view'), async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('clients')
-      .select('*')
-      .eq('active', true)
-      .order('name');
-    if (error) throw error;
+    const data = await repos.clients.list({ where: { active: true } });
     res.json(data.map(mapClient));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 /**
  * Validate a new client name against existing ones.
  * Returns { exact: {id,name}|null, similar: [{id,name,distance}] }
  */
-app.post('/api/clients/validate-name', requireAuth, async (req, res) => {
+app.post('/api/clients/validate-name', requireAuth, requirePermission('clients.write'), validateBody(schemas.clientNameCheck), async (req, res, next) => {
   try {
     const { name } = req.body;
-    if (!name || !name.trim()) return res.status(400).json({ error: 'name required' });
-    const { data: existing } = await supabase.from('clients').select('id,name').eq('active', true);
+    const existing = await repos.clients.list({ where: { active: true }, columns: 'id,name', order: null });
     const n = name.trim();
     const exact = existing.find(c => c.name.toLowerCase() === n.toLowerCase());
     if (exact) return res.json({ exact, similar: [] });
@@ -1752,27 +2795,28 @@ app.post('/api/clients/validate-name', requireAuth, async (req, res) => {
       .sort((a, b) => a.distance - b.distance)
       .slice(0, 5);
     res.json({ exact: null, similar });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.post('/api/clients', requireAuth, async (req, res) => {
+app.post('/api/clients', requireAuth, requirePermission('clients.write'), validateBody(schemas.clientCreate), async (req, res, next) => {
   try {
-    const { name, notes, portalLinks } = req.body;
-    if (!name || !name.trim()) return res.status(400).json({ error: 'name required' });
-    const { data, error } = await supabase.from('clients').insert({
-      name: name.trim(), notes: notes || null, active: true,
-      portal_links: Array.isArray(portalLinks) ? portalLinks : [],
-    }).select().single();
-    if (error) {
-      if (error.code === '23505') return res.status(409).json({ error: 'Client with this name already exists' });
-      throw error;
+    const { name, notes, portalLinks, portalActive } = req.body;
+    let data;
+    try {
+      data = await repos.clients.create({
+        name: name.trim(), notes: notes || null, active: true, portal_active: !!portalActive,
+        portal_links: Array.isArray(portalLinks) ? portalLinks : [],
+      });
+    } catch (e) {
+      if (e.code === '23505') return res.status(409).json({ error: 'Client with this name already exists' });
+      throw e;
     }
     await auditLog(req.user, 'CREATE_CLIENT', 'clients', data.id, { name });
     res.status(201).json(mapClient(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/clients/:id', requireAuth, async (req, res) => {
+app.patch('/api/clients/:id', requireAuth, requirePermission('clients.write'), validateBody(schemas.clientUpdate), async (req, res, next) => {
   try {
     const updates = {};
     if (req.body.name         !== undefined) updates.name          = req.body.name;
@@ -1780,141 +2824,105 @@ app.patch('/api/clients/:id', requireAuth, async (req, res) => {
     if (req.body.active       !== undefined) updates.active        = req.body.active;
     if (req.body.portalActive !== undefined) updates.portal_active = req.body.portalActive;
     if (req.body.portalLinks  !== undefined) updates.portal_links  = Array.isArray(req.body.portalLinks) ? req.body.portalLinks : [];
-    if (req.body.pin !== undefined) {
-      if (req.body.pin === null || req.body.pin === '') {
-        updates.pin_hash = null;
-        updates.portal_active = false;
-      } else {
-        const pinStr = String(req.body.pin);
-        if (pinStr.length < 6) return res.status(400).json({ error: 'PIN must be at least 6 digits' });
-        updates.pin_hash = await bcrypt.hash(pinStr, 10);
-      }
-    }
     updates.updated_at = new Date().toISOString();
-    const { data, error } = await supabase.from('clients').update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
-    await auditLog(req.user, 'UPDATE_CLIENT', 'clients', req.params.id, { fields: Object.keys(updates) });
+    const data = await repos.clients.update(req.params.id, updates);
+    if (!data) return res.status(404).json({ error: 'Client not found' });
+    // Switching portal access (or the client) off ends every portal login for it
+    let portalSessionsRevoked;
+    if (!data.portal_active || !data.active) {
+      portalSessionsRevoked = await portalSessions.revokePortalSessions({ clientId: data.id });
+    }
+    await auditLog(req.user, 'UPDATE_CLIENT', 'clients', req.params.id, { fields: Object.keys(updates), portalSessionsRevoked });
     res.json(mapClient(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/clients/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/clients/:id', requireAuth, requirePermission('clients.delete'), async (req, res, next) => {
   try {
     // Soft delete: mark inactive rather than remove
-    const { error } = await supabase.from('clients').update({ active: false }).eq('id', req.params.id);
-    if (error) throw error;
-    await auditLog(req.user, 'DELETE_CLIENT', 'clients', req.params.id, {});
+    await repos.clients.update(req.params.id, { active: false });
+    const portalSessionsRevoked = await portalSessions.revokePortalSessions({ clientId: req.params.id });
+    await auditLog(req.user, 'DELETE_CLIENT', 'clients', req.params.id, { portalSessionsRevoked });
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── DELIVERABLE TYPES ───────────────────────────────────────────────────────
 
-app.get('/api/deliverable-types', requireAuth, async (req, res) => {
+const DELIVERABLE_TYPE_COLUMNS = 'id,name,project_id,active,publishable,default_assignee_id,default_est_hours,default_tag';
+
+app.get('/api/deliverable-types', requireAuth, requirePermission('deliverables.view'), async (req, res, next) => {
   try {
-    const { data, error } = await supabase.from('deliverable_types').select('id,name,project_id,active,publishable,default_assignee_id,default_est_hours,default_tag').eq('active', true).order('name');
-    if (error) throw error;
+    const data = await repos.deliverableTypes.list({ where: { active: true }, columns: DELIVERABLE_TYPE_COLUMNS });
     res.json(data.map(mapDeliverableType));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.post('/api/deliverable-types', requireAuth, async (req, res) => {
+app.post('/api/deliverable-types', requireAuth, requirePermission('deliverables.write'), validateBody(schemas.deliverableTypeCreate), async (req, res, next) => {
   try {
     const { name, projectId, publishable, defaultAssigneeId, defaultEstHours, defaultTag } = req.body;
-    if (!name || !name.trim()) return res.status(400).json({ error: 'name required' });
     const row = {
       name: name.trim(),
       project_id: projectId || null,
       publishable: !!publishable,
       active: true,
       default_assignee_id: defaultAssigneeId || null,
-      default_est_hours:   defaultEstHours != null && defaultEstHours !== '' ? parseFloat(defaultEstHours) : null,
+      default_est_hours:   defaultEstHours ?? null,
       default_tag:         defaultTag || null,
     };
-    // Insert then re-fetch separately to avoid schema cache stripping new columns
-    const { data: inserted, error: insertError } = await supabase
-      .from('deliverable_types').insert(row).select('id').single();
-    if (insertError) {
-      if (insertError.code === '23505') return res.status(409).json({ error: 'Deliverable type with this name already exists' });
-      throw insertError;
-    }
-    const { data, error: selectError } = await supabase
-      .from('deliverable_types').select('*').eq('id', inserted.id).single();
-    if (selectError) throw selectError;
+    let data;
+    try {
+      data = await repos.deliverableTypes.create(row);
+    } catch (e) {
+      if (e.code === '23505') return res.status(409).json({ error: 'Deliverable type with this name already exists' });
+      throw e;
+    }
     res.status(201).json(mapDeliverableType(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/deliverable-types/:id', requireAuth, async (req, res) => {
+app.patch('/api/deliverable-types/:id', requireAuth, requirePermission('deliverables.write'), validateBody(schemas.deliverableTypeUpdate), async (req, res, next) => {
   try {
     const updates = {};
     if (req.body.name              !== undefined) updates.name               = req.body.name;
     if (req.body.active            !== undefined) updates.active             = req.body.active;
     if (req.body.publishable       !== undefined) updates.publishable        = !!req.body.publishable;
     if (req.body.defaultAssigneeId !== undefined) updates.default_assignee_id = req.body.defaultAssigneeId || null;
-    if (req.body.defaultEstHours   !== undefined) updates.default_est_hours  = req.body.defaultEstHours != null && req.body.defaultEstHours !== '' ? parseFloat(req.body.defaultEstHours) : null;
+    if (req.body.defaultEstHours   !== undefined) updates.default_est_hours  = req.body.defaultEstHours;
     if (req.body.defaultTag        !== undefined) updates.default_tag        = req.body.defaultTag || null;
     if (!Object.keys(updates).length) return res.status(400).json({ error: 'No valid fields to update' });
 
-    console.log('[PATCH deliverable-types] id:', req.params.id, 'updates:', JSON.stringify(updates));
-
-    // Step 1: update (don't rely on its return — schema cache may omit new columns)
-    const { error: updateError } = await supabase
-      .from('deliverable_types')
-      .update(updates)
-      .eq('id', req.params.id);
-
-    if (updateError) {
-      console.error('[PATCH deliverable-types] update error:', updateError);
-      throw updateError;
-    }
-
-    // Step 2: separate select to get fresh row with all columns
-    const { data, error: selectError } = await supabase
-      .from('deliverable_types')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
-
-    if (selectError) throw selectError;
+    const data = await repos.deliverableTypes.update(req.params.id, updates);
     if (!data) return res.status(404).json({ error: 'Type not found' });
-
-    console.log('[PATCH deliverable-types] fetched after update:', JSON.stringify(data));
     res.json(mapDeliverableType(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/deliverable-types/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/deliverable-types/:id', requireAuth, requirePermission('deliverables.delete'), async (req, res, next) => {
   try {
     // Soft-delete so historical deliverables still reference a name
-    const { error } = await supabase.from('deliverable_types').update({ active: false }).eq('id', req.params.id);
-    if (error) throw error;
+    await repos.deliverableTypes.update(req.params.id, { active: false });
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── DELIVERABLES ────────────────────────────────────────────────────────────
 
-app.get('/api/deliverables', requireAuth, async (req, res) => {
+app.get('/api/deliverables', requireAuth, requirePermission('deliverables.view'), async (req, res, next) => {
   try {
-    const q = supabase.from('deliverables').select('*').order('sort_order', { ascending: true }).order('created_at');
     const { projectId } = req.query;
-    if (projectId) q.eq('project_id', projectId);
-    const { data, error } = await q;
-    if (error) throw error;
+    const data = await repos.deliverables.list({ where: { project_id: projectId || undefined } });
     res.json(data.map(mapDeliverable));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.post('/api/deliverables', requireAuth, async (req, res) => {
+app.post('/api/deliverables', requireAuth, requirePermission('deliverables.write'), validateBody(schemas.deliverableCreate), async (req, res, next) => {
   try {
     const { projectId, typeId, name, description, publishDate, sortOrder } = req.body;
-    if (!projectId) return res.status(400).json({ error: 'projectId required' });
-    if (!name || !name.trim()) return res.status(400).json({ error: 'name required' });
     // Project lock check
-    const { data: proj } = await supabase.from('projects').select('name,payouts_finalized').eq('id', projectId).single();
-    if (proj?.payouts_finalized) return res.status(403).json({ error: `Project "${proj.name}" is finalized.` });
-    const { data, error } = await supabase.from('deliverables').insert({
+    const proj = await repos.projects.get(projectId, 'name,payouts_finalized');
+    if (proj?.payouts_finalized) throw new errors.LockedError(`Project "${proj.name}" is finalized.`);
+    const data = await repos.deliverables.create({
       project_id: projectId,
       type_id: typeId || null,
       name: name.trim(),
@@ -1922,10 +2930,9 @@ app.post('/api/deliverables', requireAuth, async (req, res) => {
       publish_date: publishDate || null,
       sort_order: sortOrder || 0,
       status: 'planned',
-    }).select().single();
-    if (error) throw error;
+    });
     res.status(201).json(mapDeliverable(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 /**
@@ -1937,31 +2944,28 @@ app.post('/api/deliverables', requireAuth, async (req, res) => {
  * For each quota, creates N rows with auto-generated names like "Sizzle 1", "Sizzle 2"…
  * Auto-numbering picks up from max existing N for that type on that project.
  */
-app.post('/api/deliverables/bulk', requireAuth, async (req, res) => {
+app.post('/api/deliverables/bulk', requireAuth, requirePermission('deliverables.write'), validateBody(schemas.deliverableBulk), async (req, res, next) => {
   try {
     const { projectId, quotas, autoCreateTasks = true } = req.body;
-    if (!projectId) return res.status(400).json({ error: 'projectId required' });
-    if (!Array.isArray(quotas) || !quotas.length) return res.status(400).json({ error: 'quotas array required' });
 
     // Project lock check + fetch end_date for task due date defaulting
-    const { data: proj } = await supabase.from('projects').select('name,payouts_finalized,publishes_content,end_date').eq('id', projectId).single();
+    const proj = await repos.projects.get(projectId, 'name,payouts_finalized,publishes_content,end_date');
     if (!proj) return res.status(404).json({ error: 'Project not found' });
-    if (proj.payouts_finalized) return res.status(403).json({ error: `Project "${proj.name}" is finalized.` });
+    if (proj.payouts_finalized) throw new errors.LockedError(`Project "${proj.name}" is finalized.`);
 
     // Fetch existing deliverables on this project to find next auto-number per type
-    const { data: existing } = await supabase.from('deliverables').select('name,type_id').eq('project_id', projectId);
+    const existing = await repos.deliverables.list({ where: { project_id: projectId }, columns: 'name,type_id', order: null });
 
     // Fetch deliverable types referenced to get names + publishable flag
     const typeIds = quotas.map(q => q.typeId).filter(Boolean);
-    const { data: types } = await supabase.from('deliverable_types').select('id,name,project_id,active,publishable,default_assignee_id,default_est_hours,default_tag').in('id', typeIds);
-    const typeMap = new Map((types || []).map(t => [t.id, t]));
+    const types = await repos.deliverableTypes.list({ where: { id: typeIds }, columns: DELIVERABLE_TYPE_COLUMNS, order: null });
+    const typeMap = new Map(types.map(t => [t.id, t]));
 
     const toInsert = [];
     // Keep a parallel array so we can match deliverables back to their source type after insert
     const insertMeta = [];
     for (const q of quotas) {
-      const qty = parseInt(q.quantity, 10);
-      if (!qty || qty < 1 || qty > 100) continue; // skip invalid
+      const qty = q.quantity;
       const type = q.typeId ? typeMap.get(q.typeId) : null;
       const typeName = type ? type.name : 'Deliverable';
       const publishable = type ? type.publishable : false;
@@ -1997,8 +3001,7 @@ app.post('/api/deliverables/bulk', requireAuth, async (req, res) => {
 
     if (!toInsert.length) return res.status(400).json({ error: 'No valid quantities provided' });
 
-    const { data: newDelivs, error } = await supabase.from('deliverables').insert(toInsert).select();
-    if (error) throw error;
+    const newDelivs = await repos.deliverables.createMany(toInsert);
 
     // ── Auto-create one task per deliverable and link them ──
     let newTasks = [];
@@ -2037,19 +3040,19 @@ app.post('/api/deliverables/bulk', requireAuth, async (req, res) => {
         };
       });
 
-      const { data: insertedTasks, error: tErr } = await supabase.from('tasks').insert(tasksToInsert).select();
-      if (tErr) {
-        console.error('Auto-task creation failed:', tErr.message, tErr);
-      } else {
-        newTasks = insertedTasks || [];
-        const links = newTasks.map((t, idx) => ({
-          task_id:        t.id,
-          deliverable_id: newDelivs[idx].id,
-        }));
-        if (links.length) {
-          const { error: lErr } = await supabase.from('task_deliverables').insert(links);
-          if (lErr) console.error('Auto-link creation failed:', lErr.message, lErr);
-        }
+      try {
+        newTasks = await repos.tasks.createMany(tasksToInsert);
+      } catch (tErr) {
+        log.error('Auto-task creation failed', { err: tErr, projectId });
+      }
+      const links = newTasks.map((t, idx) => ({
+        task_id:        t.id,
+        deliverable_id: newDelivs[idx].id,
+      }));
+      try {
+        await repos.taskDeliverables.createMany(links);
+      } catch (lErr) {
+        log.error('Auto-link creation failed', { err: lErr, projectId });
       }
     }
 
@@ -2063,10 +3066,10 @@ app.post('/api/deliverables/bulk', requireAuth, async (req, res) => {
       links: newTasks.map((t, idx) => ({ taskId: t.id, deliverableId: newDelivs[idx].id })),
       missingDefaults, // type names that had no default_tag set — frontend shows warning
     });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/deliverables/:id', requireAuth, async (req, res) => {
+app.patch('/api/deliverables/:id', requireAuth, requirePermission('deliverables.write'), validateBody(schemas.deliverableUpdate), async (req, res, next) => {
   try {
     const updates = {};
     if (req.body.name        !== undefined) updates.name         = req.body.name;
@@ -2076,54 +3079,49 @@ app.patch('/api/deliverables/:id', requireAuth, async (req, res) => {
     if (req.body.status      !== undefined) updates.status       = req.body.status;
     if (req.body.sortOrder   !== undefined) updates.sort_order   = req.body.sortOrder;
     updates.updated_at = new Date().toISOString();
-    const { data, error } = await supabase.from('deliverables').update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const data = await repos.deliverables.update(req.params.id, updates);
+    if (!data) return res.status(404).json({ error: 'Deliverable not found' });
     res.json(mapDeliverable(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/deliverables/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/deliverables/:id', requireAuth, requirePermission('deliverables.delete'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('deliverables').delete().eq('id', req.params.id);
-    if (error) throw error;
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const deliv = await repos.deliverables.get(req.params.id);
+    const trashed = deliv && await trash.moveToTrash('deliverables', deliv, req.user);
+    if (!trashed) return res.status(404).json({ error: 'Deliverable not found' });
+    await auditLog(req.user, 'DELETE_DELIVERABLE', 'deliverables', req.params.id, {
+      name: deliv.name, trashId: trashed.id, snapshot: deliv,
+    });
+    res.json({ ok: true, trashId: trashed.id });
+  } catch (e) { next(e); }
 });
 
 // ─── TASK ↔ DELIVERABLE LINKS ────────────────────────────────────────────────
 
-app.get('/api/task-deliverables', requireAuth, async (req, res) => {
+app.get('/api/task-deliverables', requireAuth, requirePermission('deliverables.view'), async (req, res, next) => {
   try {
-    const { data, error } = await supabase.from('task_deliverables').select('*');
-    if (error) throw error;
+    const data = await repos.taskDeliverables.list();
     res.json(data.map(r => ({ taskId: r.task_id, deliverableId: r.deliverable_id })));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.post('/api/tasks/:taskId/deliverables', requireAuth, async (req, res) => {
+app.post('/api/tasks/:taskId/deliverables', requireAuth, requirePermission('tasks.write'), validateBody(schemas.taskDeliverableLink), async (req, res, next) => {
   try {
     const { deliverableId } = req.body;
-    if (!deliverableId) return res.status(400).json({ error: 'deliverableId required' });
-    // Upsert — ignore duplicate
-    const { error } = await supabase.from('task_deliverables').upsert({
-      task_id: req.params.taskId,
-      deliverable_id: deliverableId,
-    }, { onConflict: 'task_id,deliverable_id' });
-    if (error) throw error;
+    await repos.taskDeliverables.link(req.params.taskId, deliverableId);
     // Recompute deliverable status
     await _recomputeDeliverableStatus(deliverableId);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/tasks/:taskId/deliverables/:deliverableId', requireAuth, async (req, res) => {
+app.delete('/api/tasks/:taskId/deliverables/:deliverableId', requireAuth, requirePermission('tasks.write'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('task_deliverables').delete()
-      .eq('task_id', req.params.taskId).eq('deliverable_id', req.params.deliverableId);
-    if (error) throw error;
+    await repos.taskDeliverables.removeWhere({ task_id: req.params.taskId, deliverable_id: req.params.deliverableId });
     await _recomputeDeliverableStatus(req.params.deliverableId);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 /**
@@ -2137,17 +3135,17 @@ app.delete('/api/tasks/:taskId/deliverables/:deliverableId', requireAuth, async
  *   - If manually set to 'cancelled', preserve that
  */
 async function _recomputeDeliverableStatus(deliverableId) {
-  const { data: deliv } = await supabase.from('deliverables').select('*').eq('id', deliverableId).single();
+  const deliv = await repos.deliverables.get(deliverableId);
   if (!deliv || deliv.status === 'cancelled') return;
-  const { data: links } = await supabase.from('task_deliverables').select('task_id').eq('deliverable_id', deliverableId);
-  if (!links || links.length === 0) {
+  const links = await repos.taskDeliverables.list({ where: { deliverable_id: deliverableId }, columns: 'task_id' });
+  if (links.length === 0) {
     if (deliv.status !== 'planned') {
-      await supabase.from('deliverables').update({ status: 'planned', updated_at: new Date().toISOString() }).eq('id', deliverableId);
+      await repos.deliverables.update(deliverableId, { status: 'planned', updated_at: new Date().toISOString() });
     }
     return;
   }
   const ids = links.map(l => l.task_id);
-  const { data: tasks } = await supabase.from('tasks').select('id,status,publish_date,due_date,publishable').in('id', ids);
+  const tasks = await repos.tasks.list({ where: { id: ids }, columns: 'id,status,publish_date,due_date,publishable', order: null });
 
   // "Delivered" means every task is done or in review — review counts because
   // it means work is in client's hands, not waiting on us.
@@ -2176,9 +3174,7 @@ async function _recomputeDeliverableStatus(deliverableId) {
 
     // Update the deliverable's publish_date to match so it stays in sync
     if (effectivePublishDate && effectivePublishDate !== deliv.publish_date) {
-      await supabase.from('deliverables')
-        .update({ publish_date: effectivePublishDate, updated_at: new Date().toISOString() })
-        .eq('id', deliverableId);
+      await repos.deliverables.update(deliverableId, { publish_date: effectivePublishDate, updated_at: new Date().toISOString() });
     }
 
     // Published when: no publish date set, OR the effective date has passed
@@ -2196,174 +3192,597 @@ async function _recomputeDeliverableStatus(deliverableId) {
   }
 
   if (newStatus !== deliv.status) {
-    await supabase.from('deliverables')
-      .update({ status: newStatus, updated_at: new Date().toISOString() })
-      .eq('id', deliverableId);
+    await repos.deliverables.update(deliverableId, { status: newStatus, updated_at: new Date().toISOString() });
   }
 }
 
 // ─── TASK COMMENTS ───────────────────────────────────────────────────────────
 
-app.get('/api/tasks/:taskId/comments', requireAuth, async (req, res) => {
+app.get('/api/tasks/:taskId/comments', requireAuth, requirePermission('tasks.view'), async (req, res, next) => {
   try {
-    const { data, error } = await supabase.from('task_comments')
-      .select('*').eq('task_id', req.params.taskId).order('created_at', { ascending: true });
-    if (error) throw error;
+    const data = await repos.taskComments.list({ where: { task_id: req.params.taskId } });
     res.json(data.map(mapTaskComment));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.post('/api/tasks/:taskId/comments', requireAuth, async (req, res) => {
+app.post('/api/tasks/:taskId/comments', requireAuth, requirePermission('comments.write'), validateBody(schemas.commentBody), async (req, res, next) => {
   try {
     const { body } = req.body;
-    if (!body || !body.trim()) return res.status(400).json({ error: 'body required' });
-    const { data, error } = await supabase.from('task_comments').insert({
+    const data = await repos.taskComments.create({
       task_id: req.params.taskId,
       author_id: req.user.sub,
       author_name: req.user.name || 'Team',
       body: body.trim(),
-    }).select().single();
-    if (error) throw error;
+    });
     res.status(201).json(mapTaskComment(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.patch('/api/comments/:id', requireAuth, async (req, res) => {
+app.patch('/api/comments/:id', requireAuth, requirePermission('comments.write'), validateBody(schemas.commentBody), async (req, res, next) => {
   try {
-    const { data: existing } = await supabase.from('task_comments').select('author_id').eq('id', req.params.id).single();
+    const existing = await repos.taskComments.get(req.params.id, 'author_id');
     if (!existing) return res.status(404).json({ error: 'Comment not found' });
-    if (existing.author_id !== req.user.sub && req.user.role !== 'admin') {
+    if (existing.author_id !== req.user.sub && !req.permissions.includes('comments.moderate')) {
       return res.status(403).json({ error: 'Can only edit your own comments' });
     }
     const { body } = req.body;
-    if (!body || !body.trim()) return res.status(400).json({ error: 'body required' });
-    const { data, error } = await supabase.from('task_comments').update({
+    const data = await repos.taskComments.update(req.params.id, {
       body: body.trim(),
       edited_at: new Date().toISOString(),
-    }).eq('id', req.params.id).select().single();
-    if (error) throw error;
+    });
     res.json(mapTaskComment(data));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-app.delete('/api/comments/:id', requireAuth, async (req, res) => {
+app.delete('/api/comments/:id', requireAuth, requirePermission('comments.write'), async (req, res, next) => {
   try {
-    const { data: existing } = await supabase.from('task_comments').select('author_id').eq('id', req.params.id).single();
+    const existing = await repos.taskComments.get(req.params.id, 'author_id');
     if (!existing) return res.status(404).json({ error: 'Comment not found' });
-    if (existing.author_id !== req.user.sub && req.user.role !== 'admin') {
+    if (existing.author_id !== req.user.sub && !req.permissions.includes('comments.moderate')) {
       return res.status(403).json({ error: 'Can only delete your own comments' });
     }
-    const { error } = await supabase.from('task_comments').delete().eq('id', req.params.id);
-    if (error) throw error;
+    await repos.taskComments.remove(req.params.id);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
-// ─── CLIENT PORTAL ───────────────────────────────────────────────────────────
+// ─── TRASH ───────────────────────────────────────────────────────────────────
+// Deleted deals, projects, tasks, expenses and deliverables land here (see
+// lib/trash.js). Whoever may delete a kind of record sees and restores its
+// entries; purging for good takes trash.purge and waits out the retention.
+
+function mapTrashEntry(e) {
+  return {
+    id:            e.id,
+    table:         e.table_name,
+    recordId:      e.record_id,
+    label:         e.label,
+    deletedAt:     e.deleted_at,
+    deletedBy:     e.deleted_by,
+    deletedByName: e.deleted_by_name,
+    purgeableAt:   trash.purgeableAt(e),
+    dependents:    e.dependents,
+  };
+}
+
+function _trashAuditDetails(entry) {
+  return { label: entry.label, trashId: entry.id, deletedAt: entry.deleted_at, deletedBy: entry.deleted_by_name };
+}
+
+// Purge one entry and audit it; false if it was already gone (an earlier purge took it)
+async function _purgeTrashEntry(actor, entry) {
+  if (!(await repos.trash.purge(entry.id))) return false;
+  await auditLog(actor, 'PURGE_FROM_TRASH', entry.table_name, entry.record_id, _trashAuditDetails(entry));
+  return true;
+}
+
+app.get('/api/trash', requireAuth, async (req, res, next) => {
+  try {
+    const perms = await permissions.permissionsFor(req.user.role);
+    const tables = trash.TABLES.filter(t => perms.includes(trash.permissionFor(t)));
+    const entries = await trash.listEntries({ tables });
+    res.json(entries.map(mapTrashEntry));
+  } catch (e) { next(e); }
+});
 
-const PORTAL_JWT_SECRET = process.env.JWT_SECRET; // reuse same secret
-const PORTAL_TOKEN_TTL = '7d';
-
-// Rate limit: 5 failed attempts per IP per 15 min for portal login
-const portalLoginAttempts = new Map();
-function portalLoginRateLimit(req, res, next) {
-  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
-  const now = Date.now();
-  const entry = portalLoginAttempts.get(ip) || { count: 0, reset: now + 15*60*1000 };
-  if (now > entry.reset) { entry.count = 0; entry.reset = now + 15*60*1000; }
-  if (entry.count >= 5) {
-    return res.status(429).json({ error: 'Too many attempts. Try again in 15 minutes.' });
+// Put an entry back, for the restore and revert routes. Returns { status,
+// error } when it can't be, otherwise null; throws a LockedError when its
+// project's payouts are finalized.
+async function _restoreTrashEntry(entry) {
+  const blocker = await trash.restoreBlocker(entry);
+  if (blocker) return { status: 409, error: `Can't restore "${entry.label}". ${blocker}` };
+  const finalized = await getFinalizedProject(await trash.projectOf(entry));
+  if (finalized) throw new errors.LockedError(`Project "${finalized.name}" payouts are finalized — it is permanently locked.`);
+
+  const deliverableIds = await trash.linkedDeliverables(entry.id);
+  if (!(await repos.trash.restore(entry.id))) return { status: 404, error: 'Not in the trash.' };
+  // The links came back, so the deliverables' statuses count those tasks again
+  for (const deliverableId of deliverableIds) {
+    // eslint-disable-next-line no-await-in-loop
+    await _recomputeDeliverableStatus(deliverableId);
   }
-  entry.count++;
-  portalLoginAttempts.set(ip, entry);
-  next();
+  return null;
 }
 
-app.post('/api/portal/login', portalLoginRateLimit, async (req, res) => {
+app.post('/api/trash/:id/restore', requireAuth, async (req, res, next) => {
   try {
-    const { pin } = req.body;
-    if (!pin || String(pin).length < 6) return res.status(400).json({ error: 'PIN required (6+ digits)' });
-    const pinStr = String(pin);
+    const entry = await repos.trash.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Not in the trash.' });
+    if (!(await checkPermission(req, res, trash.permissionFor(entry.table_name)))) return;
+    const failed = await _restoreTrashEntry(entry);
+    if (failed) return res.status(failed.status).json({ error: failed.error });
+    await auditLog(req.user, 'RESTORE_FROM_TRASH', entry.table_name, entry.record_id, _trashAuditDetails(entry));
+    res.json({ ok: true, table: entry.table_name, recordId: entry.record_id });
+  } catch (e) { next(e); }
+});
 
-    // Find client with matching PIN — must check all active clients with portal enabled
-    const { data: candidates } = await supabase.from('clients')
-      .select('id,name,pin_hash,portal_active,active').eq('portal_active', true).eq('active', true);
+// Purge one entry for good — only once it's past the retention period
+app.delete('/api/trash/:id', requireAuth, requirePermission('trash.purge'), async (req, res, next) => {
+  try {
+    const entry = await repos.trash.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Not in the trash.' });
+    if (!trash.isPurgeable(entry)) {
+      return res.status(409).json({
+        error: `"${entry.label}" can't be purged until ${trash.purgeableAt(entry).slice(0, 10)} — it stays restorable for ${trash.RETENTION_DAYS} days.`,
+      });
+    }
+    await _purgeTrashEntry(req.user, entry);
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
 
-    let matchedClient = null;
-    for (const c of candidates || []) {
-      if (!c.pin_hash) continue;
+// Purge every entry past the retention period
+app.post('/api/trash/purge', requireAuth, requirePermission('trash.purge'), async (req, res, next) => {
+  try {
+    const entries = await repos.trash.list({ where: trash.purgeable(), order: ['deleted_at', true] });
+    let purged = 0;
+    for (const entry of entries) {
       // eslint-disable-next-line no-await-in-loop
-      const ok = await bcrypt.compare(pinStr, c.pin_hash);
-      if (ok) { matchedClient = c; break; }
+      if (await _purgeTrashEntry(req.user, entry)) purged++;
+    }
+    res.json({ ok: true, purged });
+  } catch (e) { next(e); }
+});
+
+// ─── CLIENT PORTAL ───────────────────────────────────────────────────────────
+// Clients sign in as named portal users (portal_users), several per client,
+// with email + password or a one-time code sent by email. Team members invite
+// them from the client modal; the invite link lets them set a password.
+// Codes and links are single-use rows in portal_login_tokens, stored hashed.
+// Tokens, sessions and requirePortalAuth live in lib/portalAuth.js.
+
+const PORTAL_MAX_FAILURES   = 5;
+const PORTAL_LOCKOUT_MS     = 15 * 60 * 1000;
+const PORTAL_CODE_TTL_MS    = 10 * 60 * 1000;
+const PORTAL_CODE_MAX_TRIES = 5;
+const PORTAL_INVITE_TTL_MS  = 7 * 24 * 60 * 60 * 1000;
+const PORTAL_RESET_TTL_MS   = 24 * 60 * 60 * 1000;
+const PORTAL_MIN_PASSWORD   = 10;
+// Compared against when the email is unknown so response time doesn't reveal which addresses exist
+const PORTAL_DUMMY_HASH = bcrypt.hashSync('portal-timing-equaliser', 10);
+
+function _normalizeEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) ? e : null;
+}
+
+function _hashPortalSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// Public URL of the portal page, used in emailed links.
+// PORTAL_BASE_URL, else the first ALLOWED_ORIGINS entry, else this request's host.
+function _portalUrl(req) {
+  if (process.env.PORTAL_BASE_URL) return process.env.PORTAL_BASE_URL.replace(/\/+$/, '');
+  if (allowedOrigins[0]) return `${allowedOrigins[0]}/portal`;
+  const host = req.headers.host || 'localhost';
+  return `${/^(localhost|127\.0\.0\.1)(:|$)/.test(host) ? 'http' : 'https'}://${host}/portal`;
+}
+
+// Issue a single-use secret for a portal user. Earlier unused secrets with the
+// same purpose are withdrawn, so only the newest link or code works.
+async function _issuePortalSecret(portalUserId, purpose, secret, ttlMs) {
+  const now = new Date();
+  await supabase.from('portal_login_tokens').delete().lt('expires_at', now.toISOString());
+  await supabase.from('portal_login_tokens').delete()
+    .eq('portal_user_id', portalUserId).eq('purpose', purpose).is('used_at', null);
+  const { error } = await supabase.from('portal_login_tokens').insert({
+    portal_user_id: portalUserId,
+    purpose,
+    token_hash: _hashPortalSecret(secret),
+    expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+  });
+  if (error) throw error;
+}
+
+// Email an invite (no password yet) or reset link. Returns the delivery error, if any.
+async function _sendPortalLink(req, user, clientName, purpose) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await _issuePortalSecret(user.id, purpose, secret, purpose === 'invite' ? PORTAL_INVITE_TTL_MS : PORTAL_RESET_TTL_MS);
+  const link = `${_portalUrl(req)}?${purpose}=${encodeURIComponent(secret)}`;
+  const text = purpose === 'invite'
+    ? `Hi${user.name ? ' ' + user.name : ''},\n\nYou've been given access to the ${clientName} project portal at Creative Juice Agency.\n\nSet your password here (link valid for 7 days):\n${link}\n`
+    : `Hi${user.name ? ' ' + user.name : ''},\n\nA password reset was requested for your ${clientName} portal account.\n\nChoose a new password here (link valid for 24 hours):\n${link}\n`;
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      subject: purpose === 'invite' ? `Your ${clientName} project portal access` : 'Reset your project portal password',
+      text,
+    });
+    return null;
+  } catch (e) {
+    log.error(`Portal ${purpose} email failed`, { err: e, portalUserId: user.id });
+    return errors.classify(e).message;
+  }
+}
+
+// Portal user + their client, or null. Sign-in is allowed only while the user,
+// the client and the client's portal switch are all on.
+async function _loadPortalUser(filter) {
+  let q = supabase.from('portal_users').select('*');
+  q = filter.id ? q.eq('id', filter.id) : q.eq('email', filter.email);
+  const { data: user } = await q.maybeSingle();
+  if (!user) return null;
+  const client = await repos.clients.get(user.client_id, 'id,name,active,portal_active');
+  return { user, client, canSignIn: !!(user.active && client?.active && client?.portal_active) };
+}
+
+async function _registerPortalFailure(user) {
+  const failures = (user.failed_attempts || 0) + 1;
+  const updates = { failed_attempts: failures };
+  if (failures >= PORTAL_MAX_FAILURES) {
+    updates.failed_attempts = 0;
+    updates.locked_until = new Date(Date.now() + PORTAL_LOCKOUT_MS).toISOString();
+  }
+  await supabase.from('portal_users').update(updates).eq('id', user.id);
+  return { locked: failures >= PORTAL_MAX_FAILURES };
+}
+
+function _portalLockedMessage(user) {
+  const minsLeft = Math.ceil((new Date(user.locked_until) - new Date()) / 60000);
+  return `Account locked. Try again in ${minsLeft} minute${minsLeft===1?'':'s'}.`;
+}
+
+// Record the login and hand out a portal token
+async function _completePortalLogin(req, user, client) {
+  await supabase.from('portal_users').update({
+    failed_attempts: 0, locked_until: null,
+    last_login_at: new Date().toISOString(), last_login_ip: clientIp(req),
+  }).eq('id', user.id);
+  const { token } = await startPortalSession(user, client, req);
+  return {
+    token,
+    user:   { id: user.id, name: user.name, email: user.email },
+    client: { id: client.id, name: client.name },
+  };
+}
+
+const portalCodeRateLimit = rateLimit({
+  name: 'portal-code', windowMs: 15 * 60 * 1000, max: 3,
+  key: req => _normalizeEmail(req.body?.email) || clientIp(req),
+  message: secs => `A code was sent recently. Try again in ${Math.ceil(secs/60)} minutes.`,
+});
+
+// Public — email + password
+app.post('/api/portal/login', portalLoginRateLimit, async (req, res, next) => {
+  try {
+    const email = _normalizeEmail(req.body?.email);
+    const password = String(req.body?.password || '');
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+
+    const found = await _loadPortalUser({ email });
+    const user = found?.user;
+    if (user?.locked_until && new Date(user.locked_until) > new Date()) {
+      return res.status(429).json({ error: _portalLockedMessage(user), lockedUntil: user.locked_until });
+    }
+    const ok = await bcrypt.compare(password, user?.password_hash || PORTAL_DUMMY_HASH);
+    if (!ok || !user?.password_hash) {
+      if (user) {
+        const result = await _registerPortalFailure(user);
+        if (result.locked) return res.status(429).json({ error: `Too many failed attempts. Account locked for ${PORTAL_LOCKOUT_MS/60000} minutes.` });
+      }
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+    if (!found.canSignIn) return res.status(403).json({ error: 'Portal access is turned off for this account' });
+
+    res.json(await _completePortalLogin(req, user, found.client));
+  } catch (e) { next(e); }
+});
+
+// Public — email a one-time login code. Always answers ok so it can't be used
+// to find out which addresses have portal accounts.
+app.post('/api/portal/login/code', portalLoginRateLimit, portalCodeRateLimit, async (req, res, next) => {
+  try {
+    const email = _normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: 'Valid email required' });
+    const found = await _loadPortalUser({ email });
+    if (found?.canSignIn) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      await _issuePortalSecret(found.user.id, 'login_code', code, PORTAL_CODE_TTL_MS);
+      try {
+        await mailer.sendMail({
+          to: found.user.email,
+          subject: `${code} is your project portal sign-in code`,
+          text: `Your sign-in code for the ${found.client.name} project portal is:\n\n${code}\n\nIt expires in ${PORTAL_CODE_TTL_MS/60000} minutes. If you didn't ask for it, you can ignore this email.\n`,
+        });
+      } catch (e) {
+        log.error('Portal login code email failed', { err: e, portalUserId: found.user.id });
+      }
+    }
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// Public — redeem a login code
+app.post('/api/portal/login/code/verify', portalLoginRateLimit, async (req, res, next) => {
+  try {
+    const email = _normalizeEmail(req.body?.email);
+    const code = String(req.body?.code || '').replace(/\s/g, '');
+    if (!email || !code) return res.status(400).json({ error: 'Email and code required' });
+
+    const found = await _loadPortalUser({ email });
+    if (!found?.canSignIn) return res.status(401).json({ error: 'Invalid or expired code' });
+    const { data: row } = await supabase.from('portal_login_tokens')
+      .select('id,token_hash,attempts')
+      .eq('portal_user_id', found.user.id).eq('purpose', 'login_code').is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false }).limit(1).maybeSingle();
+    if (!row) return res.status(401).json({ error: 'Invalid or expired code' });
+
+    const expected = Buffer.from(row.token_hash, 'hex');
+    const given = Buffer.from(_hashPortalSecret(code), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      // A code only survives a few guesses, then a new one has to be requested
+      const attempts = (row.attempts || 0) + 1;
+      await supabase.from('portal_login_tokens').update({
+        attempts, used_at: attempts >= PORTAL_CODE_MAX_TRIES ? new Date().toISOString() : null,
+      }).eq('id', row.id);
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+    // Conditional on used_at still being null so two concurrent sign-ins can't both spend it
+    const { data: claimed, error: claimError } = await supabase.from('portal_login_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', row.id).is('used_at', null).select('id');
+    if (claimError) throw claimError;
+    if (!claimed?.length) return res.status(401).json({ error: 'Invalid or expired code' });
+    res.json(await _completePortalLogin(req, found.user, found.client));
+  } catch (e) { next(e); }
+});
+
+// Public — set a password from an invite or reset link, then sign in
+app.post('/api/portal/password', portalLoginRateLimit, async (req, res, next) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token) return res.status(400).json({ error: 'Link token required' });
+    if (!password || String(password).length < PORTAL_MIN_PASSWORD) {
+      return res.status(400).json({ error: `Password must be at least ${PORTAL_MIN_PASSWORD} characters` });
+    }
+    const { data: row } = await supabase.from('portal_login_tokens')
+      .select('id,portal_user_id,purpose')
+      .eq('token_hash', _hashPortalSecret(token)).in('purpose', ['invite', 'reset']).is('used_at', null)
+      .gt('expires_at', new Date().toISOString()).maybeSingle();
+    if (!row) return res.status(400).json({ error: 'This link has expired or was already used — ask for a new one' });
+
+    const found = await _loadPortalUser({ id: row.portal_user_id });
+    if (!found?.canSignIn) return res.status(403).json({ error: 'Portal access is turned off for this account' });
+
+    // Spend the link before setting anything, conditional on used_at still
+    // being null, so two requests with the same link can't both get through
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabase.from('portal_login_tokens')
+      .update({ used_at: now })
+      .eq('id', row.id).is('used_at', null).select('id');
+    if (claimError) throw claimError;
+    if (!claimed?.length) return res.status(400).json({ error: 'This link has expired or was already used — ask for a new one' });
+
+    const { error } = await supabase.from('portal_users')
+      .update({ password_hash: await bcrypt.hash(String(password), 10) }).eq('id', found.user.id);
+    if (error) throw error;
+    // Any other outstanding invite/reset links for this user stop working too
+    await supabase.from('portal_login_tokens').update({ used_at: now })
+      .eq('portal_user_id', found.user.id).in('purpose', ['invite', 'reset']).is('used_at', null);
+    // A new password signs out every existing login for this user
+    await portalSessions.revokePortalSessions({ portalUserId: found.user.id });
+
+    await auditLog({ sub: null, name: `portal:${found.user.email}` },
+      row.purpose === 'invite' ? 'PORTAL_INVITE_ACCEPTED' : 'PORTAL_PASSWORD_RESET', 'portal_users', found.user.id, { ip: clientIp(req) });
+    res.json(await _completePortalLogin(req, found.user, found.client));
+  } catch (e) { next(e); }
+});
+
+// Sign out — revokes the session behind the current portal token
+app.post('/api/portal/logout', requirePortalAuth, async (req, res, next) => {
+  try {
+    await portalSessions.revokePortalSessions({ id: req.portalClient.jti });
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// ── Portal user administration ───────────────────────────────────────────────
+
+function mapPortalUser(u) {
+  return {
+    id:           u.id,
+    clientId:     u.client_id,
+    email:        u.email,
+    name:         u.name,
+    active:       u.active,
+    hasPassword:  !!u.password_hash,
+    lockedUntil:  u.locked_until && new Date(u.locked_until) > new Date() ? u.locked_until : null,
+    invitedAt:    u.invited_at,
+    lastLoginAt:  u.last_login_at,
+    lastLoginIp:  u.last_login_ip,
+    createdAt:    u.created_at,
+  };
+}
+
+app.get('/api/clients/:id/portal-users', requireAuth, requirePermission('portal.manage'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase.from('portal_users').select('*')
+      .eq('client_id', req.params.id).order('created_at');
+    if (error) throw error;
+    res.json(data.map(mapPortalUser));
+  } catch (e) { next(e); }
+});
+
+// Create a portal user and email them an invite link
+app.post('/api/clients/:id/portal-users', requireAuth, requirePermission('portal.manage'), validateBody(schemas.portalUserCreate), async (req, res, next) => {
+  try {
+    const email = _normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: 'Valid email required' });
+    const client = await repos.clients.get(req.params.id, 'id,name');
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const { data, error } = await supabase.from('portal_users').insert({
+      client_id:  client.id,
+      email,
+      name:       (req.body.name || '').trim() || null,
+      invited_by: req.user.sub,
+      invited_at: new Date().toISOString(),
+    }).select().single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'A portal user with this email already exists' });
+      throw error;
     }
-    if (!matchedClient) return res.status(401).json({ error: 'Invalid PIN' });
+    const emailError = await _sendPortalLink(req, data, client.name, 'invite');
+    await auditLog(req.user, 'INVITE_PORTAL_USER', 'portal_users', data.id, { clientId: client.id, email, emailSent: !emailError });
+    res.status(201).json({ ...mapPortalUser(data), ...(emailError ? { emailError } : {}) });
+  } catch (e) { next(e); }
+});
 
-    const token = jwt.sign({
-      scope: 'portal',
-      clientId: matchedClient.id,
-      clientName: matchedClient.name,
-    }, PORTAL_JWT_SECRET, { expiresIn: PORTAL_TOKEN_TTL });
+app.patch('/api/portal-users/:id', requireAuth, requirePermission('portal.manage'), validateBody(schemas.portalUserUpdate), async (req, res, next) => {
+  try {
+    const updates = {};
+    if (req.body.name   !== undefined) updates.name   = (req.body.name || '').trim() || null;
+    if (req.body.active !== undefined) updates.active = !!req.body.active;
+    if (req.body.unlock) { updates.locked_until = null; updates.failed_attempts = 0; }
+    if (!Object.keys(updates).length) return res.status(400).json({ error: 'Nothing to update' });
+    const { data, error } = await supabase.from('portal_users').update(updates).eq('id', req.params.id).select().maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Portal user not found' });
+    const action = updates.active === false ? 'DISABLE_PORTAL_USER' : updates.active === true ? 'ENABLE_PORTAL_USER' : 'UPDATE_PORTAL_USER';
+    const sessionsRevoked = updates.active === false ? await portalSessions.revokePortalSessions({ portalUserId: data.id }) : undefined;
+    await auditLog(req.user, action, 'portal_users', data.id, { email: data.email, fields: Object.keys(updates), sessionsRevoked });
+    res.json(mapPortalUser(data));
+  } catch (e) { next(e); }
+});
 
-    res.json({ token, client: { id: matchedClient.id, name: matchedClient.name } });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+// Clear the user's password and email them a link to choose a new one.
+// Users who never accepted their invite get a fresh invite instead.
+app.post('/api/portal-users/:id/reset', requireAuth, requirePermission('portal.manage'), async (req, res, next) => {
+  try {
+    const found = await _loadPortalUser({ id: req.params.id });
+    if (!found) return res.status(404).json({ error: 'Portal user not found' });
+    const purpose = found.user.password_hash ? 'reset' : 'invite';
+    const { data, error } = await supabase.from('portal_users').update({
+      password_hash: null, failed_attempts: 0, locked_until: null,
+      ...(purpose === 'invite' ? { invited_at: new Date().toISOString(), invited_by: req.user.sub } : {}),
+    }).eq('id', found.user.id).select().single();
+    if (error) throw error;
+    const sessionsRevoked = await portalSessions.revokePortalSessions({ portalUserId: data.id });
+    const emailError = await _sendPortalLink(req, data, found.client?.name || 'client', purpose);
+    await auditLog(req.user, purpose === 'invite' ? 'RESEND_PORTAL_INVITE' : 'RESET_PORTAL_USER', 'portal_users', data.id, {
+      email: data.email, emailSent: !emailError, sessionsRevoked,
+    });
+    res.json({ ...mapPortalUser(data), ...(emailError ? { emailError } : {}) });
+  } catch (e) { next(e); }
 });
 
-// Middleware: verify portal token
-function requirePortalAuth(req, res, next) {
-  const auth = req.headers.authorization || '';
-  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
+app.delete('/api/portal-users/:id', requireAuth, requirePermission('portal.manage'), async (req, res, next) => {
   try {
-    const payload = jwt.verify(token, PORTAL_JWT_SECRET);
-    if (payload.scope !== 'portal') return res.status(403).json({ error: 'Invalid token scope' });
-    req.portalClient = payload;
-    next();
-  } catch (e) { return res.status(401).json({ error: 'Invalid token' }); }
+    const { data, error } = await supabase.from('portal_users').delete().eq('id', req.params.id).select('id,email,client_id').maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Portal user not found' });
+    await auditLog(req.user, 'DELETE_PORTAL_USER', 'portal_users', data.id, { email: data.email, clientId: data.client_id });
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// Admin — list / kill a client's portal sessions
+function mapPortalSession(s) {
+  return {
+    id:           s.id,
+    portalUserId: s.portal_user_id,
+    userName:     s.portal_users?.name || null,
+    userEmail:    s.portal_users?.email || null,
+    device:       s.device,
+    ip:           s.ip,
+    createdAt:    s.created_at,
+    lastSeenAt:   s.last_seen_at,
+    expiresAt:    s.expires_at,
+  };
 }
 
+app.get('/api/clients/:id/portal-sessions', requireAuth, requirePermission('portal.manage'), async (req, res, next) => {
+  try {
+    const rows = await portalSessions.listActivePortalSessions(req.params.id);
+    res.json(rows.map(mapPortalSession));
+  } catch (e) { next(e); }
+});
+
+app.delete('/api/clients/:id/portal-sessions/:sessionId', requireAuth, requirePermission('portal.manage'), async (req, res, next) => {
+  try {
+    const count = await portalSessions.revokePortalSessions({ id: req.params.sessionId, clientId: req.params.id });
+    if (!count) return res.status(404).json({ error: 'Session not found' });
+    await auditLog(req.user, 'REVOKE_PORTAL_SESSION', 'portal_sessions', req.params.sessionId, { clientId: req.params.id });
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+app.delete('/api/clients/:id/portal-sessions', requireAuth, requirePermission('portal.manage'), async (req, res, next) => {
+  try {
+    const count = await portalSessions.revokePortalSessions({ clientId: req.params.id });
+    await auditLog(req.user, 'REVOKE_ALL_PORTAL_SESSIONS', 'clients', req.params.id, { count });
+    res.json({ ok: true, revoked: count });
+  } catch (e) { next(e); }
+});
+
 /**
  * Get all data this client is allowed to see.
  * Returns: projects (stripped), deliverables, task_deliverables, tasks (minimal), deliverable_types
  * Explicitly excludes: assignees, hours, amounts, comments, expenses, audit, team, deals, pay info.
  */
-app.get('/api/portal/data', requirePortalAuth, async (req, res) => {
+app.get('/api/portal/data', requirePortalAuth, async (req, res, next) => {
   try {
     const clientId = req.portalClient.clientId;
 
     // Fetch the full client record to get portal_links
-    const { data: clientRow } = await supabase.from('clients').select('id,name,portal_links').eq('id', clientId).single();
+    const clientRow = await repos.clients.get(clientId, 'id,name,portal_links');
     const portalLinks = Array.isArray(clientRow?.portal_links) ? clientRow.portal_links : [];
 
     // Find all deals for this client → then projects for those deals
-    const { data: deals } = await supabase.from('deals').select('id,name').eq('client_id', clientId);
-    const dealIds = (deals || []).map(d => d.id);
+    const deals = await repos.deals.list({ where: { client_id: clientId }, columns: 'id,name' });
+    const dealIds = deals.map(d => d.id);
     if (!dealIds.length) {
-      return res.json({ client: { id: clientId, name: req.portalClient.clientName, portalLinks }, projects: [], deliverables: [], deliverableTypes: [] });
+      return res.json({ client: { id: clientId, name: req.portalClient.clientName, portalLinks }, user: { id: req.portalClient.sub, name: req.portalClient.name }, projects: [], deliverables: [], deliverableTypes: [] });
     }
 
-    const { data: projects } = await supabase.from('projects').select('id,name,start_date,end_date,status,deal_id,publishes_content,edit_hours_budget')
-      .in('deal_id', dealIds).eq('archived', false);
-    const projectIds = (projects || []).map(p => p.id);
+    const projects = await repos.projects.list({
+      where: { deal_id: dealIds, archived: false },
+      columns: 'id,name,start_date,end_date,status,deal_id,publishes_content,edit_hours_budget',
+    });
+    const projectIds = projects.map(p => p.id);
 
-    const [ { data: deliverables }, { data: dTypes } ] = await Promise.all([
-      projectIds.length ? supabase.from('deliverables').select('*').in('project_id', projectIds) : Promise.resolve({ data: [] }),
-      supabase.from('deliverable_types').select('id,name,project_id,publishable').eq('active', true),
+    const [deliverables, dTypes] = await Promise.all([
+      projectIds.length ? repos.deliverables.list({ where: { project_id: projectIds } }) : Promise.resolve([]),
+      repos.deliverableTypes.list({ where: { active: true }, columns: 'id,name,project_id,publishable' }),
     ]);
 
     // Fetch tasks and links, but strip admin-tagged tasks from what the client sees
     let tLinks = [], tRows = [], allTasksForBudget = [];
     if (projectIds.length) {
-      const [linksResp, tasksResp] = await Promise.all([
-        supabase.from('task_deliverables').select('task_id,deliverable_id'),
-        supabase.from('tasks').select('id,title,status,due_date,publish_date,project_id,tag,publishable,est_hours,updated_at,created_at').in('project_id', projectIds),
+      const [links, tasks] = await Promise.all([
+        repos.taskDeliverables.list({ columns: 'task_id,deliverable_id' }),
+        repos.tasks.list({
+          where: { project_id: projectIds },
+          columns: 'id,title,status,due_date,publish_date,project_id,tag,publishable,est_hours,updated_at,created_at',
+        }),
       ]);
-      if (tasksResp.error) console.error('[portal/data] tasks error:', tasksResp.error);
-      if (linksResp.error) console.error('[portal/data] links error:', linksResp.error);
-      allTasksForBudget = tasksResp.data || [];
+      allTasksForBudget = tasks;
       // Strip admin-tagged tasks from client view — clients don't need to see internal admin work
       tRows = allTasksForBudget.filter(t => t.tag !== 'admin');
       const taskIdSet = new Set(tRows.map(t => t.id));
-      tLinks = (linksResp.data || []).filter(l => taskIdSet.has(l.task_id));
+      tLinks = links.filter(l => taskIdSet.has(l.task_id));
     }
 
     // Compute edit hours used per project (sum of est_hours on post-production tasks)
@@ -2376,6 +3795,7 @@ app.get('/api/portal/data', requirePortalAuth, async (req, res) => {
 
     res.json({
       client: { id: clientId, name: req.portalClient.clientName, portalLinks },
+      user: { id: req.portalClient.sub, name: req.portalClient.name },
       projects: (projects || []).map(p => ({
         id: p.id, name: p.name,
         startDate: p.start_date, endDate: p.end_date,
@@ -2398,7 +3818,7 @@ app.get('/api/portal/data', requirePortalAuth, async (req, res) => {
         updatedAt: t.updated_at || t.created_at || null,
       })),
     });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 
@@ -2414,6 +3834,7 @@ function mapTeamMember(m) {
     monthCap:       m.month_cap != null ? m.month_cap : 180,
     active:         m.active,
     authRole:       m.auth_role,
+    pinLoginDisabled: !!m.pin_login_disabled,
   };
 }
 
@@ -2432,6 +3853,7 @@ function mapDeal(d) {
     buckets:       d.buckets || [],
     prob:          d.prob || 0,
     isRetainer:    !!d.is_retainer,
+    version:       d.version,
   };
 }
 
@@ -2448,6 +3870,7 @@ function mapProject(p) {
     payoutsFinalized: p.payouts_finalized || false,
     publishesContent: p.publishes_content || false,
     editHoursBudget:  p.edit_hours_budget != null ? parseFloat(p.edit_hours_budget) : null,
+    version:          p.version,
   };
 }
 
@@ -2469,6 +3892,7 @@ function mapTask(t) {
     updatedAt:   t.updated_at || t.created_at || null,
     completedAt: t.completed_at || null,
     createdAt:   t.created_at || null,
+    version:     t.version,
   };
 }
 
@@ -2479,7 +3903,6 @@ function mapClient(c) {
     active:       c.active,
     notes:        c.notes,
     portalActive: c.portal_active || false,
-    hasPin:       !!c.pin_hash,
     portalLinks:  Array.isArray(c.portal_links) ? c.portal_links : [],
     createdAt:    c.created_at,
   };
@@ -2602,6 +4025,7 @@ function mapQuote(q, lineItems = []) {
     createdBy:   q.created_by || null,
     createdAt:   q.created_at,
     updatedAt:   q.updated_at,
+    version:     q.version,
     lineItems:   lineItems.map(mapQuoteLineItem),
   };
 }
@@ -2621,36 +4045,29 @@ function mapQuoteLineItem(li) {
 }
 
 // GET all quotes with line items
-app.get('/api/quotes', requireAuth, async (req, res) => {
-  try {
-    const { data: quotes, error: qErr } = await supabase
-      .from('quotes').select('*').order('created_at', { ascending: false });
-    if (qErr) throw qErr;
-    const { data: lines, error: lErr } = await supabase
-      .from('quote_line_items').select('*').order('sort_order');
-    if (lErr) throw lErr;
+app.get('/api/quotes', requireAuth, requirePermission('quotes.view'), async (req, res, next) => {
+  try {
+    const [quotes, lines] = await Promise.all([repos.quotes.list(), repos.quoteLineItems.list()]);
     const linesByQuote = {};
-    (lines || []).forEach(l => {
+    lines.forEach(l => {
       if (!linesByQuote[l.quote_id]) linesByQuote[l.quote_id] = [];
       linesByQuote[l.quote_id].push(l);
     });
-    res.json((quotes || []).map(q => mapQuote(q, linesByQuote[q.id] || [])));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json(quotes.map(q => mapQuote(q, linesByQuote[q.id] || [])));
+  } catch (e) { next(e); }
 });
 
 // POST create quote
-app.post('/api/quotes', requireAuth, async (req, res) => {
+app.post('/api/quotes', requireAuth, requirePermission('quotes.write'), validateBody(schemas.quoteCreate), async (req, res, next) => {
   try {
     const { name, client, status, overheadPct, notes, lineItems } = req.body;
-    if (!name?.trim()) return res.status(400).json({ error: 'name required' });
-    const { data: q, error: qErr } = await supabase.from('quotes').insert({
+    const q = await repos.quotes.create({
       name: name.trim(), client: client || '',
       status: status || 'draft',
       overhead_pct: overheadPct ?? 20,
       notes: notes || null,
       created_by: req.user?.id || null,
-    }).select().single();
-    if (qErr) throw qErr;
+    });
     let savedLines = [];
     if (lineItems?.length) {
       const rows = lineItems.map((li, i) => ({
@@ -2660,54 +4077,46 @@ app.post('/api/quotes', requireAuth, async (req, res) => {
         deliverable_type_id: li.deliverableTypeId || null,
         sort_order: i,
       }));
-      const { data: lines, error: lErr } = await supabase.from('quote_line_items').insert(rows).select();
-      if (lErr) throw lErr;
-      savedLines = lines || [];
+      savedLines = await repos.quoteLineItems.createMany(rows);
     }
     res.status(201).json(mapQuote(q, savedLines));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // PATCH update quote
-app.patch('/api/quotes/:id', requireAuth, async (req, res) => {
+app.patch('/api/quotes/:id', requireAuth, requirePermission('quotes.write'), validateBody(schemas.quoteUpdate), requireVersion, async (req, res, next) => {
   try {
-    const updates = { updated_at: new Date().toISOString() };
-    if (req.body.name        !== undefined) updates.name         = req.body.name;
-    if (req.body.client      !== undefined) updates.client       = req.body.client;
-    if (req.body.status      !== undefined) updates.status       = req.body.status;
-    if (req.body.overheadPct !== undefined) updates.overhead_pct = req.body.overheadPct;
-    if (req.body.notes       !== undefined) updates.notes        = req.body.notes || null;
-    if (req.body.dealId      !== undefined) updates.deal_id      = req.body.dealId || null;
-    const { data: q, error } = await supabase.from('quotes').update(updates).eq('id', req.params.id).select().single();
-    if (error) throw error;
-    // Replace line items if provided
-    if (req.body.lineItems !== undefined) {
-      await supabase.from('quote_line_items').delete().eq('quote_id', req.params.id);
-      if (req.body.lineItems.length) {
-        const rows = req.body.lineItems.map((li, i) => ({
-          quote_id: req.params.id, description: li.description,
-          quantity: li.quantity || 1, hours_per_unit: li.hoursPerUnit || 0,
-          rate_per_hour: li.ratePerHour || 70,
-          rate_label: li.rateLabel || 'Production Pool',
-          deliverable_type_id: li.deliverableTypeId || null,
-          sort_order: i,
-        }));
-        await supabase.from('quote_line_items').insert(rows);
-      }
+    const changes = {};
+    if (req.body.name        !== undefined) changes.name         = req.body.name;
+    if (req.body.client      !== undefined) changes.client       = req.body.client;
+    if (req.body.status      !== undefined) changes.status       = req.body.status;
+    if (req.body.overheadPct !== undefined) changes.overhead_pct = req.body.overheadPct;
+    if (req.body.notes       !== undefined) changes.notes        = req.body.notes || null;
+    if (req.body.dealId      !== undefined) changes.deal_id      = req.body.dealId || null;
+    // Line items, if given, replace the existing ones in the same transaction
+    const lineItems = req.body.lineItems?.map(li => ({
+      description: li.description,
+      quantity: li.quantity || 1, hours_per_unit: li.hoursPerUnit || 0,
+      rate_per_hour: li.ratePerHour || 70,
+      rate_label: li.rateLabel || 'Production Pool',
+      deliverable_type_id: li.deliverableTypeId || null,
+    }));
+    const q = await repos.quotes.updateWithLines(req.params.id, changes, lineItems, { version: req.version });
+    if (!q) {
+      return conflict(res, 'Quote', await repos.quotes.get(req.params.id),
+        async cur => mapQuote(cur, await repos.quoteLineItems.list({ where: { quote_id: cur.id } })));
     }
-    const { data: lines } = await supabase.from('quote_line_items').select('*')
-      .eq('quote_id', req.params.id).order('sort_order');
-    res.json(mapQuote(q, lines || []));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const lines = await repos.quoteLineItems.list({ where: { quote_id: req.params.id } });
+    res.json(mapQuote(q, lines));
+  } catch (e) { next(e); }
 });
 
 // DELETE quote
-app.delete('/api/quotes/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/quotes/:id', requireAuth, requirePermission('quotes.delete'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('quotes').delete().eq('id', req.params.id);
-    if (error) throw error;
+    await repos.quotes.remove(req.params.id);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // ─── RETAINER CONTRACTS ──────────────────────────────────────────────────────
@@ -2746,41 +4155,34 @@ function mapRetainerBucket(b) {
 }
 
 // GET all retainer contracts with buckets
-app.get('/api/retainer-contracts', requireAuth, async (req, res) => {
-  try {
-    const { data: contracts, error: cErr } = await supabase
-      .from('retainer_contracts').select('*').order('start_month');
-    if (cErr) throw cErr;
-    const { data: buckets, error: bErr } = await supabase
-      .from('retainer_buckets').select('*').order('sort_order');
-    if (bErr) throw bErr;
+app.get('/api/retainer-contracts', requireAuth, requirePermission('retainers.view'), async (req, res, next) => {
+  try {
+    const [contracts, buckets] = await Promise.all([repos.retainerContracts.list(), repos.retainerBuckets.list()]);
     const bucketsByContract = {};
-    (buckets || []).forEach(b => {
+    buckets.forEach(b => {
       if (!bucketsByContract[b.contract_id]) bucketsByContract[b.contract_id] = [];
       bucketsByContract[b.contract_id].push(b);
     });
-    res.json((contracts || []).map(c => mapRetainerContract(c, bucketsByContract[c.id] || [])));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json(contracts.map(c => mapRetainerContract(c, bucketsByContract[c.id] || [])));
+  } catch (e) { next(e); }
 });
 
 // POST create retainer contract
-app.post('/api/retainer-contracts', requireAuth, async (req, res) => {
+app.post('/api/retainer-contracts', requireAuth, requirePermission('retainers.write'), validateBody(schemas.retainerContractCreate), async (req, res, next) => {
   try {
     const { name, client, startMonth, endMonth, totalValue, notes } = req.body;
-    if (!name?.trim()) return res.status(400).json({ error: 'name required' });
-    const { data: c, error } = await supabase.from('retainer_contracts').insert({
+    const c = await repos.retainerContracts.create({
       name: name.trim(), client: client || '',
       start_month: startMonth, end_month: endMonth,
       total_value: totalValue || null,
       notes: notes || null,
-    }).select().single();
-    if (error) throw error;
+    });
     res.status(201).json(mapRetainerContract(c, []));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // PATCH update retainer contract
-app.patch('/api/retainer-contracts/:id', requireAuth, async (req, res) => {
+app.patch('/api/retainer-contracts/:id', requireAuth, requirePermission('retainers.write'), validateBody(schemas.retainerContractUpdate), async (req, res, next) => {
   try {
     const updates = { updated_at: new Date().toISOString() };
     if (req.body.name       !== undefined) updates.name        = req.body.name;
@@ -2789,30 +4191,27 @@ app.patch('/api/retainer-contracts/:id', requireAuth, async (req, res) => {
     if (req.body.endMonth   !== undefined) updates.end_month   = req.body.endMonth;
     if (req.body.totalValue !== undefined) updates.total_value = req.body.totalValue || null;
     if (req.body.notes      !== undefined) updates.notes       = req.body.notes || null;
-    const { data: c, error } = await supabase.from('retainer_contracts').update(updates)
-      .eq('id', req.params.id).select().single();
-    if (error) throw error;
-    const { data: buckets } = await supabase.from('retainer_buckets').select('*')
-      .eq('contract_id', req.params.id).order('sort_order');
-    res.json(mapRetainerContract(c, buckets || []));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const c = await repos.retainerContracts.update(req.params.id, updates);
+    if (!c) return res.status(404).json({ error: 'Retainer contract not found' });
+    const buckets = await repos.retainerBuckets.list({ where: { contract_id: req.params.id } });
+    res.json(mapRetainerContract(c, buckets));
+  } catch (e) { next(e); }
 });
 
 // DELETE retainer contract (cascades to buckets)
-app.delete('/api/retainer-contracts/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/retainer-contracts/:id', requireAuth, requirePermission('retainers.delete'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('retainer_contracts').delete().eq('id', req.params.id);
-    if (error) throw error;
+    await repos.retainerContracts.remove(req.params.id);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // POST create bucket
-app.post('/api/retainer-contracts/:contractId/buckets', requireAuth, async (req, res) => {
+app.post('/api/retainer-contracts/:contractId/buckets', requireAuth, requirePermission('retainers.write'), validateBody(schemas.retainerBucketCreate), async (req, res, next) => {
   try {
     const { name, unit, unitType, contractedQty, deliverableTypeId, manualConsumed,
             phaseLabel, phaseStartMonth, phaseEndMonth, sortOrder, notes } = req.body;
-    const { data: b, error } = await supabase.from('retainer_buckets').insert({
+    const b = await repos.retainerBuckets.create({
       contract_id: req.params.contractId,
       name: name || 'New Bucket', unit: unit || 'items',
       unit_type: unitType || 'count',
@@ -2825,14 +4224,13 @@ app.post('/api/retainer-contracts/:contractId/buckets', requireAuth, async (req,
       phase_end_month: phaseEndMonth || null,
       sort_order: sortOrder || 0,
       notes: notes || null,
-    }).select().single();
-    if (error) throw error;
+    });
     res.status(201).json(mapRetainerBucket(b));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // PATCH update bucket
-app.patch('/api/retainer-buckets/:id', requireAuth, async (req, res) => {
+app.patch('/api/retainer-buckets/:id', requireAuth, requirePermission('retainers.write'), validateBody(schemas.retainerBucketUpdate), async (req, res, next) => {
   try {
     const updates = {};
     ['name','unit','notes','phase_label','phase_start_month','phase_end_month'].forEach(f => {
@@ -2847,23 +4245,44 @@ app.patch('/api/retainer-buckets/:id', requireAuth, async (req, res) => {
     if (req.body.sortOrder          !== undefined) updates.sort_order           = req.body.sortOrder;
     if (req.body.name               !== undefined) updates.name                 = req.body.name;
     if (req.body.unit               !== undefined) updates.unit                 = req.body.unit;
-    const { data: b, error } = await supabase.from('retainer_buckets').update(updates)
-      .eq('id', req.params.id).select().single();
-    if (error) throw error;
+    const b = await repos.retainerBuckets.update(req.params.id, updates);
+    if (!b) return res.status(404).json({ error: 'Bucket not found' });
     res.json(mapRetainerBucket(b));
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
 });
 
 // DELETE bucket
-app.delete('/api/retainer-buckets/:id', requireAuth, requireCanDelete, async (req, res) => {
+app.delete('/api/retainer-buckets/:id', requireAuth, requirePermission('retainers.delete'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('retainer_buckets').delete().eq('id', req.params.id);
-    if (error) throw error;
+    await repos.retainerBuckets.remove(req.params.id);
     res.json({ ok: true });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { next(e); }
+});
+
+// ─── API DOCS ─────────────────────────────────────────────────────────────────
+// OpenAPI description generated from the routes and their request schemas
+// (lib/openapi.js, lib/schemas.js). Built on first request, once every route
+// above has been registered.
+
+let _openApiDoc = null;
+app.get('/api/docs/openapi.json', requireAuth, (req, res, next) => {
+  try {
+    if (!_openApiDoc) _openApiDoc = buildOpenApi(app, { version: require('../package.json').version });
+    res.json(_openApiDoc);
+  } catch (e) { next(e); }
 });
 
+// ─── ERRORS ───────────────────────────────────────────────────────────────────
+// Whatever a route passed to next(e), and /api paths nothing matched
+// (lib/errors.js).
+app.use('/api', errors.notFound);
+app.use(errors.handler);
+
 // ─── START ────────────────────────────────────────────────────────────────────
-app.listen(PORT, () => console.log(`CJ Agency API running on :${PORT}`));
+// Listens when run directly; Vercel and the tests (test/helpers/api.js) take
+// the exported app instead.
+if (require.main === module) {
+  app.listen(PORT, () => log.info(`CJ Agency API running on :${PORT}`, { port: Number(PORT) }));
+}
 
 module.exports = app;
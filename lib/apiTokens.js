@@ -0,0 +1,98 @@
+/**
+ * Personal access tokens for scripts and automations (api_tokens table).
+ *
+ * A token acts as its owner, limited to the owner's current permissions and to
+ * its own scope: 'read' tokens may only make GET requests, 'write' tokens may
+ * do anything the owner can. Only a SHA-256 of the token is stored; the
+ * plaintext is shown once, at creation. requireAuth (lib/auth.js) accepts
+ * these next to session JWTs — they're told apart by TOKEN_PREFIX.
+ */
+const crypto   = require('crypto');
+const supabase = require('./supabase');
+const log      = require('./logger');
+
+const TOKEN_PREFIX = 'cja_pat_';
+const SCOPES = ['read', 'write'];
+
+// Same throttle as sessions — last_used_at is for display, not security
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Create a token. Returns { row, token } — the plaintext token is not stored
+ * anywhere and can't be recovered later.
+ */
+async function createApiToken({ memberId, name, scope, expiresAt }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const { data, error } = await supabase.from('api_tokens').insert({
+    member_id:  memberId,
+    name,
+    scope,
+    token_hash: hashToken(token),
+    // Enough to recognise the token in a list without revealing it
+    token_hint: token.slice(0, TOKEN_PREFIX.length + 4),
+    expires_at: expiresAt || null,
+  }).select().single();
+  if (error) throw error;
+  return { row: data, token };
+}
+
+/** The token's row if it exists, isn't revoked and hasn't expired; else null. */
+async function findActiveApiToken(token) {
+  if (!isApiToken(token)) return null;
+  const { data, error } = await supabase.from('api_tokens')
+    .select('id, member_id, name, scope, expires_at, revoked_at, last_used_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || data.revoked_at) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+  return data;
+}
+
+/** Bump last_used_at / last_used_ip — throttled, best effort. */
+async function touchApiToken(row, ip) {
+  const last = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Date.now() - last < TOUCH_INTERVAL_MS) return;
+  try {
+    await supabase.from('api_tokens')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: ip || null })
+      .eq('id', row.id);
+  } catch (e) {
+    log.warn('API token touch failed', { err: e });
+  }
+}
+
+/** A member's tokens that haven't been revoked (expired ones included), newest first. */
+async function listApiTokens(memberId) {
+  const { data, error } = await supabase.from('api_tokens')
+    .select('id, name, scope, token_hint, created_at, expires_at, last_used_at, last_used_ip')
+    .eq('member_id', memberId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/** Revoke one of a member's tokens. Returns false if nothing was revoked. */
+async function revokeApiToken(id, memberId) {
+  const { data, error } = await supabase.from('api_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id).eq('member_id', memberId).is('revoked_at', null)
+    .select('id');
+  if (error) throw error;
+  return (data?.length || 0) > 0;
+}
+
+module.exports = {
+  TOKEN_PREFIX, SCOPES,
+  isApiToken, createApiToken, findActiveApiToken, touchApiToken,
+  listApiTokens, revokeApiToken,
+};
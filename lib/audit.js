@@ -0,0 +1,113 @@
+/**
+ * Row-level audit: every insert, update and delete on the audited tables
+ * writes an audit_log entry from the database itself (audit_row_change() in
+ * migrations/0015_row_audit.sql), with the row before and after. Because it
+ * happens in the database, writes made inside database functions and by the
+ * remaining direct queries are covered as well as those through lib/repos.
+ *
+ * The trigger learns who is acting from the request: every query the API
+ * sends carries CONTEXT_HEADER (base64 JSON of context()), which PostgREST
+ * hands to the trigger as request.headers. Writes outside a request — startup,
+ * timers — are recorded with the actor "system".
+ *
+ * The hand-written auditLog() entries in api/index.js stay: they say what an
+ * action meant (DELETE_DEAL, BLOCKED_EDIT_PAID_DEAL, …); these say exactly
+ * which rows it touched.
+ *
+ * The export helpers at the bottom write entries out as CSV or JSON Lines
+ * (GET /api/audit-log/export).
+ */
+const requestContext = require('./requestContext');
+
+const CONTEXT_HEADER = 'x-audit-context';
+
+// Never copied into the log. Kept in step with audit_row_change().
+const REDACTED_COLUMNS = ['pin_hash', 'totp_secret', 'password_hash', 'token_hash', 'code_hash'];
+const REDACTED = '[redacted]';
+
+/** A copy of `row` with secrets masked (NULLs stay NULL, so "was it set" still shows). */
+function redact(row) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const col of REDACTED_COLUMNS) if (out[col] != null) out[col] = REDACTED;
+  return out;
+}
+
+/**
+ * { actor_id, actor_name } for a signed-in member (req.user) or portal user
+ * (req.portalClient). Under "view as member" the admin is the one acting, so
+ * they're the actor, named with the member they're viewing as.
+ */
+function actorOf(user) {
+  if (!user) return { actor_id: null, actor_name: 'unknown' };
+  const imp = user.imp;
+  return {
+    actor_id:   imp ? imp.sub : user.sub || null,
+    actor_name: imp ? `${imp.name} (as ${user.name})` : user.name || 'unknown',
+  };
+}
+
+/**
+ * Who and where for the request being handled: { actor_id, actor_name, ip,
+ * request_id, route }, or null outside a request. The route is the matched
+ * pattern (PATCH /api/deals/:id) once routing has got that far.
+ */
+function context() {
+  const ctx = requestContext.current();
+  if (!ctx) return null;
+  const { req } = ctx;
+  const user = req.user || req.portalClient;
+  return {
+    ...(user ? actorOf(user) : { actor_id: null, actor_name: 'anonymous' }),
+    ip:         ctx.ip,
+    request_id: req.id || null,
+    route:      `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+  };
+}
+
+/** Wrap fetch so every database request carries CONTEXT_HEADER (lib/db). */
+function withContextHeader(fetchImpl) {
+  return (input, init = {}) => {
+    const ctx = context();
+    if (!ctx) return fetchImpl(input, init);
+    const headers = new Headers(init.headers);
+    headers.set(CONTEXT_HEADER, Buffer.from(JSON.stringify(ctx)).toString('base64'));
+    return fetchImpl(input, { ...init, headers });
+  };
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+// Columns of an exported entry, in order
+const EXPORT_COLUMNS = [
+  'created_at', 'actor_name', 'actor_id', 'action', 'table_name', 'record_id',
+  'changes', 'before', 'after', 'route', 'ip', 'request_id', 'id',
+];
+
+function _csvCell(v) {
+  if (v == null) return '';
+  let s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  // Spreadsheets run a cell starting with one of these as a formula
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** The CSV header line, newline included. */
+function csvHeader() {
+  return EXPORT_COLUMNS.join(',') + '\r\n';
+}
+
+/** One entry as a CSV line; JSON columns are written as JSON text. */
+function toCsvLine(entry) {
+  return EXPORT_COLUMNS.map(col => _csvCell(entry[col])).join(',') + '\r\n';
+}
+
+/** One entry as a JSON Lines line. */
+function toJsonLine(entry) {
+  return JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(col => [col, entry[col] ?? null]))) + '\n';
+}
+
+module.exports = {
+  CONTEXT_HEADER, REDACTED_COLUMNS, REDACTED, redact, actorOf, context, withContextHeader,
+  EXPORT_COLUMNS, csvHeader, toCsvLine, toJsonLine,
+};
@@ -1,21 +1,95 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const supabase = require('./supabase');
+const sessions = require('./sessions');
+const permissions = require('./permissions');
+const apiTokens = require('./apiTokens');
 
 const SECRET  = process.env.JWT_SECRET;
 const EXPIRES = process.env.JWT_EXPIRES_IN || '8h';
 
 if (!SECRET) throw new Error('JWT_SECRET is not set');
 
+// Restricted tokens issued to members who must enrol in 2FA before getting full access
+const SETUP_SCOPE   = 'totp_setup';
+const SETUP_EXPIRES = '15m';
+
+// "View as member" tokens: short-lived, never renewed, and read-only apart from
+// the routes below (see authenticate).
+const IMPERSONATION_EXPIRES = '30m';
+const IMPERSONATION_WRITE_ALLOWED = ['/api/auth/impersonation/stop', '/api/auth/logout'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
  * Sign a JWT for a logged-in team member.
- * Payload contains the minimum needed to re-identify the user.
+ * Payload contains the minimum needed to re-identify the user; `jti` is the
+ * id of the server-side session row the token belongs to. opts.scope marks a
+ * restricted token (see SETUP_SCOPE) — full-access tokens carry no scope.
+ * opts.impersonator (the admin's req.user) makes an impersonation token: the
+ * admin is recorded under `imp` alongside the session they started it from.
+ */
+function signToken(member, sessionId, opts = {}) {
+  const payload = { sub: member.id, name: member.name, role: member.auth_role };
+  if (opts.scope) payload.scope = opts.scope;
+  if (opts.impersonator) {
+    payload.imp = { sub: opts.impersonator.sub, name: opts.impersonator.name, jti: opts.impersonator.jti };
+  }
+  const expiresIn = opts.scope === SETUP_SCOPE ? SETUP_EXPIRES : opts.impersonator ? IMPERSONATION_EXPIRES : EXPIRES;
+  return jwt.sign(payload, SECRET, { expiresIn, jwtid: sessionId });
+}
+
+// Reverse proxies in front of the app that append to X-Forwarded-For (Vercel's
+// edge is one). The client is the entry that many hops from the right; anything
+// further left was sent by the caller and can be forged. 0 = ignore the header.
+const TRUSTED_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUSTED_PROXY_HOPS ?? '1', 10) || 0);
+
+/**
+ * Client IP for rate limiting, sessions and audit. Reads X-Forwarded-For from
+ * the right per TRUSTED_PROXY_HOPS, else falls back to the socket address.
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are unwrapped.
+ */
+function clientIp(req) {
+  let ip;
+  if (TRUSTED_PROXY_HOPS > 0) {
+    const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (hops.length) ip = hops[Math.max(0, hops.length - TRUSTED_PROXY_HOPS)];
+  }
+  ip = ip || req.socket?.remoteAddress;
+  if (!ip) return 'unknown';
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
+/** Expiry of a freshly signed token as an ISO string (mirrors the JWT `exp`). */
+function tokenExpiry(token) {
+  return new Date(jwt.decode(token).exp * 1000).toISOString();
+}
+
+/**
+ * Start a new session for a member: creates the session row and returns a
+ * token bound to it. Used by every login path.
  */
-function signToken(member) {
-  return jwt.sign(
-    { sub: member.id, name: member.name, role: member.auth_role },
-    SECRET,
-    { expiresIn: EXPIRES }
-  );
+async function startSession(member, req, opts = {}) {
+  const sessionId = sessions.newSessionId();
+  const token = signToken(member, sessionId, opts);
+  await sessions.createSession({
+    id:        sessionId,
+    memberId:  member.id,
+    ip:        clientIp(req),
+    userAgent: req.headers['user-agent'],
+    expiresAt: tokenExpiry(token),
+    impersonatorId: opts.impersonator?.sub,
+  });
+  return { token, sessionId };
+}
+
+/**
+ * Re-sign a token for an existing session and push the session expiry forward.
+ * The session keeps its id, so revoking it still kills the refreshed token.
+ */
+async function renewSession(member, sessionId) {
+  const token = signToken(member, sessionId);
+  await sessions.extendSession(sessionId, tokenExpiry(token));
+  return token;
 }
 
 /**
@@ -27,41 +101,119 @@ function verifyToken(token) {
 }
 
 /**
- * Express middleware — requires a valid Bearer token.
- * Attaches decoded payload to req.user.
+ * Express middleware — requires a valid, full-access Bearer token backed by a
+ * live session, or a personal API token (see lib/apiTokens.js). Attaches the
+ * decoded payload to req.user and the session row to req.session; for API
+ * tokens req.user carries `tokenId` / `tokenScope` and req.session is null.
  */
 function requireAuth(req, res, next) {
+  return authenticate(req, res, next, { allowSetupScope: false });
+}
+
+/**
+ * Express middleware — like requireAuth, but also admits the restricted
+ * 2FA-enrolment token. Only for the handful of routes that flow needs.
+ */
+function requireAuthOrSetup(req, res, next) {
+  return authenticate(req, res, next, { allowSetupScope: true });
+}
+
+async function authenticate(req, res, next, { allowSetupScope }) {
   const header = req.headers['authorization'] || '';
   const token  = header.startsWith('Bearer ') ? header.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'Authentication required' });
+  if (apiTokens.isApiToken(token)) return authenticateApiToken(token, req, res, next);
+  let payload;
   try {
-    req.user = verifyToken(token);
-    next();
+    payload = verifyToken(token);
   } catch {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+  if (payload.scope === SETUP_SCOPE && !allowSetupScope) {
+    return res.status(403).json({ error: 'Set up two-factor authentication to continue', totpSetupRequired: true });
+  }
+  try {
+    const session = await sessions.getActiveSession(payload.jti);
+    if (!session || session.member_id !== payload.sub) {
+      return res.status(401).json({ error: 'Session has been revoked — please sign in again' });
+    }
+    if (payload.imp) {
+      // Impersonation lasts only as long as the admin's own session
+      const adminSession = await sessions.getActiveSession(payload.imp.jti);
+      if (!adminSession || adminSession.member_id !== payload.imp.sub) {
+        return res.status(401).json({ error: 'Impersonation has ended — your admin session is no longer active', impersonationEnded: true });
+      }
+      if (!READ_METHODS.includes(req.method) && !IMPERSONATION_WRITE_ALLOWED.includes(req.path)) {
+        return res.status(403).json({ error: `Read-only while viewing as ${payload.name}`, impersonating: true });
+      }
+    }
+    await sessions.touchSession(session, clientIp(req));
+    req.user    = payload;
+    req.session = session;
+    next();
+  } catch (e) {
+    return next(e);
+  }
 }
 
-/**
- * Express middleware — requires admin role.
- * Must be used after requireAuth.
- */
-function requireAdmin(req, res, next) {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Personal API tokens act as their owner with the owner's *current* role, so a
+// demotion or deactivation applies to their tokens straight away. They can't
+// reach /api/auth/* — account and security settings (including minting more
+// tokens) need a real sign-in.
+async function authenticateApiToken(token, req, res, next) {
+  try {
+    const row = await apiTokens.findActiveApiToken(token);
+    if (!row) return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+    const { data: member, error } = await supabase.from('team_members')
+      .select('id, name, auth_role, active').eq('id', row.member_id).maybeSingle();
+    if (error) throw error;
+    if (!member?.active) return res.status(401).json({ error: 'API token owner is inactive' });
+    if (req.path.startsWith('/api/auth/')) {
+      return res.status(403).json({ error: 'API tokens cannot be used for account or security settings — sign in instead' });
+    }
+    if (row.scope !== 'write' && !READ_METHODS.includes(req.method)) {
+      return res.status(403).json({ error: 'This API token is read-only', tokenScope: row.scope });
+    }
+    await apiTokens.touchApiToken(row, clientIp(req));
+    req.user    = { sub: member.id, name: member.name, role: member.auth_role, tokenId: row.id, tokenScope: row.scope };
+    req.session = null;
+    next();
+  } catch (e) {
+    return next(e);
   }
-  next();
 }
 
 /**
- * Express middleware — requires admin or class_a role (can delete).
- * Must be used after requireAuth.
+ * Express middleware factory — requires every listed permission (see
+ * lib/permissions.js). Must be used after requireAuth. Sets req.permissions
+ * to the caller's full permission list for any finer checks in the handler.
  */
-function requireCanDelete(req, res, next) {
-  if (req.user?.role !== 'admin' && req.user?.role !== 'class_a') {
-    return res.status(403).json({ error: 'Deleting records requires Admin or Class A access' });
-  }
-  next();
+function requirePermission(...required) {
+  required.forEach(p => {
+    if (!permissions.PERMISSIONS[p]) throw new Error(`requirePermission: unknown permission "${p}"`);
+  });
+  const middleware = async (req, res, next) => {
+    try {
+      const granted = await permissions.permissionsFor(req.user?.role);
+      const missing = required.filter(p => !granted.includes(p));
+      if (missing.length) {
+        return res.status(403).json({
+          error: `Your role does not have permission to ${missing.map(p => permissions.PERMISSIONS[p].toLowerCase()).join('; ')}`,
+          missingPermissions: missing,
+        });
+      }
+      req.permissions = granted;
+      next();
+    } catch (e) {
+      return next(e);
+    }
+  };
+  middleware.permissions = required; // read by lib/openapi.js
+  return middleware;
 }
 
-module.exports = { signToken, verifyToken, requireAuth, requireAdmin, requireCanDelete };
+module.exports = {
+  SETUP_SCOPE,
+  signToken, verifyToken, clientIp, startSession, renewSession,
+  requireAuth, requireAuthOrSetup, requirePermission,
+};
@@ -0,0 +1,47 @@
+/**
+ * Optimistic concurrency for edits.
+ *
+ * Deals, projects, tasks and quotes carry a version that a trigger bumps on
+ * every update (migrations/0013_row_versions.sql). A PATCH says which version
+ * it was made against — an If-Match: "<version>" header or a `version` body
+ * field — and the route updates with repo.update(id, patch, { version }),
+ * which only matches a row still at that version. When it matches nothing the
+ * route answers with conflict(): 404 if the row is gone, otherwise 409 with
+ * the current copy so the client can merge or overwrite.
+ */
+const { summarize } = require('./validation');
+
+/**
+ * Middleware for a versioned PATCH: sets req.version, or answers 428 when the
+ * client didn't send one. Mount after validateBody; If-Match wins over the body.
+ */
+function requireVersion(req, res, next) {
+  const header = req.get('If-Match');
+  const version = header !== undefined ? Number(header.replace(/^W\//, '').replace(/"/g, '').trim()) : req.body.version;
+  delete req.body.version;
+  if (version === undefined) {
+    return res.status(428).json({ error: 'Send the version you edited (If-Match header or version field) so newer changes aren\'t overwritten.' });
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    const errors = [{ path: 'If-Match', message: 'must be a record version' }];
+    return res.status(400).json({ error: summarize(errors), details: errors });
+  }
+  req.version = version;
+  next();
+}
+
+/**
+ * Answer an update that matched no row. `row` is the record as it is now
+ * (null if deleted) and `shape` turns it into what the route returns.
+ * @param {string} label e.g. 'Deal'
+ */
+async function conflict(res, label, row, shape) {
+  if (!row) return res.status(404).json({ error: `${label} not found.` });
+  res.status(409).json({
+    error: `This ${label.toLowerCase()} was changed by someone else after you opened it.`,
+    conflict: true,
+    current: await shape(row),
+  });
+}
+
+module.exports = { requireVersion, conflict };
@@ -0,0 +1,61 @@
+/**
+ * Picks the database backend for the whole API.
+ *
+ *   supabase — the hosted Postgres via supabase-js (service-role key).
+ *   memory   — lib/db/memory.js, seeded from DATA_FIXTURES (a JSON file of
+ *              { table: [rows] }, default fixtures/seed.json). Nothing is
+ *              persisted; restarting the process restores the fixtures.
+ *
+ * DATA_BACKEND picks one. Without it the API uses supabase when SUPABASE_URL
+ * is set and memory otherwise — except in production, where a missing
+ * Supabase configuration stays an error rather than quietly running on
+ * throwaway data.
+ *
+ * Both backends expose the same supabase-js query-builder interface, so the
+ * repositories in lib/repos and the remaining direct queries work on either.
+ */
+const fs = require('fs');
+const path = require('path');
+const log = require('../logger');
+require('dotenv').config();
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', '..', 'fixtures', 'seed.json');
+
+function isProduction() {
+  return !!process.env.VERCEL || process.env.NODE_ENV === 'production';
+}
+
+function backendName() {
+  const choice = (process.env.DATA_BACKEND || (process.env.SUPABASE_URL || isProduction() ? 'supabase' : 'memory')).toLowerCase();
+  if (choice !== 'supabase' && choice !== 'memory') {
+    throw new Error(`Unknown DATA_BACKEND "${choice}" (expected supabase or memory)`);
+  }
+  return choice;
+}
+
+function createSupabaseBackend() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in environment');
+  }
+  const { createClient } = require('@supabase/supabase-js');
+  const { withContextHeader } = require('../audit');
+  // Service-role client — has full DB access, used only server-side. Each
+  // request tells the audit trigger who it's for (lib/audit.js).
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false },
+    global: { fetch: withContextHeader(fetch) },
+  });
+}
+
+function createMemoryBackend() {
+  const { MemoryDatabase } = require('./memory');
+  const file = process.env.DATA_FIXTURES || DEFAULT_FIXTURES;
+  const fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  log.info('Using the in-memory database', { fixtures: fs.existsSync(file) ? file : null });
+  return new MemoryDatabase({ fixtures });
+}
+
+const backend = backendName();
+const client = backend === 'memory' ? createMemoryBackend() : createSupabaseBackend();
+
+module.exports = { backend, client };
@@ -0,0 +1,558 @@
+/**
+ * In-memory database speaking the part of the supabase-js query builder this
+ * API uses, so routes and lib/ modules run unchanged without a Supabase
+ * project: from(table) with select / insert / update / upsert / delete, the
+ * eq / neq / gt / gte / lt / lte / in / is / match filters, or() (with nested
+ * and(…) groups and "quoted" values), order, limit, range, single /
+ * maybeSingle, { count: 'exact', head: true } and one-level embedded selects
+ * such as portal_users(name, email).
+ *
+ * Column defaults, unique keys and ON DELETE rules come from the SQL
+ * migrations (lib/db/schema.js), and so do row triggers for the functions in
+ * TRIGGER_FUNCTIONS; triggers calling anything else are skipped. rpc() runs
+ * the database functions in FUNCTIONS. Tables no migration describes still
+ * work — rows just get an id and created_at and nothing else.
+ *
+ * Results mirror supabase-js: queries resolve to { data, error, count } and
+ * never reject. Errors carry Postgres/PostgREST codes where routes check
+ * them (23505 unique violation, PGRST116 for .single() misses).
+ */
+const crypto = require('crypto');
+const { loadSchema } = require('./schema');
+const audit = require('../audit');
+
+function _clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+function _dbError(message, code) {
+  return { message, code, details: null, hint: null };
+}
+
+// Postgres-ish comparison: numbers compare as numbers, everything else as text
+function _compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const na = Number(a), nb = Number(b);
+    if (!Number.isNaN(na) && !Number.isNaN(nb)) return na === nb ? 0 : (na < nb ? -1 : 1);
+  }
+  const sa = String(a), sb = String(b);
+  return sa === sb ? 0 : (sa < sb ? -1 : 1);
+}
+
+function _parseLiteral(v) {
+  if (v === 'null') return null;
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  return v;
+}
+
+// Stand-ins for the plpgsql trigger functions in migrations/. BEFORE UPDATE
+// ones get (next, old) and may change next; AFTER ones get (db, { op, table,
+// old, new }, trigger args), old / new being undefined where Postgres has no
+// OLD / NEW.
+const TRIGGER_FUNCTIONS = {
+  touch_updated_at: next => { next.updated_at = new Date().toISOString(); },
+  tasks_touch: (next, old) => {
+    next.updated_at = new Date().toISOString();
+    if (next.status === 'done' && old.status !== 'done') next.completed_at = new Date().toISOString();
+    else if (next.status !== 'done') next.completed_at = null;
+  },
+  bump_version: (next, old) => { next.version = old.version + 1; },
+  record_tombstone: (db, { table, old }, args) => {
+    db._insert('sync_tombstones', { table_name: table, record_key: args.map(c => String(old[c])).join('_') });
+  },
+  // The request's context comes straight from lib/audit.js rather than a header
+  audit_row_change: (db, { op, table, old, new: next }, args) => {
+    const changes = {};
+    if (op === 'UPDATE') {
+      for (const col of Object.keys(next)) {
+        const from = old[col] ?? null, to = next[col] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[col] = { from, to };
+      }
+      if (Object.keys(changes).every(col => col === 'updated_at' || col === 'version')) return;
+      for (const col of audit.REDACTED_COLUMNS) if (changes[col]) changes[col] = { from: audit.REDACTED, to: audit.REDACTED };
+    }
+    const ctx = audit.context() || {};
+    db._insert('audit_log', {
+      actor_id:   ctx.actor_id ?? null,
+      actor_name: ctx.actor_name || 'system',
+      action:     op,
+      table_name: table,
+      record_id:  args.map(c => String((next || old)[c])).join('_'),
+      changes,
+      before:     audit.redact(old) ?? null,
+      after:      audit.redact(next) ?? null,
+      ip:         ctx.ip ?? null,
+      request_id: ctx.request_id ?? null,
+      route:      ctx.route ?? null,
+    });
+  },
+};
+
+const TRASHABLE = ['deals', 'projects', 'tasks', 'expenses', 'deliverables'];
+
+// Stand-ins for the plpgsql functions rpc() calls (migrations/). They run
+// synchronously, so nothing interleaves with them, and rpc() puts the tables
+// back if one throws — all or nothing, as in Postgres.
+const FUNCTIONS = {
+  trash_record: (db, { p_table, p_id, p_label, p_deleted_by, p_deleted_by_name }) => {
+    if (!TRASHABLE.includes(p_table)) throw new Error(`trash_record: ${p_table} has no trash`);
+    const root = db._rows(p_table).find(r => _compare(r.id, p_id) === 0 && r.deleted_at == null);
+    if (!root) return null;
+    const now = new Date().toISOString();
+    const entry = db._insert('trash', {
+      table_name: p_table, record_id: p_id, label: p_label, deleted_at: now,
+      deleted_by: p_deleted_by, deleted_by_name: p_deleted_by_name,
+    });
+    const stamp = { deleted_at: now, deleted_by: p_deleted_by, trash_id: entry.id };
+    const take = (table, pred) => {
+      const rows = db._rows(table).filter(r => r.deleted_at == null && pred(r));
+      rows.forEach(r => db._update(table, r, stamp));
+      return rows.length;
+    };
+    take(p_table, r => r === root);
+    const counts = { tasks: 0, deliverables: 0, expenses: 0 };
+    if (p_table === 'projects') {
+      for (const t of ['tasks', 'deliverables', 'expenses']) counts[t] = take(t, r => _compare(r.project_id, p_id) === 0);
+    } else if (p_table === 'tasks') {
+      counts.tasks = take('tasks', r => _compare(r.parent_id, p_id) === 0);
+    }
+    const inEntry = table => new Set(db._rows(table).filter(r => r.trash_id === entry.id).map(r => String(r.id)));
+    const tasks = inEntry('tasks'), delivs = inEntry('deliverables');
+    take('task_deliverables', r => tasks.has(String(r.task_id)) || delivs.has(String(r.deliverable_id)));
+    db._rows('task_deliverables').filter(r => r.trash_id === entry.id).forEach(r => { r.updated_at = now; });
+    return { id: entry.id, ...counts };
+  },
+  restore_trash: (db, { p_trash_id }) => {
+    const entry = db._rows('trash').find(r => _compare(r.id, p_trash_id) === 0);
+    if (!entry) return null;
+    const clear = { deleted_at: null, deleted_by: null, trash_id: null };
+    for (const table of TRASHABLE) {
+      db._rows(table).filter(r => r.trash_id === entry.id).forEach(r => db._update(table, r, clear));
+    }
+    const now = new Date().toISOString();
+    for (const link of db._rows('task_deliverables').filter(r => r.trash_id === entry.id)) {
+      const other = db._rows('tasks').find(r => _compare(r.id, link.task_id) === 0 && r.trash_id != null)
+        || db._rows('deliverables').find(r => _compare(r.id, link.deliverable_id) === 0 && r.trash_id != null);
+      Object.assign(link, other
+        ? { deleted_at: other.deleted_at, deleted_by: other.deleted_by, trash_id: other.trash_id, updated_at: now }
+        : { ...clear, updated_at: now });
+    }
+    db._delete('trash', [entry]);
+    return entry;
+  },
+  purge_trash: (db, { p_trash_id }) => {
+    const entry = db._rows('trash').find(r => _compare(r.id, p_trash_id) === 0);
+    if (!entry) return null;
+    for (const table of ['task_deliverables', 'tasks', 'deliverables', 'expenses', 'projects', 'deals']) {
+      db._delete(table, db._rows(table).filter(r => r.trash_id === entry.id));
+    }
+    db._delete('trash', [entry]);
+    db._delete('trash', db._rows('trash').filter(t => !db._rows(t.table_name).some(r => _compare(r.id, t.record_id) === 0)));
+    return entry;
+  },
+  mark_payroll_paid: (db, { p_items, p_created_by_id, p_created_by_name }) => p_items.map(it => {
+    if (db._rows('pay_status').some(r => r.pay_key === it.pay_key && r.paid)) {
+      throw _dbError(`${it.pay_key} is already marked paid`, '23505');
+    }
+    db._upsert('pay_status', { pay_key: it.pay_key, project_id: it.project_id, member_id: it.member_id, paid: true }, { onConflict: 'pay_key' });
+    const log = db._insert('pay_log', {
+      member_id: it.member_id, member_name: it.member_name, pay_type: it.pay_type, amount: it.amount,
+      project_id: it.project_id, project_name: it.project_name, source_key: it.pay_key, notes: it.notes,
+      is_manual: false, created_by_id: p_created_by_id, created_by_name: p_created_by_name,
+    });
+    return { pay_key: it.pay_key, pay_log_id: log.id };
+  }),
+  update_quote: (db, { p_quote_id, p_changes, p_line_items, p_version }) => {
+    const quote = db._rows('quotes').find(r => _compare(r.id, p_quote_id) === 0);
+    if (!quote || (p_version != null && _compare(quote.version, p_version) !== 0)) return null;
+    const columns = ['name', 'client', 'status', 'overhead_pct', 'notes', 'deal_id'];
+    const patch = { updated_at: new Date().toISOString() };
+    for (const c of columns) if (c in p_changes) patch[c] = p_changes[c];
+    db._update('quotes', quote, patch);
+    if (p_line_items != null) {
+      db._delete('quote_line_items', db._rows('quote_line_items').filter(r => _compare(r.quote_id, p_quote_id) === 0));
+      p_line_items.forEach((li, i) => db._insert('quote_line_items', {
+        quote_id: p_quote_id, description: li.description, quantity: li.quantity, hours_per_unit: li.hours_per_unit,
+        rate_per_hour: li.rate_per_hour, rate_label: li.rate_label, deliverable_type_id: li.deliverable_type_id, sort_order: i,
+      }));
+    }
+    return quote;
+  },
+};
+
+// Turn a PostgREST-style operator into a row predicate
+function _predicate(column, op, value) {
+  switch (op) {
+    case 'eq':  return r => r[column] != null && _compare(r[column], value) === 0;
+    case 'neq': return r => r[column] != null && _compare(r[column], value) !== 0;
+    case 'gt':  return r => r[column] != null && _compare(r[column], value) > 0;
+    case 'gte': return r => r[column] != null && _compare(r[column], value) >= 0;
+    case 'lt':  return r => r[column] != null && _compare(r[column], value) < 0;
+    case 'lte': return r => r[column] != null && _compare(r[column], value) <= 0;
+    case 'in':  return r => r[column] != null && value.some(v => _compare(r[column], v) === 0);
+    case 'is':  return r => (value === null ? r[column] == null : r[column] === value);
+    case 'ilike': {
+      const re = new RegExp('^' + String(value).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$', 'i');
+      return r => r[column] != null && re.test(String(r[column]));
+    }
+    default: throw new Error(`Filter "${op}" is not supported by the memory backend`);
+  }
+}
+
+// Split on commas that aren't inside parentheses or "quoted values"
+function _splitTopLevel(expr) {
+  const out = [];
+  let depth = 0, quoted = false, cur = '';
+  for (let i = 0; i < expr.length; i++) {
+    const ch = expr[i];
+    if (quoted && ch === '\\') { cur += ch + expr[++i]; continue; }
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === '(') depth++;
+    else if (!quoted && ch === ')') depth--;
+    else if (!quoted && ch === ',' && depth === 0) { out.push(cur.trim()); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+function _parseValue(v) {
+  if (v.startsWith('"') && v.endsWith('"')) return v.slice(1, -1).replace(/\\(.)/g, '$1');
+  return _parseLiteral(v);
+}
+
+// One PostgREST logic term: 'a.is.null', 'b.lt."5"' or a nested and(…) / or(…)
+function _termPredicate(term) {
+  const group = term.match(/^(and|or)\(([\s\S]*)\)$/);
+  if (group) {
+    const parts = _splitTopLevel(group[2]).map(_termPredicate);
+    return group[1] === 'and' ? r => parts.every(p => p(r)) : r => parts.some(p => p(r));
+  }
+  const [column, op] = term.split('.', 2);
+  let value = term.slice(column.length + op.length + 2);
+  if (op === 'in') value = _splitTopLevel(value.replace(/^\(|\)$/g, '')).map(_parseValue);
+  else value = _parseValue(value);
+  return _predicate(column, op, value);
+}
+
+// 'a.is.null,b.lt.5,and(c.eq.1,id.gt."x")' → predicate that matches if any part does
+function _orPredicate(expr) {
+  return _termPredicate(`or(${expr})`);
+}
+
+// Split a select list on top-level commas: 'id, name, portal_users(name, email)'
+function _parseColumns(list) {
+  const out = [];
+  let depth = 0, cur = '';
+  for (const ch of String(list || '*')) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) { out.push(cur.trim()); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out.map(c => {
+    const embed = c.match(/^([a-z_]+)(?:![a-z_]+)?\s*\(([\s\S]*)\)$/i);
+    return embed ? { embed: embed[1], columns: embed[2] } : { column: c };
+  });
+}
+
+const _singular = name => name.replace(/ies$/, 'y').replace(/s$/, '');
+
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.op = 'select';
+    this.columns = '*';
+    this.filters = [];
+    this.orders = [];
+    this.returning = null;   // select() after a write
+    this.mode = null;        // 'single' | 'maybeSingle'
+    this.countMode = null;
+    this.head = false;
+  }
+
+  select(columns = '*', opts = {}) {
+    if (this.op === 'select') {
+      this.columns = columns;
+      this.countMode = opts.count || null;
+      this.head = !!opts.head;
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+  insert(rows)              { this.op = 'insert'; this.payload = rows; return this; }
+  upsert(rows, opts = {})   { this.op = 'upsert'; this.payload = rows; this.upsertOpts = opts; return this; }
+  update(patch)             { this.op = 'update'; this.payload = patch; return this; }
+  delete()                  { this.op = 'delete'; return this; }
+
+  eq(c, v)    { this.filters.push(_predicate(c, 'eq', v)); return this; }
+  neq(c, v)   { this.filters.push(_predicate(c, 'neq', v)); return this; }
+  gt(c, v)    { this.filters.push(_predicate(c, 'gt', v)); return this; }
+  gte(c, v)   { this.filters.push(_predicate(c, 'gte', v)); return this; }
+  lt(c, v)    { this.filters.push(_predicate(c, 'lt', v)); return this; }
+  lte(c, v)   { this.filters.push(_predicate(c, 'lte', v)); return this; }
+  in(c, v)    { this.filters.push(_predicate(c, 'in', v || [])); return this; }
+  is(c, v)    { this.filters.push(_predicate(c, 'is', v)); return this; }
+  ilike(c, v) { this.filters.push(_predicate(c, 'ilike', v)); return this; }
+  or(expr)    { this.filters.push(_orPredicate(expr)); return this; }
+  match(obj)  { Object.entries(obj).forEach(([c, v]) => this.eq(c, v)); return this; }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+  limit(n)        { this.limitN = n; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+  single()        { this.mode = 'single'; return this; }
+  maybeSingle()   { this.mode = 'maybeSingle'; return this; }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this._execute();
+    } catch (e) {
+      result = { data: null, error: e.code ? e : _dbError(e.message, 'MEMORY'), count: null };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  _matches(row) {
+    return this.filters.every(f => f(row));
+  }
+
+  _execute() {
+    const rows = this.db._rows(this.table);
+    let out;
+    switch (this.op) {
+      case 'select': out = rows.filter(r => this._matches(r)); break;
+      case 'insert': out = this._toArray(this.payload).map(r => this.db._insert(this.table, r)); break;
+      case 'upsert': out = this._toArray(this.payload).map(r => this.db._upsert(this.table, r, this.upsertOpts)).filter(Boolean); break;
+      case 'update': out = rows.filter(r => this._matches(r)).map(r => this.db._update(this.table, r, this.payload)); break;
+      case 'delete': out = this.db._delete(this.table, rows.filter(r => this._matches(r))); break;
+    }
+
+    // Writes only return rows when .select() was chained, as in supabase-js
+    const isWrite = this.op !== 'select';
+    if (isWrite && this.returning === null) return { data: null, error: null, count: null, status: 204 };
+
+    out = this._sort(out);
+    const count = this.countMode ? out.length : null;
+    if (this.rangeFrom !== undefined) out = out.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitN !== undefined) out = out.slice(0, this.limitN);
+    if (this.head) return { data: null, error: null, count, status: 200 };
+
+    const columns = isWrite ? this.returning : this.columns;
+    let data = out.map(r => this._project(r, columns));
+
+    if (this.mode) {
+      if (data.length > 1) return { data: null, error: _dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count };
+      if (!data.length) {
+        return this.mode === 'single'
+          ? { data: null, error: _dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count }
+          : { data: null, error: null, count };
+      }
+      data = data[0];
+    }
+    return { data, error: null, count, status: 200 };
+  }
+
+  _toArray(payload) {
+    return Array.isArray(payload) ? payload : [payload];
+  }
+
+  _sort(rows) {
+    if (!this.orders.length) return rows;
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const av = a[column], bv = b[column];
+        if (av == null && bv == null) continue;
+        if (av == null) return nullsFirst ? -1 : 1;
+        if (bv == null) return nullsFirst ? 1 : -1;
+        const c = _compare(av, bv);
+        if (c) return ascending ? c : -c;
+      }
+      return 0;
+    });
+  }
+
+  _project(row, columns) {
+    const out = {};
+    for (const c of _parseColumns(columns)) {
+      if (c.column === '*') Object.assign(out, _clone(row));
+      else if (c.column) out[c.column] = row[c.column] === undefined ? null : _clone(row[c.column]);
+      else out[c.embed] = this._embed(row, c.embed, c.columns);
+    }
+    return out;
+  }
+
+  // Many-to-one when this row holds <other>_id, otherwise one-to-many
+  _embed(row, other, columns) {
+    const sub = new MemoryQuery(this.db, other);
+    const fk = `${_singular(other)}_id`;
+    if (fk in row) {
+      const target = this.db._rows(other).find(r => row[fk] != null && _compare(r.id, row[fk]) === 0);
+      return target ? sub._project(target, columns) : null;
+    }
+    const back = `${_singular(this.table)}_id`;
+    return this.db._rows(other).filter(r => r[back] != null && _compare(r[back], row.id) === 0).map(r => sub._project(r, columns));
+  }
+}
+
+class MemoryDatabase {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.schema]   parsed schema (defaults to the migrations)
+   * @param {object} [opts.fixtures] { table: [row, …] } loaded before first use
+   */
+  constructor({ schema, fixtures } = {}) {
+    this.schema = schema || loadSchema();
+    this.tables = new Map();
+    this.serials = new Map();
+    if (fixtures) this.load(fixtures);
+  }
+
+  from(table) {
+    return new MemoryQuery(this, table);
+  }
+
+  async rpc(name, args = {}) {
+    const fn = FUNCTIONS[name];
+    if (!fn) return { data: null, error: _dbError(`Function ${name}() is not available in the memory backend`, '42883') };
+    const saved = _clone([[...this.tables], [...this.serials]]);
+    try {
+      return { data: _clone(fn(this, _clone(args))) ?? null, error: null };
+    } catch (e) {
+      this.tables = new Map(saved[0]);
+      this.serials = new Map(saved[1]);
+      return { data: null, error: e.code ? e : _dbError(e.message, 'MEMORY') };
+    }
+  }
+
+  /** Insert fixture rows (defaults applied, constraints checked, no AFTER triggers). */
+  load(fixtures) {
+    for (const [table, rows] of Object.entries(fixtures)) {
+      for (const row of rows) this._insert(table, row, { triggers: false });
+    }
+  }
+
+  /** Drop every row — handy between test cases. */
+  reset() {
+    this.tables.clear();
+    this.serials.clear();
+  }
+
+  _rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  _meta(table) {
+    return this.schema[table] || { defaults: {}, unique: [], references: [], triggers: [] };
+  }
+
+  _triggers(table, timing, event) {
+    return (this._meta(table).triggers || [])
+      .filter(t => t.timing === timing && t.events.includes(event) && TRIGGER_FUNCTIONS[t.fn]);
+  }
+
+  _after(table, op, old, next) {
+    for (const t of this._triggers(table, 'AFTER', op)) TRIGGER_FUNCTIONS[t.fn](this, { op, table, old, new: next }, t.args);
+  }
+
+  _withDefaults(table, input) {
+    const meta = this._meta(table);
+    const row = {};
+    for (const [col, fn] of Object.entries(meta.defaults)) row[col] = fn();
+    if (meta.serial) {
+      const next = (this.serials.get(table) || 0) + 1;
+      this.serials.set(table, next);
+      row[meta.serial] = next;
+    }
+    if (!meta.serial && !('id' in row)) row.id = crypto.randomUUID();
+    if (!('created_at' in row)) row.created_at = new Date().toISOString();
+    for (const [k, v] of Object.entries(input)) if (v !== undefined) row[k] = _clone(v);
+    return row;
+  }
+
+  _keyOf(row, cols) {
+    return cols.map(c => {
+      const col = typeof c === 'string' ? c : c.column;
+      const v = row[col];
+      if (v == null) return null;
+      return typeof c === 'string' ? String(v) : String(v).toLowerCase();
+    });
+  }
+
+  // Throws a 23505 if `row` collides with another row on any unique key
+  _checkUnique(table, row, self) {
+    const meta = this._meta(table);
+    const keys = [...meta.unique];
+    if (meta.primaryKey) keys.push([meta.primaryKey]);
+    else keys.push(['id']);
+    for (const cols of keys) {
+      const key = this._keyOf(row, cols);
+      if (key.some(v => v === null)) continue; // NULLs never collide
+      const clash = this._rows(table).find(r => r !== self && this._keyOf(r, cols).every((v, i) => v === key[i]));
+      if (clash) {
+        const names = cols.map(c => (typeof c === 'string' ? c : c.column)).join(', ');
+        const err = _dbError(`duplicate key value violates unique constraint on ${table} (${names})`, '23505');
+        throw err;
+      }
+    }
+  }
+
+  _insert(table, input, { triggers = true } = {}) {
+    const row = this._withDefaults(table, input);
+    this._checkUnique(table, row, null);
+    this._rows(table).push(row);
+    if (triggers) this._after(table, 'INSERT', undefined, row);
+    return row;
+  }
+
+  _upsert(table, input, { onConflict, ignoreDuplicates } = {}) {
+    const cols = onConflict ? onConflict.split(',').map(s => s.trim()) : [this._meta(table).primaryKey || 'id'];
+    const key = this._keyOf(input, cols);
+    const existing = key.every(v => v !== null)
+      ? this._rows(table).find(r => this._keyOf(r, cols).every((v, i) => v === key[i]))
+      : null;
+    if (!existing) return this._insert(table, input);
+    if (ignoreDuplicates) return null;
+    return this._update(table, existing, input);
+  }
+
+  _update(table, row, patch) {
+    const next = { ...row };
+    for (const [k, v] of Object.entries(patch)) if (v !== undefined) next[k] = _clone(v);
+    for (const t of this._triggers(table, 'BEFORE', 'UPDATE')) TRIGGER_FUNCTIONS[t.fn](next, row, t.args);
+    this._checkUnique(table, next, row);
+    const old = { ...row };
+    Object.assign(row, next);
+    this._after(table, 'UPDATE', old, row);
+    return row;
+  }
+
+  // Delete rows and apply ON DELETE CASCADE / SET NULL from referencing tables
+  _delete(table, rows) {
+    if (!rows.length) return [];
+    const list = this._rows(table);
+    const gone = new Set(rows);
+    this.tables.set(table, list.filter(r => !gone.has(r)));
+    rows.forEach(r => this._after(table, 'DELETE', r, undefined));
+    for (const [other, meta] of Object.entries(this.schema)) {
+      for (const ref of meta.references) {
+        if (ref.table !== table || !this.tables.has(other)) continue;
+        const ids = new Set(rows.map(r => String(r[ref.refColumn])));
+        const hits = this._rows(other).filter(r => r[ref.column] != null && ids.has(String(r[ref.column])));
+        if (ref.onDelete === 'CASCADE') this._delete(other, hits);
+        else if (ref.onDelete === 'SET NULL') hits.forEach(r => this._update(other, r, { [ref.column]: null }));
+      }
+    }
+    return rows;
+  }
+}
+
+module.exports = { MemoryDatabase };
@@ -0,0 +1,226 @@
+/**
+ * Versioned schema migrations.
+ *
+ * migrations/NNNN_name.sql run in version order, each inside its own
+ * transaction, and are recorded in schema_migrations together with a SHA-256
+ * of the file so a migration edited after it ran is caught instead of
+ * quietly diverging between databases. Files are written to be re-runnable
+ * (IF NOT EXISTS, DROP … IF EXISTS), so a database that was set up by hand
+ * can either run them all or be marked up to date with baseline().
+ *
+ * Drift detection compares the live public schema with the one the
+ * migrations describe (lib/db/schema.js): missing or unexpected tables and
+ * columns, type and NOT NULL differences, and unique keys with no unique
+ * index behind them.
+ *
+ * Everything here takes a connected client with the `pg` interface —
+ * query(text, params) → { rows }. scripts/migrate.js is the command line.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseSchema } = require('./schema');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const TRACKING_TABLE = 'schema_migrations';
+// Serialises concurrent runners (two deploys starting at once)
+const LOCK_KEY = 7413021;
+
+/** Every migration file, sorted by version: [{ version, name, file, sql, checksum }]. */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const list = fs.readdirSync(dir)
+    .filter(f => f.endsWith('.sql') && MIGRATION_FILE.test(f))
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return { version: Number(version), name, file, sql, checksum: crypto.createHash('sha256').update(sql).digest('hex') };
+    })
+    .sort((a, b) => a.version - b.version);
+  list.forEach((m, i) => {
+    if (i && m.version === list[i - 1].version) throw new Error(`Two migrations share version ${m.version}: ${list[i - 1].file}, ${m.file}`);
+  });
+  return list;
+}
+
+async function ensureTrackingTable(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS ${TRACKING_TABLE} (
+    version    INTEGER     PRIMARY KEY,
+    name       TEXT        NOT NULL,
+    checksum   TEXT        NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`);
+}
+
+/**
+ * Compare the files with what the database has recorded.
+ * @returns {{ applied, pending, changed, unknown }} applied/pending/changed are
+ *   migrations; unknown are recorded rows with no file (a newer deploy ran them).
+ */
+async function status(db, migrations = loadMigrations()) {
+  await ensureTrackingTable(db);
+  const { rows } = await db.query(`SELECT version, name, checksum, applied_at FROM ${TRACKING_TABLE} ORDER BY version`);
+  const recorded = new Map(rows.map(r => [Number(r.version), r]));
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    applied: migrations.filter(m => recorded.has(m.version)).map(m => ({ ...m, appliedAt: recorded.get(m.version).applied_at })),
+    pending: migrations.filter(m => !recorded.has(m.version)),
+    changed: migrations.filter(m => recorded.has(m.version) && recorded.get(m.version).checksum !== m.checksum),
+    unknown: rows.filter(r => !known.has(Number(r.version))),
+  };
+}
+
+async function _withLock(db, fn) {
+  await db.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+  try { return await fn(); } finally { await db.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]); }
+}
+
+/**
+ * Apply pending migrations in order, up to and including `to` if given.
+ * Refuses to run while an applied migration's file has changed.
+ * @returns {Promise<object[]>} the migrations applied
+ */
+async function migrate(db, { to, log = () => {}, migrations = loadMigrations() } = {}) {
+  return _withLock(db, async () => {
+    const st = await status(db, migrations);
+    if (st.changed.length) {
+      throw new Error(`Applied migrations were edited afterwards: ${st.changed.map(m => m.file).join(', ')}. Add a new migration instead.`);
+    }
+    const run = st.pending.filter(m => to == null || m.version <= to);
+    for (const m of run) {
+      log(`Applying ${m.file}`);
+      await db.query('BEGIN');
+      try {
+        await db.query(m.sql);
+        await db.query(`INSERT INTO ${TRACKING_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`, [m.version, m.name, m.checksum]);
+        await db.query('COMMIT');
+      } catch (e) {
+        await db.query('ROLLBACK').catch(() => {});
+        e.message = `${m.file}: ${e.message}`;
+        throw e;
+      }
+    }
+    return run;
+  });
+}
+
+/**
+ * Record migrations up to `version` as applied without running them — for a
+ * database whose schema was already brought up to date by hand.
+ */
+async function baseline(db, version, { migrations = loadMigrations() } = {}) {
+  return _withLock(db, async () => {
+    const st = await status(db, migrations);
+    const marked = st.pending.filter(m => m.version <= version);
+    for (const m of marked) {
+      await db.query(`INSERT INTO ${TRACKING_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`, [m.version, m.name, m.checksum]);
+    }
+    return marked;
+  });
+}
+
+// ── Drift ────────────────────────────────────────────────────────────────────
+
+// Declared type → the udt_name Postgres reports in information_schema
+const UDT_NAMES = {
+  uuid: 'uuid', text: 'text', numeric: 'numeric', boolean: 'bool', bool: 'bool',
+  integer: 'int4', int: 'int4', int4: 'int4', serial: 'int4',
+  bigint: 'int8', int8: 'int8', bigserial: 'int8', smallint: 'int2', int2: 'int2',
+  timestamptz: 'timestamptz', timestamp: 'timestamp', date: 'date', jsonb: 'jsonb', json: 'json',
+};
+function udtName(type) {
+  const t = type.toLowerCase();
+  if (t.endsWith('[]')) return '_' + udtName(t.slice(0, -2));
+  return UDT_NAMES[t] || t;
+}
+
+// A unique key as a comparable string: ['a', 'b'] → 'a,b'; { column, lower } → 'lower(col)'
+function _keyString(cols) {
+  return cols.map(c => (typeof c === 'string' ? c : `lower(${c.column})`)).join(',');
+}
+
+// Column list of a CREATE UNIQUE INDEX definition as returned by pg_get_indexdef
+function _indexKey(def) {
+  const start = def.indexOf('(', def.search(/\bUSING\b/i));
+  if (start === -1 || /\sWHERE\s/i.test(def)) return null; // partial indexes don't enforce a full key
+  let depth = 0, end = start;
+  for (; end < def.length; end++) {
+    if (def[end] === '(') depth++;
+    if (def[end] === ')' && --depth === 0) break;
+  }
+  return def.slice(start + 1, end).replace(/\s+/g, '').replace(/"/g, '').toLowerCase();
+}
+
+/** Tables, columns and unique keys of the live public schema. */
+async function liveSchema(db) {
+  const { rows: cols } = await db.query(`
+    SELECT c.table_name, c.column_name, c.udt_name, c.is_nullable
+      FROM information_schema.columns c
+      JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+     WHERE c.table_schema = 'public' AND t.table_type = 'BASE TABLE'`);
+  const { rows: idx } = await db.query(`
+    SELECT t.relname AS table_name, pg_get_indexdef(i.indexrelid) AS def
+      FROM pg_index i
+      JOIN pg_class t ON t.oid = i.indrelid
+      JOIN pg_namespace n ON n.oid = t.relnamespace
+     WHERE n.nspname = 'public' AND i.indisunique`);
+  const tables = {};
+  for (const r of cols) {
+    (tables[r.table_name] ||= { columns: {}, unique: new Set() })
+      .columns[r.column_name] = { udt: r.udt_name, notNull: r.is_nullable === 'NO' };
+  }
+  for (const r of idx) {
+    const key = _indexKey(r.def);
+    if (key && tables[r.table_name]) tables[r.table_name].unique.add(key);
+  }
+  return tables;
+}
+
+/**
+ * Differences between the schema the migrations describe and the live one.
+ * @param {object} expected parseSchema() output
+ * @param {object} live     liveSchema() output
+ * @returns {{ kind, table, column?, expected?, actual? }[]}
+ */
+function diffSchema(expected, live) {
+  const problems = [];
+  for (const [name, table] of Object.entries(expected)) {
+    const actual = live[name];
+    if (!actual) { problems.push({ kind: 'missing_table', table: name }); continue; }
+    for (const [col, def] of Object.entries(table.columns)) {
+      const a = actual.columns[col];
+      if (!a) { problems.push({ kind: 'missing_column', table: name, column: col, expected: def.type }); continue; }
+      if (udtName(def.type) !== a.udt) problems.push({ kind: 'type_mismatch', table: name, column: col, expected: udtName(def.type), actual: a.udt });
+      if (def.notNull !== a.notNull) problems.push({ kind: 'nullability_mismatch', table: name, column: col, expected: def.notNull ? 'NOT NULL' : 'NULL', actual: a.notNull ? 'NOT NULL' : 'NULL' });
+    }
+    for (const col of Object.keys(actual.columns)) {
+      if (!table.columns[col]) problems.push({ kind: 'extra_column', table: name, column: col, actual: actual.columns[col].udt });
+    }
+    const keys = [...table.unique.map(_keyString), ...(table.primaryKey ? [table.primaryKey] : [])];
+    for (const key of keys) {
+      if (!actual.unique.has(key)) problems.push({ kind: 'missing_unique', table: name, expected: key });
+    }
+  }
+  for (const name of Object.keys(live)) {
+    if (!expected[name] && name !== TRACKING_TABLE) problems.push({ kind: 'extra_table', table: name });
+  }
+  return problems;
+}
+
+/**
+ * Full drift report: migration bookkeeping plus schema differences.
+ * `clean` is true only when nothing is pending, edited, unknown or different.
+ */
+async function detectDrift(db, { migrations = loadMigrations() } = {}) {
+  const st = await status(db, migrations);
+  const expected = parseSchema(migrations.map(m => m.sql).join(';\n'));
+  const problems = diffSchema(expected, await liveSchema(db));
+  const clean = !st.pending.length && !st.changed.length && !st.unknown.length && !problems.length;
+  return { status: st, problems, clean };
+}
+
+module.exports = {
+  MIGRATIONS_DIR, TRACKING_TABLE,
+  loadMigrations, status, migrate, baseline,
+  liveSchema, diffSchema, detectDrift, udtName,
+};
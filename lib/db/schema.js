@@ -0,0 +1,235 @@
+/**
+ * Reads table metadata out of the SQL migrations (migrations/NNNN_*.sql):
+ * columns with their types and NOT NULL flags, column defaults, unique keys
+ * and ON DELETE rules. The in-memory backend uses it to make inserted rows
+ * look like the ones Postgres would return, and lib/db/migrations.js uses it
+ * as the expected side of drift detection.
+ *
+ * Statements are applied in order, the way Postgres would run them, so a
+ * later ALTER TABLE … DROP COLUMN or DROP CONSTRAINT undoes an earlier
+ * definition. It understands the subset of SQL the migrations use — CREATE
+ * TABLE, ALTER TABLE (ADD/DROP/ALTER COLUMN, ADD/DROP CONSTRAINT), CREATE
+ * UNIQUE INDEX, DROP INDEX, DROP TABLE and CREATE / DROP TRIGGER (which
+ * function runs when, for the memory backend to imitate) — and ignores
+ * everything else.
+ */
+
+function _emptyTable(name) {
+  return { name, columns: {}, defaults: {}, unique: [], uniqueNames: {}, references: [], triggers: [] };
+}
+
+// A column default as a function producing a fresh value per row
+function _parseDefault(expr, type) {
+  const e = expr.trim().replace(/::[a-z\[\]]+$/i, '');
+  if (/^now\(\)$/i.test(e)) return () => new Date().toISOString();
+  if (/^current_date$/i.test(e)) return () => new Date().toISOString().split('T')[0];
+  if (/^gen_random_uuid\(\)$/i.test(e)) return () => require('crypto').randomUUID();
+  if (/^true$/i.test(e)) return () => true;
+  if (/^false$/i.test(e)) return () => false;
+  if (/^null$/i.test(e)) return () => null;
+  if (/^-?\d+(\.\d+)?$/.test(e)) { const n = Number(e); return () => n; }
+  const str = e.match(/^'(.*)'$/s);
+  if (str) {
+    const s = str[1].replace(/''/g, "'");
+    if (/^jsonb?$/i.test(type)) { const v = JSON.parse(s); return () => JSON.parse(JSON.stringify(v)); }
+    if (/\[\]$/.test(type) && s === '{}') return () => [];
+    return () => s;
+  }
+  return null; // anything cleverer than a literal is left to the caller
+}
+
+// Split on commas that aren't inside parentheses or quotes
+function _splitTopLevel(body) {
+  const parts = [];
+  let depth = 0, quoted = false, cur = '';
+  for (const ch of body) {
+    if (ch === "'") quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (!quoted && ch === ',' && depth === 0) { parts.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur.trim()) parts.push(cur);
+  return parts;
+}
+
+/**
+ * Split SQL into statements on top-level semicolons, skipping `--` comments
+ * and keeping quoted strings and $$-quoted function bodies intact.
+ */
+function splitStatements(sql) {
+  const out = [];
+  let cur = '', i = 0;
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+    if (rest.startsWith('--')) { const nl = rest.indexOf('\n'); i += nl === -1 ? rest.length : nl; continue; }
+    const dollar = rest.match(/^\$[a-z_]*\$/i);
+    if (dollar) {
+      const end = rest.indexOf(dollar[0], dollar[0].length);
+      const len = end === -1 ? rest.length : end + dollar[0].length;
+      cur += rest.slice(0, len); i += len; continue;
+    }
+    if (rest[0] === "'") {
+      let j = 1;
+      while (j < rest.length && !(rest[j] === "'" && rest[j + 1] !== "'")) j += rest[j] === "'" ? 2 : 1;
+      cur += rest.slice(0, j + 1); i += j + 1; continue;
+    }
+    if (rest[0] === ';') { if (cur.trim()) out.push(cur.trim()); cur = ''; i++; continue; }
+    cur += rest[0]; i++;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+function _keyName(table, cols) {
+  return `${table.name}_${cols.map(c => (typeof c === 'string' ? c : c.column)).join('_')}_key`;
+}
+
+function _addUnique(table, cols, name) {
+  table.unique.push(cols);
+  table.uniqueNames[name || _keyName(table, cols)] = cols;
+}
+
+function _dropConstraint(table, name) {
+  if (name === `${table.name}_pkey` && table.primaryKey) { delete table.primaryKey; return; }
+  const cols = table.uniqueNames[name];
+  if (!cols) return;
+  table.unique = table.unique.filter(u => u !== cols);
+  delete table.uniqueNames[name];
+}
+
+// The column list of a key: "a, b" → ['a', 'b']; lower(email) → { column, lower }
+function _keyColumns(list) {
+  return _splitTopLevel(list).map(c => {
+    const lower = c.trim().match(/^lower\(\s*([a-z_]+)\s*\)$/i);
+    return lower ? { column: lower[1], lower: true } : c.trim();
+  });
+}
+
+// Parse one column definition into the table entry
+function _addColumn(table, def) {
+  const m = def.trim().match(/^"?([a-z_][a-z0-9_]*)"?\s+([A-Za-z_]+(?:\[\])?)([\s\S]*)$/i);
+  if (!m || /^(primary|unique|constraint|check|foreign)$/i.test(m[1])) return;
+  const [, col, type, rest] = m;
+  if (table.columns[col]) return;
+  const isPk = /\bPRIMARY\s+KEY\b/i.test(rest);
+  table.columns[col] = { type: type.toLowerCase(), notNull: isPk || /\bNOT\s+NULL\b/i.test(rest) };
+  if (/^(big)?serial$/i.test(type)) { table.serial = col; table.columns[col].notNull = true; }
+  const def_ = rest.match(/\bDEFAULT\s+('(?:[^']|'')*'(?:::[a-z\[\]]+)?|[^\s,]+(?:\(\))?)/i);
+  if (def_) {
+    const fn = _parseDefault(def_[1], type);
+    if (fn) table.defaults[col] = fn;
+  }
+  if (isPk) table.primaryKey = col;
+  if (/\bUNIQUE\b/i.test(rest)) _addUnique(table, [col]);
+  const ref = rest.match(/\bREFERENCES\s+([a-z_]+)\s*\(\s*([a-z_]+)\s*\)(?:\s+ON\s+DELETE\s+(CASCADE|SET\s+NULL))?/i);
+  if (ref) table.references.push({ column: col, table: ref[1], refColumn: ref[2], onDelete: (ref[3] || '').toUpperCase().replace(/\s+/, ' ') || null });
+}
+
+function _dropColumn(table, col) {
+  delete table.columns[col];
+  delete table.defaults[col];
+  if (table.primaryKey === col) delete table.primaryKey;
+  if (table.serial === col) delete table.serial;
+  for (const [name, cols] of Object.entries(table.uniqueNames)) {
+    if (cols.some(c => (typeof c === 'string' ? c : c.column) === col)) _dropConstraint(table, name);
+  }
+  table.references = table.references.filter(r => r.column !== col);
+}
+
+// Table-level constraint: UNIQUE (…) / PRIMARY KEY (…), optionally named
+function _addTableConstraint(table, def) {
+  const m = def.trim().match(/^(?:CONSTRAINT\s+([a-z_]+)\s+)?(UNIQUE|PRIMARY\s+KEY)\s+(?:NULLS\s+NOT\s+DISTINCT\s+)?\(([^)]+)\)/i);
+  if (!m) return false;
+  const cols = _keyColumns(m[3]);
+  if (/^PRIMARY/i.test(m[2])) {
+    cols.forEach(c => { if (table.columns[c]) table.columns[c].notNull = true; });
+    if (cols.length === 1) table.primaryKey = cols[0];
+    else _addUnique(table, cols, m[1] || `${table.name}_pkey`);
+  } else {
+    _addUnique(table, cols, m[1]);
+  }
+  return true;
+}
+
+function _alterTable(table, action) {
+  const a = action.trim();
+  let m;
+  if ((m = a.match(/^ADD\s+COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i))) return _addColumn(table, m[1]);
+  if ((m = a.match(/^DROP\s+COLUMN\s+(?:IF\s+EXISTS\s+)?([a-z_]+)/i))) return _dropColumn(table, m[1]);
+  if ((m = a.match(/^DROP\s+CONSTRAINT\s+(?:IF\s+EXISTS\s+)?([a-z_]+)/i))) return _dropConstraint(table, m[1]);
+  if ((m = a.match(/^ADD\s+([\s\S]+)$/i))) return _addTableConstraint(table, m[1]);
+  if ((m = a.match(/^ALTER\s+COLUMN\s+([a-z_]+)\s+([\s\S]+)$/i))) {
+    const [, col, change] = m;
+    const column = table.columns[col];
+    let c;
+    if ((c = change.match(/^SET\s+DEFAULT\s+([\s\S]+)$/i))) {
+      const fn = _parseDefault(c[1], column?.type || '');
+      if (fn) table.defaults[col] = fn;
+    } else if (/^DROP\s+DEFAULT$/i.test(change)) delete table.defaults[col];
+    else if (/^SET\s+NOT\s+NULL$/i.test(change)) { if (column) column.notNull = true; }
+    else if (/^DROP\s+NOT\s+NULL$/i.test(change)) { if (column) column.notNull = false; }
+    else if ((c = change.match(/^(?:SET\s+DATA\s+)?TYPE\s+([A-Za-z_]+(?:\[\])?)/i))) { if (column) column.type = c[1].toLowerCase(); }
+  }
+}
+
+// Row-level trigger: CREATE TRIGGER name BEFORE UPDATE OR … ON table FOR EACH ROW EXECUTE FUNCTION fn('arg', …)
+function _addTrigger(tables, stmt) {
+  const m = stmt.match(/^CREATE\s+(?:OR\s+REPLACE\s+)?TRIGGER\s+([a-z_]+)\s+(BEFORE|AFTER)\s+([\s\S]+?)\s+ON\s+([a-z_]+)\s+FOR\s+EACH\s+ROW\s+EXECUTE\s+(?:FUNCTION|PROCEDURE)\s+([a-z_]+)\s*\(([^)]*)\)$/i);
+  if (!m || !tables[m[4]]) return;
+  const [, name, timing, events, table, fn, args] = m;
+  tables[table].triggers = tables[table].triggers.filter(t => t.name !== name);
+  tables[table].triggers.push({
+    name, fn,
+    timing: timing.toUpperCase(),
+    events: events.split(/\s+OR\s+/i).map(e => e.trim().toUpperCase()),
+    args: _splitTopLevel(args).map(a => a.trim().replace(/^'(.*)'$/s, '$1')),
+  });
+}
+
+/**
+ * Parse migration SQL into
+ * { table: { columns, defaults, unique, references, primaryKey, serial, triggers } }.
+ */
+function parseSchema(sql) {
+  const tables = {};
+  const get = name => (tables[name] ||= _emptyTable(name));
+
+  for (const stmt of splitStatements(sql)) {
+    let m;
+    if ((m = stmt.match(/^CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?([a-z_]+)\s*\(([\s\S]*)\)$/i))) {
+      if (tables[m[2]]) continue; // IF NOT EXISTS on a table that's already there is a no-op
+      const table = get(m[2]);
+      for (const part of _splitTopLevel(m[3])) {
+        if (!_addTableConstraint(table, part)) _addColumn(table, part);
+      }
+    } else if ((m = stmt.match(/^ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?([a-z_]+)\s+([\s\S]+)$/i))) {
+      if (!tables[m[1]]) continue;
+      for (const action of _splitTopLevel(m[2])) _alterTable(tables[m[1]], action);
+    } else if ((m = stmt.match(/^CREATE\s+UNIQUE\s+INDEX\s+(?:IF\s+NOT\s+EXISTS\s+)?([a-z_]+)\s+ON\s+([a-z_]+)\s*\(([\s\S]*)\)$/i))) {
+      if (!tables[m[2]] || Object.values(tables).some(t => t.uniqueNames[m[1]])) continue;
+      _addUnique(tables[m[2]], _keyColumns(m[3]), m[1]);
+    } else if ((m = stmt.match(/^DROP\s+INDEX\s+(?:IF\s+EXISTS\s+)?([a-z_]+)/i))) {
+      Object.values(tables).forEach(t => _dropConstraint(t, m[1]));
+    } else if ((m = stmt.match(/^DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([a-z_]+)/i))) {
+      delete tables[m[1]];
+    } else if (/^CREATE\s+(OR\s+REPLACE\s+)?TRIGGER\b/i.test(stmt)) {
+      _addTrigger(tables, stmt);
+    } else if ((m = stmt.match(/^DROP\s+TRIGGER\s+(?:IF\s+EXISTS\s+)?([a-z_]+)\s+ON\s+([a-z_]+)/i))) {
+      if (tables[m[2]]) tables[m[2]].triggers = tables[m[2]].triggers.filter(t => t.name !== m[1]);
+    }
+  }
+  return tables;
+}
+
+let _cached = null;
+/** Schema described by the migrations in migrations/ (read once). */
+function loadSchema() {
+  if (!_cached) {
+    const { loadMigrations } = require('./migrations');
+    _cached = parseSchema(loadMigrations().map(m => m.sql).join(';\n'));
+  }
+  return _cached;
+}
+
+module.exports = { parseSchema, loadSchema, splitStatements };
@@ -0,0 +1,155 @@
+/**
+ * Error responses.
+ *
+ * Every error the API answers with has the same shape:
+ *
+ *   { error: "Expense is locked — project is complete.", code: "locked", requestId: "…", …extra }
+ *
+ * `error` is a sentence for people and may change; `code` is for programs and
+ * doesn't (CODES). requestId matches the X-Request-Id header and the server's
+ * log lines for the request, so a report quoting it can be traced.
+ *
+ * Routes answer expected failures themselves (res.status(404).json({ error }))
+ * or throw one of the classes below; anything else they catch goes to
+ * next(e). handler() turns what reaches it into a response: ApiErrors as they
+ * are, database and outside-service failures by kind (classify()), and the
+ * rest as a 500. Only ApiError messages are sent — a Postgres or Google error
+ * stays in the log, where handler() leaves it for logger.requests().
+ */
+
+// Stable error codes. Responses that don't name one get the code for their status.
+const CODES = {
+  400: 'validation_failed',
+  401: 'unauthenticated',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  428: 'version_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable',
+};
+
+function codeFor(status) {
+  return CODES[status] || (status >= 500 ? CODES[500] : CODES[400]);
+}
+
+/** An error whose message is safe to show. `extra` is merged into the response body. */
+class ApiError extends Error {
+  constructor(status, message, { code = codeFor(status), extra, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+/** 400 — the request itself is wrong. `details` is [{ path, message }] as lib/validation.js sends. */
+class ValidationError extends ApiError {
+  constructor(message, details) {
+    super(400, message, { code: 'validation_failed', extra: details && { details } });
+    this.name = 'ValidationError';
+  }
+}
+
+/** 404 */
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found.') {
+    super(404, message, { code: 'not_found' });
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 403 — the record is locked (paid invoice, finalized payouts, completed project) */
+class LockedError extends ApiError {
+  constructor(message) {
+    super(403, message, { code: 'locked' });
+    this.name = 'LockedError';
+  }
+}
+
+/** 409 — the request clashes with the current state of the data */
+class ConflictError extends ApiError {
+  constructor(message, extra) {
+    super(409, message, { code: 'conflict', extra });
+    this.name = 'ConflictError';
+  }
+}
+
+/** 502 — an outside service (Google Drive, the AI API, email) failed or isn't set up */
+class UpstreamError extends ApiError {
+  constructor(service, cause, message = `${service} isn't responding as expected — try again shortly.`) {
+    super(502, message, { code: 'upstream_error', cause });
+    this.name = 'UpstreamError';
+    this.service = service;
+  }
+}
+
+// Postgres / PostgREST error codes by kind
+const PG_CONFLICT   = ['23505', '23503', '40001', '40P01'];
+const PG_VALIDATION = ['23502', '23514', '22001', '22003', '22007', '22008', '22P02'];
+const PG_NOT_FOUND  = ['PGRST116'];
+// Node's codes for a connection that failed
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/** The ApiError to answer `e` with. */
+function classify(e) {
+  if (e instanceof ApiError) return e;
+  // express.json()
+  if (e.type === 'entity.parse.failed') return new ValidationError('The request body isn\'t valid JSON.');
+  if (e.type === 'entity.too.large')    return new ApiError(413, 'The request body is too large.');
+  if (PG_CONFLICT.includes(e.code)) {
+    return new ConflictError(e.code === '23503'
+      ? 'That refers to a record that doesn\'t exist, or one that is still in use.'
+      : 'That clashes with a change made at the same time or with an existing record — reload and try again.');
+  }
+  if (PG_VALIDATION.includes(e.code)) return new ValidationError('Some of the values sent aren\'t valid.');
+  if (PG_NOT_FOUND.includes(e.code))  return new NotFoundError();
+  // googleapis (GaxiosError: response + config), @anthropic-ai/sdk (APIError:
+  // numeric status + headers), or the service couldn't be reached at all
+  if ((e.response && e.config) || (typeof e.status === 'number' && e.headers) || NETWORK_CODES.includes(e.code)) {
+    return new UpstreamError('An outside service', e);
+  }
+  return new ApiError(500, 'Something went wrong on our side. Quote the request id if you report it.', { code: 'internal_error' });
+}
+
+/**
+ * Middleware: fills in `code` and `requestId` on every error body a route
+ * sends itself. Mount before the routes.
+ */
+function errorBodies(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && 'error' in body) {
+      body = { error: body.error, code: body.code || codeFor(res.statusCode), requestId: req.id, ...body };
+      res.locals.errorCode = body.code;
+    }
+    return json(body);
+  };
+  next();
+}
+
+/** Express error handler; mount after every route. (It takes four arguments or Express won't call it.) */
+function handler(err, req, res, next) {
+  const e = classify(err);
+  // The request's log line keeps the original of anything that wasn't an
+  // ApiError to begin with (a Postgres error behind a 409), and every 5xx
+  if (e !== err || e.status >= 500) res.locals.error = err;
+  if (res.headersSent) return res.destroy(err);
+  res.status(e.status).json({ error: e.message, code: e.code, ...e.extra });
+}
+
+/** 404 for /api paths no route matched; mount after the routes. */
+function notFound(req, res) {
+  res.status(404).json({ error: `No ${req.method} ${req.baseUrl + req.path} endpoint.`, code: 'no_such_endpoint' });
+}
+
+module.exports = {
+  CODES, codeFor, classify,
+  ApiError, ValidationError, NotFoundError, LockedError, ConflictError, UpstreamError,
+  errorBodies, handler, notFound,
+};
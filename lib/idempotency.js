@@ -0,0 +1,88 @@
+/**
+ * Idempotency keys for routes that move money.
+ *
+ * A client that may send a request more than once (a double click, a retry
+ * after a timeout) puts the same Idempotency-Key header on every copy. The
+ * first copy runs and its response is stored (idempotency_keys, migrations/
+ * 0016_idempotency_keys.sql); later copies get that response back, marked
+ * Idempotent-Replayed: true, without running again. A copy that arrives while
+ * the first is still running is refused with 409, and reusing a key for a
+ * different request with 422.
+ *
+ * Keys belong to the member sending them and last KEY_TTL_MS. Only successes
+ * are kept: on these routes any other answer means nothing was written, so
+ * the key is released and the request can be sent again once whatever was
+ * wrong is fixed. Requests without the header run as usual.
+ */
+const crypto = require('crypto');
+const repos = require('./repos');
+const log = require('./logger');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;   // printable ASCII, no spaces
+
+// Hash of what the key was used for: same method, URL and body, same request
+function _fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/** Middleware; mount after requireAuth and before anything else that does work. */
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!KEY_RE.test(key)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1–255 printable characters without spaces.' });
+  }
+  try {
+    const memberId = req.user.sub;
+    const fingerprint = _fingerprint(req);
+    const now = Date.now();
+    await repos.idempotencyKeys.removeWhere({ member_id: memberId, expires_at: { lt: new Date(now).toISOString() } });
+
+    let row = null;
+    try {
+      row = await repos.idempotencyKeys.create({
+        member_id: memberId, key, fingerprint, expires_at: new Date(now + KEY_TTL_MS).toISOString(),
+      });
+    } catch (e) {
+      if (e.code !== '23505') throw e;
+    }
+
+    if (!row) {
+      const first = await repos.idempotencyKeys.findOne({ member_id: memberId, key });
+      if (first && first.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request.', code: 'idempotency_key_reused' });
+      }
+      if (!first || first.status_code == null) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed.', code: 'request_in_progress' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(first.status_code).json(first.response);
+    }
+
+    // Keep the answer before it goes out, so a retry never finds the key
+    // still pending after the client has already been told the outcome
+    let settled = false;
+    const send = res.json.bind(res);
+    res.json = body => {
+      settled = true;
+      const keep = res.statusCode < 300
+        ? repos.idempotencyKeys.update(row.id, { status_code: res.statusCode, response: body ?? null })
+        : repos.idempotencyKeys.remove(row.id);
+      keep.catch(e => log.warn('Idempotency key not saved', { err: e, key })).then(() => send(body));
+      return res;
+    };
+    // Answered some other way (Express's own error page): release the key. A
+    // dropped connection isn't a reason to — the route may still finish.
+    res.on('finish', () => {
+      if (!settled) repos.idempotencyKeys.remove(row.id).catch(() => {});
+    });
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = { KEY_TTL_MS, idempotent };
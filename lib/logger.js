@@ -0,0 +1,96 @@
+/**
+ * Structured logs: one JSON object per line — stdout, or stderr for warn and
+ * error — so the host's log drain can filter and search on any field.
+ *
+ *   log.info('Tombstones pruned', { removed: 12 })
+ *   → {"time":"…","level":"info","msg":"Tombstones pruned","request_id":"…","user_id":"…","removed":12}
+ *
+ * Lines written while a request is being handled carry its request_id (the
+ * X-Request-Id it was answered with) and the id of whoever is acting. An Error
+ * anywhere in the fields is written out as { name, message, code, status, stack }.
+ * LOG_LEVEL (debug, info, warn, error; default info) drops anything quieter.
+ *
+ * requests() adds one line per request when it's answered: method, route,
+ * status, duration_ms, the error code and — for failures the error handler
+ * caught (lib/errors.js) — the error itself.
+ */
+const requestContext = require('./requestContext');
+const { actorOf } = require('./audit');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+function _errorFields(e) {
+  return {
+    name: e.name, message: e.message,
+    ...(e.code !== undefined && { code: e.code }),
+    ...(e.status !== undefined && { status: e.status }),
+    stack: e.stack,
+  };
+}
+
+// The request's id and actor, from the request itself or the one being handled
+function _requestFields(req) {
+  if (!req) return {};
+  const user = req.user || req.portalClient;
+  return { request_id: req.id, ...(user && { user_id: actorOf(user).actor_id }) };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const line = {
+    time: new Date().toISOString(), level, msg,
+    ..._requestFields(requestContext.current()?.req),
+    ...fields,
+  };
+  let text;
+  try {
+    text = JSON.stringify(line, (_, v) => (v instanceof Error ? _errorFields(v) : v));
+  } catch {
+    // Something in the fields can't be serialized (a cycle); keep the rest of the line
+    text = JSON.stringify({ time: line.time, level, msg, request_id: line.request_id, unserializable: true });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(text + '\n');
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info:  (msg, fields) => write('info', msg, fields),
+  warn:  (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Middleware logging each request once it's answered, or abandoned by the
+ * client. Mount right after requestContext.middleware so the timing covers
+ * everything else.
+ */
+function requests() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const ip = requestContext.current()?.ip ?? req.ip;
+    let logged = false;
+    const done = aborted => {
+      if (logged) return;
+      logged = true;
+      const status = aborted ? null : res.statusCode;
+      const { error, errorCode } = res.locals;
+      write(aborted ? 'warn' : status >= 500 ? 'error' : 'info', aborted ? 'request aborted' : 'request', {
+        ..._requestFields(req),
+        method:      req.method,
+        route:       req.route ? req.baseUrl + req.route.path : null,
+        path:        req.originalUrl.split('?')[0],
+        status,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+        ip,
+        ...(errorCode && { code: errorCode }),
+        ...(error && { err: error }),
+      });
+    };
+    res.on('finish', () => done(false));
+    res.on('close', () => done(!res.writableFinished));
+    next();
+  };
+}
+
+module.exports = { LEVELS, ...log, requests };
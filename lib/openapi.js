@@ -0,0 +1,163 @@
+/**
+ * OpenAPI description of the API, generated from the routes themselves.
+ *
+ * Walks the Express router: every /api route becomes an operation, its
+ * validateBody() schema (lib/schemas.js) becomes the request body, its
+ * validateQuery() schema the query parameters, and the auth / permission /
+ * version / idempotency middleware in front of it becomes `security`,
+ * `x-permissions` and the If-Match / Idempotency-Key headers. Nothing here is maintained by hand, so the document
+ * can't drift from what the server actually enforces. Every error response
+ * has the shape of lib/errors.js (the Error schema).
+ */
+const { requireAuth, requireAuthOrSetup } = require('./auth');
+const { requirePortalAuth } = require('./portalAuth');
+const { requireVersion } = require('./concurrency');
+const { idempotent } = require('./idempotency');
+const schemas = require('./schemas');
+const { CODES } = require('./errors');
+
+// Request bodies are referenced by their lib/schemas.js name and listed under
+// components; query schemas are spelled out as parameters instead
+const SCHEMA_NAMES = new Map(
+  Object.entries(schemas).filter(([, s]) => s && typeof s === 'object' && !Array.isArray(s)).map(([k, s]) => [s, k])
+);
+
+const PAGE_HEADERS = {
+  'X-Total-Count': { description: 'Rows matching the filters, across all pages', schema: { type: 'integer' } },
+  'X-Next-Cursor': { description: 'Pass as ?cursor= for the next page; absent on the last page', schema: { type: 'string' } },
+  'Link':          { description: 'URL of the next page, rel="next"', schema: { type: 'string' } },
+};
+
+const ERROR_FIELDS = {
+  code:      { type: 'string', description: `Stable error code: one of ${[...new Set(Object.values(CODES))].join(', ')}, or one a route names (locked, …)` },
+  requestId: { type: 'string', description: 'Same as the X-Request-Id header; quote it when reporting a problem' },
+};
+
+const ERROR = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', description: 'What went wrong, for people — may change' },
+    ...ERROR_FIELDS,
+  },
+};
+
+const VALIDATION_ERROR = {
+  type: 'object',
+  properties: {
+    error:   { type: 'string', description: 'Every problem on one line' },
+    ...ERROR_FIELDS,
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path:    { type: 'string', description: 'Field that failed, e.g. buckets[2].pct' },
+          message: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+function _error(description) {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function _operation(route, used) {
+  const handles = route.stack.map(l => l.handle);
+  const op = { responses: { 200: { description: 'OK' } } };
+
+  const params = [...route.path.matchAll(/:(\w+)/g)].map(m => ({
+    name: m[1], in: 'path', required: true, schema: { type: 'string' },
+  }));
+  const querySchema = handles.find(h => h.querySchema)?.querySchema;
+  for (const [name, schema] of Object.entries(querySchema?.properties || {})) {
+    const { description, ...rest } = schema;
+    params.push({
+      name, in: 'query', schema: rest,
+      ...(description && { description }),
+      ...(schema.type === 'array' && { style: 'form', explode: false }),
+    });
+  }
+  const versioned = handles.includes(requireVersion);
+  if (versioned) {
+    params.push({
+      name: 'If-Match', in: 'header', schema: { type: 'string' },
+      description: 'Version the edit was made against, e.g. "3" — or send it as `version` in the body',
+    });
+  }
+  const keyed = handles.includes(idempotent);
+  if (keyed) {
+    params.push({
+      name: 'Idempotency-Key', in: 'header', schema: { type: 'string', maxLength: 255 },
+      description: 'Send the same key with every copy of a request: the first runs, later ones get its response back',
+    });
+  }
+  if (params.length) op.parameters = params;
+  if (querySchema?.list) op.responses[200].headers = PAGE_HEADERS;
+
+  if (handles.includes(requireAuth))            op.security = [{ staff: [] }];
+  else if (handles.includes(requireAuthOrSetup)) op.security = [{ staff: [] }, { setup: [] }];
+  else if (handles.includes(requirePortalAuth))  op.security = [{ portal: [] }];
+  else                                          op.security = [];
+
+  const perms = handles.flatMap(h => h.permissions || []);
+  if (perms.length) op['x-permissions'] = perms;
+
+  const bodySchema = handles.find(h => h.bodySchema)?.bodySchema;
+  if (bodySchema) {
+    const name = SCHEMA_NAMES.get(bodySchema);
+    if (name) used.add(name);
+    op.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: name ? { $ref: `#/components/schemas/${name}` } : bodySchema } },
+    };
+  }
+  if (bodySchema || querySchema) {
+    op.responses[400] = {
+      description: bodySchema ? 'Invalid request body' : 'Invalid query parameters',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+    };
+  }
+  if (op.security.length) op.responses[401] = _error('Not signed in');
+  if (perms.length) op.responses[403] = _error('Missing permission, or the record is locked');
+  if (versioned) {
+    op.responses[409] = _error('Changed by someone else since that version; `current` holds the record as it is now');
+    op.responses[428] = _error('No version sent');
+  }
+  if (keyed) {
+    op.responses[409] = op.responses[409] || _error('The first request with this Idempotency-Key is still running');
+    op.responses[422] = _error('Idempotency-Key already used for a different request');
+  }
+  op.responses.default = _error('Any other error');
+  return op;
+}
+
+/** Build the OpenAPI 3.0 document for an Express app. */
+function buildOpenApi(app, { title = 'CJ Agency API', version = '1.0.0' } = {}) {
+  const paths = {};
+  const used = new Set();
+  for (const layer of app._router?.stack || []) {
+    const route = layer.route;
+    if (!route || typeof route.path !== 'string' || !route.path.startsWith('/api/')) continue;
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    for (const method of Object.keys(route.methods)) {
+      if (method === '_all') continue;
+      (paths[path] = paths[path] || {})[method] = _operation(route, used);
+    }
+  }
+
+  const components = {
+    securitySchemes: {
+      staff:  { type: 'http', scheme: 'bearer', description: 'Staff session token from /api/auth/login, or a personal API token (cja_pat_…)' },
+      setup:  { type: 'http', scheme: 'bearer', description: 'Setup-only token issued while two-factor enrolment is pending' },
+      portal: { type: 'http', scheme: 'bearer', description: 'Client portal session token' },
+    },
+    schemas: { Error: ERROR, ValidationError: VALIDATION_ERROR },
+  };
+  for (const [schema, name] of SCHEMA_NAMES) if (used.has(name)) components.schemas[name] = schema;
+
+  return { openapi: '3.0.3', info: { title, version }, paths, components };
+}
+
+module.exports = { buildOpenApi };
@@ -0,0 +1,139 @@
+/**
+ * Cursor pagination, filtering and sorting for list endpoints.
+ *
+ * An endpoint describes what it supports with listQuery() (lib/schemas.js) and
+ * mounts paginate(schema), which validates the query string and leaves
+ * req.page ready for repo.page(). sendPage() answers with the rows exactly as
+ * before — a plain array, so existing callers keep working — and puts the
+ * paging metadata in headers:
+ *
+ *   X-Total-Count  rows matching the filters, across all pages
+ *   X-Next-Cursor  pass back as ?cursor= for the next page (absent on the last)
+ *   Link           the next page as a ready-made URL, rel="next"
+ *
+ * Query parameters:
+ *   limit     page size; endpoints without a default return every row
+ *   cursor    from X-Next-Cursor; only valid with the sort it was issued for
+ *   sort      a field name, prefixed with - for descending (sort=-paidAt)
+ *   from, to  inclusive range on the endpoint's date column
+ *   …         the endpoint's filters; lists are comma-separated (status=todo,review)
+ *
+ * Cursors are keyset positions (the last row's sort value and id) rather than
+ * offsets, so rows added or removed meanwhile don't shift later pages.
+ */
+const { t, summarize, validateQuery } = require('./validation');
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Query-string schema for a list endpoint.
+ * @param {object} spec
+ * @param {object} spec.sort          API field → column, e.g. { createdAt: 'created_at' }
+ * @param {string} spec.defaultSort   e.g. '-createdAt'
+ * @param {object} [spec.filters]     parameter → { column, schema, contains }; list values
+ *                                    filter with IN, `contains` ones match any part of
+ *                                    the column, case-insensitively
+ * @param {object} [spec.range]       { column, schema, timestamp } behind from / to;
+ *                                    timestamp columns take dates and include all of `to`
+ * @param {number} [spec.defaultLimit] page size when ?limit is left out
+ * @param {object} [spec.params]      other query parameters the handler reads itself
+ */
+function listQuery({ sort, defaultSort, filters = {}, range, defaultLimit, params = {} }) {
+  const props = {
+    limit:  t.integer({ min: 1, max: MAX_LIMIT, description: `Page size (default ${defaultLimit || 'every row'})` }),
+    cursor: t.string({ min: 1, description: 'X-Next-Cursor from the previous page' }),
+    sort:   t.enum(Object.keys(sort).flatMap(k => [k, `-${k}`]), { description: `Prefix with - for descending (default ${defaultSort})` }),
+  };
+  if (range) {
+    props.from = { ...range.schema, description: `Only rows with ${range.column} on or after this` };
+    props.to   = { ...range.schema, description: `Only rows with ${range.column} on or before this` };
+  }
+  for (const [name, f] of Object.entries(filters)) props[name] = f.schema;
+  Object.assign(props, params);
+  const schema = t.object(props);
+  // Kept off the enumerable keys so it stays out of the published schema
+  Object.defineProperty(schema, 'list', { value: { sort, defaultSort, filters, range, defaultLimit } });
+  return schema;
+}
+
+function _encodeCursor(sortKey, value, id) {
+  return Buffer.from(JSON.stringify([sortKey, value ?? null, id])).toString('base64url');
+}
+
+// → [sortKey, value, id], or null if it isn't one of ours
+function _decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(c) && c.length === 3 && typeof c[0] === 'string' && c[2] != null) return c;
+  } catch { /* fall through */ }
+  return null;
+}
+
+function _nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Middleware for a list endpoint: validates the query against a listQuery()
+ * schema and sets req.page = { where, sort, limit, after, sortKey }. Handlers
+ * may add to req.page.where before calling repo.page(req.page).
+ */
+function paginate(schema) {
+  const spec = schema.list;
+  const build = (req, res, next) => {
+    const q = req.query;
+    const sortKey = q.sort || spec.defaultSort;
+    const column = spec.sort[sortKey.replace(/^-/, '')];
+
+    const where = {};
+    for (const [name, f] of Object.entries(spec.filters)) {
+      const v = q[name];
+      if (v === undefined || (Array.isArray(v) && !v.length)) continue;
+      where[f.column] = f.contains ? { ilike: `%${v}%` } : v;
+    }
+    if (spec.range && (q.from || q.to)) {
+      const r = {};
+      if (q.from) r.gte = q.from;
+      if (q.to) {
+        if (spec.range.timestamp) r.lt = _nextDay(q.to);
+        else r.lte = q.to;
+      }
+      where[spec.range.column] = r;
+    }
+
+    let after;
+    if (q.cursor) {
+      const c = _decodeCursor(q.cursor);
+      if (!c || c[0] !== sortKey) {
+        const errors = [{ path: 'cursor', message: c ? 'belongs to a different sort order' : 'is not a valid cursor' }];
+        return res.status(400).json({ error: summarize(errors), details: errors });
+      }
+      after = { value: c[1], id: c[2] };
+    }
+
+    req.page = { where, sort: [column, !sortKey.startsWith('-')], limit: q.limit || spec.defaultLimit, after, sortKey };
+    next();
+  };
+  return [validateQuery(schema), build];
+}
+
+/**
+ * Send one page: `body` is the (mapped) rows of `page` ({ rows, total,
+ * hasMore } from repo.page), the paging metadata goes in headers.
+ */
+function sendPage(req, res, page, body) {
+  res.set('X-Total-Count', String(page.total));
+  if (page.hasMore) {
+    const last = page.rows[page.rows.length - 1];
+    const cursor = _encodeCursor(req.page.sortKey, last[req.page.sort[0]], last.id);
+    const next = new URL(req.originalUrl, 'http://localhost');
+    next.searchParams.set('cursor', cursor);
+    res.set('X-Next-Cursor', cursor);
+    res.set('Link', `<${next.pathname}${next.search}>; rel="next"`);
+  }
+  res.json(body);
+}
+
+module.exports = { MAX_LIMIT, listQuery, paginate, sendPage };
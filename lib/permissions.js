@@ -0,0 +1,138 @@
+/**
+ * Central permission registry and the role → permission matrix.
+ *
+ * Routes ask for a permission (requirePermission('deals.write')), never a
+ * role. Which roles hold which permissions lives in app_settings under
+ * `role_permissions` and is editable by anyone with `permissions.manage`;
+ * DEFAULT_ROLE_PERMISSIONS applies until an admin saves a matrix.
+ *
+ * The admin role always holds every permission and can't be edited, so a bad
+ * matrix can never lock the org out of fixing it.
+ */
+const settings = require('./settings');
+
+// Valid team_members.auth_role values
+const ROLES = ['admin', 'class_a', 'class_b', 'va'];
+
+const PERMISSIONS = {
+  'deals.view':          'See deals and the pipeline',
+  'deals.write':         'Create and edit deals',
+  'deals.delete':        'Delete deals',
+  'projects.view':       'See projects',
+  'projects.create':     'Create projects',
+  'projects.write':      'Edit projects',
+  'projects.delete':     'Delete projects',
+  'projects.unfinalize': 'Reopen projects with finalized payouts',
+  'tasks.view':          'See tasks and their comments',
+  'tasks.write':         'Create and edit tasks',
+  'tasks.delete':        'Delete tasks',
+  'comments.write':      'Post, edit and delete own task comments',
+  'comments.moderate':   'Edit and delete anyone\'s task comments',
+  'expenses.view':       'See expenses',
+  'expenses.write':      'Log and edit expenses',
+  'expenses.delete':     'Delete expenses',
+  'expenses.import':     'Bulk-import expenses and work the pending queue',
+  'expenses.reimburse':  'Mark expenses reimbursed on completed projects',
+  'payroll.view':        'Read pay status, profit share status and pay history',
+  'payroll.manage':      'Mark pay and profit share paid, run payroll',
+  'finance.view':        'Open the pay calculator and profit share pages',
+  'finance.view_all':    'See every deal value and bucket split, and everyone\'s pay and profit share',
+  'clients.view':        'See clients',
+  'clients.write':       'Create and edit clients',
+  'clients.delete':      'Delete clients',
+  'portal.manage':       'Invite, disable, reset and remove client portal users',
+  'deliverables.view':   'See deliverables and deliverable types',
+  'deliverables.write':  'Create and edit deliverables and deliverable types',
+  'deliverables.delete': 'Delete deliverables and deliverable types',
+  'quotes.view':         'See quotes',
+  'quotes.write':        'Create and edit quotes',
+  'quotes.delete':       'Delete quotes',
+  'retainers.view':      'See retainer contracts',
+  'retainers.write':     'Create and edit retainer contracts and buckets',
+  'retainers.delete':    'Delete retainer contracts and buckets',
+  'team.manage':         'Add, edit and remove team members; manage their sessions and passkeys',
+  'team.impersonate':    'View the app as another member (read-only, audited)',
+  'audit.view':          'Read the audit log',
+  'audit.revert':        'Undo an edit or delete from the audit log',
+  'trash.purge':         'Permanently delete records that have been in the trash past the retention period',
+  'settings.manage':     'Change org-wide settings such as the two-factor policy',
+  'permissions.manage':  'Edit this role/permission matrix',
+};
+
+const _EVERYONE = [
+  'deals.view', 'projects.view', 'projects.write', 'tasks.view', 'tasks.write',
+  'comments.write', 'expenses.view', 'expenses.write', 'expenses.import',
+  'payroll.view', 'clients.view', 'clients.write', 'portal.manage', 'deliverables.view',
+  'deliverables.write', 'quotes.view', 'quotes.write', 'retainers.view', 'retainers.write',
+];
+
+// Mirrors the access each role had before the matrix existed
+const DEFAULT_ROLE_PERMISSIONS = {
+  class_a: [..._EVERYONE,
+    'projects.create', 'finance.view', 'finance.view_all',
+    'deals.delete', 'tasks.delete', 'expenses.delete', 'clients.delete',
+    'deliverables.delete', 'quotes.delete', 'retainers.delete'],
+  class_b: [..._EVERYONE],
+  va:      [..._EVERYONE, 'projects.create', 'finance.view'],
+};
+
+const SETTING_KEY = 'role_permissions';
+
+// The matrix is read on every guarded request, so keep it briefly in memory.
+// Writes through setRolePermissions() bust this instance's copy immediately;
+// other serverless instances pick the change up within CACHE_MS.
+const CACHE_MS = 30 * 1000;
+let _cache = null; // { matrix, at }
+
+/**
+ * Validate a { role: [permission] } matrix. Unknown roles or permissions are
+ * rejected; the admin row is ignored. Returns { matrix } or { error }.
+ */
+function normalizeMatrix(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'matrix must be an object of role → permission list' };
+  const matrix = {};
+  for (const role of ROLES) {
+    if (role === 'admin') continue;
+    const list = input[role] ?? [];
+    if (!Array.isArray(list)) return { error: `Permissions for ${role} must be a list` };
+    const unknown = list.filter(p => !PERMISSIONS[p]);
+    if (unknown.length) return { error: `Unknown permission${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}` };
+    matrix[role] = [...new Set(list)].sort();
+  }
+  const badRoles = Object.keys(input).filter(r => !ROLES.includes(r));
+  if (badRoles.length) return { error: `Unknown role${badRoles.length === 1 ? '' : 's'}: ${badRoles.join(', ')}` };
+  return { matrix };
+}
+
+/** Full matrix for every role, admin included (always every permission). */
+async function getRolePermissions() {
+  if (!_cache || Date.now() - _cache.at > CACHE_MS) {
+    const stored = await settings.getSetting(SETTING_KEY, DEFAULT_ROLE_PERMISSIONS);
+    // A stored matrix that no longer validates (e.g. a permission was renamed) falls back to defaults
+    const { matrix } = normalizeMatrix(stored);
+    _cache = { matrix: matrix || normalizeMatrix(DEFAULT_ROLE_PERMISSIONS).matrix, at: Date.now() };
+  }
+  return { admin: Object.keys(PERMISSIONS), ..._cache.matrix };
+}
+
+/** Save a new matrix (already validated by normalizeMatrix). */
+async function setRolePermissions(matrix, actor) {
+  await settings.setSetting(SETTING_KEY, matrix, actor);
+  _cache = { matrix, at: Date.now() };
+}
+
+/** Permissions held by a role — empty for unknown roles. */
+async function permissionsFor(role) {
+  if (!ROLES.includes(role)) return [];
+  return (await getRolePermissions())[role] || [];
+}
+
+async function hasPermission(role, permission) {
+  return (await permissionsFor(role)).includes(permission);
+}
+
+module.exports = {
+  ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS,
+  normalizeMatrix, getRolePermissions, setRolePermissions,
+  permissionsFor, hasPermission,
+};
@@ -0,0 +1,99 @@
+/**
+ * Client-portal tokens and the requirePortalAuth middleware.
+ *
+ * Portal tokens are signed with their own key, so a staff token can never pass
+ * as a portal token or the other way round, and either key can be rotated on
+ * its own. Each token is backed by a portal_sessions row (lib/portalSessions.js).
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+const supabase = require('./supabase');
+const portalSessions = require('./portalSessions');
+const log = require('./logger');
+const { clientIp } = require('./auth');
+
+const PORTAL_SCOPE   = 'portal';
+const PORTAL_EXPIRES = process.env.PORTAL_JWT_EXPIRES_IN || '7d';
+
+// PORTAL_JWT_SECRET should be set in every deployment. Until it is, a key is
+// derived from JWT_SECRET — still distinct from the staff key, but rotating
+// JWT_SECRET then also signs every portal user out.
+let SECRET = process.env.PORTAL_JWT_SECRET;
+if (!SECRET) {
+  if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
+    log.warn('PORTAL_JWT_SECRET is not set — deriving the portal signing key from JWT_SECRET');
+  }
+  SECRET = crypto.createHmac('sha256', process.env.JWT_SECRET).update('cja-portal-token').digest('hex');
+} else if (SECRET === process.env.JWT_SECRET) {
+  throw new Error('PORTAL_JWT_SECRET must differ from JWT_SECRET');
+}
+
+/**
+ * Start a portal session for a portal user: creates the session row and
+ * returns a token bound to it.
+ */
+async function startPortalSession(user, client, req) {
+  const sessionId = portalSessions.newSessionId();
+  const token = jwt.sign({
+    scope: PORTAL_SCOPE,
+    sub: user.id,
+    name: user.name || user.email,
+    clientId: client.id,
+    clientName: client.name,
+  }, SECRET, { expiresIn: PORTAL_EXPIRES, jwtid: sessionId });
+  await portalSessions.createPortalSession({
+    id:           sessionId,
+    portalUserId: user.id,
+    clientId:     client.id,
+    ip:           clientIp(req),
+    userAgent:    req.headers['user-agent'],
+    expiresAt:    new Date(jwt.decode(token).exp * 1000).toISOString(),
+  });
+  return { token, sessionId };
+}
+
+/**
+ * Express middleware — requires a portal Bearer token backed by a live session
+ * whose portal user, client and the client's portal switch are all still on.
+ * Sets req.portalClient = { sub, name, clientId, clientName, jti } and
+ * req.portalSession. If access has been switched off the session is revoked
+ * on the spot, so turning it back on later doesn't revive old logins.
+ */
+async function requirePortalAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token  = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ error: 'Not authenticated' });
+  let payload;
+  try {
+    payload = jwt.verify(token, SECRET);
+  } catch {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  if (payload.scope !== PORTAL_SCOPE) return res.status(403).json({ error: 'Invalid token scope' });
+  try {
+    const session = await portalSessions.getActivePortalSession(payload.jti);
+    if (!session || session.portal_user_id !== payload.sub) {
+      return res.status(401).json({ error: 'Session has ended — please sign in again' });
+    }
+    const [{ data: user }, { data: client }] = await Promise.all([
+      supabase.from('portal_users').select('id,name,email,active').eq('id', session.portal_user_id).maybeSingle(),
+      supabase.from('clients').select('id,name,active,portal_active').eq('id', session.client_id).maybeSingle(),
+    ]);
+    if (!user?.active || !client?.active || !client?.portal_active) {
+      await portalSessions.revokePortalSessions({ id: session.id });
+      return res.status(401).json({ error: 'Portal access has been turned off for this account' });
+    }
+    await portalSessions.touchPortalSession(session, clientIp(req));
+    req.portalClient = {
+      sub: user.id, name: user.name || user.email, jti: session.id,
+      clientId: client.id, clientName: client.name,
+    };
+    req.portalSession = session;
+    next();
+  } catch (e) {
+    return next(e);
+  }
+}
+
+module.exports = { PORTAL_SCOPE, startPortalSession, requirePortalAuth };
@@ -0,0 +1,99 @@
+/**
+ * Server-side session records for client-portal logins (portal_sessions).
+ *
+ * The portal counterpart of lib/sessions.js: every portal JWT carries a `jti`
+ * pointing at a row here, so a portal login can be revoked — by the portal
+ * user signing out, by staff from the client modal, or automatically when the
+ * user or the client's portal access is switched off.
+ */
+const supabase = require('./supabase');
+const { newSessionId, describeDevice } = require('./sessions');
+const log = require('./logger');
+
+// Same throttle as staff sessions — see lib/sessions.js
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/** Insert a session row. expiresAt should match the JWT `exp`. */
+async function createPortalSession({ id, portalUserId, clientId, ip, userAgent, expiresAt }) {
+  const now = new Date().toISOString();
+  const { error } = await supabase.from('portal_sessions').insert({
+    id,
+    portal_user_id: portalUserId,
+    client_id:      clientId,
+    ip:             ip || null,
+    user_agent:     userAgent ? String(userAgent).slice(0, 500) : null,
+    device:         describeDevice(userAgent),
+    created_at:     now,
+    last_seen_at:   now,
+    expires_at:     expiresAt,
+  });
+  if (error) throw error;
+}
+
+/** Return the session row if it exists, is not revoked and has not expired; else null. */
+async function getActivePortalSession(id) {
+  if (!id) return null;
+  const { data, error } = await supabase
+    .from('portal_sessions')
+    .select('id, portal_user_id, client_id, ip, device, created_at, last_seen_at, expires_at, revoked_at')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || data.revoked_at) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+  return data;
+}
+
+/** Bump last_seen_at (and ip) — throttled, best effort. */
+async function touchPortalSession(session, ip) {
+  const last = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+  if (Date.now() - last < TOUCH_INTERVAL_MS) return;
+  try {
+    const updates = { last_seen_at: new Date().toISOString() };
+    if (ip) updates.ip = ip;
+    await supabase.from('portal_sessions').update(updates).eq('id', session.id);
+  } catch (e) {
+    log.warn('Portal session touch failed', { err: e });
+  }
+}
+
+/** Active sessions for a client, most recent first, with the portal user's name and email. */
+async function listActivePortalSessions(clientId) {
+  const { data, error } = await supabase
+    .from('portal_sessions')
+    .select('id, portal_user_id, ip, device, created_at, last_seen_at, expires_at, portal_users(name, email)')
+    .eq('client_id', clientId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Revoke sessions matching a filter and return how many were revoked.
+ *   { id }           — one session
+ *   { clientId }     — every session for a client
+ *   { portalUserId } — every session for one portal user
+ * Filters combine, e.g. { id, clientId } only revokes the session if it
+ * belongs to that client. exceptId keeps one session alive.
+ */
+async function revokePortalSessions({ id, clientId, portalUserId, exceptId } = {}) {
+  if (!id && !clientId && !portalUserId) throw new Error('revokePortalSessions: a filter is required');
+  let q = supabase.from('portal_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .is('revoked_at', null);
+  if (id)           q = q.eq('id', id);
+  if (clientId)     q = q.eq('client_id', clientId);
+  if (portalUserId) q = q.eq('portal_user_id', portalUserId);
+  if (exceptId)     q = q.neq('id', exceptId);
+  const { data, error } = await q.select('id');
+  if (error) throw error;
+  return data?.length || 0;
+}
+
+module.exports = {
+  newSessionId,
+  createPortalSession, getActivePortalSession, touchPortalSession,
+  listActivePortalSessions, revokePortalSessions,
+};
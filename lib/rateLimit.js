@@ -0,0 +1,115 @@
+/**
+ * Sliding-window rate limiting with a pluggable store.
+ *
+ * Each allowed request is recorded with its timestamp; a request is allowed
+ * while fewer than `max` fall inside the last `windowMs`. Unlike fixed buckets
+ * there is no reset boundary to burst across. Rejected requests aren't
+ * recorded, so a key never holds more than `max` entries.
+ *
+ * Stores:
+ *   memory   — per-process Map. Fine for local dev; on serverless every cold
+ *              start and every instance gets its own counters.
+ *   postgres — rate_limit_hits table via the rate_limit_hit() SQL function
+ *              (migrations/0007_rate_limiting.sql), shared by all instances.
+ *
+ * RATE_LIMIT_STORE picks one; default is postgres on Vercel / in production,
+ * memory otherwise.
+ */
+const supabase = require('./supabase');
+const { clientIp } = require('./auth');
+const log = require('./logger');
+
+/** In-process store: key → sorted array of hit times (ms). */
+function createMemoryStore() {
+  const hits = new Map();
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    hits.forEach((times, key) => { if (!times.length || times[times.length - 1] < cutoff) hits.delete(key); });
+  }, 15 * 60 * 1000);
+  sweep.unref?.();
+  return {
+    name: 'memory',
+    async hit(key, windowMs, max) {
+      const now = Date.now();
+      const times = (hits.get(key) || []).filter(t => t > now - windowMs);
+      const allowed = times.length < max;
+      if (allowed) times.push(now);
+      hits.set(key, times);
+      return { allowed, count: times.length, oldest: times[0] };
+    },
+    async reset(key) { hits.delete(key); },
+  };
+}
+
+/** Shared store backed by Postgres. */
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+    async hit(key, windowMs, max) {
+      const { data, error } = await supabase.rpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs, p_max: max });
+      if (error) throw error;
+      const row = Array.isArray(data) ? data[0] : data;
+      return {
+        allowed: !!row?.allowed,
+        count:   Number(row?.hits) || 0,
+        oldest:  row?.oldest_at ? new Date(row.oldest_at).getTime() : Date.now(),
+      };
+    },
+    async reset(key) {
+      const { error } = await supabase.from('rate_limit_hits').delete().eq('key', key);
+      if (error) throw error;
+    },
+  };
+}
+
+function defaultStore() {
+  const choice = (process.env.RATE_LIMIT_STORE ||
+    (process.env.VERCEL || process.env.NODE_ENV === 'production' ? 'postgres' : 'memory')).toLowerCase();
+  if (choice === 'postgres') return createPostgresStore();
+  if (choice === 'memory') return createMemoryStore();
+  throw new Error(`Unknown RATE_LIMIT_STORE "${choice}" (expected memory or postgres)`);
+}
+
+let _store = null;
+/** The process-wide store, created on first use. */
+function getStore() {
+  if (!_store) _store = defaultStore();
+  return _store;
+}
+
+/**
+ * Express middleware factory.
+ *   name     — namespace so limiters don't share counters
+ *   windowMs — sliding window length
+ *   max      — hits allowed inside the window
+ *   key      — req → string identifying the caller (default: client IP)
+ *   message  — retryAfterSeconds → error text for the 429
+ *   store    — override the shared store (mostly for tests)
+ *
+ * If the store is unreachable the request is let through with a warning: a
+ * database hiccup shouldn't lock every member out of the app.
+ */
+function rateLimit({ name, windowMs, max, key = clientIp, message, store } = {}) {
+  if (!name || !windowMs || !max) throw new Error('rateLimit: name, windowMs and max are required');
+  const describe = message || (secs => `Too many requests — retry in ${Math.ceil(secs / 60)} minute${Math.ceil(secs / 60) === 1 ? '' : 's'}`);
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await (store || getStore()).hit(`${name}:${key(req)}`, windowMs, max);
+    } catch (e) {
+      log.warn(`Rate limiter "${name}" unavailable, allowing request`, { err: e });
+      return next();
+    }
+    const retryAfter = Math.max(1, Math.ceil((result.oldest + windowMs - Date.now()) / 1000));
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - result.count));
+    res.setHeader('RateLimit-Reset', retryAfter);
+    if (!result.allowed) {
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: describe(retryAfter), retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit, getStore, createMemoryStore, createPostgresStore };
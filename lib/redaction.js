@@ -0,0 +1,126 @@
+/**
+ * Role-aware shaping of financial data in API responses.
+ *
+ * Members whose role holds `finance.view_all` see everything. Everyone else
+ * only gets the money they're part of:
+ *   - deals they own, work on (an assigned task on the linked project) or hold
+ *     a personal fee bucket on keep their value and shared buckets; other
+ *     members' fee buckets are removed
+ *   - members with a profit share also see every other deal's value and its
+ *     Profit Share bucket, since their own share is computed from them
+ *   - any other deal comes back with value null, no buckets and
+ *     financialsHidden: true
+ *   - pay status, profit-share status and the pay log are cut down to the
+ *     member's own entries; other members' profit-share rates are removed
+ *
+ * The realtime refresh goes through the same endpoints, so it's shaped too.
+ */
+const supabase = require('./supabase');
+const permissions = require('./permissions');
+
+const VIEW_ALL = 'finance.view_all';
+
+/**
+ * Work out what the caller may see. Returns { full: true } for unrestricted
+ * roles, otherwise { full: false, memberId, dealIds: Set, profitShare }.
+ * Pass rows already loaded (projects, tasks, team) to skip the lookups.
+ */
+async function financialScope(req, loaded = {}) {
+  if (await permissions.hasPermission(req.user.role, VIEW_ALL)) return { full: true };
+  const memberId = req.user.sub;
+
+  let tasks = loaded.tasks;
+  if (!tasks) {
+    const { data, error } = await supabase.from('tasks').select('project_id, assignee_id').eq('assignee_id', memberId).is('deleted_at', null);
+    if (error) throw error;
+    tasks = data || [];
+  }
+  const projectIds = new Set(tasks.filter(t => t.assignee_id === memberId).map(t => t.project_id));
+
+  let projects = loaded.projects;
+  if (!projects) {
+    projects = [];
+    if (projectIds.size) {
+      const { data, error } = await supabase.from('projects').select('id, deal_id').in('id', [...projectIds]).is('deleted_at', null);
+      if (error) throw error;
+      projects = data || [];
+    }
+  }
+  const dealIds = new Set(projects.filter(p => p.deal_id && projectIds.has(p.id)).map(p => p.deal_id));
+
+  let me = loaded.team && loaded.team.find(m => m.id === memberId);
+  if (!me) {
+    const { data, error } = await supabase.from('team_members').select('id, profit_share_pct, ps_rate_history').eq('id', memberId).maybeSingle();
+    if (error) throw error;
+    me = data;
+  }
+  const history = Array.isArray(me?.ps_rate_history) ? me.ps_rate_history : [];
+  const profitShare = (me?.profit_share_pct || 0) > 0 || history.some(seg => (seg.pct || 0) > 0);
+
+  return { full: false, memberId, dealIds, profitShare };
+}
+
+function _involved(scope, deal) {
+  return deal.owner === scope.memberId
+    || scope.dealIds.has(deal.id)
+    || (deal.buckets || []).some(b => b.isPersonal && b.assignedTo === scope.memberId);
+}
+
+/** Shape a mapped deal (mapDeal output) for the caller. */
+function redactDeal(scope, deal) {
+  if (scope.full) return deal;
+  const buckets = deal.buckets || [];
+  let visible;
+  if (_involved(scope, deal)) {
+    visible = buckets.filter(b => !b.isPersonal || b.assignedTo === scope.memberId);
+  } else if (scope.profitShare) {
+    visible = buckets.filter(b => b.name === 'Profit Share');
+  } else {
+    return { ...deal, value: null, buckets: [], financialsHidden: true };
+  }
+  if (visible.length === buckets.length) return deal;
+  return { ...deal, buckets: visible, bucketsHidden: true };
+}
+
+/** Keep only the caller's own keys in a { key: value } map whose keys end in _<memberId>. */
+function redactMemberKeyed(scope, map) {
+  if (scope.full) return map;
+  const suffix = `_${scope.memberId}`;
+  const out = {};
+  Object.keys(map).forEach(k => { if (k.endsWith(suffix)) out[k] = map[k]; });
+  return out;
+}
+
+/** Keep only the caller's own pay_log rows. */
+function redactPayLog(scope, rows) {
+  if (scope.full) return rows;
+  return rows.filter(r => r.member_id === scope.memberId);
+}
+
+/** Remove other members' profit-share rates from mapped team members. */
+function redactTeam(scope, team) {
+  if (scope.full) return team;
+  return team.map(m => m.id === scope.memberId ? m : { ...m, profitSharePct: null, psRateHistory: [] });
+}
+
+/**
+ * Strip financial fields from a deal PATCH body that the caller couldn't see,
+ * so saving a form built from a redacted deal can't overwrite the hidden values.
+ * `current` is the mapped deal as stored. Returns the list of dropped fields.
+ */
+function dropHiddenDealFields(scope, current, body) {
+  if (scope.full) return [];
+  const shaped = redactDeal(scope, current);
+  const hidden = [];
+  if (shaped.financialsHidden) hidden.push('value', 'buckets');
+  else if (shaped.bucketsHidden) hidden.push('buckets');
+  const dropped = hidden.filter(f => body[f] !== undefined);
+  dropped.forEach(f => { delete body[f]; });
+  return dropped;
+}
+
+module.exports = {
+  VIEW_ALL,
+  financialScope, redactDeal, redactMemberKeyed, redactPayLog, redactTeam,
+  dropHiddenDealFields,
+};
@@ -0,0 +1,6 @@
+/** The audit trail (append-only; written by auditLog() in api/index.js). */
+const { createRepository } = require('./base');
+
+const auditLog = createRepository('audit_log', { order: ['created_at', false] });
+
+module.exports = { auditLog };
@@ -0,0 +1,179 @@
+/**
+ * Generic table repository. Each entity module in lib/repos wraps one table
+ * with createRepository() and adds whatever lookups its routes need.
+ *
+ * Repositories talk to the configured client from lib/db, so they work the
+ * same on Supabase and on the in-memory backend. Methods return plain rows
+ * (snake_case, as stored — mapping to API shapes stays with the routes) and
+ * throw the database error on failure, keeping its `code` (e.g. '23505').
+ *
+ * `where` objects filter rows:
+ *   { col: value }             equality
+ *   { col: null }              IS NULL
+ *   { col: [a, b] }            IN (a, b)
+ *   { col: { neq | gt | gte | lt | lte | ilike: value } }
+ *
+ * Repositories created with `softDelete` leave out rows that are in the trash
+ * (deleted_at set — see lib/trash.js) from every read and update; their
+ * `withDeleted` sibling sees all rows. Inserts and deletes aren't filtered.
+ */
+const db = require('../supabase');
+
+const OPERATORS = ['neq', 'gt', 'gte', 'lt', 'lte', 'ilike'];
+
+function applyWhere(query, where = {}) {
+  for (const [col, v] of Object.entries(where)) {
+    if (v === undefined) continue;
+    if (v === null) query = query.is(col, null);
+    else if (Array.isArray(v)) query = query.in(col, v);
+    else if (typeof v === 'object' && !(v instanceof Date)) {
+      for (const [op, arg] of Object.entries(v)) {
+        if (!OPERATORS.includes(op)) throw new Error(`Unknown filter operator "${op}" on ${col}`);
+        query = query[op](col, arg);
+      }
+    } else query = query.eq(col, v);
+  }
+  return query;
+}
+
+// order: 'col' | ['col', ascending] | [['col', ascending], …]
+function applyOrder(query, order) {
+  if (!order) return query;
+  const list = typeof order === 'string' ? [[order, true]]
+    : Array.isArray(order[0]) ? order : [order];
+  for (const [col, ascending = true] of list) query = query.order(col, { ascending });
+  return query;
+}
+
+// PostgREST filter value, quoted so commas, dots and parentheses survive
+function quote(v) {
+  return `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Rows strictly after `after` ({ value, id }) in ORDER BY column, id — NULLs sort last
+function keysetFilter(column, ascending, after) {
+  const op = ascending ? 'gt' : 'lt';
+  const id = quote(after.id);
+  if (after.value === null) return `and(${column}.is.null,id.${op}.${id})`;
+  const v = quote(after.value);
+  return `${column}.${op}.${v},${column}.is.null,and(${column}.eq.${v},id.${op}.${id})`;
+}
+
+async function run(query) {
+  const { data, error, count } = await query;
+  if (error) throw error;
+  return { data, count };
+}
+
+/**
+ * Call a database function (migrations/) and return its result. Writes that
+ * span several tables go through one so they commit or roll back as a whole.
+ */
+async function callFunction(name, args) {
+  return (await run(db.rpc(name, args))).data;
+}
+
+/**
+ * @param {string} table
+ * @param {object} [opts]
+ * @param {*}      [opts.order] default ordering for list()
+ * @param {boolean} [opts.softDelete] hide rows in the trash
+ */
+function createRepository(table, { order: defaultOrder, softDelete = false } = {}) {
+  // Live rows only, unless the caller filters on deleted_at itself
+  const scope = where => (softDelete ? { deleted_at: null, ...where } : where);
+
+  const repo = {
+    table,
+
+    /** Rows matching `where`, in `order` (default: the repo's), at most `limit`. */
+    async list({ where, columns = '*', order = defaultOrder, limit } = {}) {
+      let q = applyOrder(applyWhere(db.from(table).select(columns), scope(where)), order);
+      if (limit) q = q.limit(limit);
+      return (await run(q)).data || [];
+    },
+
+    /**
+     * One page of rows for cursor pagination: ordered by `sort` ([column,
+     * ascending]) with id as the tie-breaker, starting after the row given as
+     * `after` ({ value, id } — its sort value and id). Returns { rows, total,
+     * hasMore }; total counts every row matching `where`, or is null with
+     * `count: false`. Without `limit` the page is everything that's left.
+     */
+    async page({ where, columns = '*', sort, limit, after, count = true } = {}) {
+      const [column, ascending = true] = sort;
+      where = scope(where);
+      let q = applyWhere(db.from(table).select(columns), where);
+      if (after) q = q.or(keysetFilter(column, ascending, after));
+      q = q.order(column, { ascending, nullsFirst: false }).order('id', { ascending });
+      if (limit) q = q.limit(limit + 1);
+      const [rows, total] = await Promise.all([
+        run(q).then(r => r.data || []),
+        count ? run(applyWhere(db.from(table).select('id', { count: 'exact', head: true }), where)).then(r => r.count || 0) : null,
+      ]);
+      const hasMore = !!limit && rows.length > limit;
+      return { rows: hasMore ? rows.slice(0, limit) : rows, total, hasMore };
+    },
+
+    /** One row by id, or null. */
+    async get(id, columns = '*') {
+      return (await run(applyWhere(db.from(table).select(columns).eq('id', id), scope()).maybeSingle())).data;
+    },
+
+    /** The single row matching `where`, or null. */
+    async findOne(where, columns = '*') {
+      return (await run(applyWhere(db.from(table).select(columns), scope(where)).maybeSingle())).data;
+    },
+
+    /** Number of rows matching `where`. */
+    async count(where) {
+      return (await run(applyWhere(db.from(table).select('id', { count: 'exact', head: true }), scope(where)))).count || 0;
+    },
+
+    /** Insert one row and return it as stored. */
+    async create(row) {
+      return (await run(db.from(table).insert(row).select().single())).data;
+    },
+
+    /** Insert several rows and return them. */
+    async createMany(rows) {
+      if (!rows.length) return [];
+      return (await run(db.from(table).insert(rows).select())).data || [];
+    },
+
+    /**
+     * Update one row by id; returns the updated row, or null if it doesn't
+     * exist — or, given `version`, is no longer at that version.
+     */
+    async update(id, patch, { version } = {}) {
+      let q = applyWhere(db.from(table).update(patch).eq('id', id), scope());
+      if (version !== undefined) q = q.eq('version', version);
+      return (await run(q.select().maybeSingle())).data;
+    },
+
+    /** Update every row matching `where`; returns the updated rows. */
+    async updateWhere(where, patch) {
+      return (await run(applyWhere(db.from(table).update(patch), scope(where)).select())).data || [];
+    },
+
+    /** Insert or update on the `onConflict` columns; returns the stored row. */
+    async upsert(row, { onConflict } = {}) {
+      return (await run(db.from(table).upsert(row, onConflict ? { onConflict } : undefined).select().single())).data;
+    },
+
+    /** Delete one row by id. */
+    async remove(id) {
+      await run(db.from(table).delete().eq('id', id));
+    },
+
+    /** Delete every row matching `where` (refuses an empty filter). */
+    async removeWhere(where) {
+      if (!where || !Object.values(where).some(v => v !== undefined)) throw new Error(`${table}.removeWhere: a filter is required`);
+      await run(applyWhere(db.from(table).delete(), where));
+    },
+  };
+  if (softDelete) repo.withDeleted = createRepository(table, { order: defaultOrder });
+  return repo;
+}
+
+module.exports = { createRepository, applyWhere, callFunction };
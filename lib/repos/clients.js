@@ -0,0 +1,6 @@
+/** Clients. Deleting a client only deactivates it (active = false). */
+const { createRepository } = require('./base');
+
+const clients = createRepository('clients', { order: ['name', true] });
+
+module.exports = { clients };
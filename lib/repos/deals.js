@@ -0,0 +1,6 @@
+/** Deals (pipeline). */
+const { createRepository } = require('./base');
+
+const deals = createRepository('deals', { order: ['created_at', false], softDelete: true });
+
+module.exports = { deals };
@@ -0,0 +1,12 @@
+/** Deliverable types, deliverables and the task ↔ deliverable links. */
+const { createRepository } = require('./base');
+
+const deliverableTypes = createRepository('deliverable_types', { order: ['name', true] });
+const deliverables = createRepository('deliverables', { order: [['sort_order', true], ['created_at', true]], softDelete: true });
+const taskDeliverables = createRepository('task_deliverables', { softDelete: true });
+
+/** Link a task to a deliverable (no-op if already linked). */
+taskDeliverables.link = (taskId, deliverableId) =>
+  taskDeliverables.upsert({ task_id: taskId, deliverable_id: deliverableId }, { onConflict: 'task_id,deliverable_id' });
+
+module.exports = { deliverableTypes, deliverables, taskDeliverables };
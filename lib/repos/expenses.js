@@ -0,0 +1,7 @@
+/** Logged expenses and the pending (imported, not yet accepted) queue. */
+const { createRepository } = require('./base');
+
+const expenses = createRepository('expenses', { order: ['date', false], softDelete: true });
+const pendingExpenses = createRepository('pending_expenses', { order: ['created_at', false] });
+
+module.exports = { expenses, pendingExpenses };
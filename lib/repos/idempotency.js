@@ -0,0 +1,6 @@
+/** Stored first responses for Idempotency-Key requests (see lib/idempotency.js). */
+const { createRepository } = require('./base');
+
+const idempotencyKeys = createRepository('idempotency_keys');
+
+module.exports = { idempotencyKeys };
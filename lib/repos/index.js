@@ -0,0 +1,19 @@
+/**
+ * Repositories for the business entities, one module per area. Import from
+ * here: const repos = require('../lib/repos'); repos.deals.get(id).
+ */
+module.exports = {
+  ...require('./deals'),
+  ...require('./projects'),
+  ...require('./tasks'),
+  ...require('./expenses'),
+  ...require('./pay'),
+  ...require('./clients'),
+  ...require('./deliverables'),
+  ...require('./quotes'),
+  ...require('./retainers'),
+  ...require('./audit'),
+  ...require('./sync'),
+  ...require('./trash'),
+  ...require('./idempotency'),
+};
@@ -0,0 +1,26 @@
+/**
+ * Pay records: paid flags per pay line (pay_status, keyed by pay_key),
+ * quarterly profit-share status and the pay history log.
+ */
+const { createRepository, callFunction } = require('./base');
+
+const payStatus = createRepository('pay_status');
+const profitShareStatus = createRepository('profit_share_status');
+const payLog = createRepository('pay_log', { order: ['paid_at', false] });
+
+/** Set a pay line's paid flag (and snapshot fields) by its pay_key. */
+payStatus.set = row => payStatus.upsert(row, { onConflict: 'pay_key' });
+
+/** Set a member's profit-share status for a quarter. */
+profitShareStatus.set = row => profitShareStatus.upsert(row, { onConflict: 'quarter_key,member_id' });
+
+/**
+ * Mark pay lines paid and log each payment, all or nothing. `items` are
+ * { pay_key, project_id, member_id, member_name, pay_type, amount,
+ * project_name, notes }; returns [{ pay_key, pay_log_id }] in the same order.
+ * Throws a 23505 when any of them is already paid.
+ */
+payStatus.markPaid = (items, { id, name }) =>
+  callFunction('mark_payroll_paid', { p_items: items, p_created_by_id: id, p_created_by_name: name });
+
+module.exports = { payStatus, profitShareStatus, payLog };
@@ -0,0 +1,9 @@
+/** Projects — each optionally linked to the deal it delivers. */
+const { createRepository } = require('./base');
+
+const projects = createRepository('projects', { order: ['created_at', false], softDelete: true });
+
+/** The project delivering a deal, or null. */
+projects.forDeal = (dealId, columns = '*') => projects.findOne({ deal_id: dealId }, columns);
+
+module.exports = { projects };
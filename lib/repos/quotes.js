@@ -0,0 +1,16 @@
+/** Quotes and their line items. */
+const { createRepository, callFunction } = require('./base');
+
+const quotes = createRepository('quotes', { order: ['created_at', false] });
+const quoteLineItems = createRepository('quote_line_items', { order: ['sort_order', true] });
+
+/**
+ * Apply `changes` to a quote and, unless `lineItems` is undefined, replace its
+ * line items with those rows (sort_order follows the array) — in one
+ * transaction. Returns the updated quote, or null if it doesn't exist or,
+ * given `version`, is no longer at that version.
+ */
+quotes.updateWithLines = (id, changes, lineItems, { version } = {}) =>
+  callFunction('update_quote', { p_quote_id: id, p_changes: changes, p_line_items: lineItems ?? null, p_version: version ?? null });
+
+module.exports = { quotes, quoteLineItems };
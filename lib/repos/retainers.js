@@ -0,0 +1,7 @@
+/** Retainer contracts and their hour buckets. */
+const { createRepository } = require('./base');
+
+const retainerContracts = createRepository('retainer_contracts', { order: ['start_month', true] });
+const retainerBuckets = createRepository('retainer_buckets', { order: ['sort_order', true] });
+
+module.exports = { retainerContracts, retainerBuckets };
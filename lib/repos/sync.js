@@ -0,0 +1,6 @@
+/** Deleted-row markers for delta sync (written by the record_tombstone() trigger, read by lib/sync.js). */
+const { createRepository } = require('./base');
+
+const syncTombstones = createRepository('sync_tombstones', { order: ['deleted_at', true] });
+
+module.exports = { syncTombstones };
@@ -0,0 +1,7 @@
+/** Tasks and their comment threads. */
+const { createRepository } = require('./base');
+
+const tasks = createRepository('tasks', { order: ['created_at', false], softDelete: true });
+const taskComments = createRepository('task_comments', { order: ['created_at', true] });
+
+module.exports = { tasks, taskComments };
@@ -0,0 +1,21 @@
+/** The trash: one entry per soft delete (see lib/trash.js). */
+const { createRepository, callFunction } = require('./base');
+
+const trash = createRepository('trash', { order: ['deleted_at', false] });
+
+/**
+ * Move a record and its dependents to the trash, all or nothing. Returns
+ * { id, tasks, deliverables, expenses } — the entry and how many dependents
+ * went with it — or null if the record doesn't exist or is already trashed.
+ */
+trash.put = (table, id, label, actor) => callFunction('trash_record', {
+  p_table: table, p_id: id, p_label: label, p_deleted_by: actor.id, p_deleted_by_name: actor.name,
+});
+
+/** Bring back everything an entry holds. Returns the entry, or null if it doesn't exist. */
+trash.restore = id => callFunction('restore_trash', { p_trash_id: id });
+
+/** Delete everything an entry holds for good. Returns the entry, or null if it doesn't exist. */
+trash.purge = id => callFunction('purge_trash', { p_trash_id: id });
+
+module.exports = { trash };
@@ -0,0 +1,35 @@
+/**
+ * Per-request context that follows a request through every await, so code far
+ * from the route (the database layer, the audit trigger stand-ins) can tell
+ * which request it is working for without having it passed down.
+ *
+ * The middleware gives each request an id — the caller's X-Request-Id when it
+ * sends a usable one, else a fresh UUID — and echoes it back in the response.
+ */
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Ids we'll take from the caller (a proxy or client correlating its own logs)
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * @param {object}   opts
+ * @param {Function} opts.clientIp (req) → the caller's IP (lib/auth.js)
+ */
+function middleware({ clientIp }) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    storage.run({ req, ip: clientIp(req) }, next);
+  };
+}
+
+/** { req, ip } for the request being handled, or null outside one (startup, timers). */
+function current() {
+  return storage.getStore() || null;
+}
+
+module.exports = { middleware, current };
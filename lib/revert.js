@@ -0,0 +1,110 @@
+/**
+ * Point-in-time revert from the audit log.
+ *
+ * Two kinds of entry can be undone:
+ *
+ *   edits    entries whose changes are per-column { from, to } diffs (EDIT_DEAL,
+ *            and the REVERT entries written when one of those is undone) —
+ *            reverting writes the `from` values back
+ *   deletes  DELETE_* entries that captured a `snapshot` of the row — reverting
+ *            restores the record from the trash (lib/trash.js) while it's
+ *            there, or re-creates it from the snapshot once it's been purged
+ *
+ * The route (POST /api/audit-log/:id/revert) applies the same locks the
+ * original routes enforce and writes its own REVERT entry. A column edited
+ * again after the entry no longer holds its `to` value; those are reported as
+ * drifted and only overwritten when the caller insists.
+ */
+
+// Actions whose changes are column diffs, by table
+const EDITS = { EDIT_DEAL: 'deals' };
+
+// Tables whose UPDATE entries can be undone: the repo (lib/repos) that writes
+// them and the permission their edit routes ask for
+const ROW_EDITS = {
+  deals:              { repo: 'deals',             permission: 'deals.write' },
+  projects:           { repo: 'projects',          permission: 'projects.write' },
+  tasks:              { repo: 'tasks',             permission: 'tasks.write' },
+  expenses:           { repo: 'expenses',          permission: 'expenses.write' },
+  deliverables:       { repo: 'deliverables',      permission: 'deliverables.write' },
+  deliverable_types:  { repo: 'deliverableTypes',  permission: 'deliverables.write' },
+  clients:            { repo: 'clients',           permission: 'clients.write' },
+  quotes:             { repo: 'quotes',            permission: 'quotes.write' },
+  quote_line_items:   { repo: 'quoteLineItems',    permission: 'quotes.write' },
+  retainer_contracts: { repo: 'retainerContracts', permission: 'retainers.write' },
+  retainer_buckets:   { repo: 'retainerBuckets',   permission: 'retainers.write' },
+};
+
+// Bookkeeping the database keeps itself, and the trash's columns (a trashed
+// row comes back through the trash, not by reverting its UPDATE)
+const EDIT_SKIP = ['version', 'updated_at', 'deleted_at', 'deleted_by', 'trash_id'];
+
+const DELETES = {
+  DELETE_DEAL:        'deals',
+  DELETE_PROJECT:     'projects',
+  DELETE_TASK:        'tasks',
+  DELETE_EXPENSE:     'expenses',
+  DELETE_DELIVERABLE: 'deliverables',
+};
+
+// Trash bookkeeping that a re-created row starts without
+const SNAPSHOT_DROP = ['deleted_at', 'deleted_by', 'trash_id', 'updated_at'];
+
+const _isDiff = v => v && typeof v === 'object' && !Array.isArray(v) && 'from' in v && 'to' in v;
+
+/**
+ * What reverting an audit entry means, or null if it can't be reverted:
+ *   { kind: 'edit',   table, repo, id, fields: { column: { from, to } } }
+ *   { kind: 'delete', table, repo, id, snapshot }   (snapshot null if none was captured)
+ */
+function plan(entry) {
+  const changes = entry.changes || {};
+  if (DELETES[entry.action]) {
+    const table = DELETES[entry.action];
+    return { kind: 'delete', table, repo: table, id: entry.record_id, snapshot: changes.snapshot || null };
+  }
+  const table = EDITS[entry.action]
+    || (['UPDATE', 'REVERT'].includes(entry.action) && ROW_EDITS[entry.table_name] ? entry.table_name : null);
+  if (!table) return null;
+  const fields = Object.fromEntries(Object.entries(changes).filter(([col, v]) => _isDiff(v) && !EDIT_SKIP.includes(col)));
+  return Object.keys(fields).length
+    ? { kind: 'edit', table, repo: ROW_EDITS[table].repo, id: entry.record_id, fields }
+    : null;
+}
+
+/** Permission the original route asked for. */
+function permissionFor(p) {
+  return p.kind === 'edit' ? ROW_EDITS[p.table].permission : `${p.table}.delete`;
+}
+
+/** Columns of an edit plan that no longer hold the value the entry set. */
+function drifted(current, fields) {
+  return Object.keys(fields).filter(col => JSON.stringify(current[col] ?? null) !== JSON.stringify(fields[col].to ?? null));
+}
+
+/** The update that puts an edit plan's columns back. */
+function patchFor(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([col, d]) => [col, d.from]));
+}
+
+/**
+ * Row to insert for a purged record, from its snapshot. The version moves on so
+ * edits made against the copy that was deleted still count as stale.
+ */
+function rowFromSnapshot(snapshot) {
+  const row = { ...snapshot };
+  SNAPSHOT_DROP.forEach(col => { delete row[col]; });
+  if (Number.isInteger(row.version)) row.version += 1;
+  return row;
+}
+
+/** `{ column: { from, to } }` for those of `columns` that differ between the two rows. */
+function diff(before, after, columns) {
+  const out = {};
+  for (const col of columns) {
+    if (JSON.stringify(before[col]) !== JSON.stringify(after[col])) out[col] = { from: before[col], to: after[col] };
+  }
+  return out;
+}
+
+module.exports = { EDITS, ROW_EDITS, DELETES, plan, permissionFor, drifted, patchFor, rowFromSnapshot, diff };
@@ -0,0 +1,516 @@
+/**
+ * Request-body schemas for the write endpoints, built with lib/validation.js.
+ *
+ * Routes use them as middleware — validateBody(schemas.dealCreate) — and
+ * GET /api/docs/openapi.json publishes them, so this file is the reference
+ * for what each endpoint accepts. Enum values mirror the CHECK constraints in
+ * migrations/; change both together.
+ *
+ * Create bodies list what's required; most update bodies are the same shape
+ * with nothing required (partial). Where a PATCH writes a field straight to a
+ * NOT NULL column, its update schema drops `nullable` for that field. Updates
+ * to deals, projects, tasks and quotes also carry the `version` they were
+ * made against (lib/concurrency.js).
+ */
+const { t, partial } = require('./validation');
+const { listQuery } = require('./pagination');
+const { ROLES } = require('./permissions');
+const { SCOPES } = require('./apiTokens');
+
+const DEAL_STAGES        = ['Lead', 'Qualified', 'Proposal', 'Negotiation', 'Retainer', 'Closed Won'];
+const INVOICE_STATUSES   = ['none', 'sent', 'deposit', 'paid'];
+const PROJECT_STATUSES   = ['active', 'complete', 'archived'];
+const TASK_PRIORITIES    = ['high', 'med', 'low'];
+const TASK_STATUSES      = ['todo', 'progress', 'review', 'done'];
+const EXPENSE_CATEGORIES = ['software', 'contractor', 'assets', 'advertising', 'printing', 'travel', 'equipment', 'other'];
+const PAYMENT_TYPES      = ['company', 'reimbursement'];
+const PAY_TYPES          = ['production', 'fee', 'profit_share', 'manual'];
+const DELIVERABLE_STATUSES = ['planned', 'in_progress', 'in_review', 'published', 'cancelled'];
+const QUOTE_STATUSES     = ['draft', 'sent', 'won', 'lost'];
+const BUCKET_UNIT_TYPES  = ['count', 'hours'];
+const TWO_FACTOR_MODES   = ['off', 'optional', 'required'];
+
+const name     = () => t.string({ min: 1 });
+const optText  = () => t.string({ nullable: true });
+const money    = (o = {}) => t.number({ min: 0, ...o });
+const pct      = (o = {}) => t.number({ min: 0, max: 100, ...o });
+const optId    = () => t.uuid({ nullable: true });
+const pin      = () => t.string({ pattern: '^\\d{4,6}$', description: '4–6 digits' });
+const version  = () => t.integer({ min: 1, description: 'Version the edit was made against (or send it as If-Match)' });
+
+// ─── Deals ───────────────────────────────────────────────────────────────────
+
+const dealBucket = t.object({
+  name:       t.string(),
+  pct:        pct(),
+  isPersonal: t.boolean(),
+  assignedTo: optText(),
+});
+
+const dealCreate = t.object({
+  name:          name(),
+  client:        t.string(),
+  clientId:      optId(),
+  value:         money(),
+  expenses:      money({ nullable: true }),
+  stage:         t.enum(DEAL_STAGES),
+  owner:         t.string(),
+  closeDate:     t.month({ nullable: true }),
+  invoiceStatus: t.enum(INVOICE_STATUSES, { nullable: true }),
+  isRetainer:    t.boolean(),
+  buckets:       t.array(dealBucket, { nullable: true }),
+  prob:          t.integer({ min: 0, max: 100, nullable: true, description: 'Win probability, percent' }),
+}, { required: ['name'] });
+
+const dealUpdate = t.object({
+  ...partial(dealCreate).properties,
+  version: version(),
+});
+
+// ─── Projects ────────────────────────────────────────────────────────────────
+
+const projectCreate = t.object({
+  name:             name(),
+  dealId:           optId(),
+  client:           optText(),
+  startDate:        t.date({ nullable: true }),
+  endDate:          t.date({ nullable: true }),
+  status:           t.enum(PROJECT_STATUSES),
+  publishesContent: t.boolean(),
+  editHoursBudget:  t.number({ min: 0, nullable: true }),
+}, { required: ['name'] });
+
+const projectUpdate = t.object({
+  ...partial(projectCreate).properties,
+  archived:         t.boolean(),
+  payoutsFinalized: t.boolean(),
+  version:          version(),
+});
+
+// ─── Tasks ───────────────────────────────────────────────────────────────────
+
+const taskCreate = t.object({
+  title:         name(),
+  projectId:     optId(),
+  assigneeId:    optId(),
+  dueDate:       t.date({ nullable: true }),
+  publishDate:   t.date({ nullable: true }),
+  priority:      t.enum(TASK_PRIORITIES),
+  status:        t.enum(TASK_STATUSES),
+  estHours:      t.number({ min: 0 }),
+  tag:           optText(),
+  publishable:   t.boolean(),
+  notes:         optText(),
+  deliverableId: t.uuid({ nullable: true, description: 'Link the new task to this deliverable' }),
+  parentId:      t.uuid({ nullable: true, description: 'Make it a subtask (one level only)' }),
+}, { required: ['title'] });
+
+const { deliverableId: _d, parentId: _p, ...taskEditable } = taskCreate.properties;
+const taskUpdate = t.object({ ...taskEditable, version: version() });
+
+// ─── Expenses ────────────────────────────────────────────────────────────────
+
+const expenseCreate = t.object({
+  description: name(),
+  amount:      money(),
+  projectId:   optId(),
+  category:    t.enum(EXPENSE_CATEGORIES),
+  date:        t.date({ nullable: true, description: 'Defaults to today' }),
+  submittedBy: optText(),
+  paymentType: t.enum(PAYMENT_TYPES),
+  receiptUrl:  optText(),
+}, { required: ['description', 'amount'] });
+
+const expenseUpdate = t.object({
+  ...partial(expenseCreate).properties,
+  date:       t.date(),
+  reimbursed: t.boolean(),
+});
+
+const pendingExpenseUpdate = t.object({
+  vendor:         optText(),
+  amount:         money({ nullable: true }),
+  expenseDate:    t.date({ nullable: true }),
+  category:       t.enum(EXPENSE_CATEGORIES, { nullable: true }),
+  suggestedNotes: optText(),
+});
+
+const pendingExpenseApprove = t.object({
+  projectId:   t.uuid(),
+  submittedBy: name(),
+  paymentType: t.enum(PAYMENT_TYPES),
+  description: optText(),
+  category:    t.enum(EXPENSE_CATEGORIES, { nullable: true }),
+  amount:      money({ nullable: true, description: 'Defaults to the amount read from the receipt' }),
+  date:        t.date({ nullable: true }),
+}, { required: ['projectId', 'submittedBy', 'paymentType'] });
+
+const pendingExpenseReject = t.object({
+  reason: optText(),
+});
+
+const expenseBulkPreview = t.object({
+  folderUrl: t.string({ min: 1, description: 'Google Drive folder link or bare folder ID' }),
+}, { required: ['folderUrl'] });
+
+const expenseBulkImport = t.object({
+  fileIds:          t.array(t.string({ min: 1 }), { min: 1, max: 50 }),
+  defaultProjectId: optId(),
+  submittedBy:      optText(),
+}, { required: ['fileIds'] });
+
+// ─── Pay ─────────────────────────────────────────────────────────────────────
+
+const payStatusSet = t.object({
+  payKey:        t.string({ min: 1, description: 'Explicit pay key for fee / profit-share rows; defaults to <projectId>_<memberId>' }),
+  projectId:     t.string(),
+  memberId:      t.string(),
+  paid:          t.boolean(),
+  psPctSnapshot: pct({ nullable: true }),
+}, { required: ['paid'] });
+
+const profitShareStatusSet = t.object({
+  quarterKey:       t.string({ min: 1 }),
+  memberId:         t.uuid(),
+  paid:             t.boolean(),
+  psPct:            pct({ nullable: true }),
+  allocationAmount: t.number({ nullable: true }),
+}, { required: ['quarterKey', 'memberId', 'paid'] });
+
+const payLogCreate = t.object({
+  memberId:    t.uuid(),
+  memberName:  optText(),
+  payType:     t.enum(PAY_TYPES),
+  amount:      t.number(),
+  projectId:   optId(),
+  projectName: optText(),
+  dealId:      optId(),
+  dealName:    optText(),
+  dealValue:   t.number({ nullable: true }),
+  dealNet:     t.number({ nullable: true }),
+  quarterKey:  optText(),
+  sourceKey:   optText(),
+  notes:       optText(),
+  isManual:    t.boolean(),
+  paidAt:      t.datetime({ nullable: true, description: 'Defaults to now' }),
+}, { required: ['memberId', 'payType', 'amount'] });
+
+const payrollMarkPaid = t.object({
+  items: t.array(t.object({
+    memberId:    t.uuid(),
+    payKey:      t.string({ min: 1 }),
+    amount:      t.number(),
+    projectId:   optId(),
+    memberName:  optText(),
+    projectName: optText(),
+    type:        t.enum(PAY_TYPES, { nullable: true }),
+    label:       optText(),
+  }, { required: ['memberId', 'payKey', 'amount'] }), { min: 1 }),
+}, { required: ['items'] });
+
+const payrollGenerateDocx = t.object({
+  from:    optText(),
+  to:      optText(),
+  members: t.array(t.object({
+    memberName: t.string(),
+    items:      t.array(t.object({ label: t.string(), amount: t.number(), type: optText() })),
+    total:      t.number(),
+  }), { min: 1 }),
+}, { required: ['members'] });
+
+// ─── Team, roles and settings ────────────────────────────────────────────────
+
+const rateSegment = t.object({
+  effectiveMonth: t.month(),
+  pct:            pct(),
+}, { required: ['effectiveMonth', 'pct'] });
+
+const teamCreate = t.object({
+  name:             name(),
+  role:             t.string(),
+  profitSharePct:   pct(),
+  active:           t.boolean(),
+  color:            t.string({ pattern: '^#[0-9a-fA-F]{3,8}$' }),
+  pin:              pin(),
+  monthCap:         t.integer({ min: 0, nullable: true, description: 'Monthly hours cap' }),
+  psEffectiveMonth: t.month({ nullable: true }),
+  authRole:         t.enum(ROLES),
+}, { required: ['name', 'pin'] });
+
+const teamUpdate = t.object({
+  ...partial(teamCreate).properties,
+  pinLoginDisabled: t.boolean(),
+  psRateHistory:    t.array(rateSegment),
+});
+
+const permissionsUpdate = t.object({
+  matrix: t.object({}, { description: 'Role → list of permission keys; the admin row is fixed' }),
+}, { required: ['matrix'] });
+
+const twoFactorPolicy = t.object({
+  mode:          t.enum(TWO_FACTOR_MODES),
+  requiredRoles: t.array(t.enum(ROLES)),
+  graceDays:     t.integer({ min: 0, max: 90 }),
+}, { required: ['mode'] });
+
+const apiTokenCreate = t.object({
+  name:          t.string({ min: 1, max: 100 }),
+  scope:         t.enum(SCOPES, { nullable: true }),
+  expiresInDays: t.integer({ min: 1, max: 365, nullable: true, description: 'Leave out for a token that never expires' }),
+}, { required: ['name'] });
+
+// ─── Clients and portal users ────────────────────────────────────────────────
+
+const portalLink = t.object({
+  label: t.string(),
+  url:   t.string(),
+});
+
+const clientCreate = t.object({
+  name:         name(),
+  notes:        optText(),
+  portalActive: t.boolean(),
+  portalLinks:  t.array(portalLink, { nullable: true }),
+}, { required: ['name'] });
+
+const clientUpdate = t.object({
+  ...partial(clientCreate).properties,
+  active: t.boolean(),
+});
+
+const clientNameCheck = t.object({ name: name() }, { required: ['name'] });
+
+const portalUserCreate = t.object({
+  email: t.email(),
+  name:  optText(),
+}, { required: ['email'] });
+
+const portalUserUpdate = t.object({
+  name:   optText(),
+  active: t.boolean(),
+  unlock: t.boolean({ description: 'Clear a failed-login lockout' }),
+});
+
+// ─── Deliverables ────────────────────────────────────────────────────────────
+
+const deliverableTypeCreate = t.object({
+  name:              name(),
+  projectId:         t.uuid({ nullable: true, description: 'Leave out for a global type' }),
+  publishable:       t.boolean(),
+  defaultAssigneeId: optId(),
+  defaultEstHours:   t.number({ min: 0, nullable: true }),
+  defaultTag:        optText(),
+}, { required: ['name'] });
+
+const deliverableTypeUpdate = t.object({
+  ...partial(deliverableTypeCreate).properties,
+  active: t.boolean(),
+});
+
+const deliverableCreate = t.object({
+  projectId:   t.uuid(),
+  typeId:      optId(),
+  name:        name(),
+  description: optText(),
+  publishDate: t.date({ nullable: true }),
+  sortOrder:   t.integer({ nullable: true }),
+}, { required: ['projectId', 'name'] });
+
+const { projectId: _pr, ...deliverableEditable } = deliverableCreate.properties;
+const deliverableUpdate = t.object({
+  ...deliverableEditable,
+  sortOrder: t.integer(),
+  status:    t.enum(DELIVERABLE_STATUSES),
+});
+
+const deliverableBulk = t.object({
+  projectId:       t.uuid(),
+  quotas:          t.array(t.object({
+    typeId:      optId(),
+    quantity:    t.integer({ min: 1, max: 100 }),
+    publishDate: t.date({ nullable: true }),
+  }, { required: ['quantity'] }), { min: 1 }),
+  autoCreateTasks: t.boolean(),
+}, { required: ['projectId', 'quotas'] });
+
+const taskDeliverableLink = t.object({ deliverableId: t.uuid() }, { required: ['deliverableId'] });
+
+const commentBody = t.object({ body: name() }, { required: ['body'] });
+
+// ─── Quotes ──────────────────────────────────────────────────────────────────
+
+const quoteLineItem = t.object({
+  description:       optText(),
+  quantity:          money({ nullable: true }),
+  hoursPerUnit:      money({ nullable: true }),
+  ratePerHour:       money({ nullable: true }),
+  rateLabel:         optText(),
+  deliverableTypeId: optId(),
+});
+
+const quoteCreate = t.object({
+  name:        name(),
+  client:      optText(),
+  status:      t.enum(QUOTE_STATUSES),
+  overheadPct: t.number({ min: 0 }),
+  notes:       optText(),
+  lineItems:   t.array(quoteLineItem, { nullable: true }),
+}, { required: ['name'] });
+
+const quoteUpdate = t.object({
+  ...partial(quoteCreate).properties,
+  client:    t.string(),
+  dealId:    optId(),
+  lineItems: t.array(quoteLineItem, { description: 'Replaces every line when present' }),
+  version:   version(),
+});
+
+// ─── Retainers ───────────────────────────────────────────────────────────────
+
+const retainerContractCreate = t.object({
+  name:       name(),
+  client:     optText(),
+  startMonth: t.month({ nullable: true }),
+  endMonth:   t.month({ nullable: true }),
+  totalValue: money({ nullable: true }),
+  notes:      optText(),
+}, { required: ['name'] });
+
+const retainerContractUpdate = t.object({
+  ...partial(retainerContractCreate).properties,
+  name:   name(),
+  client: t.string(),
+});
+
+const retainerBucketCreate = t.object({
+  name:              optText(),
+  unit:              optText(),
+  unitType:          t.enum(BUCKET_UNIT_TYPES),
+  taskTag:           optText(),
+  contractedQty:     money({ nullable: true }),
+  deliverableTypeId: optId(),
+  manualConsumed:    money({ nullable: true }),
+  phaseLabel:        optText(),
+  phaseStartMonth:   t.month({ nullable: true }),
+  phaseEndMonth:     t.month({ nullable: true }),
+  sortOrder:         t.integer({ nullable: true }),
+  notes:             optText(),
+});
+
+const retainerBucketUpdate = t.object({
+  ...retainerBucketCreate.properties,
+  name:          name(),
+  unit:          name(),
+  contractedQty: money(),
+  sortOrder:     t.integer(),
+});
+
+// ─── List queries ────────────────────────────────────────────────────────────
+// Filters, sort fields and date ranges for the paginated GET endpoints
+// (lib/pagination.js). Comma-separated lists filter with IN.
+
+const dealList = listQuery({
+  sort:        { createdAt: 'created_at', closeDate: 'close_date', name: 'name' },
+  defaultSort: '-createdAt',
+  range:       { column: 'close_date', schema: t.month() },
+  filters: {
+    stage:         { column: 'stage',          schema: t.array(t.enum(DEAL_STAGES)) },
+    invoiceStatus: { column: 'invoice_status', schema: t.array(t.enum(INVOICE_STATUSES)) },
+    clientId:      { column: 'client_id',      schema: t.uuid() },
+    owner:         { column: 'owner',          schema: t.string({ min: 1 }) },
+    isRetainer:    { column: 'is_retainer',    schema: t.boolean() },
+  },
+});
+
+const taskList = listQuery({
+  sort:        { createdAt: 'created_at', updatedAt: 'updated_at', dueDate: 'due_date', title: 'title' },
+  defaultSort: '-createdAt',
+  range:       { column: 'due_date', schema: t.date() },
+  filters: {
+    projectId:  { column: 'project_id',  schema: t.uuid() },
+    assigneeId: { column: 'assignee_id', schema: t.uuid() },
+    status:     { column: 'status',      schema: t.array(t.enum(TASK_STATUSES)) },
+    priority:   { column: 'priority',    schema: t.array(t.enum(TASK_PRIORITIES)) },
+    parentId:   { column: 'parent_id',   schema: t.uuid() },
+    tag:        { column: 'tag',         schema: t.string({ min: 1 }) },
+  },
+});
+
+const expenseList = listQuery({
+  sort:        { date: 'date', amount: 'amount', createdAt: 'created_at' },
+  defaultSort: '-date',
+  range:       { column: 'date', schema: t.date() },
+  filters: {
+    projectId:   { column: 'project_id',   schema: t.uuid() },
+    category:    { column: 'category',     schema: t.array(t.enum(EXPENSE_CATEGORIES)) },
+    paymentType: { column: 'payment_type', schema: t.enum(PAYMENT_TYPES) },
+    reimbursed:  { column: 'reimbursed',   schema: t.boolean() },
+    submittedBy: { column: 'submitted_by', schema: t.string({ min: 1 }) },
+  },
+});
+
+const payLogList = listQuery({
+  sort:         { paidAt: 'paid_at', amount: 'amount' },
+  defaultSort:  '-paidAt',
+  defaultLimit: 500,
+  range:        { column: 'paid_at', schema: t.date(), timestamp: true },
+  filters: {
+    memberId:   { column: 'member_id',   schema: t.uuid() },
+    payType:    { column: 'pay_type',    schema: t.array(t.enum(PAY_TYPES)) },
+    projectId:  { column: 'project_id',  schema: t.uuid() },
+    dealId:     { column: 'deal_id',     schema: t.uuid() },
+    quarterKey: { column: 'quarter_key', schema: t.string({ min: 1 }) },
+    isManual:   { column: 'is_manual',   schema: t.boolean() },
+  },
+});
+
+const AUDIT_LOG_QUERY = {
+  sort:         { createdAt: 'created_at' },
+  defaultSort:  '-createdAt',
+  range:        { column: 'created_at', schema: t.date(), timestamp: true },
+  filters: {
+    tableName: { column: 'table_name', schema: t.array(t.string({ min: 1 })) },
+    action:    { column: 'action',     schema: t.array(t.string({ min: 1 })) },
+    actorId:   { column: 'actor_id',   schema: t.uuid() },
+    actor:     { column: 'actor_name', schema: t.string({ min: 1, description: 'Part of the actor\'s name' }), contains: true },
+    recordId:  { column: 'record_id',  schema: t.string({ min: 1 }) },
+    requestId: { column: 'request_id', schema: t.string({ min: 1 }) },
+  },
+};
+
+const auditLogList = listQuery({ ...AUDIT_LOG_QUERY, defaultLimit: 200 });
+
+// Same filters; every matching row, oldest first unless sorted otherwise
+const auditLogExport = listQuery({
+  ...AUDIT_LOG_QUERY,
+  defaultSort: 'createdAt',
+  params: { format: t.enum(['csv', 'jsonl'], { description: 'csv (default) or jsonl — one JSON object per line' }) },
+});
+
+// ─── Delta sync ──────────────────────────────────────────────────────────────
+
+const syncQuery = t.object({
+  since: t.datetime({ description: 'syncCursor from /api/bootstrap, or cursor from the previous /api/sync' }),
+}, { required: ['since'] });
+
+module.exports = {
+  DEAL_STAGES, INVOICE_STATUSES, PROJECT_STATUSES, TASK_PRIORITIES, TASK_STATUSES,
+  EXPENSE_CATEGORIES, PAYMENT_TYPES, PAY_TYPES, DELIVERABLE_STATUSES, QUOTE_STATUSES,
+  BUCKET_UNIT_TYPES, TWO_FACTOR_MODES,
+  dealCreate, dealUpdate,
+  projectCreate, projectUpdate,
+  taskCreate, taskUpdate,
+  expenseCreate, expenseUpdate,
+  pendingExpenseUpdate, pendingExpenseApprove, pendingExpenseReject,
+  expenseBulkPreview, expenseBulkImport,
+  payStatusSet, profitShareStatusSet, payLogCreate, payrollMarkPaid, payrollGenerateDocx,
+  teamCreate, teamUpdate, permissionsUpdate, twoFactorPolicy, apiTokenCreate,
+  clientCreate, clientUpdate, clientNameCheck, portalUserCreate, portalUserUpdate,
+  deliverableTypeCreate, deliverableTypeUpdate, deliverableCreate, deliverableUpdate, deliverableBulk,
+  taskDeliverableLink, commentBody,
+  quoteCreate, quoteUpdate,
+  retainerContractCreate, retainerContractUpdate,
+  retainerBucketCreate, retainerBucketUpdate,
+  dealList, taskList, expenseList, payLogList, auditLogList, auditLogExport,
+  syncQuery,
+};
@@ -0,0 +1,143 @@
+/**
+ * Server-side session records for staff logins.
+ *
+ * Every staff JWT carries a `jti` claim pointing at a row in `sessions`.
+ * requireAuth rejects a token whose session is missing, revoked or expired,
+ * which is what lets us kill a stolen token or force a member off immediately.
+ */
+const crypto   = require('crypto');
+const supabase = require('./supabase');
+const log      = require('./logger');
+
+// last_seen_at is only written when it is older than this, so a busy client
+// doesn't turn every API call into an extra UPDATE.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/** Fresh session id — also used as the JWT `jti`. */
+function newSessionId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Short human label for a User-Agent string, e.g. "Chrome on macOS".
+ * Only used for display in the sessions list — never for security decisions.
+ */
+function describeDevice(userAgent) {
+  const ua = userAgent || '';
+  if (!ua) return 'Unknown device';
+  const browser =
+    /Edg\//.test(ua)                        ? 'Edge'    :
+    /OPR\//.test(ua)                        ? 'Opera'   :
+    /Chrome\//.test(ua)                     ? 'Chrome'  :
+    /Firefox\//.test(ua)                    ? 'Firefox' :
+    /Safari\//.test(ua)                     ? 'Safari'  :
+    /curl|node|python|axios|fetch/i.test(ua) ? 'Script' : 'Browser';
+  const os =
+    /iPhone|iPad|iPod/.test(ua) ? 'iOS'     :
+    /Android/.test(ua)          ? 'Android' :
+    /Mac OS X/.test(ua)         ? 'macOS'   :
+    /Windows/.test(ua)          ? 'Windows' :
+    /Linux/.test(ua)            ? 'Linux'   : null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/**
+ * Insert a session row. expiresAt should match the JWT `exp`. impersonatorId
+ * is set for "view as member" sessions: the admin who opened it.
+ */
+async function createSession({ id, memberId, ip, userAgent, expiresAt, impersonatorId }) {
+  const now = new Date().toISOString();
+  const { error } = await supabase.from('sessions').insert({
+    id,
+    member_id:    memberId,
+    ip:           ip || null,
+    user_agent:   userAgent ? String(userAgent).slice(0, 500) : null,
+    device:       describeDevice(userAgent),
+    created_at:   now,
+    last_seen_at: now,
+    expires_at:   expiresAt,
+    impersonator_id: impersonatorId || null,
+  });
+  if (error) throw error;
+}
+
+/** Return the session row if it exists, is not revoked and has not expired; else null. */
+async function getActiveSession(id) {
+  if (!id) return null;
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, member_id, ip, device, created_at, last_seen_at, expires_at, revoked_at')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || data.revoked_at) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+  return data;
+}
+
+/** Bump last_seen_at (and ip) — throttled, best effort. */
+async function touchSession(session, ip) {
+  const last = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+  if (Date.now() - last < TOUCH_INTERVAL_MS) return;
+  try {
+    const updates = { last_seen_at: new Date().toISOString() };
+    if (ip) updates.ip = ip;
+    await supabase.from('sessions').update(updates).eq('id', session.id);
+  } catch (e) {
+    log.warn('Session touch failed', { err: e });
+  }
+}
+
+/** Push a session's expiry forward (used by /api/auth/refresh). */
+async function extendSession(id, expiresAt) {
+  const { error } = await supabase.from('sessions')
+    .update({ expires_at: expiresAt, last_seen_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+/** Active (non-revoked, non-expired) sessions for a member, most recent first. */
+async function listActiveSessions(memberId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, ip, device, created_at, last_seen_at, expires_at, impersonator_id')
+    .eq('member_id', memberId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Revoke a single session. When memberId is given the session must belong to
+ * that member — returns false if nothing was revoked.
+ */
+async function revokeSession(id, memberId) {
+  let q = supabase.from('sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('revoked_at', null);
+  if (memberId) q = q.eq('member_id', memberId);
+  const { data, error } = await q.select('id');
+  if (error) throw error;
+  return (data?.length || 0) > 0;
+}
+
+/** Revoke every live session for a member, optionally keeping one. Returns the count revoked. */
+async function revokeAllSessions(memberId, { exceptId } = {}) {
+  let q = supabase.from('sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('member_id', memberId)
+    .is('revoked_at', null);
+  if (exceptId) q = q.neq('id', exceptId);
+  const { data, error } = await q.select('id');
+  if (error) throw error;
+  return data?.length || 0;
+}
+
+module.exports = {
+  newSessionId, describeDevice,
+  createSession, getActiveSession, touchSession, extendSession,
+  listActiveSessions, revokeSession, revokeAllSessions,
+};
@@ -0,0 +1,27 @@
+/**
+ * Org-wide settings stored as JSON blobs in `app_settings`, one row per key.
+ * Callers supply their own defaults; a missing row just means "not configured".
+ */
+const supabase = require('./supabase');
+
+/** Read a setting, shallow-merged over `defaults`. */
+async function getSetting(key, defaults = {}) {
+  const { data, error } = await supabase
+    .from('app_settings').select('value').eq('key', key).maybeSingle();
+  if (error) throw error;
+  return { ...defaults, ...(data?.value || {}) };
+}
+
+/** Replace a setting. `actor` is the req.user payload of whoever changed it. */
+async function setSetting(key, value, actor) {
+  const { error } = await supabase.from('app_settings').upsert({
+    key,
+    value,
+    updated_at: new Date().toISOString(),
+    updated_by: actor?.sub || null,
+  }, { onConflict: 'key' });
+  if (error) throw error;
+  return value;
+}
+
+module.exports = { getSetting, setSetting };
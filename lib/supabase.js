@@ -1,15 +1,3 @@
-const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config();
-
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
-  throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in environment');
-}
-
-// Service-role client — has full DB access, used only server-side
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY,
-  { auth: { persistSession: false } }
-);
-
-module.exports = supabase;
+// The configured database client — Supabase or the in-memory backend, see
+// lib/db/index.js. Kept under this name so existing callers don't change.
+module.exports = require('./db').client;
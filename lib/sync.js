@@ -0,0 +1,96 @@
+/**
+ * Delta sync: the rows that changed or went away since a client last looked.
+ *
+ * Every table /api/bootstrap loads has an updated_at that a trigger moves on
+ * each write, and deleting a row (cascades included) leaves a sync_tombstones
+ * entry (migrations/0011_delta_sync.sql). Clients keep the cursor from
+ * /api/bootstrap or their last /api/sync call and ask for what happened after
+ * it, then patch their copy instead of reloading whole tables. Moving a row
+ * to the trash (lib/trash.js) is an update, not a delete; /api/sync reads
+ * trashed rows too and sends them as deletions.
+ *
+ * A cursor is a timestamp a few seconds (OVERLAP_MS) before the read it came
+ * with. updated_at is stamped when a transaction starts, not when it commits,
+ * so a slow write can land just behind a cursor taken at the same moment; the
+ * overlap re-sends such rows, and clients apply changes as upserts so seeing
+ * one twice is harmless.
+ *
+ * Tombstones are kept for RETENTION_DAYS. A cursor older than that can't be
+ * trusted to know about every deletion, so the client is told to reload.
+ */
+const crypto = require('crypto');
+const { syncTombstones } = require('./repos');
+const log = require('./logger');
+
+const OVERLAP_MS     = 5000;
+const RETENTION_DAYS = 30;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+const DAY_MS         = 24 * 60 * 60 * 1000;
+
+/** Cursor for a read that's about to start. Take it before loading anything. */
+function cursor() {
+  return new Date(Date.now() - OVERLAP_MS).toISOString();
+}
+
+/** True when `since` is older than the tombstones go back. */
+function expired(since) {
+  return Date.parse(since) < Date.now() - RETENTION_DAYS * DAY_MS;
+}
+
+/** `where` filter for rows written after `since`. */
+function changedSince(since) {
+  return { updated_at: { gt: since } };
+}
+
+/** Keys deleted after `since`, by table: { deals: ['…'], task_deliverables: ['<task>_<deliverable>'] }. */
+async function deletedSince(since) {
+  const rows = await syncTombstones.list({ where: { deleted_at: { gt: since } }, columns: 'table_name,record_key' });
+  const byTable = {};
+  for (const r of rows) (byTable[r.table_name] ||= []).push(r.record_key);
+  _pruneOccasionally();
+  return byTable;
+}
+
+let _lastPrune = 0;
+function _pruneOccasionally() {
+  if (Date.now() - _lastPrune < PRUNE_EVERY_MS) return;
+  _lastPrune = Date.now();
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+  syncTombstones.removeWhere({ deleted_at: { lt: cutoff } })
+    .catch(e => log.error('Tombstone prune failed', { err: e }));
+}
+
+/**
+ * Set a weak ETag for a response carrying a cursor, computed from the data and
+ * the cursor's day but not the cursor itself, which moves on every request.
+ * Express then answers a matching If-None-Match with 304 and the client keeps
+ * its copy — whose older cursor is still fine to sync from (it just re-sends a
+ * little more) and, thanks to the day, never far from expiring.
+ */
+function setEtag(res, data, cursor) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify([data, cursor.slice(0, 10)])).digest('base64url');
+  res.set('ETag', `W/"${hash}"`);
+}
+
+/**
+ * One entity's patch, or null when nothing moved.
+ * @param {object}   p
+ * @param {object[]} p.rows     rows changed since the cursor, as stored
+ * @param {string[]} [p.deleted] tombstone keys for the table
+ * @param {Function} [p.keyOf]  row → the key clients know it by (default: id)
+ * @param {Function} [p.keep]   rows failing it (say, a deactivated client) are
+ *                              sent as deletions, since bootstrap leaves them out
+ * @param {Function} p.shape    kept rows → `changed` (mapped rows, or a { key: value } map)
+ * @returns {{ changed: (object[]|object), deleted: string[] } | null}
+ */
+function delta({ rows, deleted = [], keyOf = r => r.id, keep = () => true, shape }) {
+  const kept = rows.filter(keep);
+  const present = new Set(kept.map(keyOf));
+  // A key that was deleted and has a live row again (a re-created link) counts as changed
+  const gone = [...new Set([...deleted, ...rows.filter(r => !keep(r)).map(keyOf)])].filter(k => !present.has(k));
+  const changed = shape(kept);
+  const count = Array.isArray(changed) ? changed.length : Object.keys(changed).length;
+  return count || gone.length ? { changed, deleted: gone } : null;
+}
+
+module.exports = { OVERLAP_MS, RETENTION_DAYS, cursor, expired, changedSince, deletedSince, setEtag, delta };
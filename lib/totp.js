@@ -3,7 +3,9 @@
  * Pure-JS implementation using built-in Node crypto. No external dependencies.
  *
  * Compatible with Google Authenticator, Authy, 1Password, Microsoft Authenticator,
- * and any other RFC-6238 compliant TOTP app.
+ * and any other RFC-6238 compliant TOTP app. SHA-1 / 6 digits / 30 s is the
+ * default; SHA-256, SHA-512 and 8-digit codes are supported for apps that
+ * honour those provisioning parameters (Google Authenticator ignores them).
  */
 const crypto = require('crypto');
 
@@ -43,13 +45,27 @@ function base32Decode(s) {
   return Buffer.from(out);
 }
 
+// ── Parameters ───────────────────────────────────────────────
+// RFC 6238 §1.2 — HMAC key length should match the hash output size.
+const ALGORITHMS = { SHA1: 20, SHA256: 32, SHA512: 64 };
+const DIGITS     = [6, 8];
+const DEFAULTS   = { algorithm: 'SHA1', digits: 6, step: 30 };
+
+/** Normalise an algorithm name ('sha-256', 'SHA256', …) to a key of ALGORITHMS, or null. */
+function normalizeAlgorithm(alg) {
+  const key = String(alg || DEFAULTS.algorithm).toUpperCase().replace(/-/g, '');
+  return ALGORITHMS[key] ? key : null;
+}
+
 // ── HOTP / TOTP core ─────────────────────────────────────────
-/** Compute HOTP (counter-based) per RFC 4226. */
-function hotp(secretBuf, counter, digits = 6) {
+/** Compute HOTP (counter-based) per RFC 4226, with the RFC 6238 hash variants. */
+function hotp(secretBuf, counter, digits = 6, algorithm = 'SHA1') {
   const counterBuf = Buffer.alloc(8);
   // Big-endian 64-bit counter — only fits up to ~2^53 in JS Number, plenty for time counters
   counterBuf.writeBigUInt64BE(BigInt(counter));
-  const hmac = crypto.createHmac('sha1', secretBuf).update(counterBuf).digest();
+  const alg = normalizeAlgorithm(algorithm);
+  if (!alg) throw new Error(`Unsupported TOTP algorithm: ${algorithm}`);
+  const hmac = crypto.createHmac(alg.toLowerCase(), secretBuf).update(counterBuf).digest();
   const offset = hmac[hmac.length - 1] & 0x0f;
   const code =
     ((hmac[offset]     & 0x7f) << 24) |
@@ -60,54 +76,99 @@ function hotp(secretBuf, counter, digits = 6) {
   return String(code % mod).padStart(digits, '0');
 }
 
-/** Compute TOTP for the current 30-second window. */
+/**
+ * Compute TOTP for the current time step.
+ * opts: { time (ms), step (s), digits, algorithm }
+ */
 function totp(secretBase32, opts = {}) {
-  const step = opts.step || 30;
-  const t = Math.floor((opts.time || Date.now()) / 1000 / step);
-  return hotp(base32Decode(secretBase32), t, opts.digits || 6);
+  const step = opts.step || DEFAULTS.step;
+  const t = Math.floor((opts.time != null ? opts.time : Date.now()) / 1000 / step);
+  return hotp(base32Decode(secretBase32), t, opts.digits || DEFAULTS.digits, opts.algorithm || DEFAULTS.algorithm);
 }
 
 /**
- * Verify a user-supplied TOTP token against the secret.
- * Allows ±1 time-step drift (about ±30 seconds) to handle clock skew.
+ * Verify a user-supplied TOTP token and return the time step it matched, or
+ * null. Allows ±1 time-step drift (about ±30 seconds) to handle clock skew.
+ *
+ * Replay protection: pass opts.lastStep (the step of the last code accepted
+ * for this secret) and any step at or before it is refused, so a code can
+ * only ever be used once. Callers persist the returned step.
  */
-function verifyTotp(secretBase32, token, opts = {}) {
-  if (!secretBase32 || !token) return false;
+function verifyTotpStep(secretBase32, token, opts = {}) {
+  if (!secretBase32 || !token) return null;
+  const digits = opts.digits || DEFAULTS.digits;
   const cleaned = String(token).replace(/\s/g,'');
-  if (!/^\d{6}$/.test(cleaned)) return false;
-  const step = opts.step || 30;
+  if (!new RegExp(`^\\d{${digits}}$`).test(cleaned)) return null;
+  const step = opts.step || DEFAULTS.step;
   const window = opts.window != null ? opts.window : 1;
   const secretBuf = base32Decode(secretBase32);
-  const t = Math.floor(Date.now() / 1000 / step);
+  const t = Math.floor((opts.time != null ? opts.time : Date.now()) / 1000 / step);
   for (let i = -window; i <= window; i++) {
-    if (hotp(secretBuf, t + i) === cleaned) return true;
+    const counter = t + i;
+    if (opts.lastStep != null && counter <= opts.lastStep) continue;
+    if (hotp(secretBuf, counter, digits, opts.algorithm || DEFAULTS.algorithm) === cleaned) return counter;
+  }
+  return null;
+}
+
+/** Boolean form of verifyTotpStep. */
+function verifyTotp(secretBase32, token, opts = {}) {
+  return verifyTotpStep(secretBase32, token, opts) !== null;
+}
+
+/** Generate a fresh TOTP secret sized for the algorithm (160-bit for SHA-1, per RFC). */
+function generateSecret(algorithm = DEFAULTS.algorithm) {
+  const alg = normalizeAlgorithm(algorithm);
+  if (!alg) throw new Error(`Unsupported TOTP algorithm: ${algorithm}`);
+  return base32Encode(crypto.randomBytes(ALGORITHMS[alg]));
+}
+
+// ── Recovery codes ───────────────────────────────────────────
+// Unambiguous alphabet (no 0/O, 1/I) so codes survive being read off paper.
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate single-use recovery codes in plaintext, formatted "XXXXX-XXXXX".
+ * Callers hash them before storage and show the plaintext to the user once.
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let n = 0; n < count; n++) {
+    const bytes = crypto.randomBytes(10);
+    let raw = '';
+    for (let i = 0; i < bytes.length; i++) raw += RECOVERY_ALPHABET[bytes[i] % RECOVERY_ALPHABET.length];
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
   }
-  return false;
+  return codes;
 }
 
-/** Generate a fresh TOTP secret (160-bit recommended by RFC). */
-function generateSecret() {
-  return base32Encode(crypto.randomBytes(20));
+/** Canonical form for hashing/comparison — uppercase, separators and spaces removed. */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
 }
 
 /**
  * Build a provisioning URI suitable for rendering as a QR code.
  * issuer = label shown in the authenticator app (e.g. "CJA-OPS")
  * accountName = user identifier (e.g. "kyle@cja-ops")
+ * opts = { algorithm, digits, step } — must match what verification uses
  */
-function provisioningUri(secretBase32, accountName, issuer) {
+function provisioningUri(secretBase32, accountName, issuer, opts = {}) {
   const params = new URLSearchParams({
     secret: secretBase32,
     issuer,
-    algorithm: 'SHA1',
-    digits: '6',
-    period: '30',
+    algorithm: normalizeAlgorithm(opts.algorithm) || DEFAULTS.algorithm,
+    digits: String(opts.digits || DEFAULTS.digits),
+    period: String(opts.step || DEFAULTS.step),
   });
   const label = encodeURIComponent(`${issuer}:${accountName}`);
   return `otpauth://totp/${label}?${params.toString()}`;
 }
 
 module.exports = {
-  totp, verifyTotp, generateSecret, provisioningUri,
+  totp, verifyTotp, verifyTotpStep, generateSecret, provisioningUri,
+  normalizeAlgorithm, ALGORITHMS, DIGITS, DEFAULTS, hotp,
+  generateRecoveryCodes, normalizeRecoveryCode, RECOVERY_CODE_COUNT,
   base32Encode, base32Decode,
 };
@@ -0,0 +1,114 @@
+/**
+ * The trash: soft deletes for deals, projects, tasks, expenses and deliverables.
+ *
+ * Deleting one of those stamps it with deleted_at / deleted_by and a trash
+ * entry's id instead of removing it (migrations/0014_trash.sql). Dependents
+ * go with it under the same entry — a project's tasks, deliverables and
+ * expenses, a task's subtasks, and the deliverable links of any task or
+ * deliverable that went — and pay status, comments and the like stay put
+ * because nothing cascades. The repositories leave trashed rows out of every
+ * read (createRepository's softDelete), so to the rest of the API they're gone.
+ *
+ * Restoring an entry brings it all back as it was, links included. Entries
+ * stay restorable for RETENTION_DAYS; after that, someone with trash.purge
+ * can delete them for good, which is when the ON DELETE CASCADEs finally run.
+ */
+const repos = require('./repos');
+
+const RETENTION_DAYS = 30;
+const DAY_MS         = 24 * 60 * 60 * 1000;
+
+// Per table: the column that names a row, and the parents that must be out of
+// the trash before a row can come back on its own
+const KINDS = {
+  deals:        { label: 'name',        parents: [] },
+  projects:     { label: 'name',        parents: [] },
+  tasks:        { label: 'title',       parents: [['projects', 'project_id'], ['tasks', 'parent_id']] },
+  expenses:     { label: 'description', parents: [['projects', 'project_id']] },
+  deliverables: { label: 'name',        parents: [['projects', 'project_id']] },
+};
+
+const TABLES = Object.keys(KINDS);
+
+/** Permission needed to trash or restore rows of `table`. */
+function permissionFor(table) {
+  return `${table}.delete`;
+}
+
+/**
+ * Move a row (as loaded) to the trash. Returns the put() result — { id, tasks,
+ * deliverables, expenses } — or null if it was already gone.
+ */
+function moveToTrash(table, row, user) {
+  return repos.trash.put(table, row.id, row[KINDS[table].label] ?? null, { id: user.sub, name: user.name });
+}
+
+/** When an entry can be purged. */
+function purgeableAt(entry) {
+  return new Date(Date.parse(entry.deleted_at) + RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+function isPurgeable(entry, now = Date.now()) {
+  return Date.parse(purgeableAt(entry)) <= now;
+}
+
+/** `where` filter for the entries that can be purged. */
+function purgeable(now = Date.now()) {
+  return { deleted_at: { lte: new Date(now - RETENTION_DAYS * DAY_MS).toISOString() } };
+}
+
+/**
+ * Why an entry can't be restored yet — its record's project or parent task is
+ * in the trash under another entry — or null if it can.
+ */
+async function restoreBlocker(entry) {
+  const { parents } = KINDS[entry.table_name];
+  if (!parents.length) return null;
+  const cols = parents.map(([, col]) => col).join(',');
+  const row = await repos[entry.table_name].withDeleted.get(entry.record_id, cols);
+  for (const [table, col] of parents) {
+    if (!row?.[col]) continue;
+    const parent = await repos[table].withDeleted.get(row[col], `id,deleted_at,${KINDS[table].label}`);
+    if (parent?.deleted_at) {
+      const what = table === 'projects' ? 'project' : 'parent task';
+      return `Its ${what} "${parent[KINDS[table].label]}" is in the trash — restore that first.`;
+    }
+  }
+  return null;
+}
+
+/** The project an entry's record belongs to, or null. */
+async function projectOf(entry) {
+  if (!KINDS[entry.table_name].parents.some(([table]) => table === 'projects')) return null;
+  const row = await repos[entry.table_name].withDeleted.get(entry.record_id, 'project_id');
+  return row?.project_id || null;
+}
+
+/** Deliverables linked (through tasks) to the rows an entry holds. */
+async function linkedDeliverables(trashId) {
+  const links = await repos.taskDeliverables.withDeleted.list({ where: { trash_id: trashId }, columns: 'deliverable_id' });
+  return [...new Set(links.map(l => l.deliverable_id))];
+}
+
+/**
+ * Trash entries, newest first, each with what went with it:
+ * { …entry, dependents: { tasks: [{ id, label }], deliverables, expenses } }.
+ */
+async function listEntries({ tables = TABLES } = {}) {
+  const entries = tables.length ? await repos.trash.list({ where: { table_name: tables } }) : [];
+  if (!entries.length) return [];
+  const ids = entries.map(e => e.id);
+  const dependents = Object.fromEntries(ids.map(id => [id, { tasks: [], deliverables: [], expenses: [] }]));
+  await Promise.all(['tasks', 'deliverables', 'expenses'].map(async table => {
+    const label = KINDS[table].label;
+    const rows = await repos[table].withDeleted.list({ where: { trash_id: ids }, columns: `id,trash_id,${label}`, order: null });
+    const roots = new Set(entries.map(e => e.record_id));
+    for (const r of rows) if (!roots.has(r.id)) dependents[r.trash_id][table].push({ id: r.id, label: r[label] });
+  }));
+  return entries.map(e => ({ ...e, dependents: dependents[e.id] }));
+}
+
+module.exports = {
+  RETENTION_DAYS, TABLES, permissionFor, moveToTrash, purgeableAt, isPurgeable, purgeable,
+  restoreBlocker, projectOf, linkedDeliverables, listEntries,
+};
@@ -0,0 +1,198 @@
+/**
+ * Declarative request validation.
+ *
+ * Schemas are plain OpenAPI 3.0 schema objects built with the helpers on `t`,
+ * so the same definitions validate requests (validateBody, validateQuery) and
+ * document the API (lib/openapi.js). Only the keywords the builders emit are understood:
+ * type, nullable, enum, format, minimum/maximum, minLength/maxLength,
+ * pattern, items, minItems/maxItems, properties and required.
+ *
+ * Validation is lenient where the browser forms are loose and strict where
+ * Postgres would otherwise fail:
+ *   - numeric strings ("12.5") are accepted for number fields and converted;
+ *   - '' on a nullable field that isn't free text (a date, id, number…) means
+ *     "cleared" and becomes null;
+ *   - properties a schema doesn't list are passed through untouched, so older
+ *     clients that send extra fields keep working.
+ *
+ * Failures come back as 400 { error, details: [{ path, message }] } where path
+ * points at the field, e.g. "buckets[2].pct".
+ */
+
+const DATE_RE     = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_RE    = /^\d{4}-(0[1-9]|1[0-2])$/;
+const UUID_RE     = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_RE    = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// format → [test, message]
+const FORMATS = {
+  'date':      [v => _isCalendarDate(v),                         'must be a date (YYYY-MM-DD)'],
+  'month':     [v => MONTH_RE.test(v),                           'must be a month (YYYY-MM)'],
+  'date-time': [v => DATETIME_RE.test(v) && !isNaN(Date.parse(v)), 'must be an ISO 8601 timestamp'],
+  'uuid':      [v => UUID_RE.test(v),                            'must be a UUID'],
+  'email':     [v => EMAIL_RE.test(v),                           'must be an email address'],
+  'uri':       [v => /^https?:\/\/\S+$/i.test(v),                'must be an http(s) URL'],
+};
+
+function _isCalendarDate(v) {
+  const m = DATE_RE.exec(v);
+  if (!m) return false;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+// ─── Builders ────────────────────────────────────────────────────────────────
+// Every builder takes an options object; `nullable` and `description` work on
+// all of them.
+
+function _base(type, opts = {}) {
+  const { nullable, description, ...rest } = opts;
+  const s = { type, ...rest };
+  if (nullable) s.nullable = true;
+  if (description) s.description = description;
+  return s;
+}
+
+const t = {
+  /** Free text. `min` / `max` are lengths. */
+  string:   ({ min, max, ...o } = {}) => _base('string', { ...o, ...(min != null && { minLength: min }), ...(max != null && { maxLength: max }) }),
+  number:   ({ min, max, ...o } = {}) => _base('number', { ...o, ...(min != null && { minimum: min }), ...(max != null && { maximum: max }) }),
+  integer:  ({ min, max, ...o } = {}) => _base('integer', { ...o, ...(min != null && { minimum: min }), ...(max != null && { maximum: max }) }),
+  boolean:  (o = {}) => _base('boolean', o),
+  enum:     (values, o = {}) => _base('string', { ...o, enum: [...values] }),
+  date:     (o = {}) => _base('string', { ...o, format: 'date' }),
+  month:    (o = {}) => _base('string', { ...o, format: 'month' }),
+  datetime: (o = {}) => _base('string', { ...o, format: 'date-time' }),
+  uuid:     (o = {}) => _base('string', { ...o, format: 'uuid' }),
+  email:    (o = {}) => _base('string', { ...o, format: 'email' }),
+  url:      (o = {}) => _base('string', { ...o, format: 'uri' }),
+  array:    (items, { min, max, ...o } = {}) => _base('array', { ...o, items, ...(min != null && { minItems: min }), ...(max != null && { maxItems: max }) }),
+  /** `required` lists the properties that must be present. */
+  object:   (properties, { required, ...o } = {}) => _base('object', { ...o, properties, ...(required?.length && { required: [...required] }) }),
+};
+
+/** Same object schema with nothing required — the PATCH twin of a POST body. */
+function partial(schema) {
+  const { required, ...rest } = schema;
+  return rest;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function _typeName(s) {
+  if (s.enum) return `one of: ${s.enum.join(', ')}`;
+  return { string: 'text', number: 'a number', integer: 'a whole number', boolean: 'true or false', array: 'a list', object: 'an object' }[s.type] || s.type;
+}
+
+function _check(s, value, path, errors) {
+  const fail = message => { errors.push({ path: path || 'body', message }); return value; };
+
+  if (value === '' && s.nullable && (s.type !== 'string' || s.format || s.enum)) value = null;
+  if (value === null) return s.nullable ? null : fail('must not be empty');
+
+  switch (s.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) value = Number(value);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`must be ${_typeName(s)}`);
+      if (s.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+      if (s.minimum != null && value < s.minimum) return fail(`must be at least ${s.minimum}`);
+      if (s.maximum != null && value > s.maximum) return fail(`must be at most ${s.maximum}`);
+      return value;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail('must be true or false');
+    case 'string': {
+      if (typeof value !== 'string') return fail(s.enum ? `must be ${_typeName(s)}` : 'must be text');
+      if (s.enum && !s.enum.includes(value)) return fail(`must be ${_typeName(s)}`);
+      if (s.format && FORMATS[s.format] && !FORMATS[s.format][0](value)) return fail(FORMATS[s.format][1]);
+      if (s.minLength != null && value.trim().length < s.minLength) {
+        return fail(s.minLength === 1 ? 'must not be empty' : `must be at least ${s.minLength} characters`);
+      }
+      if (s.maxLength != null && value.length > s.maxLength) return fail(`must be at most ${s.maxLength} characters`);
+      if (s.pattern && !new RegExp(s.pattern).test(value)) return fail('is not in the expected format');
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (s.minItems != null && value.length < s.minItems) return fail(`must have at least ${s.minItems} item${s.minItems === 1 ? '' : 's'}`);
+      if (s.maxItems != null && value.length > s.maxItems) return fail(`must have at most ${s.maxItems} items`);
+      return s.items ? value.map((v, i) => _check(s.items, v, `${path}[${i}]`, errors)) : value;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      const out = { ...value };
+      for (const key of s.required || []) {
+        if (out[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+      for (const [key, prop] of Object.entries(s.properties || {})) {
+        if (out[key] !== undefined) out[key] = _check(prop, out[key], path ? `${path}.${key}` : key, errors);
+      }
+      return out;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check `value` against `schema`. Returns { value, errors }: the value with
+ * coercions applied, and one { path, message } per problem (empty when valid).
+ */
+function validate(schema, value) {
+  const errors = [];
+  const out = _check(schema, value, '', errors);
+  return { value: out, errors };
+}
+
+/** One line for the `error` field, e.g. "amount must be at least 0; stage must be one of: …". */
+function summarize(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+/**
+ * Express middleware: validate req.body, answer 400 with field-level details
+ * on failure, otherwise replace req.body with the coerced value. The schema is
+ * kept on the middleware (bodySchema) so lib/openapi.js can document the route.
+ */
+function validateBody(schema) {
+  const middleware = (req, res, next) => {
+    const { value, errors } = validate(schema, req.body ?? {});
+    if (errors.length) return res.status(400).json({ error: summarize(errors), details: errors });
+    req.body = value;
+    next();
+  };
+  middleware.bodySchema = schema;
+  return middleware;
+}
+
+// Query strings are all text: split comma lists for array parameters and read
+// 'true' / 'false' for booleans before validating (numbers coerce anyway)
+function _fromQuery(schema, query) {
+  const out = { ...query };
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    const v = out[key];
+    if (typeof v !== 'string') continue;
+    if (prop.type === 'array') out[key] = v.split(',').map(s => s.trim()).filter(Boolean);
+    else if (prop.type === 'boolean' && (v === 'true' || v === 'false')) out[key] = v === 'true';
+  }
+  return out;
+}
+
+/**
+ * validateBody for the query string: same 400 on failure, otherwise req.query
+ * holds the coerced values. The schema is kept as querySchema for the docs.
+ */
+function validateQuery(schema) {
+  const middleware = (req, res, next) => {
+    const { value, errors } = validate(schema, _fromQuery(schema, req.query));
+    if (errors.length) return res.status(400).json({ error: summarize(errors), details: errors });
+    req.query = value;
+    next();
+  };
+  middleware.querySchema = schema;
+  return middleware;
+}
+
+module.exports = { t, partial, validate, summarize, validateBody, validateQuery };
@@ -0,0 +1,201 @@
+/**
+ * WebAuthn (passkeys) — server side of the registration and assertion ceremonies.
+ * Pure-JS implementation using built-in Node crypto. No external dependencies.
+ *
+ * Scope is deliberately narrow: we request `attestation: 'none'`, so we only
+ * parse authenticator data and never verify attestation statements. Supported
+ * credential algorithms: ES256 (-7), EdDSA/Ed25519 (-8) and RS256 (-257), which
+ * covers platform authenticators (Touch ID, Windows Hello, Android) and
+ * roaming security keys.
+ */
+const crypto = require('crypto');
+
+const ALG_ES256 = -7;
+const ALG_EDDSA = -8;
+const ALG_RS256 = -257;
+const SUPPORTED_ALGS = [ALG_ES256, ALG_EDDSA, ALG_RS256];
+
+// authenticatorData flag bits
+const FLAG_UP = 0x01; // user present
+const FLAG_UV = 0x04; // user verified
+const FLAG_AT = 0x40; // attested credential data included
+
+// ── base64url ────────────────────────────────────────────────
+function b64urlEncode(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+function b64urlDecode(s) {
+  return Buffer.from(String(s || ''), 'base64url');
+}
+
+/** Random 32-byte challenge, base64url encoded. */
+function generateChallenge() {
+  return b64urlEncode(crypto.randomBytes(32));
+}
+
+// ── Minimal CBOR decoder (RFC 8949) ──────────────────────────
+// Handles what attestation objects and COSE keys use: unsigned/negative ints,
+// byte/text strings, arrays, maps, and simple values. No tags, no floats,
+// no indefinite lengths.
+function cborDecode(buf) {
+  let pos = 0;
+  function readLength(info) {
+    if (info < 24) return info;
+    if (info === 24) return buf[pos++];
+    if (info === 25) { const v = buf.readUInt16BE(pos); pos += 2; return v; }
+    if (info === 26) { const v = buf.readUInt32BE(pos); pos += 4; return v; }
+    if (info === 27) { const v = Number(buf.readBigUInt64BE(pos)); pos += 8; return v; }
+    throw new Error('CBOR: unsupported length encoding');
+  }
+  function item() {
+    if (pos >= buf.length) throw new Error('CBOR: unexpected end of input');
+    const first = buf[pos++];
+    const major = first >> 5;
+    const info  = first & 0x1f;
+    switch (major) {
+      case 0: return readLength(info);
+      case 1: return -1 - readLength(info);
+      case 2: { const n = readLength(info); const v = buf.subarray(pos, pos + n); pos += n; return Buffer.from(v); }
+      case 3: { const n = readLength(info); const v = buf.toString('utf8', pos, pos + n); pos += n; return v; }
+      case 4: { const n = readLength(info); const arr = []; for (let i = 0; i < n; i++) arr.push(item()); return arr; }
+      case 5: {
+        const n = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < n; i++) { const k = item(); map.set(k, item()); }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        throw new Error('CBOR: unsupported simple value');
+      default:
+        throw new Error(`CBOR: unsupported major type ${major}`);
+    }
+  }
+  const value = item();
+  return { value, length: pos };
+}
+
+// ── Authenticator data ───────────────────────────────────────
+/** Parse authenticatorData (WebAuthn §6.1). */
+function parseAuthData(authData) {
+  if (authData.length < 37) throw new Error('authenticatorData too short');
+  const out = {
+    rpIdHash:  authData.subarray(0, 32),
+    flags:     authData[32],
+    signCount: authData.readUInt32BE(33),
+  };
+  if (out.flags & FLAG_AT) {
+    let p = 37 + 16; // skip AAGUID
+    const idLen = authData.readUInt16BE(p); p += 2;
+    out.credentialId = authData.subarray(p, p + idLen); p += idLen;
+    const { value, length } = cborDecode(authData.subarray(p));
+    out.publicKeyCose = value;
+    out.publicKeyLength = length;
+  }
+  return out;
+}
+
+/** Convert a COSE_Key map to a JWK Node can import. Returns { alg, jwk }. */
+function coseToJwk(cose) {
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  if (!SUPPORTED_ALGS.includes(alg)) throw new Error(`Unsupported credential algorithm ${alg}`);
+  if (kty === 2 && alg === ALG_ES256 && cose.get(-1) === 1) {
+    return { alg, jwk: { kty: 'EC', crv: 'P-256', x: b64urlEncode(cose.get(-2)), y: b64urlEncode(cose.get(-3)) } };
+  }
+  if (kty === 1 && alg === ALG_EDDSA && cose.get(-1) === 6) {
+    return { alg, jwk: { kty: 'OKP', crv: 'Ed25519', x: b64urlEncode(cose.get(-2)) } };
+  }
+  if (kty === 3 && alg === ALG_RS256) {
+    return { alg, jwk: { kty: 'RSA', n: b64urlEncode(cose.get(-1)), e: b64urlEncode(cose.get(-2)) } };
+  }
+  throw new Error('Unsupported credential key type');
+}
+
+function verifySignature(alg, jwk, data, signature) {
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  if (alg === ALG_EDDSA) return crypto.verify(null, data, key, signature);
+  // ES256 signatures arrive DER-encoded, which is Node's default for EC keys
+  return crypto.verify('sha256', data, key, signature);
+}
+
+// ── Shared checks ────────────────────────────────────────────
+function checkClientData(clientDataJSON, { type, expectedChallenge, expectedOrigins }) {
+  let clientData;
+  try { clientData = JSON.parse(clientDataJSON.toString('utf8')); } catch { throw new Error('Malformed clientDataJSON'); }
+  if (clientData.type !== type) throw new Error(`Unexpected ceremony type "${clientData.type}"`);
+  if (clientData.challenge !== expectedChallenge) throw new Error('Challenge mismatch');
+  if (!expectedOrigins.includes(clientData.origin)) throw new Error(`Origin ${clientData.origin} not allowed`);
+  return clientData;
+}
+
+function checkAuthData(parsed, { expectedRpId, requireUserVerification }) {
+  const expectedHash = crypto.createHash('sha256').update(expectedRpId).digest();
+  if (!crypto.timingSafeEqual(parsed.rpIdHash, expectedHash)) throw new Error('RP ID mismatch');
+  if (!(parsed.flags & FLAG_UP)) throw new Error('User presence not confirmed');
+  if (requireUserVerification && !(parsed.flags & FLAG_UV)) throw new Error('User verification required');
+}
+
+// ── Ceremonies ───────────────────────────────────────────────
+/**
+ * Verify a registration response from navigator.credentials.create().
+ * credential = { id, rawId, type, response: { clientDataJSON, attestationObject, transports? } }
+ * (binary fields base64url-encoded by the browser).
+ * Returns { credentialId, publicKey: { alg, jwk }, signCount, transports }.
+ */
+function verifyRegistration(credential, { expectedChallenge, expectedOrigins, expectedRpId, requireUserVerification = false }) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) throw new Error('Malformed credential');
+  const clientDataJSON = b64urlDecode(credential.response.clientDataJSON);
+  checkClientData(clientDataJSON, { type: 'webauthn.create', expectedChallenge, expectedOrigins });
+
+  const { value: attObj } = cborDecode(b64urlDecode(credential.response.attestationObject));
+  const authData = attObj instanceof Map ? attObj.get('authData') : null;
+  if (!Buffer.isBuffer(authData)) throw new Error('Malformed attestationObject');
+  const parsed = parseAuthData(authData);
+  checkAuthData(parsed, { expectedRpId, requireUserVerification });
+  if (!parsed.credentialId || !parsed.publicKeyCose) throw new Error('No attested credential data');
+
+  const credentialId = b64urlEncode(parsed.credentialId);
+  if (credential.id && credential.id !== credentialId) throw new Error('Credential id mismatch');
+  return {
+    credentialId,
+    publicKey:  coseToJwk(parsed.publicKeyCose),
+    signCount:  parsed.signCount,
+    transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+  };
+}
+
+/**
+ * Verify an assertion from navigator.credentials.get() against a stored credential.
+ * stored = { publicKey: { alg, jwk }, signCount }
+ * Returns { signCount } — persist it; a counter that goes backwards signals a cloned key.
+ */
+function verifyAuthentication(credential, stored, { expectedChallenge, expectedOrigins, expectedRpId, requireUserVerification = false }) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) throw new Error('Malformed credential');
+  const clientDataJSON = b64urlDecode(credential.response.clientDataJSON);
+  checkClientData(clientDataJSON, { type: 'webauthn.get', expectedChallenge, expectedOrigins });
+
+  const authData = b64urlDecode(credential.response.authenticatorData);
+  const parsed = parseAuthData(authData);
+  checkAuthData(parsed, { expectedRpId, requireUserVerification });
+
+  const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+  const signed = Buffer.concat([authData, clientDataHash]);
+  const ok = verifySignature(stored.publicKey.alg, stored.publicKey.jwk, signed, b64urlDecode(credential.response.signature));
+  if (!ok) throw new Error('Signature verification failed');
+
+  // Authenticators that don't implement counters always report 0
+  if ((parsed.signCount || stored.signCount) && parsed.signCount <= stored.signCount) {
+    throw new Error('Signature counter did not increase — possible cloned authenticator');
+  }
+  return { signCount: parsed.signCount };
+}
+
+module.exports = {
+  SUPPORTED_ALGS,
+  generateChallenge, verifyRegistration, verifyAuthentication,
+  b64urlEncode, b64urlDecode, cborDecode, parseAuthData, coseToJwk,
+};
@@ -0,0 +1,136 @@
+-- ================================================================
+--  0002 — Clients, deliverables and task detail
+--  Client records (deals link to them), deliverable types and
+--  deliverables with their task links, task comments and subtasks,
+--  and the project/deal columns the API has grown since 0001.
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: clients
+--  Soft-deleted (active = false) so deals keep their client.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS clients (
+  id            UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name          TEXT        NOT NULL UNIQUE,
+  notes         TEXT,
+  active        BOOLEAN     NOT NULL DEFAULT TRUE,
+  portal_active BOOLEAN     NOT NULL DEFAULT FALSE,
+  portal_links  JSONB       NOT NULL DEFAULT '[]',     -- [{ label, url }] shown in the client portal
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+
+-- ── deals: client link, retainer flag, Retainer stage ───────
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS client_id   UUID    REFERENCES clients(id) ON DELETE SET NULL;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS is_retainer BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE deals DROP CONSTRAINT IF EXISTS deals_stage_check;
+ALTER TABLE deals ADD CONSTRAINT deals_stage_check
+  CHECK (stage IN ('Lead','Qualified','Proposal','Negotiation','Retainer','Closed Won'));
+CREATE INDEX IF NOT EXISTS deals_client_idx ON deals (client_id);
+
+
+-- ── projects: payout lock and content publishing ────────────
+-- payouts_finalized permanently locks a project's pay inputs
+-- (hours, deal value, expenses) once pay has been run.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS payouts_finalized BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS publishes_content BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS edit_hours_budget NUMERIC;
+CREATE INDEX IF NOT EXISTS projects_deal_idx ON projects (deal_id);
+
+
+-- ── tasks: publishing, notes, one level of subtasks ─────────
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS publish_date DATE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tag          TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS publishable  BOOLEAN     NOT NULL DEFAULT FALSE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS notes        TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_id    UUID        REFERENCES tasks(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS tasks_project_idx ON tasks (project_id);
+
+-- The API never writes updated_at / completed_at itself: every update
+-- touches updated_at, and completed_at follows the move into / out of done.
+CREATE OR REPLACE FUNCTION tasks_touch()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  IF NEW.status = 'done' AND OLD.status IS DISTINCT FROM 'done' THEN
+    NEW.completed_at := NOW();
+  ELSIF NEW.status <> 'done' THEN
+    NEW.completed_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+DROP TRIGGER IF EXISTS tasks_touch ON tasks;
+CREATE TRIGGER tasks_touch BEFORE UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION tasks_touch();
+
+
+-- ================================================================
+--  TABLE: deliverable_types
+--  Global (project_id NULL) or project-specific templates. Names are
+--  unique within their scope. Soft-deleted via active = false.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS deliverable_types (
+  id                  UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name                TEXT        NOT NULL,
+  project_id          UUID        REFERENCES projects(id) ON DELETE CASCADE,
+  active              BOOLEAN     NOT NULL DEFAULT TRUE,
+  publishable         BOOLEAN     NOT NULL DEFAULT FALSE,
+  default_assignee_id UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  default_est_hours   NUMERIC,
+  default_tag         TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (project_id, name)
+);
+
+
+-- ================================================================
+--  TABLE: deliverables
+--  status is derived from linked tasks (_recomputeDeliverableStatus).
+-- ================================================================
+CREATE TABLE IF NOT EXISTS deliverables (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id   UUID        NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  type_id      UUID        REFERENCES deliverable_types(id) ON DELETE SET NULL,
+  name         TEXT        NOT NULL,
+  description  TEXT,
+  publish_date DATE,
+  status       TEXT        NOT NULL DEFAULT 'planned'
+                           CHECK (status IN ('planned','in_progress','in_review','published','cancelled')),
+  sort_order   INTEGER     NOT NULL DEFAULT 0,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS deliverables_project_idx ON deliverables (project_id);
+
+
+-- ================================================================
+--  TABLE: task_deliverables
+--  Many-to-many link between tasks and deliverables.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS task_deliverables (
+  task_id        UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  deliverable_id UUID NOT NULL REFERENCES deliverables(id) ON DELETE CASCADE,
+  PRIMARY KEY (task_id, deliverable_id)
+);
+CREATE INDEX IF NOT EXISTS task_deliverables_deliverable_idx ON task_deliverables (deliverable_id);
+
+
+-- ================================================================
+--  TABLE: task_comments
+--  author_name is copied at write time so comments survive the
+--  author being removed.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS task_comments (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id     UUID        NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  author_id   UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  author_name TEXT        NOT NULL DEFAULT '',
+  body        TEXT        NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  edited_at   TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS task_comments_task_idx ON task_comments (task_id, created_at);
@@ -0,0 +1,103 @@
+-- ================================================================
+--  0003 — Pay records and expense intake
+--  Effective-dated profit-share rates, pay flags keyed by pay line,
+--  profit-share snapshots, the pay history log and receipts waiting
+--  for review.
+-- ================================================================
+
+
+-- ── team_members: rate history and monthly hours cap ────────
+-- ps_rate_history is [{ effectiveMonth: 'YYYY-MM', pct }]; a rate
+-- change only applies from its effective month forward.
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS ps_rate_history JSONB   NOT NULL DEFAULT '[]';
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS month_cap       INTEGER NOT NULL DEFAULT 180;
+
+
+-- ── pay_status: one row per pay line, keyed by pay_key ──────
+-- pay_key is '<projectId>_<memberId>' for production pay and
+-- '<projectId>_fee_…' / '<projectId>_ps_<memberId>' for fees and
+-- profit share, so project_id / member_id are informational only.
+ALTER TABLE pay_status ADD COLUMN IF NOT EXISTS id              UUID    NOT NULL DEFAULT gen_random_uuid();
+ALTER TABLE pay_status ADD COLUMN IF NOT EXISTS pay_key         TEXT;
+ALTER TABLE pay_status ADD COLUMN IF NOT EXISTS ps_pct_snapshot NUMERIC;   -- profit-share rate locked in when paid
+UPDATE pay_status SET pay_key = project_id || '_' || member_id WHERE pay_key IS NULL;
+ALTER TABLE pay_status ALTER COLUMN pay_key SET NOT NULL;
+ALTER TABLE pay_status DROP CONSTRAINT IF EXISTS pay_status_pkey;
+ALTER TABLE pay_status ADD PRIMARY KEY (id);
+ALTER TABLE pay_status ALTER COLUMN project_id DROP NOT NULL;
+ALTER TABLE pay_status ALTER COLUMN member_id  DROP NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS pay_status_pay_key_idx ON pay_status (pay_key);
+
+
+-- ── profit_share_status: what was actually paid ─────────────
+-- Snapshotted when a quarter is marked paid so later rate changes
+-- don't rewrite history; cleared when it's unmarked.
+ALTER TABLE profit_share_status ADD COLUMN IF NOT EXISTS ps_pct            NUMERIC;
+ALTER TABLE profit_share_status ADD COLUMN IF NOT EXISTS allocation_amount NUMERIC;
+
+
+-- ── expenses: submitter and receipt are optional ────────────
+ALTER TABLE expenses ALTER COLUMN submitted_by DROP NOT NULL;
+ALTER TABLE expenses ALTER COLUMN receipt_url  DROP NOT NULL;
+
+
+-- ================================================================
+--  TABLE: pay_log
+--  Every payment made. Names and deal figures are copied at write
+--  time so entries stay readable after projects or deals are gone;
+--  only is_manual rows can be deleted through the API.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS pay_log (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id       UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  member_name     TEXT,
+  pay_type        TEXT        NOT NULL
+                              CHECK (pay_type IN ('production','fee','profit_share','manual')),
+  amount          NUMERIC     NOT NULL,
+  project_id      UUID,
+  project_name    TEXT,
+  deal_id         UUID,
+  deal_name       TEXT,
+  deal_value      NUMERIC,
+  deal_net        NUMERIC,
+  quarter_key     TEXT,
+  source_key      TEXT,                               -- the pay_key this payment settled
+  notes           TEXT,
+  is_manual       BOOLEAN     NOT NULL DEFAULT FALSE,
+  created_by_id   UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  created_by_name TEXT,
+  paid_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS pay_log_member_idx ON pay_log (member_id, paid_at);
+
+
+-- ================================================================
+--  TABLE: pending_expenses
+--  Receipts imported from Drive and read by the AI extractor, waiting
+--  for someone to approve (→ expenses) or reject them.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS pending_expenses (
+  id                  UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  source              TEXT        NOT NULL DEFAULT 'drive-bulk',
+  sender_email        TEXT,
+  sender_name         TEXT,
+  subject             TEXT,
+  body_snippet        TEXT,
+  vendor              TEXT,
+  amount              NUMERIC,
+  expense_date        DATE,
+  category            TEXT,
+  suggested_notes     TEXT,
+  ai_confidence       TEXT,                               -- 'high' | 'medium' | 'low'
+  receipt_url         TEXT,
+  receipt_filename    TEXT,
+  status              TEXT        NOT NULL DEFAULT 'pending'
+                                  CHECK (status IN ('pending','approved','rejected')),
+  reviewed_by         UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  reviewed_at         TIMESTAMPTZ,
+  reject_reason       TEXT,
+  promoted_expense_id UUID        REFERENCES expenses(id) ON DELETE SET NULL,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS pending_expenses_status_idx ON pending_expenses (status, created_at);
@@ -0,0 +1,86 @@
+-- ================================================================
+--  0004 — Quotes and retainer contracts
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: quotes
+--  Estimates built from line items; a won quote can be linked to the
+--  deal it became.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS quotes (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name         TEXT        NOT NULL,
+  client       TEXT        NOT NULL DEFAULT '',
+  status       TEXT        NOT NULL DEFAULT 'draft'
+                           CHECK (status IN ('draft','sent','won','lost')),
+  overhead_pct NUMERIC     NOT NULL DEFAULT 20,
+  notes        TEXT,
+  deal_id      UUID        REFERENCES deals(id) ON DELETE SET NULL,
+  created_by   UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+
+-- ================================================================
+--  TABLE: quote_line_items
+--  Replaced wholesale whenever a quote's lines are edited.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS quote_line_items (
+  id                  UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  quote_id            UUID        NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  description         TEXT,
+  deliverable_type_id UUID        REFERENCES deliverable_types(id) ON DELETE SET NULL,
+  quantity            NUMERIC     NOT NULL DEFAULT 1,
+  hours_per_unit      NUMERIC     NOT NULL DEFAULT 0,
+  rate_per_hour       NUMERIC     NOT NULL DEFAULT 70,
+  rate_label          TEXT        NOT NULL DEFAULT 'Production Pool',
+  sort_order          INTEGER     NOT NULL DEFAULT 0,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS quote_line_items_quote_idx ON quote_line_items (quote_id, sort_order);
+
+
+-- ================================================================
+--  TABLE: retainer_contracts
+--  Months are 'YYYY-MM'.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS retainer_contracts (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name        TEXT        NOT NULL,
+  client      TEXT        NOT NULL DEFAULT '',
+  start_month TEXT,
+  end_month   TEXT,
+  total_value NUMERIC,
+  notes       TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+
+-- ================================================================
+--  TABLE: retainer_buckets
+--  What a contract includes (e.g. 8 reels/month). Consumption is
+--  counted from tasks with task_tag / deliverables of
+--  deliverable_type_id, plus manual_consumed. Phases restrict a
+--  bucket to part of the contract term.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS retainer_buckets (
+  id                  UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_id         UUID        NOT NULL REFERENCES retainer_contracts(id) ON DELETE CASCADE,
+  name                TEXT        NOT NULL,
+  unit                TEXT        NOT NULL DEFAULT 'items',
+  unit_type           TEXT        NOT NULL DEFAULT 'count' CHECK (unit_type IN ('count','hours')),
+  contracted_qty      NUMERIC     NOT NULL DEFAULT 0,
+  deliverable_type_id UUID        REFERENCES deliverable_types(id) ON DELETE SET NULL,
+  task_tag            TEXT        NOT NULL DEFAULT 'post-production',
+  manual_consumed     NUMERIC     NOT NULL DEFAULT 0,
+  phase_label         TEXT,
+  phase_start_month   TEXT,
+  phase_end_month     TEXT,
+  sort_order          INTEGER     NOT NULL DEFAULT 0,
+  notes               TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS retainer_buckets_contract_idx ON retainer_buckets (contract_id, sort_order);
@@ -0,0 +1,24 @@
+-- ================================================================
+--  0005 — Audit log
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: audit_log
+--  Append-only record of sensitive changes, written by auditLog() in
+--  api/index.js. actor_id has no foreign key so entries outlive the
+--  member (and can name a portal user); actor_name is copied for the
+--  same reason.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS audit_log (
+  id         UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id   UUID,
+  actor_name TEXT        NOT NULL DEFAULT 'unknown',
+  action     TEXT        NOT NULL,
+  table_name TEXT,
+  record_id  TEXT,
+  changes    JSONB       NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_record_idx  ON audit_log (table_name, record_id);
@@ -0,0 +1,109 @@
+-- ================================================================
+--  0006 — Staff sign-in
+--  PIN lockout, sessions, TOTP two-factor with recovery codes,
+--  org-wide settings and passkeys.
+-- ================================================================
+
+
+-- ── team_members: PIN lockout and TOTP secret ───────────────
+-- After 5 failed PINs the member is locked until pin_locked_until.
+-- totp_enabled stays FALSE between /setup and a verified /enable.
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS pin_failed_attempts INTEGER     NOT NULL DEFAULT 0;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS pin_locked_until    TIMESTAMPTZ;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS totp_secret         TEXT;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS totp_enabled        BOOLEAN     NOT NULL DEFAULT FALSE;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS totp_verified_at    TIMESTAMPTZ;
+
+
+-- ================================================================
+--  TABLE: sessions
+--  One row per staff login. The id is the JWT `jti`; requireAuth
+--  rejects tokens whose row is revoked, expired or missing.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS sessions (
+  id           UUID        PRIMARY KEY,
+  member_id    UUID        NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  ip           TEXT,
+  user_agent   TEXT,
+  device       TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ NOT NULL,
+  revoked_at   TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS sessions_member_idx ON sessions (member_id) WHERE revoked_at IS NULL;
+
+-- Set on "view as member" sessions: the admin who started the impersonation
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES team_members(id) ON DELETE CASCADE;
+
+
+-- ================================================================
+--  TABLE: totp_recovery_codes
+--  Single-use 2FA backup codes (bcrypt hashes only).
+-- ================================================================
+CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+  id         UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id  UUID        NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  code_hash  TEXT        NOT NULL,
+  used_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS totp_recovery_codes_member_idx ON totp_recovery_codes (member_id);
+
+-- RFC 6238 parameters per secret, plus the last accepted time step so a
+-- code can't be replayed inside its validity window.
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS totp_algorithm TEXT
+  CHECK (totp_algorithm IN ('SHA1','SHA256','SHA512'));
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS totp_digits    SMALLINT
+  CHECK (totp_digits IN (6,8));
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+
+-- ================================================================
+--  TABLE: app_settings
+--  Org-wide settings as JSON blobs, one row per key
+--  (e.g. 'two_factor_policy'). Written only by admins via the API.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS app_settings (
+  key        TEXT        PRIMARY KEY,
+  value      JSONB       NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by UUID        REFERENCES team_members(id) ON DELETE SET NULL
+);
+
+
+-- ================================================================
+--  TABLE: webauthn_credentials
+--  Registered passkeys. public_key is { alg, jwk } as produced by
+--  lib/webauthn.js; credential_id is base64url.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+  id            UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id     UUID        NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  credential_id TEXT        NOT NULL UNIQUE,
+  public_key    JSONB       NOT NULL,
+  sign_count    BIGINT      NOT NULL DEFAULT 0,
+  transports    TEXT[]      NOT NULL DEFAULT '{}',
+  name          TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at  TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS webauthn_credentials_member_idx ON webauthn_credentials (member_id);
+
+
+-- ================================================================
+--  TABLE: webauthn_challenges
+--  Outstanding registration/login challenges. Deleted when answered
+--  (single use) or swept once expired.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+  id         UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  purpose    TEXT        NOT NULL CHECK (purpose IN ('register','login')),
+  member_id  UUID        REFERENCES team_members(id) ON DELETE CASCADE,
+  challenge  TEXT        NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admins can switch off PIN sign-in for a member once they have a passkey
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS pin_login_disabled BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,46 @@
+-- ================================================================
+--  0007 — Shared rate limiting
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: rate_limit_hits
+--  Sliding-window log for lib/rateLimit.js (postgres store). One row
+--  per allowed request; rate_limit_hit() does check-and-record in a
+--  single call so every serverless instance sees the same counts.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  id     BIGSERIAL   PRIMARY KEY,
+  key    TEXT        NOT NULL,   -- '<limiter>:<ip or member id>'
+  hit_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key_idx ON rate_limit_hits (key, hit_at);
+
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_window_ms INTEGER, p_max INTEGER)
+RETURNS TABLE (allowed BOOLEAN, hits INTEGER, oldest_at TIMESTAMPTZ)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_since TIMESTAMPTZ := NOW() - make_interval(secs => p_window_ms / 1000.0);
+  v_count INTEGER;
+BEGIN
+  -- Serialise concurrent hits on the same key so two requests can't both take the last slot
+  PERFORM pg_advisory_xact_lock(hashtext(p_key));
+  DELETE FROM rate_limit_hits WHERE key = p_key AND hit_at <= v_since;
+  SELECT COUNT(*) INTO v_count FROM rate_limit_hits WHERE key = p_key;
+  allowed := v_count < p_max;
+  IF allowed THEN
+    INSERT INTO rate_limit_hits (key) VALUES (p_key);
+    v_count := v_count + 1;
+  END IF;
+  hits := v_count;
+  SELECT MIN(hit_at) INTO oldest_at FROM rate_limit_hits WHERE key = p_key;
+  -- Keys that never come back (one-off IPs) are swept occasionally
+  IF random() < 0.01 THEN
+    DELETE FROM rate_limit_hits WHERE hit_at < NOW() - INTERVAL '1 day';
+  END IF;
+  RETURN NEXT;
+END;
+$$;
+-- Server-only: otherwise anyone holding the anon key could fill other callers' windows
+REVOKE EXECUTE ON FUNCTION rate_limit_hit(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION rate_limit_hit(TEXT, INTEGER, INTEGER) TO service_role;
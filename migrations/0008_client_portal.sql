@@ -0,0 +1,74 @@
+-- ================================================================
+--  0008 — Client portal accounts
+--  Named portal logins replace the shared per-client PIN.
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: portal_users
+--  Named client-portal logins. Several per client; a user signs in
+--  with email + password or a one-time emailed code. password_hash
+--  stays NULL until the invite is accepted (or after a reset).
+-- ================================================================
+CREATE TABLE IF NOT EXISTS portal_users (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id       UUID        NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  email           TEXT        NOT NULL,
+  name            TEXT,
+  password_hash   TEXT,                               -- bcrypt hash
+  active          BOOLEAN     NOT NULL DEFAULT TRUE,
+  failed_attempts INTEGER     NOT NULL DEFAULT 0,
+  locked_until    TIMESTAMPTZ,
+  invited_by      UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  invited_at      TIMESTAMPTZ,
+  last_login_at   TIMESTAMPTZ,
+  last_login_ip   TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS portal_users_email_idx ON portal_users (lower(email));
+CREATE INDEX IF NOT EXISTS portal_users_client_idx ON portal_users (client_id);
+
+
+-- ================================================================
+--  TABLE: portal_login_tokens
+--  Single-use secrets sent by email: 6-digit login codes and
+--  invite / password-reset links. Only a SHA-256 of the secret is
+--  stored; used_at is set when it is redeemed.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS portal_login_tokens (
+  id             UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  portal_user_id UUID        NOT NULL REFERENCES portal_users(id) ON DELETE CASCADE,
+  purpose        TEXT        NOT NULL CHECK (purpose IN ('login_code','invite','reset')),
+  token_hash     TEXT        NOT NULL,
+  attempts       INTEGER     NOT NULL DEFAULT 0,
+  expires_at     TIMESTAMPTZ NOT NULL,
+  used_at        TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS portal_login_tokens_user_idx ON portal_login_tokens (portal_user_id, purpose);
+CREATE INDEX IF NOT EXISTS portal_login_tokens_hash_idx ON portal_login_tokens (token_hash);
+
+-- The shared per-client portal PIN is replaced by portal_users
+ALTER TABLE clients DROP COLUMN IF EXISTS pin_hash;
+
+-- ================================================================
+--  TABLE: portal_sessions
+--  One row per client-portal login. Portal JWTs carry the row id as
+--  jti; requirePortalAuth rejects tokens whose row is revoked or
+--  expired. client_id is copied from the portal user so staff can
+--  list and kill a whole client's sessions.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS portal_sessions (
+  id             UUID        PRIMARY KEY,
+  portal_user_id UUID        NOT NULL REFERENCES portal_users(id) ON DELETE CASCADE,
+  client_id      UUID        NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  ip             TEXT,
+  user_agent     TEXT,
+  device         TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at     TIMESTAMPTZ NOT NULL,
+  revoked_at     TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS portal_sessions_client_idx ON portal_sessions (client_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS portal_sessions_user_idx   ON portal_sessions (portal_user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,26 @@
+-- ================================================================
+--  0009 — Personal API tokens
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: api_tokens
+--  Personal access tokens for scripts (lib/apiTokens.js). Only the
+--  SHA-256 of the token is kept; token_hint is its first characters
+--  for display. scope 'read' = GET only, 'write' = everything the
+--  owner's role allows.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id    UUID        NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  name         TEXT        NOT NULL,
+  scope        TEXT        NOT NULL DEFAULT 'read' CHECK (scope IN ('read','write')),
+  token_hash   TEXT        NOT NULL UNIQUE,
+  token_hint   TEXT        NOT NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at   TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS api_tokens_member_idx ON api_tokens (member_id) WHERE revoked_at IS NULL;
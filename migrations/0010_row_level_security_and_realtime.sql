@@ -0,0 +1,111 @@
+-- ================================================================
+--  0010 — Row-level security and realtime
+--  Kept last so it covers every table above. Policies are dropped
+--  and recreated so the file also runs cleanly on databases that
+--  were set up from the old single-file script.
+-- ================================================================
+
+
+-- ================================================================
+--  ROW-LEVEL SECURITY
+--  The API uses the service-role key which bypasses RLS.
+--  These policies protect the database if anyone ever accidentally
+--  uses the anon key on the server, and are required for Realtime
+--  subscriptions from the browser (anon key is used there).
+--  Every table without an anon policy below is server-only.
+-- ================================================================
+
+DO $$
+DECLARE t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'team_members', 'deals', 'projects', 'tasks', 'expenses', 'pay_status', 'profit_share_status',
+    'clients', 'deliverable_types', 'deliverables', 'task_deliverables', 'task_comments',
+    'pay_log', 'pending_expenses', 'quotes', 'quote_line_items', 'retainer_contracts', 'retainer_buckets',
+    'audit_log', 'sessions', 'totp_recovery_codes', 'app_settings', 'webauthn_credentials',
+    'webauthn_challenges', 'rate_limit_hits', 'portal_users', 'portal_login_tokens',
+    'portal_sessions', 'api_tokens'
+  ] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+  END LOOP;
+END;
+$$;
+
+-- Allow SELECT for authenticated anon key users (realtime reads)
+-- The API server uses service-role which bypasses these entirely.
+DROP POLICY IF EXISTS "anon_read_proj"  ON projects;
+DROP POLICY IF EXISTS "anon_read_tasks" ON tasks;
+DROP POLICY IF EXISTS "anon_read_exp"   ON expenses;
+CREATE POLICY "anon_read_proj"    ON projects            FOR SELECT USING (true);
+CREATE POLICY "anon_read_tasks"   ON tasks               FOR SELECT USING (true);
+CREATE POLICY "anon_read_exp"     ON expenses            FOR SELECT USING (true);
+
+-- Deal values, pay and profit-share rates are shaped per role by the API
+-- (lib/redaction.js), so the anon key must not read them directly. These
+-- tables signal changes through a payload-free broadcast instead (REALTIME).
+DROP POLICY IF EXISTS "anon_read_team"  ON team_members;
+DROP POLICY IF EXISTS "anon_read_deals" ON deals;
+DROP POLICY IF EXISTS "anon_read_pay"   ON pay_status;
+DROP POLICY IF EXISTS "anon_read_ps"    ON profit_share_status;
+
+-- Block all writes via anon key (only the API server can write)
+DROP POLICY IF EXISTS "deny_anon_insert_team" ON team_members;
+DROP POLICY IF EXISTS "deny_anon_insert_deal" ON deals;
+DROP POLICY IF EXISTS "deny_anon_insert_proj" ON projects;
+DROP POLICY IF EXISTS "deny_anon_insert_task" ON tasks;
+DROP POLICY IF EXISTS "deny_anon_insert_exp"  ON expenses;
+DROP POLICY IF EXISTS "deny_anon_insert_pay"  ON pay_status;
+DROP POLICY IF EXISTS "deny_anon_insert_ps"   ON profit_share_status;
+CREATE POLICY "deny_anon_insert_team" ON team_members        FOR INSERT WITH CHECK (false);
+CREATE POLICY "deny_anon_insert_deal" ON deals               FOR INSERT WITH CHECK (false);
+CREATE POLICY "deny_anon_insert_proj" ON projects            FOR INSERT WITH CHECK (false);
+CREATE POLICY "deny_anon_insert_task" ON tasks               FOR INSERT WITH CHECK (false);
+CREATE POLICY "deny_anon_insert_exp"  ON expenses            FOR INSERT WITH CHECK (false);
+CREATE POLICY "deny_anon_insert_pay"  ON pay_status          FOR INSERT WITH CHECK (false);
+CREATE POLICY "deny_anon_insert_ps"   ON profit_share_status FOR INSERT WITH CHECK (false);
+
+
+-- ================================================================
+--  REALTIME
+--  projects, tasks and expenses use Postgres Changes, so Supabase
+--  broadcasts INSERT/UPDATE/DELETE events to connected browser
+--  clients. Skipped where the supabase_realtime publication doesn't
+--  exist (plain Postgres, e.g. local development).
+-- ================================================================
+
+DO $$
+DECLARE t TEXT;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN RETURN; END IF;
+  FOREACH t IN ARRAY ARRAY['projects', 'tasks', 'expenses'] LOOP
+    IF NOT EXISTS (SELECT 1 FROM pg_publication_tables WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE %I', t);
+    END IF;
+  END LOOP;
+END;
+$$;
+
+-- Financial tables broadcast only the table name on the 'cj-agency-changes'
+-- topic; the browser then refetches through the API, which applies the
+-- caller's redaction. Postgres Changes would ship the whole row to anyone
+-- holding the anon key.
+CREATE OR REPLACE FUNCTION broadcast_table_change()
+RETURNS TRIGGER LANGUAGE plpgsql SECURITY DEFINER AS $$
+BEGIN
+  PERFORM realtime.send(jsonb_build_object('table', TG_TABLE_NAME), 'changed', 'cj-agency-changes', false);
+  RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['team_members', 'deals', 'pay_status', 'profit_share_status', 'pay_log'] LOOP
+    IF EXISTS (SELECT 1 FROM pg_publication_tables WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime DROP TABLE %I', t);
+    END IF;
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_broadcast_change', t);
+    EXECUTE format('CREATE TRIGGER %I AFTER INSERT OR UPDATE OR DELETE ON %I FOR EACH STATEMENT EXECUTE FUNCTION broadcast_table_change()', t || '_broadcast_change', t);
+  END LOOP;
+END;
+$$;
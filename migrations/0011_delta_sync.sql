@@ -0,0 +1,123 @@
+-- ================================================================
+--  0011 — Delta sync
+--  GET /api/sync returns only the rows that changed or were deleted
+--  since the client's last cursor (lib/sync.js). Every table that
+--  /api/bootstrap loads gets an updated_at that moves on each write,
+--  and deleting a row leaves a tombstone.
+-- ================================================================
+
+
+-- ================================================================
+--  updated_at on every synced table
+--  tasks, clients and deliverables already have the column; tasks
+--  keeps its own tasks_touch() trigger (0002).
+-- ================================================================
+ALTER TABLE team_members        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE deals               ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE projects            ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE expenses            ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE pay_status          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE profit_share_status ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE pay_log             ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE deliverable_types   ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE task_deliverables   ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS team_members_updated_idx        ON team_members (updated_at);
+CREATE INDEX IF NOT EXISTS deals_updated_idx               ON deals (updated_at);
+CREATE INDEX IF NOT EXISTS projects_updated_idx            ON projects (updated_at);
+CREATE INDEX IF NOT EXISTS tasks_updated_idx               ON tasks (updated_at);
+CREATE INDEX IF NOT EXISTS expenses_updated_idx            ON expenses (updated_at);
+CREATE INDEX IF NOT EXISTS pay_status_updated_idx          ON pay_status (updated_at);
+CREATE INDEX IF NOT EXISTS profit_share_status_updated_idx ON profit_share_status (updated_at);
+CREATE INDEX IF NOT EXISTS pay_log_updated_idx             ON pay_log (updated_at);
+CREATE INDEX IF NOT EXISTS clients_updated_idx             ON clients (updated_at);
+CREATE INDEX IF NOT EXISTS deliverable_types_updated_idx   ON deliverable_types (updated_at);
+CREATE INDEX IF NOT EXISTS deliverables_updated_idx        ON deliverables (updated_at);
+CREATE INDEX IF NOT EXISTS task_deliverables_updated_idx   ON task_deliverables (updated_at);
+
+-- The API doesn't have to remember: any UPDATE touches updated_at
+CREATE OR REPLACE FUNCTION touch_updated_at()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS team_members_touch ON team_members;
+CREATE TRIGGER team_members_touch BEFORE UPDATE ON team_members FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS deals_touch ON deals;
+CREATE TRIGGER deals_touch BEFORE UPDATE ON deals FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS projects_touch ON projects;
+CREATE TRIGGER projects_touch BEFORE UPDATE ON projects FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS expenses_touch ON expenses;
+CREATE TRIGGER expenses_touch BEFORE UPDATE ON expenses FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS pay_status_touch ON pay_status;
+CREATE TRIGGER pay_status_touch BEFORE UPDATE ON pay_status FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS profit_share_status_touch ON profit_share_status;
+CREATE TRIGGER profit_share_status_touch BEFORE UPDATE ON profit_share_status FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS pay_log_touch ON pay_log;
+CREATE TRIGGER pay_log_touch BEFORE UPDATE ON pay_log FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS clients_touch ON clients;
+CREATE TRIGGER clients_touch BEFORE UPDATE ON clients FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS deliverable_types_touch ON deliverable_types;
+CREATE TRIGGER deliverable_types_touch BEFORE UPDATE ON deliverable_types FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+DROP TRIGGER IF EXISTS deliverables_touch ON deliverables;
+CREATE TRIGGER deliverables_touch BEFORE UPDATE ON deliverables FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+
+
+-- ================================================================
+--  TABLE: sync_tombstones
+--  One row per deleted record, including rows removed by ON DELETE
+--  CASCADE. record_key is the key the API uses for the row: its id,
+--  or its key columns joined with '_' (pay_status.pay_key,
+--  <quarter_key>_<member_id>, <task_id>_<deliverable_id>). Pruned
+--  after lib/sync.js RETENTION_DAYS.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+  id         BIGSERIAL   PRIMARY KEY,
+  table_name TEXT        NOT NULL,
+  record_key TEXT        NOT NULL,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS sync_tombstones_deleted_idx ON sync_tombstones (deleted_at);
+ALTER TABLE sync_tombstones ENABLE ROW LEVEL SECURITY;
+
+-- Trigger arguments name the key columns, in order
+CREATE OR REPLACE FUNCTION record_tombstone()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+DECLARE
+  old_row JSONB := to_jsonb(OLD);
+  rec_key TEXT;
+BEGIN
+  SELECT string_agg(old_row ->> k.col, '_' ORDER BY k.ord) INTO rec_key
+    FROM unnest(TG_ARGV) WITH ORDINALITY AS k(col, ord);
+  INSERT INTO sync_tombstones (table_name, record_key) VALUES (TG_TABLE_NAME, rec_key);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS team_members_tombstone ON team_members;
+CREATE TRIGGER team_members_tombstone AFTER DELETE ON team_members FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS deals_tombstone ON deals;
+CREATE TRIGGER deals_tombstone AFTER DELETE ON deals FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS projects_tombstone ON projects;
+CREATE TRIGGER projects_tombstone AFTER DELETE ON projects FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS tasks_tombstone ON tasks;
+CREATE TRIGGER tasks_tombstone AFTER DELETE ON tasks FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS expenses_tombstone ON expenses;
+CREATE TRIGGER expenses_tombstone AFTER DELETE ON expenses FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS pay_status_tombstone ON pay_status;
+CREATE TRIGGER pay_status_tombstone AFTER DELETE ON pay_status FOR EACH ROW EXECUTE FUNCTION record_tombstone('pay_key');
+DROP TRIGGER IF EXISTS profit_share_status_tombstone ON profit_share_status;
+CREATE TRIGGER profit_share_status_tombstone AFTER DELETE ON profit_share_status FOR EACH ROW EXECUTE FUNCTION record_tombstone('quarter_key', 'member_id');
+DROP TRIGGER IF EXISTS pay_log_tombstone ON pay_log;
+CREATE TRIGGER pay_log_tombstone AFTER DELETE ON pay_log FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS clients_tombstone ON clients;
+CREATE TRIGGER clients_tombstone AFTER DELETE ON clients FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS deliverable_types_tombstone ON deliverable_types;
+CREATE TRIGGER deliverable_types_tombstone AFTER DELETE ON deliverable_types FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS deliverables_tombstone ON deliverables;
+CREATE TRIGGER deliverables_tombstone AFTER DELETE ON deliverables FOR EACH ROW EXECUTE FUNCTION record_tombstone('id');
+DROP TRIGGER IF EXISTS task_deliverables_tombstone ON task_deliverables;
+CREATE TRIGGER task_deliverables_tombstone AFTER DELETE ON task_deliverables FOR EACH ROW EXECUTE FUNCTION record_tombstone('task_id', 'deliverable_id');
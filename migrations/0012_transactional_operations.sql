@@ -0,0 +1,114 @@
+-- ================================================================
+--  0012 — Transactional multi-step writes
+--  Operations that touch several tables run as one function call,
+--  so a failure part-way rolls the whole thing back instead of
+--  leaving it half-written. The API calls them over RPC (lib/repos);
+--  lib/db/memory.js has stand-ins for the in-memory backend.
+-- ================================================================
+
+
+-- Delete a project and everything hanging off it. Returns NULL when
+-- the project doesn't exist, otherwise how many tasks went with it.
+CREATE OR REPLACE FUNCTION delete_project(p_project_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_task_ids UUID[];
+BEGIN
+  -- Hold the row so a concurrent edit can't add tasks to it meanwhile
+  PERFORM 1 FROM projects WHERE id = p_project_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  SELECT COALESCE(array_agg(id), '{}') INTO v_task_ids FROM tasks WHERE project_id = p_project_id;
+  DELETE FROM task_deliverables WHERE task_id = ANY (v_task_ids);
+  DELETE FROM task_comments     WHERE task_id = ANY (v_task_ids);
+  DELETE FROM tasks             WHERE project_id = p_project_id;
+  DELETE FROM deliverables      WHERE project_id = p_project_id;
+  DELETE FROM expenses          WHERE project_id = p_project_id;
+  DELETE FROM projects          WHERE id = p_project_id;
+  RETURN jsonb_build_object('tasks', cardinality(v_task_ids));
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION delete_project(UUID) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION delete_project(UUID) TO service_role;
+
+
+-- Mark a batch of pay lines paid: upsert each pay_status row by
+-- pay_key and log the payment. p_items is a JSON array of
+--   { pay_key, project_id, member_id, member_name, pay_type, amount,
+--     project_name, notes }
+-- Returns [{ pay_key, pay_log_id }] in the same order.
+CREATE OR REPLACE FUNCTION mark_payroll_paid(p_items JSONB, p_created_by_id UUID, p_created_by_name TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  it       RECORD;
+  v_log_id UUID;
+  v_out    JSONB := '[]'::jsonb;
+BEGIN
+  FOR it IN
+    SELECT * FROM jsonb_to_recordset(p_items) AS x(
+      pay_key TEXT, project_id UUID, member_id UUID, member_name TEXT,
+      pay_type TEXT, amount NUMERIC, project_name TEXT, notes TEXT)
+  LOOP
+    INSERT INTO pay_status (pay_key, project_id, member_id, paid)
+      VALUES (it.pay_key, it.project_id, it.member_id, TRUE)
+      ON CONFLICT (pay_key) DO UPDATE
+        SET project_id = EXCLUDED.project_id, member_id = EXCLUDED.member_id, paid = TRUE;
+    INSERT INTO pay_log (member_id, member_name, pay_type, amount, project_id, project_name,
+                         source_key, notes, is_manual, created_by_id, created_by_name)
+      VALUES (it.member_id, it.member_name, it.pay_type, it.amount, it.project_id, it.project_name,
+              it.pay_key, it.notes, FALSE, p_created_by_id, p_created_by_name)
+      RETURNING id INTO v_log_id;
+    v_out := v_out || jsonb_build_object('pay_key', it.pay_key, 'pay_log_id', v_log_id);
+  END LOOP;
+  RETURN v_out;
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION mark_payroll_paid(JSONB, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION mark_payroll_paid(JSONB, UUID, TEXT) TO service_role;
+
+
+-- Update a quote and, when p_line_items isn't NULL, replace its line
+-- items with them. p_changes holds only the columns being changed
+-- (name, client, status, overhead_pct, notes, deal_id); each line item
+-- is { description, quantity, hours_per_unit, rate_per_hour,
+-- rate_label, deliverable_type_id } and keeps its array position as
+-- sort_order. Returns the updated quote row, or NULL when it doesn't
+-- exist.
+CREATE OR REPLACE FUNCTION update_quote(p_quote_id UUID, p_changes JSONB, p_line_items JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_quote quotes;
+BEGIN
+  UPDATE quotes SET
+    name         = CASE WHEN p_changes ? 'name'         THEN p_changes ->> 'name'                   ELSE name         END,
+    client       = CASE WHEN p_changes ? 'client'       THEN p_changes ->> 'client'                 ELSE client       END,
+    status       = CASE WHEN p_changes ? 'status'       THEN p_changes ->> 'status'                 ELSE status       END,
+    overhead_pct = CASE WHEN p_changes ? 'overhead_pct' THEN (p_changes ->> 'overhead_pct')::NUMERIC ELSE overhead_pct END,
+    notes        = CASE WHEN p_changes ? 'notes'        THEN p_changes ->> 'notes'                  ELSE notes        END,
+    deal_id      = CASE WHEN p_changes ? 'deal_id'      THEN (p_changes ->> 'deal_id')::UUID        ELSE deal_id      END,
+    updated_at   = NOW()
+  WHERE id = p_quote_id
+  RETURNING * INTO v_quote;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_line_items IS NOT NULL THEN
+    DELETE FROM quote_line_items WHERE quote_id = p_quote_id;
+    INSERT INTO quote_line_items (quote_id, description, quantity, hours_per_unit, rate_per_hour,
+                                  rate_label, deliverable_type_id, sort_order)
+      SELECT p_quote_id, li.description, li.quantity, li.hours_per_unit, li.rate_per_hour,
+             li.rate_label, li.deliverable_type_id, (e.ord - 1)::INTEGER
+        FROM jsonb_array_elements(p_line_items) WITH ORDINALITY AS e(item, ord),
+             jsonb_to_record(e.item) AS li(description TEXT, quantity NUMERIC, hours_per_unit NUMERIC,
+                                           rate_per_hour NUMERIC, rate_label TEXT, deliverable_type_id UUID);
+  END IF;
+  RETURN to_jsonb(v_quote);
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION update_quote(UUID, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION update_quote(UUID, JSONB, JSONB) TO service_role;
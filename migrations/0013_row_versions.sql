@@ -0,0 +1,72 @@
+-- ================================================================
+--  0013 — Row versions for optimistic concurrency
+--  Deals, projects, tasks and quotes get a version that every
+--  UPDATE bumps. PATCH requests name the version they were made
+--  against and only apply while the row is still at it
+--  (lib/concurrency.js), so two people editing the same record
+--  get a conflict instead of silently overwriting each other.
+-- ================================================================
+
+ALTER TABLE deals    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE tasks    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE quotes   ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Any write moves the version, whoever makes it
+CREATE OR REPLACE FUNCTION bump_version()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS deals_version ON deals;
+CREATE TRIGGER deals_version BEFORE UPDATE ON deals FOR EACH ROW EXECUTE FUNCTION bump_version();
+DROP TRIGGER IF EXISTS projects_version ON projects;
+CREATE TRIGGER projects_version BEFORE UPDATE ON projects FOR EACH ROW EXECUTE FUNCTION bump_version();
+DROP TRIGGER IF EXISTS tasks_version ON tasks;
+CREATE TRIGGER tasks_version BEFORE UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION bump_version();
+DROP TRIGGER IF EXISTS quotes_version ON quotes;
+CREATE TRIGGER quotes_version BEFORE UPDATE ON quotes FOR EACH ROW EXECUTE FUNCTION bump_version();
+
+
+-- update_quote() (0012) learns to check the version: p_version NULL
+-- skips the check, otherwise a quote at any other version is left
+-- alone and the function returns NULL, as for a missing quote.
+DROP FUNCTION IF EXISTS update_quote(UUID, JSONB, JSONB);
+CREATE OR REPLACE FUNCTION update_quote(p_quote_id UUID, p_changes JSONB, p_line_items JSONB, p_version INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_quote quotes;
+BEGIN
+  UPDATE quotes SET
+    name         = CASE WHEN p_changes ? 'name'         THEN p_changes ->> 'name'                   ELSE name         END,
+    client       = CASE WHEN p_changes ? 'client'       THEN p_changes ->> 'client'                 ELSE client       END,
+    status       = CASE WHEN p_changes ? 'status'       THEN p_changes ->> 'status'                 ELSE status       END,
+    overhead_pct = CASE WHEN p_changes ? 'overhead_pct' THEN (p_changes ->> 'overhead_pct')::NUMERIC ELSE overhead_pct END,
+    notes        = CASE WHEN p_changes ? 'notes'        THEN p_changes ->> 'notes'                  ELSE notes        END,
+    deal_id      = CASE WHEN p_changes ? 'deal_id'      THEN (p_changes ->> 'deal_id')::UUID        ELSE deal_id      END,
+    updated_at   = NOW()
+  WHERE id = p_quote_id AND (p_version IS NULL OR version = p_version)
+  RETURNING * INTO v_quote;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_line_items IS NOT NULL THEN
+    DELETE FROM quote_line_items WHERE quote_id = p_quote_id;
+    INSERT INTO quote_line_items (quote_id, description, quantity, hours_per_unit, rate_per_hour,
+                                  rate_label, deliverable_type_id, sort_order)
+      SELECT p_quote_id, li.description, li.quantity, li.hours_per_unit, li.rate_per_hour,
+             li.rate_label, li.deliverable_type_id, (e.ord - 1)::INTEGER
+        FROM jsonb_array_elements(p_line_items) WITH ORDINALITY AS e(item, ord),
+             jsonb_to_record(e.item) AS li(description TEXT, quantity NUMERIC, hours_per_unit NUMERIC,
+                                           rate_per_hour NUMERIC, rate_label TEXT, deliverable_type_id UUID);
+  END IF;
+  RETURN to_jsonb(v_quote);
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION update_quote(UUID, JSONB, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION update_quote(UUID, JSONB, JSONB, INTEGER) TO service_role;
@@ -0,0 +1,199 @@
+-- ================================================================
+--  0014 — Trash
+--  Deleting a deal, project, task, expense or deliverable moves it to
+--  the trash instead of removing it: the row (and whatever hangs off
+--  it) is stamped with deleted_at / deleted_by and the trash entry's
+--  id, and the API stops returning it. An entry can be restored as a
+--  whole, or purged for good once it's past the retention period
+--  (lib/trash.js). lib/db/memory.js has stand-ins for the functions.
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: trash
+--  One row per delete. record_id is the record that was deleted;
+--  rows that went with it (a project's tasks, a task's subtasks, the
+--  deliverable links of either) carry the same trash_id.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS trash (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name      TEXT        NOT NULL CHECK (table_name IN ('deals','projects','tasks','expenses','deliverables')),
+  record_id       UUID        NOT NULL,
+  label           TEXT,
+  deleted_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_by      UUID        REFERENCES team_members(id) ON DELETE SET NULL,
+  deleted_by_name TEXT
+);
+CREATE INDEX IF NOT EXISTS trash_deleted_idx ON trash (deleted_at);
+ALTER TABLE trash ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS trash_id   UUID REFERENCES trash(id);
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS trash_id   UUID REFERENCES trash(id);
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS trash_id   UUID REFERENCES trash(id);
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS trash_id   UUID REFERENCES trash(id);
+ALTER TABLE deliverables
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS trash_id   UUID REFERENCES trash(id);
+ALTER TABLE task_deliverables
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES team_members(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS trash_id   UUID REFERENCES trash(id);
+
+CREATE INDEX IF NOT EXISTS deals_trash_idx             ON deals (trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS projects_trash_idx          ON projects (trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS tasks_trash_idx             ON tasks (trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS expenses_trash_idx          ON expenses (trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS deliverables_trash_idx      ON deliverables (trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS task_deliverables_trash_idx ON task_deliverables (trash_id) WHERE trash_id IS NOT NULL;
+
+
+-- Move a record to the trash along with its dependents:
+--   projects → their tasks, deliverables and expenses
+--   tasks    → their subtasks
+-- and the deliverable links of every task or deliverable that went.
+-- Returns { id, tasks, deliverables, expenses } — the trash entry and
+-- how many dependents it took — or NULL when the record doesn't exist
+-- or is already in the trash.
+CREATE OR REPLACE FUNCTION trash_record(p_table TEXT, p_id UUID, p_label TEXT, p_deleted_by UUID, p_deleted_by_name TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_trash        UUID;
+  v_now          TIMESTAMPTZ := NOW();
+  v_tasks        INTEGER := 0;
+  v_deliverables INTEGER := 0;
+  v_expenses     INTEGER := 0;
+  n              INTEGER;
+BEGIN
+  IF p_table NOT IN ('deals', 'projects', 'tasks', 'expenses', 'deliverables') THEN
+    RAISE EXCEPTION 'trash_record: % has no trash', p_table;
+  END IF;
+  INSERT INTO trash (table_name, record_id, label, deleted_at, deleted_by, deleted_by_name)
+    VALUES (p_table, p_id, p_label, v_now, p_deleted_by, p_deleted_by_name)
+    RETURNING id INTO v_trash;
+  EXECUTE format('UPDATE %I SET deleted_at = $1, deleted_by = $2, trash_id = $3 WHERE id = $4 AND deleted_at IS NULL', p_table)
+    USING v_now, p_deleted_by, v_trash, p_id;
+  GET DIAGNOSTICS n = ROW_COUNT;
+  IF n = 0 THEN
+    DELETE FROM trash WHERE id = v_trash;
+    RETURN NULL;
+  END IF;
+
+  IF p_table = 'projects' THEN
+    UPDATE tasks SET deleted_at = v_now, deleted_by = p_deleted_by, trash_id = v_trash
+      WHERE project_id = p_id AND deleted_at IS NULL;
+    GET DIAGNOSTICS v_tasks = ROW_COUNT;
+    UPDATE deliverables SET deleted_at = v_now, deleted_by = p_deleted_by, trash_id = v_trash
+      WHERE project_id = p_id AND deleted_at IS NULL;
+    GET DIAGNOSTICS v_deliverables = ROW_COUNT;
+    UPDATE expenses SET deleted_at = v_now, deleted_by = p_deleted_by, trash_id = v_trash
+      WHERE project_id = p_id AND deleted_at IS NULL;
+    GET DIAGNOSTICS v_expenses = ROW_COUNT;
+  ELSIF p_table = 'tasks' THEN
+    UPDATE tasks SET deleted_at = v_now, deleted_by = p_deleted_by, trash_id = v_trash
+      WHERE parent_id = p_id AND deleted_at IS NULL;
+    GET DIAGNOSTICS v_tasks = ROW_COUNT;
+  END IF;
+
+  -- Links have no touch trigger, so bump updated_at for delta sync by hand
+  UPDATE task_deliverables SET deleted_at = v_now, deleted_by = p_deleted_by, trash_id = v_trash, updated_at = v_now
+    WHERE deleted_at IS NULL
+      AND (task_id IN (SELECT id FROM tasks WHERE trash_id = v_trash)
+           OR deliverable_id IN (SELECT id FROM deliverables WHERE trash_id = v_trash));
+
+  RETURN jsonb_build_object('id', v_trash, 'tasks', v_tasks, 'deliverables', v_deliverables, 'expenses', v_expenses);
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION trash_record(TEXT, UUID, TEXT, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION trash_record(TEXT, UUID, TEXT, UUID, TEXT) TO service_role;
+
+
+-- Bring everything a trash entry took back and drop the entry. A
+-- deliverable link whose other end is still in the trash moves over
+-- to that end's entry, so it comes back with it. Returns the trash
+-- entry, or NULL when it doesn't exist.
+CREATE OR REPLACE FUNCTION restore_trash(p_trash_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_entry trash;
+BEGIN
+  SELECT * INTO v_entry FROM trash WHERE id = p_trash_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  UPDATE deals        SET deleted_at = NULL, deleted_by = NULL, trash_id = NULL WHERE trash_id = p_trash_id;
+  UPDATE projects     SET deleted_at = NULL, deleted_by = NULL, trash_id = NULL WHERE trash_id = p_trash_id;
+  UPDATE tasks        SET deleted_at = NULL, deleted_by = NULL, trash_id = NULL WHERE trash_id = p_trash_id;
+  UPDATE expenses     SET deleted_at = NULL, deleted_by = NULL, trash_id = NULL WHERE trash_id = p_trash_id;
+  UPDATE deliverables SET deleted_at = NULL, deleted_by = NULL, trash_id = NULL WHERE trash_id = p_trash_id;
+
+  UPDATE task_deliverables l
+     SET deleted_at = o.deleted_at, deleted_by = o.deleted_by, trash_id = o.trash_id, updated_at = NOW()
+    FROM tasks o
+   WHERE l.trash_id = p_trash_id AND l.task_id = o.id AND o.trash_id IS NOT NULL;
+  UPDATE task_deliverables l
+     SET deleted_at = o.deleted_at, deleted_by = o.deleted_by, trash_id = o.trash_id, updated_at = NOW()
+    FROM deliverables o
+   WHERE l.trash_id = p_trash_id AND l.deliverable_id = o.id AND o.trash_id IS NOT NULL;
+  UPDATE task_deliverables SET deleted_at = NULL, deleted_by = NULL, trash_id = NULL, updated_at = NOW()
+   WHERE trash_id = p_trash_id;
+
+  DELETE FROM trash WHERE id = p_trash_id;
+  RETURN to_jsonb(v_entry);
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION restore_trash(UUID) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION restore_trash(UUID) TO service_role;
+
+
+-- Delete everything a trash entry holds for good (ON DELETE CASCADE
+-- takes comments, pay status and the like with it) and drop the entry,
+-- along with any other entry whose record went in the cascade. Returns
+-- the trash entry, or NULL when it doesn't exist.
+CREATE OR REPLACE FUNCTION purge_trash(p_trash_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_entry trash;
+BEGIN
+  SELECT * INTO v_entry FROM trash WHERE id = p_trash_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  DELETE FROM task_deliverables WHERE trash_id = p_trash_id;
+  DELETE FROM tasks             WHERE trash_id = p_trash_id;
+  DELETE FROM deliverables      WHERE trash_id = p_trash_id;
+  DELETE FROM expenses          WHERE trash_id = p_trash_id;
+  DELETE FROM projects          WHERE trash_id = p_trash_id;
+  DELETE FROM deals             WHERE trash_id = p_trash_id;
+  DELETE FROM trash             WHERE id = p_trash_id;
+
+  DELETE FROM trash t
+   WHERE NOT EXISTS (SELECT 1 FROM deals        r WHERE t.table_name = 'deals'        AND r.id = t.record_id)
+     AND NOT EXISTS (SELECT 1 FROM projects     r WHERE t.table_name = 'projects'     AND r.id = t.record_id)
+     AND NOT EXISTS (SELECT 1 FROM tasks        r WHERE t.table_name = 'tasks'        AND r.id = t.record_id)
+     AND NOT EXISTS (SELECT 1 FROM expenses     r WHERE t.table_name = 'expenses'     AND r.id = t.record_id)
+     AND NOT EXISTS (SELECT 1 FROM deliverables r WHERE t.table_name = 'deliverables' AND r.id = t.record_id);
+  RETURN to_jsonb(v_entry);
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION purge_trash(UUID) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION purge_trash(UUID) TO service_role;
+
+
+-- Project deletes go through the trash now
+DROP FUNCTION IF EXISTS delete_project(UUID);
@@ -0,0 +1,129 @@
+-- ================================================================
+--  0015 — Row-level audit
+--  Every insert, update and delete on the tables below writes an
+--  audit_log entry with the row before and after, who did it, from
+--  where, and in which request (lib/audit.js). The API passes that
+--  context on every query in the x-audit-context header; PostgREST
+--  exposes it to the trigger as request.headers. lib/db/memory.js
+--  has a stand-in for audit_row_change().
+--
+--  Not audited: audit_log itself, and the session, login-token,
+--  challenge, rate-limit and tombstone tables — bookkeeping that
+--  changes on nearly every request and records no one's decisions.
+-- ================================================================
+
+ALTER TABLE audit_log
+  ADD COLUMN IF NOT EXISTS before     JSONB,
+  ADD COLUMN IF NOT EXISTS after      JSONB,
+  ADD COLUMN IF NOT EXISTS ip         TEXT,
+  ADD COLUMN IF NOT EXISTS request_id TEXT,
+  ADD COLUMN IF NOT EXISTS route      TEXT;
+CREATE INDEX IF NOT EXISTS audit_log_request_idx ON audit_log (request_id) WHERE request_id IS NOT NULL;
+
+
+-- The request's context, or {} outside a request (migrations, SQL
+-- run by hand) or if the header is missing or garbled
+CREATE OR REPLACE FUNCTION audit_request_context()
+RETURNS JSONB LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  raw TEXT := NULLIF(current_setting('request.headers', true), '')::JSONB ->> 'x-audit-context';
+BEGIN
+  IF raw IS NULL THEN RETURN '{}'; END IF;
+  RETURN convert_from(decode(raw, 'base64'), 'UTF8')::JSONB;
+EXCEPTION WHEN OTHERS THEN
+  RETURN '{}';
+END;
+$$;
+
+-- Trigger arguments name the key columns, in order, as for
+-- record_tombstone(). Secrets are masked in both snapshots and the
+-- diff (keep the list in step with lib/audit.js REDACTED_COLUMNS).
+-- An update that only moved updated_at / version isn't recorded.
+CREATE OR REPLACE FUNCTION audit_row_change()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+DECLARE
+  secrets  TEXT[] := ARRAY['pin_hash', 'totp_secret', 'password_hash', 'token_hash', 'code_hash'];
+  old_row  JSONB  := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+  new_row  JSONB  := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+  key_row  JSONB  := COALESCE(new_row, old_row);
+  diff     JSONB  := '{}';
+  ctx      JSONB;
+  rec_key  TEXT;
+  col      TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    SELECT COALESCE(jsonb_object_agg(n.key, jsonb_build_object('from', o.value, 'to', n.value)), '{}') INTO diff
+      FROM jsonb_each(new_row) n LEFT JOIN jsonb_each(old_row) o ON o.key = n.key
+     WHERE o.value IS DISTINCT FROM n.value;
+    IF diff - ARRAY['updated_at', 'version'] = '{}' THEN RETURN NULL; END IF;
+  END IF;
+
+  SELECT string_agg(key_row ->> k.col, '_' ORDER BY k.ord) INTO rec_key
+    FROM unnest(TG_ARGV) WITH ORDINALITY AS k(col, ord);
+
+  FOREACH col IN ARRAY secrets LOOP
+    IF old_row ->> col IS NOT NULL THEN old_row := jsonb_set(old_row, ARRAY[col], '"[redacted]"'); END IF;
+    IF new_row ->> col IS NOT NULL THEN new_row := jsonb_set(new_row, ARRAY[col], '"[redacted]"'); END IF;
+    IF diff ? col THEN diff := jsonb_set(diff, ARRAY[col], '{"from": "[redacted]", "to": "[redacted]"}'); END IF;
+  END LOOP;
+
+  ctx := audit_request_context();
+  INSERT INTO audit_log (actor_id, actor_name, action, table_name, record_id, changes, before, after, ip, request_id, route)
+  VALUES (
+    (ctx ->> 'actor_id')::UUID,
+    COALESCE(ctx ->> 'actor_name', 'system'),
+    TG_OP, TG_TABLE_NAME, rec_key, diff, old_row, new_row,
+    ctx ->> 'ip', ctx ->> 'request_id', ctx ->> 'route'
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS team_members_audit ON team_members;
+CREATE TRIGGER team_members_audit AFTER INSERT OR UPDATE OR DELETE ON team_members FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS deals_audit ON deals;
+CREATE TRIGGER deals_audit AFTER INSERT OR UPDATE OR DELETE ON deals FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS projects_audit ON projects;
+CREATE TRIGGER projects_audit AFTER INSERT OR UPDATE OR DELETE ON projects FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS tasks_audit ON tasks;
+CREATE TRIGGER tasks_audit AFTER INSERT OR UPDATE OR DELETE ON tasks FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS expenses_audit ON expenses;
+CREATE TRIGGER expenses_audit AFTER INSERT OR UPDATE OR DELETE ON expenses FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS pending_expenses_audit ON pending_expenses;
+CREATE TRIGGER pending_expenses_audit AFTER INSERT OR UPDATE OR DELETE ON pending_expenses FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS pay_status_audit ON pay_status;
+CREATE TRIGGER pay_status_audit AFTER INSERT OR UPDATE OR DELETE ON pay_status FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS profit_share_status_audit ON profit_share_status;
+CREATE TRIGGER profit_share_status_audit AFTER INSERT OR UPDATE OR DELETE ON profit_share_status FOR EACH ROW EXECUTE FUNCTION audit_row_change('quarter_key', 'member_id');
+DROP TRIGGER IF EXISTS pay_log_audit ON pay_log;
+CREATE TRIGGER pay_log_audit AFTER INSERT OR UPDATE OR DELETE ON pay_log FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS clients_audit ON clients;
+CREATE TRIGGER clients_audit AFTER INSERT OR UPDATE OR DELETE ON clients FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS deliverable_types_audit ON deliverable_types;
+CREATE TRIGGER deliverable_types_audit AFTER INSERT OR UPDATE OR DELETE ON deliverable_types FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS deliverables_audit ON deliverables;
+CREATE TRIGGER deliverables_audit AFTER INSERT OR UPDATE OR DELETE ON deliverables FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS task_deliverables_audit ON task_deliverables;
+CREATE TRIGGER task_deliverables_audit AFTER INSERT OR UPDATE OR DELETE ON task_deliverables FOR EACH ROW EXECUTE FUNCTION audit_row_change('task_id', 'deliverable_id');
+DROP TRIGGER IF EXISTS task_comments_audit ON task_comments;
+CREATE TRIGGER task_comments_audit AFTER INSERT OR UPDATE OR DELETE ON task_comments FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS quotes_audit ON quotes;
+CREATE TRIGGER quotes_audit AFTER INSERT OR UPDATE OR DELETE ON quotes FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS quote_line_items_audit ON quote_line_items;
+CREATE TRIGGER quote_line_items_audit AFTER INSERT OR UPDATE OR DELETE ON quote_line_items FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS retainer_contracts_audit ON retainer_contracts;
+CREATE TRIGGER retainer_contracts_audit AFTER INSERT OR UPDATE OR DELETE ON retainer_contracts FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS retainer_buckets_audit ON retainer_buckets;
+CREATE TRIGGER retainer_buckets_audit AFTER INSERT OR UPDATE OR DELETE ON retainer_buckets FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS trash_audit ON trash;
+CREATE TRIGGER trash_audit AFTER INSERT OR UPDATE OR DELETE ON trash FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS portal_users_audit ON portal_users;
+CREATE TRIGGER portal_users_audit AFTER INSERT OR UPDATE OR DELETE ON portal_users FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS api_tokens_audit ON api_tokens;
+CREATE TRIGGER api_tokens_audit AFTER INSERT OR UPDATE OR DELETE ON api_tokens FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS app_settings_audit ON app_settings;
+CREATE TRIGGER app_settings_audit AFTER INSERT OR UPDATE OR DELETE ON app_settings FOR EACH ROW EXECUTE FUNCTION audit_row_change('key');
+DROP TRIGGER IF EXISTS webauthn_credentials_audit ON webauthn_credentials;
+CREATE TRIGGER webauthn_credentials_audit AFTER INSERT OR UPDATE OR DELETE ON webauthn_credentials FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+DROP TRIGGER IF EXISTS totp_recovery_codes_audit ON totp_recovery_codes;
+CREATE TRIGGER totp_recovery_codes_audit AFTER INSERT OR UPDATE OR DELETE ON totp_recovery_codes FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
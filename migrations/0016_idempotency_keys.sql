@@ -0,0 +1,68 @@
+-- ================================================================
+--  0016 — Idempotency keys
+--  Routes that move money accept an Idempotency-Key header; the
+--  first request with a key stores its response here and repeats
+--  of it get that response back instead of running again
+--  (lib/idempotency.js). mark_payroll_paid also stops logging a
+--  second payment for a pay line that's already paid.
+-- ================================================================
+
+
+-- ================================================================
+--  TABLE: idempotency_keys
+--  Keys are per member. fingerprint is a hash of the method, URL
+--  and body the key was first used with; status_code and response
+--  stay NULL while that request is still running. Rows are pruned
+--  after expires_at. Not row-audited (0015): the writes they guard
+--  are.
+-- ================================================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id   UUID        NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  key         TEXT        NOT NULL,
+  fingerprint TEXT        NOT NULL,
+  status_code INTEGER,
+  response    JSONB,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idempotency_keys_member_key_idx ON idempotency_keys (member_id, key);
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx ON idempotency_keys (expires_at);
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+
+-- As in 0012, but a pay line that's already paid fails the whole
+-- batch with a unique_violation instead of being logged again. The
+-- WHERE on the upsert is re-checked after waiting on a concurrent
+-- batch's row lock, so two batches racing for a line can't both pay.
+CREATE OR REPLACE FUNCTION mark_payroll_paid(p_items JSONB, p_created_by_id UUID, p_created_by_name TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  it       RECORD;
+  v_log_id UUID;
+  v_out    JSONB := '[]'::jsonb;
+BEGIN
+  FOR it IN
+    SELECT * FROM jsonb_to_recordset(p_items) AS x(
+      pay_key TEXT, project_id UUID, member_id UUID, member_name TEXT,
+      pay_type TEXT, amount NUMERIC, project_name TEXT, notes TEXT)
+  LOOP
+    INSERT INTO pay_status (pay_key, project_id, member_id, paid)
+      VALUES (it.pay_key, it.project_id, it.member_id, TRUE)
+      ON CONFLICT (pay_key) DO UPDATE
+        SET project_id = EXCLUDED.project_id, member_id = EXCLUDED.member_id, paid = TRUE
+        WHERE NOT pay_status.paid;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION '% is already marked paid', it.pay_key USING ERRCODE = 'unique_violation';
+    END IF;
+    INSERT INTO pay_log (member_id, member_name, pay_type, amount, project_id, project_name,
+                         source_key, notes, is_manual, created_by_id, created_by_name)
+      VALUES (it.member_id, it.member_name, it.pay_type, it.amount, it.project_id, it.project_name,
+              it.pay_key, it.notes, FALSE, p_created_by_id, p_created_by_name)
+      RETURNING id INTO v_log_id;
+    v_out := v_out || jsonb_build_object('pay_key', it.pay_key, 'pay_log_id', v_log_id);
+  END LOOP;
+  RETURN v_out;
+END;
+$$;
@@ -0,0 +1,48 @@
+-- ================================================================
+--  SEED DATA — Creative Juice Agency team members
+--  Not a migration: `node scripts/migrate.js seed` runs it, and only
+--  adds the team when team_members is empty.
+--
+--  PIN hashes below are bcrypt(cost=12) of the PIN shown in comment.
+--  To generate your own:  node -e "console.log(require('bcryptjs').hashSync('YOUR_PIN', 12))"
+--
+--  IMPORTANT: Change these PINs before going live.
+--    Kyle  Harries   → PIN: 1234  (admin)
+--    Nathan Blumberg → PIN: 5678
+--    Blaise Freeman  → PIN: 9012
+-- ================================================================
+
+INSERT INTO team_members (name, role, auth_role, color, profit_share_pct, active, pin_hash)
+SELECT * FROM (VALUES
+  (
+    'Kyle Harries',
+    'Creative Director',
+    'admin',
+    '#c9a84c',
+    40,
+    TRUE,
+    -- bcrypt hash of '1234'
+    '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj4tbRHBpGTe'
+  ),
+  (
+    'Nathan Blumberg',
+    'Lead Designer',
+    'class_b',
+    '#4caf7a',
+    35,
+    TRUE,
+    -- bcrypt hash of '5678'
+    '$2a$12$8K3t7pDI1dKYvKHCBSb2XuL/QWyMqMDi1rFBEd/vR2MiI3EiVxaVe'
+  ),
+  (
+    'Blaise Freeman',
+    'Copywriter',
+    'class_b',
+    '#5a8fd4',
+    25,
+    TRUE,
+    -- bcrypt hash of '9012'
+    '$2a$12$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/hy4N2iGHjGJZIeYZ6'
+  )
+) AS seed (name, role, auth_role, color, profit_share_pct, active, pin_hash)
+WHERE NOT EXISTS (SELECT 1 FROM team_members);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Schema migrations from the command line (lib/db/migrations.js).
+ *
+ *   node scripts/migrate.js up [--to N]   apply pending migrations (all, or up to version N)
+ *   node scripts/migrate.js status        list applied / pending / edited migrations
+ *   node scripts/migrate.js check         report drift; exits 1 if the database differs
+ *   node scripts/migrate.js baseline N    mark 0001…N as applied without running them
+ *   node scripts/migrate.js seed          add the starter team (only into an empty team_members)
+ *
+ * Connects with DATABASE_URL — the Postgres connection string from Supabase
+ * (Project Settings → Database), not the REST URL. Add ?sslmode=require for
+ * hosted databases.
+ *
+ * A fresh database: `up` then `seed`. A database that was set up from the old
+ * single-file supabase_migration.sql: `up` is safe (every migration is
+ * re-runnable), then `check` shows anything the hand-run script left behind.
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const migrations = require('../lib/db/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js <up [--to N] | status | check | baseline N | seed>';
+
+function _describe(p) {
+  const where = p.column ? `${p.table}.${p.column}` : p.table;
+  switch (p.kind) {
+    case 'missing_table':        return `missing table        ${where}`;
+    case 'extra_table':          return `unexpected table     ${where} (no migration creates it)`;
+    case 'missing_column':       return `missing column       ${where} ${p.expected}`;
+    case 'extra_column':         return `unexpected column    ${where} ${p.actual} (no migration adds it)`;
+    case 'type_mismatch':        return `type differs         ${where}: expected ${p.expected}, found ${p.actual}`;
+    case 'nullability_mismatch': return `nullability differs  ${where}: expected ${p.expected}, found ${p.actual}`;
+    case 'missing_unique':       return `missing unique key   ${where} (${p.expected})`;
+    default:                     return `${p.kind} ${where}`;
+  }
+}
+
+async function main() {
+  const [cmd, ...args] = process.argv.slice(2);
+  if (!cmd) { console.error(USAGE); return 2; }
+  if (!process.env.DATABASE_URL) { console.error('Missing DATABASE_URL in environment'); return 2; }
+
+  const { Client } = require('pg');
+  const db = new Client({ connectionString: process.env.DATABASE_URL });
+  await db.connect();
+  try {
+    if (cmd === 'up') {
+      const toArg = args.indexOf('--to');
+      const to = toArg !== -1 ? parseInt(args[toArg + 1], 10) : undefined;
+      const ran = await migrations.migrate(db, { to, log: msg => console.log(msg) });
+      console.log(ran.length ? `Applied ${ran.length} migration(s).` : 'Already up to date.');
+      return 0;
+    }
+
+    if (cmd === 'status') {
+      const st = await migrations.status(db);
+      const changed = new Set(st.changed.map(m => m.version));
+      st.applied.forEach(m => console.log(`  applied  ${m.file}${changed.has(m.version) ? '  (EDITED since it ran)' : ''}`));
+      st.pending.forEach(m => console.log(`  pending  ${m.file}`));
+      st.unknown.forEach(r => console.log(`  unknown  ${String(r.version).padStart(4, '0')}_${r.name} (recorded, no file)`));
+      return 0;
+    }
+
+    if (cmd === 'check') {
+      const { status: st, problems, clean } = await migrations.detectDrift(db);
+      st.pending.forEach(m => console.log(`pending migration    ${m.file}`));
+      st.changed.forEach(m => console.log(`edited migration     ${m.file} (checksum differs from when it ran)`));
+      st.unknown.forEach(r => console.log(`unknown migration    ${r.version}_${r.name} (recorded, no file)`));
+      problems.forEach(p => console.log(_describe(p)));
+      console.log(clean ? 'Schema matches the migrations.' : 'Schema drift detected.');
+      return clean ? 0 : 1;
+    }
+
+    if (cmd === 'baseline') {
+      const version = parseInt(args[0], 10);
+      if (isNaN(version)) { console.error(USAGE); return 2; }
+      const marked = await migrations.baseline(db, version);
+      marked.forEach(m => console.log(`  marked   ${m.file}`));
+      console.log(`Marked ${marked.length} migration(s) as applied.`);
+      return 0;
+    }
+
+    if (cmd === 'seed') {
+      const { rowCount } = await db.query(fs.readFileSync(path.join(migrations.MIGRATIONS_DIR, 'seed.sql'), 'utf8'));
+      console.log(rowCount ? `Added ${rowCount} team member(s).` : 'team_members already has rows — nothing seeded.');
+      return 0;
+    }
+
+    console.error(USAGE);
+    return 2;
+  } finally {
+    await db.end();
+  }
+}
+
+main().then(code => process.exit(code), e => { console.error(e.message); process.exit(1); });
@@ -0,0 +1,74 @@
+// Optimistic concurrency on versioned PATCHes (lib/concurrency.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./helpers/api');
+
+let api, token;
+test.before(async () => { api = await start(); token = await api.login(); });
+test.after(() => api.close());
+
+const patchDeal = (id, body, headers) => api.request('PATCH', `/api/deals/${id}`, { token, body, headers });
+
+async function someDeal() {
+  const [deal] = await api.repos.deals.list({ limit: 1 });
+  return deal;
+}
+
+test('a PATCH without a version is refused with 428', async () => {
+  const deal = await someDeal();
+  const res = await patchDeal(deal.id, { name: 'No version' });
+  assert.equal(res.status, 428);
+  assert.equal(res.body.code, 'version_required');
+  assert.equal((await api.repos.deals.get(deal.id)).name, deal.name);
+});
+
+test('a PATCH against a stale version gets 409 with the current copy', async () => {
+  const deal = await someDeal();
+  assert.equal((await patchDeal(deal.id, { name: 'First edit', version: deal.version })).status, 200);
+
+  const res = await patchDeal(deal.id, { name: 'Second edit', version: deal.version });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.conflict, true);
+  assert.equal(res.body.current.id, deal.id);
+  assert.equal(res.body.current.name, 'First edit');
+  assert.equal(res.body.current.version, deal.version + 1);
+  assert.equal((await api.repos.deals.get(deal.id)).name, 'First edit');
+});
+
+test('If-Match wins over the body version', async () => {
+  const deal = await someDeal();
+
+  let res = await patchDeal(deal.id, { name: 'Header stale', version: deal.version }, { 'If-Match': `"${deal.version + 5}"` });
+  assert.equal(res.status, 409);
+
+  res = await patchDeal(deal.id, { name: 'Header current', version: deal.version + 5 }, { 'If-Match': `W/"${deal.version}"` });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.version, deal.version + 1);
+
+  res = await patchDeal(deal.id, { name: 'Header junk' }, { 'If-Match': '"abc"' });
+  assert.equal(res.status, 400);
+});
+
+test('a quote edit against a stale version leaves its line items alone', async () => {
+  const created = await api.request('POST', '/api/quotes', {
+    token,
+    body: { name: 'Versioned quote', lineItems: [{ description: 'Edit' }, { description: 'Shoot' }] },
+  });
+  assert.equal(created.status, 201);
+  const quote = created.body;
+  const stale = quote.version;
+  assert.equal((await api.request('PATCH', `/api/quotes/${quote.id}`, { token, body: { name: 'Renamed', version: stale } })).status, 200);
+
+  const res = await api.request('PATCH', `/api/quotes/${quote.id}`, {
+    token, body: { lineItems: [{ description: 'Only this' }], version: stale },
+  });
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.current.lineItems.map(li => li.description), ['Edit', 'Shoot']);
+
+  // The repository call itself, as the route makes it
+  const q = await api.repos.quotes.updateWithLines(quote.id, { name: 'Stale' }, [{ description: 'Only this' }], { version: stale });
+  assert.equal(q, null);
+  const lines = await api.repos.quoteLineItems.list({ where: { quote_id: quote.id } });
+  assert.deepEqual(lines.map(li => li.description), ['Edit', 'Shoot']);
+  assert.equal((await api.repos.quotes.get(quote.id)).name, 'Renamed');
+});
@@ -0,0 +1,48 @@
+// The API on the in-memory backend (lib/db/memory.js, seeded from
+// fixtures/seed.json), for tests that go through HTTP. node --test runs each
+// file in its own process, so every file starts from the seed.
+process.env.DATA_BACKEND = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// The seeded admin and a class_b member (fixtures/seed.json)
+const ADMIN = { id: '00000000-0000-4000-8000-000000000001', pin: '1234' };
+
+/**
+ * Listens on a free port. Resolves to { request, login, repos, close }:
+ *   request(method, path, { token, body, headers }) → { status, body, headers }
+ *   login(member = ADMIN) → a session token
+ */
+async function start() {
+  const app = require('../../api/index.js');
+  const repos = require('../../lib/repos');
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, body: parsed, headers: res.headers };
+  }
+
+  async function login(member = ADMIN) {
+    const res = await request('POST', '/api/auth/login', { body: { memberId: member.id, pin: member.pin } });
+    if (res.status !== 200) throw new Error(`login failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.token;
+  }
+
+  const close = () => new Promise(resolve => { server.closeAllConnections?.(); server.close(() => resolve()); });
+  return { request, login, repos, close };
+}
+
+module.exports = { ADMIN, start };
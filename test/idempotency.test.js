@@ -0,0 +1,63 @@
+// Idempotency-Key handling on the money routes (lib/idempotency.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ADMIN, start } = require('./helpers/api');
+
+let api, token;
+test.before(async () => { api = await start(); token = await api.login(); });
+test.after(() => api.close());
+
+const payment = (amount = 50) => ({ memberId: ADMIN.id, payType: 'manual', amount, isManual: true });
+const payLog = (body, key) =>
+  api.request('POST', '/api/pay-log', { token, body, headers: key ? { 'Idempotency-Key': key } : {} });
+
+test('a repeated request gets the stored response back without running again', async () => {
+  const first = await payLog(payment(51), 'replay-1');
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+
+  const again = await payLog(payment(51), 'replay-1');
+  assert.equal(again.status, 201);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(again.body, first.body);
+  assert.equal((await api.repos.payLog.list({ where: { amount: 51 } })).length, 1);
+});
+
+test('a copy sent while the first is still running is refused with 409', async () => {
+  // What the middleware leaves while the route runs: the key, no response yet
+  const body = payment(52);
+  await api.repos.idempotencyKeys.create({
+    member_id: ADMIN.id, key: 'pending-1',
+    fingerprint: crypto.createHash('sha256').update(`POST /api/pay-log\n${JSON.stringify(body)}`).digest('hex'),
+    expires_at: new Date(Date.now() + 60_000).toISOString(),
+  });
+  const res = await payLog(body, 'pending-1');
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'request_in_progress');
+  assert.equal((await api.repos.payLog.list({ where: { amount: 52 } })).length, 0);
+});
+
+test('reusing a key for a different request is refused with 422', async () => {
+  assert.equal((await payLog(payment(53), 'reused-1')).status, 201);
+  const res = await payLog(payment(54), 'reused-1');
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, 'idempotency_key_reused');
+  assert.equal((await api.repos.payLog.list({ where: { amount: 54 } })).length, 0);
+});
+
+test('a failed request releases its key', async () => {
+  const failed = await payLog({ amount: 'not a number' }, 'released-1');
+  assert.equal(failed.status, 400);
+  assert.equal(await api.repos.idempotencyKeys.findOne({ member_id: ADMIN.id, key: 'released-1' }), null);
+
+  const retried = await payLog(payment(55), 'released-1');
+  assert.equal(retried.status, 201);
+  assert.equal(retried.headers.get('idempotent-replayed'), null);
+});
+
+test('a malformed key is refused before anything runs', async () => {
+  const res = await payLog(payment(56), 'has spaces');
+  assert.equal(res.status, 400);
+  assert.equal((await api.repos.payLog.list({ where: { amount: 56 } })).length, 0);
+});
@@ -0,0 +1,59 @@
+// Reverting row-level UPDATE entries from the audit log (lib/revert.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./helpers/api');
+
+let api, token;
+test.before(async () => { api = await start(); token = await api.login(); });
+test.after(() => api.close());
+
+// A task on a project whose payouts aren't finalized, renamed through the API;
+// returns the task and the UPDATE entry the edit left
+async function renameTask(title) {
+  const projects = await api.repos.projects.list({ where: { payouts_finalized: false } });
+  const tasks = await api.repos.tasks.list();
+  const task = tasks.find(t => t.title !== title && projects.some(p => p.id === t.project_id));
+  const res = await api.request('PATCH', `/api/tasks/${task.id}`, { token, body: { title, version: task.version } });
+  assert.equal(res.status, 200);
+  const entries = await api.request('GET', `/api/audit-log/records/tasks/${task.id}`, { token });
+  const entry = entries.body.find(e => e.action === 'UPDATE' && e.changes.title?.to === title);
+  assert.ok(entry, 'the edit left an UPDATE entry');
+  return { task, entry };
+}
+
+test('a task edit reverts, leaving version and updated_at to the database', async () => {
+  const { task, entry } = await renameTask('Renamed for revert');
+  assert.equal(entry.revertable, true);
+  assert.ok(entry.changes.version, 'the entry records the version bump too');
+
+  const res = await api.request('POST', `/api/audit-log/${entry.id}/revert`, { token });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.reverted, ['title']);
+  const now = await api.repos.tasks.get(task.id);
+  assert.equal(now.title, task.title);
+  assert.equal(now.version, task.version + 2);
+
+  const log = await api.request('GET', `/api/audit-log/records/tasks/${task.id}`, { token });
+  const reverted = log.body.find(e => e.action === 'REVERT' && e.changes.revertOf === entry.id);
+  assert.equal(reverted.changes.revertedAction, 'UPDATE');
+});
+
+test('a task edit on a project since finalized is locked', async () => {
+  const { task, entry } = await renameTask('Renamed before finalizing');
+  await api.repos.projects.update(task.project_id, { payouts_finalized: true });
+
+  const res = await api.request('POST', `/api/audit-log/${entry.id}/revert`, { token });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'locked');
+  assert.equal((await api.repos.tasks.get(task.id)).title, 'Renamed before finalizing');
+});
+
+test('an UPDATE that only moved the bookkeeping columns has nothing to revert', async () => {
+  const [task] = await api.repos.tasks.list({ limit: 1 });
+  const entry = await api.repos.auditLog.create({
+    actor_name: 'system', action: 'UPDATE', table_name: 'tasks', record_id: task.id,
+    changes: { version: { from: 1, to: 2 }, updated_at: { from: null, to: new Date().toISOString() } },
+  });
+  const res = await api.request('POST', `/api/audit-log/${entry.id}/revert`, { token });
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,93 @@
+// Server-side sessions behind staff tokens (lib/sessions.js): sign-out,
+// revoking one session, "log out everywhere" and deactivation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sessions = require('../lib/sessions');
+const { start } = require('./helpers/api');
+
+let api, admin;
+// Seeded class_b members, given PINs by the admin in before()
+const NATHAN = { id: '00000000-0000-4000-8000-000000000002', pin: '2468' };
+const BLAISE = { id: '00000000-0000-4000-8000-000000000003', pin: '1357' };
+
+test.before(async () => {
+  api = await start();
+  admin = await api.login();
+  for (const m of [NATHAN, BLAISE]) {
+    const res = await api.request('PATCH', `/api/team/${m.id}`, { token: admin, body: { pin: m.pin } });
+    assert.equal(res.status, 200);
+  }
+});
+test.after(() => api.close());
+
+const mySessions = token => api.request('GET', '/api/auth/sessions', { token });
+
+test('describeDevice names the browser and OS', () => {
+  assert.equal(sessions.describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 Version/17.0 Safari/605.1.15'), 'Safari on macOS');
+  assert.equal(sessions.describeDevice('Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36 Edg/120.0'), 'Edge on Windows');
+  assert.equal(sessions.describeDevice(''), 'Unknown device');
+});
+
+test('a login shows in the member\'s sessions, marked current', async () => {
+  const res = await mySessions(admin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.filter(s => s.current).length, 1);
+});
+
+test('signing out revokes the token', async () => {
+  const token = await api.login();
+  assert.equal((await api.request('POST', '/api/auth/logout', { token })).status, 200);
+  const res = await mySessions(token);
+  assert.equal(res.status, 401);
+  assert.equal((await mySessions(admin)).status, 200);
+});
+
+test('a revoked session\'s token is refused on its next request', async () => {
+  const other = await api.login();
+  const before = (await mySessions(admin)).body;
+  const [target] = (await mySessions(other)).body.filter(s => s.current);
+  assert.ok(before.some(s => s.id === target.id && !s.current));
+
+  const res = await api.request('DELETE', `/api/auth/sessions/${target.id}`, { token: admin });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.current, false);
+  assert.equal((await mySessions(other)).status, 401);
+  assert.equal((await mySessions(admin)).status, 200);
+
+  // Only your own sessions, and only once
+  assert.equal((await api.request('DELETE', `/api/auth/sessions/${target.id}`, { token: admin })).status, 404);
+  const nathan = await api.login(NATHAN);
+  const [theirs] = (await mySessions(nathan)).body;
+  assert.equal((await api.request('DELETE', `/api/auth/sessions/${theirs.id}`, { token: admin })).status, 404);
+  assert.equal((await mySessions(nathan)).status, 200);
+});
+
+test('logging out everywhere revokes every session, or all but this one', async () => {
+  const laptop = await api.login(NATHAN);
+  const phone = await api.login(NATHAN);
+
+  let res = await api.request('POST', '/api/auth/sessions/revoke-all', { token: phone, body: { keepCurrent: true } });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.revoked >= 1);
+  assert.equal((await mySessions(laptop)).status, 401);
+  const left = await mySessions(phone);
+  assert.equal(left.status, 200);
+  assert.deepEqual(left.body.map(s => s.current), [true]);
+
+  res = await api.request('POST', '/api/auth/sessions/revoke-all', { token: phone, body: {} });
+  assert.equal(res.body.revoked, 1);
+  assert.equal((await mySessions(phone)).status, 401);
+});
+
+test('deactivating a member signs them out straight away', async () => {
+  const token = await api.login(BLAISE);
+  assert.equal((await mySessions(token)).status, 200);
+
+  const res = await api.request('PATCH', `/api/team/${BLAISE.id}`, { token: admin, body: { active: false } });
+  assert.equal(res.status, 200);
+  assert.equal((await mySessions(token)).status, 401);
+  assert.deepEqual((await api.request('GET', `/api/team/${BLAISE.id}/sessions`, { token: admin })).body, []);
+
+  const again = await api.request('POST', '/api/auth/login', { body: { memberId: BLAISE.id, pin: BLAISE.pin } });
+  assert.equal(again.status, 403);
+});
@@ -0,0 +1,48 @@
+// RFC 6238 (TOTP) conformance and replay protection for lib/totp.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+
+// Appendix B seeds: the ASCII string "1234567890" repeated to each hash's key size
+const SEEDS = {
+  SHA1:   totp.base32Encode(Buffer.from('12345678901234567890')),
+  SHA256: totp.base32Encode(Buffer.from('12345678901234567890123456789012')),
+  SHA512: totp.base32Encode(Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')),
+};
+
+// Appendix B table: time (s) → 8-digit code per algorithm
+const VECTORS = [
+  [59,          { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+  [1111111109,  { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+  [1111111111,  { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+  [1234567890,  { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+  [2000000000,  { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+  [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }],
+];
+
+for (const algorithm of Object.keys(SEEDS)) {
+  test(`RFC 6238 Appendix B vectors, ${algorithm}`, () => {
+    for (const [seconds, codes] of VECTORS) {
+      const opts = { time: seconds * 1000, digits: 8, algorithm };
+      assert.equal(totp.totp(SEEDS[algorithm], opts), codes[algorithm], `T=${seconds}`);
+      assert.equal(totp.verifyTotpStep(SEEDS[algorithm], codes[algorithm], opts), Math.floor(seconds / 30), `T=${seconds}`);
+    }
+  });
+}
+
+test('verifyTotpStep refuses a code from a step at or before lastStep', () => {
+  const secret = SEEDS.SHA1;
+  const time = 1234567890 * 1000;
+  const opts = { time, digits: 8 };
+  const step = totp.verifyTotpStep(secret, '89005924', opts);
+  assert.equal(step, 41152263);
+
+  // Replaying the same code once it has been accepted
+  assert.equal(totp.verifyTotpStep(secret, '89005924', { ...opts, lastStep: step }), null);
+  // A code from an earlier step that is still inside the drift window
+  const previous = totp.totp(secret, { time: time - 30 * 1000, digits: 8 });
+  assert.equal(totp.verifyTotpStep(secret, previous, { ...opts, lastStep: step - 1 }), null);
+  // The next step's code is still accepted
+  const next = totp.totp(secret, { time: time + 30 * 1000, digits: 8 });
+  assert.equal(totp.verifyTotpStep(secret, next, { ...opts, time: time + 30 * 1000, lastStep: step }), step + 1);
+});
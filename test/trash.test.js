@@ -0,0 +1,121 @@
+// The trash (lib/trash.js) and the memory backend's trash_record / restore_trash
+// / purge_trash stand-ins, through the routes that use them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const trash = require('../lib/trash');
+const { start } = require('./helpers/api');
+
+let api, token;
+test.before(async () => { api = await start(); token = await api.login(); });
+test.after(() => api.close());
+
+async function create(path, body) {
+  const res = await api.request('POST', path, { token, body });
+  assert.equal(res.status, 201, `${path}: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+// Ages an entry past the retention period
+const expire = id => api.repos.trash.update(id, { deleted_at: new Date(Date.now() - (trash.RETENTION_DAYS + 1) * 864e5).toISOString() });
+
+// A project with a deliverable, a task linked to it, a subtask and an expense
+async function projectWithWork(name) {
+  const project = await create('/api/projects', { name });
+  const deliverable = await create('/api/deliverables', { projectId: project.id, name: `${name} cut` });
+  const task = await create('/api/tasks', { title: `${name} edit`, projectId: project.id, deliverableId: deliverable.id });
+  const subtask = await create('/api/tasks', { title: `${name} notes`, projectId: project.id, parentId: task.id });
+  const expense = await create('/api/expenses', { description: `${name} drive`, amount: 40, projectId: project.id });
+  return { project, deliverable, task, subtask, expense };
+}
+
+test('purgeableAt and isPurgeable follow the retention period', () => {
+  const entry = { deleted_at: '2026-01-01T00:00:00.000Z' };
+  assert.equal(trash.purgeableAt(entry), '2026-01-31T00:00:00.000Z');
+  assert.equal(trash.isPurgeable(entry, Date.parse('2026-01-30T23:59:59Z')), false);
+  assert.equal(trash.isPurgeable(entry, Date.parse('2026-01-31T00:00:00Z')), true);
+});
+
+test('restoring a project brings back its tasks, deliverables, expenses and links', async () => {
+  const { project, deliverable, task, subtask, expense } = await projectWithWork('Trash P1');
+
+  const del = await api.request('DELETE', `/api/projects/${project.id}?force=true`, { token });
+  assert.equal(del.status, 200);
+  for (const [repo, id] of [['projects', project.id], ['tasks', task.id], ['tasks', subtask.id], ['expenses', expense.id], ['deliverables', deliverable.id]]) {
+    assert.equal(await api.repos[repo].get(id), null, `${repo} ${id} is hidden`);
+    assert.equal((await api.repos[repo].withDeleted.get(id)).trash_id, del.body.trashId);
+  }
+  const listed = (await api.request('GET', '/api/trash', { token })).body.find(e => e.id === del.body.trashId);
+  assert.deepEqual(listed.dependents.tasks.map(t => t.id).sort(), [task.id, subtask.id].sort());
+  assert.deepEqual(listed.dependents.expenses.map(e => e.id), [expense.id]);
+  assert.deepEqual(listed.dependents.deliverables.map(d => d.id), [deliverable.id]);
+
+  const res = await api.request('POST', `/api/trash/${del.body.trashId}/restore`, { token });
+  assert.equal(res.status, 200);
+  for (const [repo, id] of [['projects', project.id], ['tasks', task.id], ['tasks', subtask.id], ['expenses', expense.id], ['deliverables', deliverable.id]]) {
+    const row = await api.repos[repo].get(id);
+    assert.ok(row, `${repo} ${id} is back`);
+    assert.equal(row.trash_id, null);
+  }
+  assert.ok(await api.repos.taskDeliverables.findOne({ task_id: task.id, deliverable_id: deliverable.id }));
+  assert.equal(await api.repos.trash.get(del.body.trashId), null);
+});
+
+test('a deal comes back still linked to its project', async () => {
+  const deal = await create('/api/deals', { name: 'Trash D1', stage: 'Lead', value: 100 });
+  const project = await create('/api/projects', { name: 'Trash D1 project', dealId: deal.id });
+
+  const del = await api.request('DELETE', `/api/deals/${deal.id}`, { token });
+  assert.equal(del.status, 200);
+  assert.equal(await api.repos.deals.get(deal.id), null);
+  // The project isn't trashed with it, and keeps its link until the deal is purged
+  assert.equal((await api.repos.projects.get(project.id)).deal_id, deal.id);
+
+  assert.equal((await api.request('POST', `/api/trash/${del.body.trashId}/restore`, { token })).status, 200);
+  assert.ok(await api.repos.deals.get(deal.id));
+  assert.equal((await api.repos.projects.forDeal(deal.id, 'id')).id, project.id);
+
+  const again = await api.request('DELETE', `/api/deals/${deal.id}`, { token });
+  await expire(again.body.trashId);
+  assert.equal((await api.request('DELETE', `/api/trash/${again.body.trashId}`, { token })).status, 200);
+  assert.equal((await api.repos.projects.get(project.id)).deal_id, null);
+});
+
+test('a task can\'t come back while its project is in the trash', async () => {
+  const { project, task } = await projectWithWork('Trash P2');
+  const taskDel = await api.request('DELETE', `/api/tasks/${task.id}`, { token });
+  const projDel = await api.request('DELETE', `/api/projects/${project.id}?force=true`, { token });
+  assert.equal(projDel.status, 200);
+
+  const blocked = await api.request('POST', `/api/trash/${taskDel.body.trashId}/restore`, { token });
+  assert.equal(blocked.status, 409);
+  assert.equal(await api.repos.tasks.get(task.id), null);
+
+  assert.equal((await api.request('POST', `/api/trash/${projDel.body.trashId}/restore`, { token })).status, 200);
+  assert.equal((await api.request('POST', `/api/trash/${taskDel.body.trashId}/restore`, { token })).status, 200);
+  assert.ok(await api.repos.tasks.get(task.id));
+});
+
+test('purging is refused inside the retention period', async () => {
+  const { project, task } = await projectWithWork('Trash P3');
+  const del = await api.request('DELETE', `/api/projects/${project.id}?force=true`, { token });
+
+  const early = await api.request('DELETE', `/api/trash/${del.body.trashId}`, { token });
+  assert.equal(early.status, 409);
+  assert.ok(await api.repos.projects.withDeleted.get(project.id));
+  assert.equal((await api.request('POST', '/api/trash/purge', { token })).body.purged, 0);
+
+  await expire(del.body.trashId);
+  assert.equal((await api.request('DELETE', `/api/trash/${del.body.trashId}`, { token })).status, 200);
+  assert.equal(await api.repos.projects.withDeleted.get(project.id), null);
+  assert.equal(await api.repos.tasks.withDeleted.get(task.id), null);
+});
+
+test('restoring the same entry twice is a 404 the second time', async () => {
+  const expense = await create('/api/expenses', { description: 'Trash E1', amount: 12 });
+  const del = await api.request('DELETE', `/api/expenses/${expense.id}`, { token });
+  assert.equal((await api.request('POST', `/api/trash/${del.body.trashId}/restore`, { token })).status, 200);
+
+  const again = await api.request('POST', `/api/trash/${del.body.trashId}/restore`, { token });
+  assert.equal(again.status, 404);
+  assert.ok(await api.repos.expenses.get(expense.id));
+});